@@ -0,0 +1,260 @@
+// core/asset-manifest.js
+// The one place that knows where every script and stylesheet lives. Loaders
+// ask for logical names ('posts', 'lightgallery-zoom') or whole phases and
+// get back the pinned URL, its SRI hash and how to inject it.
+//
+// Our own files are pinned to the release tag ('v' + VERSION) and loaded
+// unminified: jsDelivr serves repository files byte for byte, so their SRI
+// hashes come straight from the checkout, while the .min.js copies it
+// generates cannot be hashed before they exist. Releasing:
+//
+//   1. bump VERSION
+//   2. rehash every changed file:
+//        openssl dgst -sha384 -binary <file> | openssl base64 -A
+//      (prefix 'sha384-'; node --test test/asset-manifest.test.js lists the
+//      stale ones)
+//   3. set RELEASE and this file's hash in core/dynamic-loader.js, which
+//      loads the manifest from the same tag with SRI
+//   4. commit, tag that commit 'v' + VERSION and push the tag with main
+//
+// Third-party files are pinned to exact versions; bumping one means a new
+// URL and `curl -s <url> | openssl dgst -sha384 -binary | openssl base64 -A`.
+// Entries whose integrity is null are injected without SRI.
+//
+// Load this before core/dynamic-loader.js; the boot engine
+// fetches it itself if the page did not include it.
+//
+// Failover: candidates(name) lists the URLs to try in order – the pinned
+// URL, mirrors of its CDN, the asset's own `fallbacks`, then a self-hosted
+// copy when configured:
+//
+//   window.ForumAssetsConfig = { selfHostedBase: 'https://example.com/skin/' };
+//
+// The self-hosted path mirrors the repository layout (core/, modules/ …).
+
+var ForumAssets = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('asset-manifest-start');
+    }
+    // ====================================
+
+    var VERSION = '1.0.0';
+    var RELEASE = 'v' + VERSION;
+    var REPO = 'https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@';
+
+    // Same files, other edges of the same CDN
+    var MIRRORS = {
+        'https://cdn.jsdelivr.net/': ['https://fastly.jsdelivr.net/', 'https://gcore.jsdelivr.net/']
+    };
+
+    var config = {
+        selfHostedBase: null
+    };
+
+    // ============================================================================
+    // ASSETS
+    // ============================================================================
+    // type     – 'script' (default) or 'style'
+    // phase    – boot phase that loads it: A–D, 'enhancements' (idle, picked
+    //            per page by ForumModuleManifest), 'lightgallery', 'social',
+    //            'legacy' (legacy boot profile only) or 'on-demand' (debug
+    //            tools and opt-in features, see the boot engine's 'on-demand'
+    //            feature)
+    // fallbacks – extra URLs for the same file, tried after the CDN mirrors
+    // module   – inject as type="module"
+    // defer    – false for scripts that must run as soon as they arrive
+    // consent  – third-party provider (see core/consent-manager.js); the boot
+    //            engine waits for the member to allow it before loading
+    // Order inside a phase is the injection order.
+    var ASSETS = [
+        // Phase A: foundation
+        { name: 'error-sink', phase: 'A', url: REPO + RELEASE + '/core/error-sink.js', integrity: 'sha384-RVEibwF23gqBHY2Xe8yeBt3u7wTVLkIANbDl+5YwGhc+661HOZbfiP2EQ3RuDiUY' },
+        { name: 'perf-beacon', phase: 'A', url: REPO + RELEASE + '/core/perf-beacon.js', integrity: 'sha384-8pvQEeWP1VFlKjkYvSGQWMpHdZLlTfkqbxGuD6yQkIIN/GiRybcEyr2n3BUSbO/L' },
+        { name: 'consent-manager', phase: 'A', url: REPO + RELEASE + '/core/consent-manager.js', integrity: 'sha384-l8KQIHlVwrdujvLZNPw3kcAWw0kqmLgyp5IWx8tQ1HG/PPOEeAxY3JihmvXKbnYc' },
+        { name: 'media-optimizer', phase: 'A', module: true, url: REPO + RELEASE + '/media-optimizer.js', integrity: 'sha384-h5OEVvtapKCPqQJpEcpTRve9HHapctfqzUYw0NILIhyNjT2ta4qcS3Ys14Botr/y' },
+        { name: 'event-bus', phase: 'A', defer: false, url: REPO + RELEASE + '/core/event-bus.js', integrity: 'sha384-jIjO+IPcrAdfi/H648n9nrDN+MzXW7//VUnRMB+Kfh5/M2itlYze13OmLp5aFI3d' },
+        { name: 'templates', phase: 'A', url: REPO + RELEASE + '/core/templates.js', integrity: 'sha384-uj7ei704Xy6zcaMaHKrNRmWbuOSZ2wINE4SueXDa1oapOUU2t+fl2eR2+/WZY5DT' },
+        { name: 'user-service', phase: 'A', url: REPO + RELEASE + '/core/user-service.js', integrity: 'sha384-65+PAFMwy33rg5Bi3ttTxeO9h9b1wxVjmUu1Mf9jBlgEAmfzAWA0BioX4hRssWEJ' },
+        { name: 'module-manifest', phase: 'A', url: REPO + RELEASE + '/core/module-manifest.js', integrity: 'sha384-jmkLAiWEg3fTocERj2pPbshGxan/ToTvNeDfmBCV1d1iE1pIRToctZSagYF6/SB8' },
+
+        // Only when asked for: URL flag, debug mode or configuration
+        { name: 'diagnostics', phase: 'on-demand', url: REPO + RELEASE + '/core/diagnostics.js', integrity: 'sha384-frbl8Yun+ePFE5OnqBTsTC4NvFq3wYGuNmx3D35z9ZMSrfRLOYInhGN3hm54N5jb' },
+        { name: 'mutation-recorder', phase: 'on-demand', url: REPO + RELEASE + '/core/mutation-recorder.js', integrity: 'sha384-knDFJj93c6m13ItmNO1QYM3F3P/Iks19UD0doRaUAYZ5coSbTBblypLC7Ktnc3iX' },
+        { name: 'soft-navigation', phase: 'on-demand', url: REPO + RELEASE + '/core/soft-navigation.js', integrity: 'sha384-pC7q7hxyfDvkL/iHcIOZZZUMml6opKXi81+CRYNuwhsY9h462CiC1E/E/pvpPABx' },
+
+        // Phase B: visual core
+        // slick-carousel 1.9.0 was never published to npm, so it has no jsDelivr
+        // copy. cdnjs entries have no hash yet: take it from cdnjs itself, since
+        // an npm fallback only matches if both copies are byte-identical
+        { name: 'slick', phase: 'B', url: 'https://cdnjs.cloudflare.com/ajax/libs/slick-carousel/1.9.0/slick.min.js', integrity: null },
+        { name: 'dom-utils', phase: 'B', url: REPO + RELEASE + '/core/dom-utils.js', integrity: 'sha384-Ln0tXAMHyYWXU3oIK2GyZ9KMLtVfaSiUvPYlkDyC8kE2J8nJ8ihYdxuKErxSgM3f' },
+        { name: 'forum-observer', phase: 'B', url: REPO + RELEASE + '/forum_core_observer.js', integrity: 'sha384-WSALke6l2Al3eeAs5+D2lnaBP0KiZ1fJ+Tth8yhupjCJ+BergzX4pxJdeJSM8+TZ' },
+
+        // Phase C: third-party libraries
+        { name: 'twemoji-lib', phase: 'C', url: 'https://cdn.jsdelivr.net/npm/twemoji@14.0.2/dist/twemoji.min.js', integrity: 'sha384-32KMvAMS4DUBcQtHG6fzADguo/tpN1Nh6BAJa2QqZc6/i0K+YPQE+bWiqBRAWuFs' },
+        // Before the enhancement modules that render through it;
+        // core/boot-loader.js also swaps the forum's own hb.js for it
+        { name: 'handlebars', phase: 'C', url: REPO + RELEASE + '/core/handlebars.js', integrity: 'sha384-W3vvR10Na9WEYWLLh0c9N1iqrlS9VX5Ps1ONYSqwrNXBoZiLub+0jCSvo+ptCod6' },
+        { name: 'lite-youtube', phase: 'C', consent: 'youtube', url: 'https://cdnjs.cloudflare.com/ajax/libs/lite-youtube-embed/0.3.3/lite-yt-embed.js',
+          fallbacks: ['https://cdn.jsdelivr.net/npm/lite-youtube-embed@0.3.3/src/lite-yt-embed.js'], integrity: null },
+        // +esm is a bundle jsDelivr builds on request; it cannot carry SRI
+        { name: 'lite-vimeo', phase: 'C', consent: 'vimeo', module: true, url: 'https://cdn.jsdelivr.net/npm/lite-vimeo-embed@0.3.0/+esm', integrity: null },
+
+        // Phase D: carousel module
+        { name: 'slick-carousel', phase: 'D', url: REPO + RELEASE + '/modules/slick-carousel.js', integrity: 'sha384-9JfX2ibfcL1KUxfNsPz8lDS9hawzR8YzL3qFC+WWhSDpyKWoDx4D9tfnMnw05IIQ' },
+
+        // Idle: enhancement modules, then the enhancer that registers them
+        { name: 'media-dimensions', phase: 'enhancements', url: REPO + RELEASE + '/modules/media-dimensions.js', integrity: 'sha384-JqFWzEaRZCtXDKf+ZZs/bx3+Kpxb2VCO+EInIC/ZvLKIvlXpZEg4BfvKFmDgpWu/' },
+        { name: 'twemoji', phase: 'enhancements', url: REPO + RELEASE + '/modules/twemoji.js', integrity: 'sha384-ByOuhQkJK+g+Ej+/X2kMymLpZnFET16lGBT3F9qRQsBY8DSTPwOwq96MxpTcGqNG' },
+        { name: 'boards', phase: 'enhancements', url: REPO + RELEASE + '/modules/boards.js', integrity: 'sha384-wGJKJRIAlBqmsNBDlqxAihg6MPcPStqkEML3XPCfe4rACRZQLO6aTcVIZzCbzudz' },
+        { name: 'posts', phase: 'enhancements', url: REPO + RELEASE + '/modules/posts.js', integrity: 'sha384-T4g2Mse+53/QubxZI6C2ZhWwNXQFTv0BKphiJOYAJD11bhDoNACL2zfKoe3cMcgW' },
+        { name: 'modals', phase: 'enhancements', url: REPO + RELEASE + '/modules/modals.js', integrity: 'sha384-bKSubGRFI0Lk1He6EXNnVTfkQvp9CxoMmE1+364PzIk59ydG8jYdHcPojfEYxaKY' },
+        { name: 'messenger', phase: 'enhancements', url: REPO + RELEASE + '/modules/messenger.js', integrity: 'sha384-vEEDIpCrMLFr2psMF23dGc3jdxCBbNx30SQs68BGP15Ed6kCn6TZ0VMVbaDhonqn' },
+        { name: 'forum-enhancer', phase: 'enhancements', url: REPO + RELEASE + '/core/forum-enhancer.js', integrity: 'sha384-zp4ittcK/UXELVavg335ztBiR6wjVyK+MmK9k3uG/zwsPUcdRMjVk0zutQezBav7' },
+
+        // Stylesheets every page needs
+        { name: 'slick-css', type: 'style', phase: 'A', url: 'https://cdnjs.cloudflare.com/ajax/libs/slick-carousel/1.9.0/slick.min.css', integrity: null },
+        { name: 'lite-youtube-css', type: 'style', phase: 'A', url: 'https://cdnjs.cloudflare.com/ajax/libs/lite-youtube-embed/0.3.3/lite-yt-embed.min.css', integrity: null },
+
+        // LightGallery (content pages only)
+        { name: 'lightgallery-css', type: 'style', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lightgallery.min.css', integrity: 'sha384-nLMoLvzAsj1/PcWfODUEfzdeVQEk2q5hpZoWCq/vrdICIakwW7T5Jb6nIpYQIDFj' },
+        { name: 'lightgallery-zoom-css', type: 'style', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-zoom.min.css', integrity: 'sha384-ClF8zm5tCbHDKb4aqccGcZseG9h8epSAdRUoDtJRwm8hHax9XR+wYUeutTcY/iuQ' },
+        { name: 'lightgallery-thumbnail-css', type: 'style', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-thumbnail.min.css', integrity: 'sha384-QjqxVHeGlUGIiGzgWu5WSmiamy2b6DjUJIuis5qTlOy2Zn/1OixUeqjsgngDBDfC' },
+        { name: 'lightgallery-fullscreen-css', type: 'style', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-fullscreen.min.css', integrity: 'sha384-6PhjzLRkaR0Y90bAcy5++S+fbTMBpT2sNXW5A/UwL76IQKpX85/v+Qje88TDNyD2' },
+        { name: 'lightgallery-share-css', type: 'style', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-share.min.css', integrity: 'sha384-c7gERilz3mI9T87lW4RXKTBUDYBliwz5IHo+skepfL7uQr2VUbkIoUivW7VLkdJG' },
+        { name: 'lightgallery-autoplay-css', type: 'style', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-autoplay.min.css', integrity: 'sha384-+y9kAOBq8Vuog6+Ts4Kv0RPhKBxFi5usV2qA+qW13y4dp7BQuHQLgXmEyILH5l0m' },
+        { name: 'lightgallery', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lightgallery.min.js', integrity: 'sha384-/2wQceFpqSv8WnHaJfVtTQbCxPE7Dw5702N8SVWHK4ArUQM9T4ZLPeEQnvyQ8xBn' },
+        { name: 'lightgallery-zoom', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-zoom.min.js', integrity: 'sha384-UURxMzGCLvK7VlXwJqrc1UNFqkHYWCY/GqKInSGyatHDeqno2R60gPAqj6W6UJlB' },
+        { name: 'lightgallery-thumbnail', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-thumbnail.min.js', integrity: 'sha384-ijOc/RFsUUw0iBYzrbJBErtcDL3d6CWTl5ViulHIkvUsScD3FemBVf8X+/BRaRR6' },
+        { name: 'lightgallery-fullscreen', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-fullscreen.min.js', integrity: 'sha384-zS9fMjQtmaWVJ9tmKFkqs7hrVc5cKwp7tdWPtiuxQnGeWxhcJVrmYtjOdFGO1ox+' },
+        { name: 'lightgallery-share', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-share.min.js', integrity: 'sha384-BzRrQEcNt94amC+0//h6iDAEna59vthmd6wWCAIwbuPzycSJ3YRbdQXrMppWVQ2O' },
+        { name: 'lightgallery-autoplay', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-autoplay.min.js', integrity: 'sha384-o2S72QX7dQD5bltgwfotAqXRFwYXBaMmRA6x9h6ZXqOcwCYmMW25i6RBO8Rpk0at' },
+        { name: 'lightgallery-hash', phase: 'lightgallery', url: REPO + RELEASE + '/lightgallery@2.7.1/lg-hash.min.js', integrity: 'sha384-giCmX5PyR3TX8kW9/yqEfCLZwyPNesHHfIjNz4vpRJOTn2bP8PLPmZaN5va0KOFs' },
+
+        // Social embeds – unversioned third-party files, SRI is not possible
+        { name: 'twitter-widgets', phase: 'social', consent: 'twitter', url: 'https://platform.twitter.com/widgets.js', integrity: null },
+        { name: 'instagram-embeds', phase: 'social', consent: 'instagram', url: 'https://platform.instagram.com/en_US/embeds.js', integrity: null },
+
+        // Only used by the 'legacy' boot profile (dynamic_loader.js pages)
+        { name: 'moment', phase: 'legacy', url: 'https://cdnjs.cloudflare.com/ajax/libs/moment.js/2.30.1/moment.min.js',
+          fallbacks: ['https://cdn.jsdelivr.net/npm/moment@2.30.1/min/moment.min.js'], integrity: null },
+        { name: 'moment-timezone', phase: 'legacy', url: 'https://cdnjs.cloudflare.com/ajax/libs/moment-timezone/0.6.0/moment-timezone-with-data.min.js',
+          fallbacks: ['https://cdn.jsdelivr.net/npm/moment-timezone@0.6.0/builds/moment-timezone-with-data.min.js'], integrity: null },
+        { name: 'legacy-forum-enhancer', phase: 'legacy', url: REPO + RELEASE + '/forum_enhancer.js', integrity: 'sha384-4sf9T/PMHtdFXZiU6154ghJfyM+0KCcFhPWM3pKVJED3viFtsxZ5jZfKUudB2TSC' },
+        // The package ships no minified copy
+        { name: 'instant-page', phase: 'legacy', module: true, url: 'https://cdn.jsdelivr.net/npm/instant.page@5.2.0/instantpage.js', integrity: 'sha384-+oVCYEOCpcTbL4CsQ1hK+6Prt7+Kx2+ER1RSn5iQ0Ua0B1sBuGONp1jKt8dkcd5n' },
+        { name: 'google-cse', phase: 'legacy', url: 'https://cse.google.com/cse.js?cx=45791748ee9234378', integrity: null }
+    ];
+
+    var byName = {};
+    ASSETS.forEach(function(asset) {
+        asset.type = asset.type || 'script';
+        byName[asset.name] = asset;
+    });
+
+    // ============================================================================
+    // LOOKUP
+    // ============================================================================
+    function get(name) {
+        var asset = byName[name];
+        if (!asset) console.warn('[ForumAssets] Unknown asset: ' + name);
+        return asset || null;
+    }
+
+    function url(name) {
+        var asset = get(name);
+        return asset ? asset.url : null;
+    }
+
+    function forPhase(phase, type) {
+        return ASSETS.filter(function(asset) {
+            return asset.phase === phase && (!type || asset.type === type);
+        });
+    }
+
+    function getAll() {
+        return ASSETS.slice();
+    }
+
+    // Sets src/href, integrity and crossorigin on a <script> or <link>
+    function applyTo(element, nameOrAsset) {
+        var asset = typeof nameOrAsset === 'string' ? get(nameOrAsset) : nameOrAsset;
+        if (!asset) return element;
+        if (element.tagName === 'LINK') element.href = asset.url;
+        else element.src = asset.url;
+        element.crossOrigin = 'anonymous';
+        if (asset.integrity) element.integrity = asset.integrity;
+        return element;
+    }
+
+    // ============================================================================
+    // FAILOVER
+    // ============================================================================
+    function candidates(nameOrAsset) {
+        var asset = typeof nameOrAsset === 'string' ? get(nameOrAsset) : nameOrAsset;
+        if (!asset) return [];
+
+        var urls = [asset.url];
+        Object.keys(MIRRORS).forEach(function(prefix) {
+            if (asset.url.indexOf(prefix) !== 0) return;
+            MIRRORS[prefix].forEach(function(mirror) {
+                urls.push(mirror + asset.url.slice(prefix.length));
+            });
+        });
+        (asset.fallbacks || []).forEach(function(fallback) {
+            urls.push(fallback);
+        });
+        if (config.selfHostedBase && asset.url.indexOf(REPO) === 0) {
+            // Drop the '<ref>/' part: REPO + 'abc123/core/x.min.js' → 'core/x.min.js'
+            var path = asset.url.slice(REPO.length);
+            urls.push(config.selfHostedBase + path.slice(path.indexOf('/') + 1));
+        }
+
+        return urls.filter(function(candidate, index) {
+            return urls.indexOf(candidate) === index;
+        });
+    }
+
+    function configure(options) {
+        if (options && options.selfHostedBase !== undefined) {
+            var base = options.selfHostedBase;
+            config.selfHostedBase = base ? base.replace(/\/?$/, '/') : null;
+        }
+    }
+
+    configure(window.ForumAssetsConfig);
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        version: VERSION,
+        get: get,
+        url: url,
+        forPhase: forPhase,
+        getAll: getAll,
+        applyTo: applyTo,
+        candidates: candidates,
+        configure: configure
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('asset-manifest-end');
+        try {
+            performance.measure('asset-manifest-load-time', 'asset-manifest-start', 'asset-manifest-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumAssets = ForumAssets;
+    window.dispatchEvent(new CustomEvent('asset-manifest-ready'));
+}
@@ -1,29 +1,8 @@
-/* Optimised Boot Loader – v6 */
+/* Optimised Boot Loader – v7 */
 "use strict";
 (function () {
-  let logBuffer = "[Bypass Active]:";
-
   // Configuration
   const config = {
-    safeList: [
-      "jq.js",
-      "plugin_v3.js",
-      "boot-loader.min.js",
-      "dynamic-loader.min.js",
-      "media-optimizer.min.js",
-      "event-bus.min.js",
-      "forum-enhancer.min.js",
-      "modern-forum.min.css",
-      "all.min.css"
-    ],
-    skipRelease: [
-      "lite-vimeo-embed",
-      "+esm",
-      "challenges.cloudflare.com",
-      "turnstile",
-     
-      "recaptcha"
-    ],
     emojiEditorPages: ["topic", "send", "blog"],
     capturedStyleKeys: {
       emoji: "emoji-picker",
@@ -32,11 +11,126 @@
     }
   };
 
+  // ============================================================
+  // Trap rules
+  // ============================================================
+  // Every <script> and <link rel="stylesheet"> is checked against the rules
+  // in order; the first match decides. Elements no rule matches are left
+  // alone.
+  //
+  // match:
+  //   tag        – "script" or "stylesheet"
+  //   url        – substring or RegExp (or a list of them) tested on the URL
+  //   file       – substring (or a list) tested on the file name only
+  //   attributes – { name: true } must be present, { name: false } must be
+  //                absent, { name: "value" } must equal
+  // action:
+  //   "allow"                  – leave it untouched
+  //   "trap-until-idle"        – neutralise now, re-insert at idle after load
+  //                              (requires: a global to wait 50ms for)
+  //   "trap-until-interaction" – neutralise now, re-insert (async) on the
+  //                              first `until.event` inside `until.selector`
+  //   "replace-with"           – trap, then insert `with` at idle instead:
+  //                              { asset } from ForumAssets, { url }, or
+  //                              { suffix: [from, to] } to rewrite the URL;
+  //                              `attributes` are set on the new <script>;
+  //                              unless: a global that makes it unneeded
+  //                              (already loaded by the boot engine)
+  //   "downgrade-css"          – media="print" until the sheet has loaded
+  //   "block"                  – trap and never release (loaded elsewhere)
+  //
+  // Per forum, before this file:
+  //   window.ForumBootLoaderConfig = { rules: [...] }
+  // A rule whose id matches a default rule replaces it ({ id, disabled: true }
+  // removes it); other rules are checked before the defaults.
+  const SYNC = { async: false, defer: false };
+
+  const DEFAULT_RULES = [
+    {
+      id: "safe-list",
+      match: {
+        file: [
+          "jq.js",
+          "plugin_v3.js",
+          "boot-loader.min.js",
+          "asset-manifest.min.js",
+          "dynamic-loader.min.js",
+          "media-optimizer.min.js",
+          "event-bus.min.js",
+          "forum-enhancer.min.js",
+          "modern-forum.min.css",
+          "all.min.css"
+        ]
+      },
+      action: "allow"
+    },
+    // The boot engine loads lite-vimeo itself; Turnstile is loaded on first
+    // form interaction (section 6)
+    {
+      id: "handled-elsewhere",
+      match: { tag: "script", attributes: SYNC, url: ["lite-vimeo-embed", "+esm", "challenges.cloudflare.com", "turnstile"] },
+      action: "block"
+    },
+    { id: "script-loader", match: { tag: "script", url: "script-loader" }, action: "trap-until-idle" },
+    // May carry async, but is only needed once a form is used
+    {
+      id: "recaptcha",
+      match: { tag: "script", url: "recaptcha/api.js" },
+      action: "trap-until-interaction",
+      until: { event: "focusin", selector: "form" }
+    },
+    {
+      id: "media-optimizer-min",
+      match: { tag: "script", attributes: SYNC, url: /media-optimizer\.js$/ },
+      action: "replace-with",
+      with: { suffix: ["media-optimizer.js", "media-optimizer.min.js"] },
+      attributes: { type: "module" }
+    },
+    {
+      // event-bus must run immediately
+      id: "event-bus-min",
+      match: { tag: "script", attributes: SYNC, url: /event-bus\.js$/ },
+      action: "replace-with",
+      with: { suffix: ["event-bus.js", "event-bus.min.js"] },
+      attributes: { defer: false }
+    },
+    {
+      // Our Handlebars (URL and SRI from the asset manifest); the boot
+      // engine normally loads it in Phase C already. The forum's copy is
+      // released instead when the manifest is missing
+      id: "handlebars",
+      match: { tag: "script", attributes: SYNC, url: "handlebars/hb.js" },
+      action: "replace-with",
+      with: { asset: "handlebars" },
+      unless: "Handlebars"
+    },
+    { id: "tippy", match: { tag: "script", attributes: SYNC, url: "tippy.js" }, action: "trap-until-idle", requires: "Popper" },
+    { id: "sync-scripts", match: { tag: "script", attributes: SYNC }, action: "trap-until-idle" },
+    { id: "render-blocking-css", match: { tag: "stylesheet" }, action: "downgrade-css" }
+  ];
+
+  const buildRules = (overrides) => {
+    const rules = DEFAULT_RULES.slice();
+    const extra = [];
+    (overrides || []).forEach((rule) => {
+      const index = rules.findIndex((r) => r.id && r.id === rule.id);
+      if (index === -1) {
+        extra.push(rule);
+      } else {
+        rules[index] = rule;
+      }
+    });
+    return extra.concat(rules).filter((rule) => !rule.disabled);
+  };
+
+  const rules = buildRules((window.ForumBootLoaderConfig || {}).rules);
+
   // State management
   const state = {
     turnstileLoaded: false,
-    recaptchaSrc: null,
-    recaptchaLoaded: false,
+    idleTraps: [],
+    interactionTraps: [],
+    interactionListeners: {},
     emojiCSSParts: [],
     emojiCSSLoaded: false,
     capturedCSS: {},
@@ -44,78 +138,130 @@
     observerDisconnected: false
   };
 
-  // Utility: Check if filename is in safe list
-  const isSafeAsset = (fileName) => {
-    return config.safeList.some((item) => fileName.includes(item));
+  // Structured record of every rule decision, for the console and the
+  // diagnostics overlay
+  const report = {
+    startedAt: Date.now(),
+    rules: rules.map((rule) => rule.id || "(unnamed)"),
+    entries: [],
+    releasedAt: null
+  };
+  window.ForumBootLoaderReport = report;
+
+  const record = (rule, tag, src) => {
+    const entry = {
+      rule: rule.id || "(unnamed)",
+      action: rule.action,
+      tag,
+      file: getFileName(src),
+      url: src,
+      status: { allow: "allowed", "downgrade-css": "downgraded", block: "blocked" }[rule.action] || "trapped",
+      time: Math.round(performance.now())
+    };
+    report.entries.push(entry);
+    return entry;
+  };
+
+  const markReleased = (entry, status) => {
+    entry.status = status;
+    entry.releasedAt = Math.round(performance.now());
   };
 
   // Utility: Extract filename from URL
-  const getFileName = (url) => {
+  function getFileName(url) {
     return url.split("/").pop().split("?")[0];
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+  const testPattern = (pattern, value) => {
+    return pattern instanceof RegExp ? pattern.test(value) : value.includes(pattern);
+  };
+
+  const matchesRule = (rule, el, tag, src) => {
+    const match = rule.match || {};
+    if (match.tag && match.tag !== tag) return false;
+    if (match.url && !toList(match.url).some((p) => testPattern(p, src))) return false;
+    if (match.file) {
+      const fileName = getFileName(src);
+      if (!toList(match.file).some((p) => testPattern(p, fileName))) return false;
+    }
+    if (match.attributes) {
+      for (const name of Object.keys(match.attributes)) {
+        const expected = match.attributes[name];
+        const has = el.hasAttribute(name);
+        if (expected === true && !has) return false;
+        if (expected === false && has) return false;
+        if (typeof expected === "string" && el.getAttribute(name) !== expected) return false;
+      }
+    }
+    return true;
   };
 
-  // Utility: Check if should skip release
-  const shouldSkipRelease = (src) => {
-    return config.skipRelease.some((item) => src.includes(item));
+  const trapScript = (el, src) => {
+    el.type = "text/plain";
+    el.dataset.original = src;
+    el.removeAttribute("src");
+  };
+
+  const downgradeCSS = (el) => {
+    el.media = "print";
+    const activate = function () {
+      this.media = "all";
+      this.dataset.activated = "true";
+    };
+    el.onload = activate;
+    try {
+      if (el.sheet && el.sheet.cssRules) activate.call(el);
+    } catch (e) {
+      /* CORS – onload will handle it */
+    }
   };
 
   // 1. Core processing of <script> and <link rel="stylesheet">
+  const processed = new WeakSet();
+
   const processElement = (el) => {
     const isScript = el.tagName === "SCRIPT";
     const isLink = el.tagName === "LINK" && el.rel === "stylesheet";
     if (!isScript && !isLink) return;
 
+    // Already handled (the initial scan and the observer can both see it;
+    // trapped scripts keep their URL in data-original)
+    if (processed.has(el) || (isScript && el.type === "text/plain")) return;
+    if (isLink && (el.dataset.activated || el.media === "print")) return;
+
     const src = isScript ? (el.src || el.getAttribute("data-src")) : el.href;
     if (!src) return;
 
-    const fileName = getFileName(src);
-    const isSafe = isSafeAsset(fileName);
-
-    if (!isSafe) {
-      // Force-trap the heavy script-loader
-      if (isScript && src.includes("script-loader")) {
-        el.type = "text/plain";
-        el.dataset.original = src;
-        el.removeAttribute("src");
-        logBuffer += "\n- Forced Trap (Loader): " + fileName;
-        return;
-      }
-
-      // Force-trap reCAPTCHA (may have async, but we want to lazy-load it)
-      if (isScript && src.includes("recaptcha/api.js")) {
-        state.recaptchaSrc = src;
-        el.type = "text/plain";
-        el.dataset.original = src;
-        el.removeAttribute("src");
-        logBuffer += "\n- Forced Trap (reCAPTCHA): " + fileName;
-        return;
-      }
-
-      // Trap synchronous scripts (without async/defer)
-      if (isScript && !el.hasAttribute("async") && !el.hasAttribute("defer") && el.type !== "text/plain") {
-        el.type = "text/plain";
-        el.dataset.original = src;
-        el.removeAttribute("src");
-        logBuffer += "\n- Trapped JS: " + fileName;
-        return;
-      }
-
-      // Downgrade render-blocking CSS to print (then activate on load)
-      if (isLink) {
-        if (el.dataset.activated || el.media === "print") return;
-        el.media = "print";
-        const activate = function () {
-          this.media = "all";
-          this.dataset.activated = "true";
-        };
-        el.onload = activate;
-        try {
-          if (el.sheet && el.sheet.cssRules) activate.call(el);
-        } catch (e) {
-          /* CORS – onload will handle it */
-        }
-        logBuffer += "\n- Downgraded CSS: " + fileName;
-      }
+    const tag = isScript ? "script" : "stylesheet";
+    const rule = rules.find((r) => matchesRule(r, el, tag, src));
+    if (!rule) return;
+    // Stylesheets can only be allowed or downgraded, scripts anything else
+    const applies = isScript ? rule.action !== "downgrade-css" : rule.action === "allow" || rule.action === "downgrade-css";
+    if (!applies) return;
+
+    processed.add(el);
+    const entry = record(rule, tag, src);
+    switch (rule.action) {
+      case "allow":
+        break;
+      case "downgrade-css":
+        if (isLink) downgradeCSS(el);
+        break;
+      case "trap-until-interaction":
+        trapScript(el, src);
+        state.interactionTraps.push({ el, src, rule, entry });
+        listenForInteraction(rule.until || { event: "focusin", selector: "form" });
+        break;
+      case "trap-until-idle":
+      case "replace-with":
+      case "block":
+        trapScript(el, src);
+        state.idleTraps.push({ el, src, rule, entry });
+        break;
+      default:
+        console.warn("[Bypass]: Unknown action " + rule.action + " in rule " + rule.id);
     }
   };
 
@@ -259,20 +405,38 @@
   }, { once: true, passive: true });
 
   // ============================================================
-  // 7. Lazy-load reCAPTCHA on first form interaction
+  // 7. Release interaction traps (reCAPTCHA) on first interaction
   // ============================================================
-  function loadRecaptcha() {
-    if (state.recaptchaLoaded || !state.recaptchaSrc) return;
-    state.recaptchaLoaded = true;
-    const script = document.createElement("script");
-    script.src = state.recaptchaSrc;
-    script.async = true;
-    document.head.appendChild(script);
+  function releaseInteractionTraps(until) {
+    state.interactionTraps = state.interactionTraps.filter((trap) => {
+      const trapUntil = trap.rule.until || { event: "focusin", selector: "form" };
+      if (trapUntil.event !== until.event || trapUntil.selector !== until.selector) return true;
+
+      const script = document.createElement("script");
+      script.src = trap.src;
+      script.async = true;
+      document.head.appendChild(script);
+      trap.el.remove();
+      markReleased(trap.entry, "released");
+      return false;
+    });
   }
 
-  document.addEventListener("focusin", (e) => {
-    if (e.target.closest("form")) loadRecaptcha();
-  }, { once: true, passive: true });
+  function listenForInteraction(until) {
+    const key = until.event + " " + until.selector;
+    if (state.interactionListeners[key]) return;
+    state.interactionListeners[key] = true;
+
+    document.addEventListener(until.event, (e) => {
+      if (e.target.closest && e.target.closest(until.selector)) {
+        releaseInteractionTraps(until);
+      } else {
+        // Not the interaction we wait for – keep listening
+        state.interactionListeners[key] = false;
+        listenForInteraction(until);
+      }
+    }, { once: true, passive: true });
+  }
 
   // ============================================================
   // 8. Lazy-load emoji-picker CSS on editor pages
@@ -289,61 +453,63 @@
   // 9. Release trapped assets at idle (with priority hints)
   // ============================================================
   window.addEventListener("load", () => {
-    const releaseAssets = () => {
-      console.log(logBuffer);
-
-      document.querySelectorAll('script[type="text/plain"]').forEach((oldScript) => {
-        const src = oldScript.dataset.original;
-        if (!src) return;
-
-        // Use minified versions if available
-        if (src.includes("media-optimizer.js") && !src.includes(".min.js")) {
-          const minSrc = src.replace(/media-optimizer\.js$/, "media-optimizer.min.js");
-          const newScript = document.createElement("script");
-          newScript.src = minSrc;
-          newScript.type = "module";
-          oldScript.parentNode.replaceChild(newScript, oldScript);
-          return;
-        }
+    const insertScript = (trap, configure) => {
+      const newScript = document.createElement("script");
+      newScript.defer = true;
+      configure(newScript);
+      if (trap.el.parentNode) {
+        trap.el.parentNode.replaceChild(newScript, trap.el);
+      } else {
+        document.head.appendChild(newScript);
+      }
+    };
 
-        if (src.includes("event-bus.js") && !src.includes(".min.js")) {
-          const minSrc = src.replace(/event-bus\.js$/, "event-bus.min.js");
-          const newScript = document.createElement("script");
-          newScript.src = minSrc;
-          newScript.defer = false; // event-bus must run immediately
-          oldScript.parentNode.replaceChild(newScript, oldScript);
-          return;
-        }
+    const releaseTrap = (trap) => {
+      const rule = trap.rule;
 
-        // Replace original Handlebars with our minified version
-        if (src.includes("handlebars/hb.js") && !src.includes(".min.js")) {
-          const minSrc = "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@e8e8c12f6bdbf38f74b83492ffc48b0e004b8b1a/core/handlebars.min.js";
-          const newScript = document.createElement("script");
-          newScript.src = minSrc;
-          newScript.defer = true;
-          oldScript.parentNode.replaceChild(newScript, oldScript);
-          return;
-        }
+      if (rule.action === "block") return;
 
-        // Skip assets we handle separately
-        if (shouldSkipRelease(src)) return;
-
-        // Popper.js guard: delay tippy if Popper isn't ready
-        if (src.includes("tippy.js") && !window.Popper) {
-          setTimeout(() => {
-            const newScript = document.createElement("script");
-            newScript.src = src;
-            newScript.defer = true;
-            oldScript.parentNode.replaceChild(newScript, oldScript);
-          }, 50);
+      if (rule.action === "replace-with") {
+        if (rule.unless && window[rule.unless]) {
+          markReleased(trap.entry, "skipped");
           return;
         }
+        const target = rule.with || {};
+        let replaced = true;
+        insertScript(trap, (newScript) => {
+          if (target.asset && window.ForumAssets && window.ForumAssets.get(target.asset)) {
+            window.ForumAssets.applyTo(newScript, target.asset);
+          } else if (target.url) {
+            newScript.src = target.url;
+          } else if (target.suffix) {
+            newScript.src = trap.src.replace(target.suffix[0], target.suffix[1]);
+          } else {
+            newScript.src = trap.src;
+            replaced = false;
+          }
+          if (replaced) Object.assign(newScript, rule.attributes || {});
+        });
+        markReleased(trap.entry, replaced ? "replaced" : "released");
+        return;
+      }
 
-        const newScript = document.createElement("script");
-        newScript.src = src;
-        newScript.defer = true;
-        oldScript.parentNode.replaceChild(newScript, oldScript);
-      });
+      // e.g. tippy needs Popper – give it one more tick
+      if (rule.requires && !window[rule.requires]) {
+        setTimeout(() => {
+          insertScript(trap, (newScript) => { newScript.src = trap.src; });
+          markReleased(trap.entry, "released");
+        }, 50);
+        return;
+      }
+
+      insertScript(trap, (newScript) => { newScript.src = trap.src; });
+      markReleased(trap.entry, "released");
+    };
+
+    const releaseAssets = () => {
+      report.releasedAt = Math.round(performance.now());
+      state.idleTraps.forEach(releaseTrap);
+      state.idleTraps = [];
 
       // Activate downgraded CSS
       document.querySelectorAll('link[media="print"]').forEach((link) => {
@@ -353,7 +519,11 @@
         }
       });
 
-      console.log("[Bypass]: Legacy assets released during idle time.");
+      const counts = report.entries.reduce((acc, entry) => {
+        acc[entry.status] = (acc[entry.status] || 0) + 1;
+        return acc;
+      }, {});
+      console.log("[Bypass]: Legacy assets released during idle time.", counts, report);
     };
 
     if ("requestIdleCallback" in window) {
@@ -364,7 +534,73 @@
   });
 
   // ============================================================
-  // 10. Cleanup on page unload
+  // 10. Optional service worker (core/service-worker.js)
+  // ============================================================
+  // Opt-in only: the worker must be served from the forum's own origin, so
+  // the admin sets window.ForumServiceWorkerConfig = { url: "/sw.js" }.
+  // { enabled: false } unregisters a previously installed worker.
+  const setupServiceWorker = () => {
+    const swConfig = window.ForumServiceWorkerConfig;
+    if (!swConfig || !swConfig.url || !("serviceWorker" in navigator)) return;
+
+    let swUrl;
+    try {
+      swUrl = new URL(swConfig.url, location.href);
+    } catch (e) {
+      console.warn("[ServiceWorker]: Invalid url", swConfig.url);
+      return;
+    }
+    if (swUrl.origin !== location.origin) {
+      console.warn("[ServiceWorker]: Must be served from " + location.origin + ", got " + swUrl.origin);
+      return;
+    }
+
+    if (swConfig.enabled === false) {
+      navigator.serviceWorker.getRegistrations().then((registrations) => {
+        registrations
+          .filter((reg) => reg.active && reg.active.scriptURL === swUrl.href)
+          .forEach((reg) => reg.unregister());
+      }).catch(() => {});
+      return;
+    }
+
+    navigator.serviceWorker
+      .register(swUrl.href, { scope: swConfig.scope || "/" })
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => {
+        if (!registration.active || !window.ForumAssets) return;
+
+        // Manifest assets plus whatever the skin stylesheets pulled in
+        // (FontAwesome fonts, all.min.css, pa_css.css); the worker keeps
+        // only the versioned URLs. On-demand tools stay off the network
+        // until someone asks for them.
+        const urls = new Set(window.ForumAssets.getAll()
+          .filter((asset) => asset.phase !== "on-demand")
+          .map((asset) => asset.url));
+        performance.getEntriesByType("resource").forEach((entry) => {
+          if (["css", "link", "script"].includes(entry.initiatorType)) urls.add(entry.name);
+        });
+        document.querySelectorAll('link[rel="stylesheet"][href]').forEach((link) => urls.add(link.href));
+
+        registration.active.postMessage({
+          type: "forum:precache",
+          version: window.ForumAssets.version,
+          urls: Array.from(urls)
+        });
+      })
+      .catch((err) => console.warn("[ServiceWorker]: Registration failed", err));
+  };
+
+  window.addEventListener("load", () => {
+    if ("requestIdleCallback" in window) {
+      requestIdleCallback(setupServiceWorker, { timeout: 5000 });
+    } else {
+      setTimeout(setupServiceWorker, 3000);
+    }
+  });
+
+  // ============================================================
+  // 11. Cleanup on page unload
   // ============================================================
   window.addEventListener("beforeunload", () => {
     if (observer) observer.disconnect();
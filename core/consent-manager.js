@@ -0,0 +1,435 @@
+// core/consent-manager.js
+// Click-to-load consent for third-party embeds. Members choose per provider
+// (YouTube, Vimeo, X/Twitter, Instagram):
+//
+//   always – load the provider's scripts and embeds straight away
+//   ask    – show a local placeholder with a "Load content from X" button
+//   never  – show a placeholder without loading anything
+//
+// Choices are kept in localStorage. The boot engine holds back every asset
+// flagged with `consent: '<provider>'` in core/asset-manifest.js until
+// whenAllowed(provider) resolves, so nothing reaches the provider before the
+// member agrees. Forum defaults (otherwise 'ask'):
+//
+//   window.ForumConsentConfig = { defaults: { youtube: 'always' } };
+
+var ForumConsent = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('consent-manager-start');
+    }
+    // ====================================
+
+    var STORAGE_KEY = 'forum-embed-consent';
+    var SETTINGS_PANEL_ID = 'embed-consent-settings';
+    var CHOICES = ['always', 'ask', 'never'];
+
+    // hideUntilAllowed: the element is an empty shell until its script runs
+    // (lite-youtube/lite-vimeo); tweets and Instagram posts keep their
+    // server-rendered fallback text visible under the placeholder
+    var PROVIDERS = {
+        youtube: {
+            label: 'YouTube',
+            selector: 'lite-youtube',
+            icon: 'fa-brands fa-youtube',
+            hideUntilAllowed: true
+        },
+        vimeo: {
+            label: 'Vimeo',
+            selector: 'lite-vimeo',
+            icon: 'fa-brands fa-vimeo-v',
+            hideUntilAllowed: true
+        },
+        twitter: {
+            label: 'X (Twitter)',
+            selector: '.twitter-tweet, .twitter-timeline, [data-twitter]',
+            icon: 'fa-brands fa-x-twitter',
+            hideUntilAllowed: false
+        },
+        instagram: {
+            label: 'Instagram',
+            selector: '.instagram-media, .instagram-embed, [data-instagram]',
+            icon: 'fa-brands fa-instagram',
+            hideUntilAllowed: false
+        }
+    };
+
+    var config = {
+        defaults: {}
+    };
+
+    var choices = loadChoices();
+    var allowedThisPage = {};
+    var waiters = {};
+    var listeners = [];
+    var settingsKeyHandler = null;
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+    function loadChoices() {
+        try {
+            var stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function saveChoices() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(choices));
+        } catch (e) {
+            // Storage blocked – the choice lasts for this page only
+        }
+    }
+
+    // ============================================================================
+    // CONSENT STATE
+    // ============================================================================
+    function getChoice(provider) {
+        var choice = choices[provider] || config.defaults[provider];
+        return CHOICES.indexOf(choice) !== -1 ? choice : 'ask';
+    }
+
+    function isAllowed(provider) {
+        return getChoice(provider) === 'always' || allowedThisPage[provider] === true;
+    }
+
+    function notify(provider) {
+        listeners.forEach(function(listener) {
+            try {
+                listener(provider, getChoice(provider), isAllowed(provider));
+            } catch (e) {
+                console.error('[ForumConsent] Listener failed:', e);
+            }
+        });
+    }
+
+    // Loads the provider's content on this page; the stored choice is unchanged
+    function allow(provider) {
+        if (!PROVIDERS[provider]) return;
+        allowedThisPage[provider] = true;
+        removeFacades(provider);
+        (waiters[provider] || []).forEach(function(resolve) { resolve(); });
+        waiters[provider] = [];
+        notify(provider);
+    }
+
+    function setChoice(provider, choice) {
+        if (!PROVIDERS[provider] || CHOICES.indexOf(choice) === -1) return;
+        choices[provider] = choice;
+        saveChoices();
+
+        if (choice === 'always') {
+            allow(provider);
+            return;
+        }
+        // Content already loaded stays until the next page load
+        if (!allowedThisPage[provider]) refreshFacades(provider);
+        notify(provider);
+    }
+
+    // Resolves once the member allows the provider (at once for 'always')
+    function whenAllowed(provider) {
+        if (isAllowed(provider)) return Promise.resolve();
+        return new Promise(function(resolve) {
+            (waiters[provider] = waiters[provider] || []).push(resolve);
+        });
+    }
+
+    // ============================================================================
+    // PLACEHOLDER FACADES
+    // ============================================================================
+    function createButton(className, text) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        return button;
+    }
+
+    function buildFacade(provider) {
+        var info = PROVIDERS[provider];
+        var choice = getChoice(provider);
+
+        var facade = document.createElement('div');
+        facade.className = 'embed-consent';
+        facade.setAttribute('role', 'group');
+        facade.setAttribute('aria-label', info.label + ' content');
+        facade.setAttribute('data-consent-facade', provider);
+
+        var icon = document.createElement('i');
+        icon.className = info.icon + ' embed-consent-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        facade.appendChild(icon);
+
+        var text = document.createElement('p');
+        text.className = 'embed-consent-text';
+        text.textContent = choice === 'never'
+            ? 'You have blocked content from ' + info.label + '.'
+            : 'This embed loads content from ' + info.label + ', which may set cookies and collect data about you.';
+        facade.appendChild(text);
+
+        var actions = document.createElement('div');
+        actions.className = 'embed-consent-actions';
+
+        if (choice !== 'never') {
+            var load = createButton('modern-btn modern-btn-primary embed-consent-load', 'Load content from ' + info.label);
+            var remember = document.createElement('label');
+            remember.className = 'modern-checkbox embed-consent-remember';
+            var checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            var rememberText = document.createElement('span');
+            rememberText.textContent = 'Always allow ' + info.label;
+            remember.appendChild(checkbox);
+            remember.appendChild(rememberText);
+
+            load.addEventListener('click', function() {
+                if (checkbox.checked) {
+                    setChoice(provider, 'always');
+                } else {
+                    allow(provider);
+                }
+            });
+            actions.appendChild(load);
+            actions.appendChild(remember);
+        }
+
+        var settings = createButton('modern-btn modern-btn-secondary embed-consent-settings', 'Embed settings');
+        settings.addEventListener('click', openSettings);
+        actions.appendChild(settings);
+
+        facade.appendChild(actions);
+        return facade;
+    }
+
+    function addFacade(provider, element) {
+        if (element.hasAttribute('data-consent-pending')) return;
+        element.setAttribute('data-consent-pending', provider);
+        if (PROVIDERS[provider].hideUntilAllowed) element.hidden = true;
+        element.parentNode.insertBefore(buildFacade(provider), element);
+    }
+
+    function removeFacades(provider) {
+        document.querySelectorAll('[data-consent-facade="' + provider + '"]').forEach(function(facade) {
+            facade.remove();
+        });
+        document.querySelectorAll('[data-consent-pending="' + provider + '"]').forEach(function(element) {
+            element.removeAttribute('data-consent-pending');
+            if (PROVIDERS[provider].hideUntilAllowed) element.hidden = false;
+        });
+    }
+
+    // Choice changed between ask and never – rebuild the text and buttons
+    function refreshFacades(provider) {
+        document.querySelectorAll('[data-consent-facade="' + provider + '"]').forEach(function(facade) {
+            facade.replaceWith(buildFacade(provider));
+        });
+    }
+
+    function matchesIn(root, selector) {
+        var found = [];
+        if (root.matches && root.matches(selector)) found.push(root);
+        if (root.querySelectorAll) {
+            Array.prototype.push.apply(found, root.querySelectorAll(selector));
+        }
+        return found;
+    }
+
+    // Puts a placeholder in front of every embed the member has not allowed
+    function scan(root) {
+        var scope = root || document;
+        Object.keys(PROVIDERS).forEach(function(provider) {
+            if (isAllowed(provider)) return;
+            matchesIn(scope, PROVIDERS[provider].selector).forEach(function(element) {
+                // Nested matches (e.g. a tweet inside a timeline) get one placeholder
+                if (element.parentElement && element.parentElement.closest('[data-consent-pending]')) return;
+                if (element.parentNode) addFacade(provider, element);
+            });
+        });
+    }
+
+    function registerWithObserver() {
+        if (!globalThis.forumObserver || typeof globalThis.forumObserver.register !== 'function') return false;
+        globalThis.forumObserver.register({
+            id: 'embed-consent-facades',
+            callback: scan,
+            selector: Object.keys(PROVIDERS).map(function(provider) {
+                return PROVIDERS[provider].selector;
+            }).join(', '),
+            priority: 'high'
+        });
+        return true;
+    }
+
+    // ============================================================================
+    // SETTINGS PANEL
+    // ============================================================================
+    function buildSettingsItem(provider) {
+        var info = PROVIDERS[provider];
+        var item = document.createElement('li');
+        item.className = 'enhancer-preferences-item';
+
+        var fieldset = document.createElement('fieldset');
+        fieldset.className = 'embed-consent-choice';
+        var legend = document.createElement('legend');
+        legend.className = 'enhancer-preferences-name';
+        legend.textContent = info.label;
+        fieldset.appendChild(legend);
+
+        var labels = { always: 'Always load', ask: 'Ask every time', never: 'Never load' };
+        CHOICES.forEach(function(choice) {
+            var label = document.createElement('label');
+            var radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'embed-consent-' + provider;
+            radio.value = choice;
+            radio.checked = getChoice(provider) === choice;
+            radio.addEventListener('change', function() {
+                if (radio.checked) setChoice(provider, choice);
+            });
+            var text = document.createElement('span');
+            text.textContent = labels[choice];
+            label.appendChild(radio);
+            label.appendChild(text);
+            fieldset.appendChild(label);
+        });
+
+        item.appendChild(fieldset);
+        return item;
+    }
+
+    function openSettings() {
+        if (document.getElementById(SETTINGS_PANEL_ID)) return;
+
+        var overlay = document.createElement('div');
+        overlay.id = SETTINGS_PANEL_ID;
+        overlay.className = 'modern-modal-overlay enhancer-preferences-overlay';
+
+        var dialog = document.createElement('div');
+        dialog.className = 'enhancer-preferences';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'embed-consent-settings-title');
+        dialog.tabIndex = -1;
+        dialog.innerHTML =
+            '<div class="modern-modal-header">' +
+                '<div class="modern-modal-title">' +
+                    '<i class="fa-regular fa-shield-halved" aria-hidden="true"></i>' +
+                    '<h3 id="embed-consent-settings-title">Embedded content</h3>' +
+                '</div>' +
+                '<button type="button" class="modern-modal-close" aria-label="Close">' +
+                    '<i class="fa-regular fa-xmark" aria-hidden="true"></i>' +
+                '</button>' +
+            '</div>' +
+            '<p class="enhancer-preferences-intro">Choose when videos and posts from other sites may load. Nothing is sent to them until you allow it. Your choices are saved in this browser.</p>';
+
+        var list = document.createElement('ul');
+        list.className = 'enhancer-preferences-list';
+        Object.keys(PROVIDERS).forEach(function(provider) {
+            list.appendChild(buildSettingsItem(provider));
+        });
+        dialog.appendChild(list);
+        overlay.appendChild(dialog);
+
+        dialog.querySelector('.modern-modal-close').addEventListener('click', closeSettings);
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) closeSettings();
+        });
+        settingsKeyHandler = function(e) {
+            if (e.key === 'Escape') closeSettings();
+        };
+        document.addEventListener('keydown', settingsKeyHandler);
+
+        document.body.appendChild(overlay);
+        dialog.focus();
+    }
+
+    function closeSettings() {
+        var overlay = document.getElementById(SETTINGS_PANEL_ID);
+        if (overlay) overlay.remove();
+        if (settingsKeyHandler) {
+            document.removeEventListener('keydown', settingsKeyHandler);
+            settingsKeyHandler = null;
+        }
+    }
+
+    // ============================================================================
+    // SETUP
+    // ============================================================================
+    function configure(options) {
+        if (!options || !options.defaults) return;
+        Object.keys(options.defaults).forEach(function(provider) {
+            if (PROVIDERS[provider] && CHOICES.indexOf(options.defaults[provider]) !== -1) {
+                config.defaults[provider] = options.defaults[provider];
+            }
+        });
+    }
+
+    function onChange(listener) {
+        listeners.push(listener);
+        return function() {
+            var index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    function getProviders() {
+        return Object.keys(PROVIDERS).map(function(provider) {
+            return {
+                id: provider,
+                label: PROVIDERS[provider].label,
+                choice: getChoice(provider),
+                allowed: isAllowed(provider)
+            };
+        });
+    }
+
+    configure(window.ForumConsentConfig);
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() { scan(document); }, { once: true });
+    } else {
+        scan(document);
+    }
+    if (!registerWithObserver()) {
+        window.addEventListener('forum-observer-ready', registerWithObserver, { once: true });
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        getChoice: getChoice,
+        setChoice: setChoice,
+        isAllowed: isAllowed,
+        allow: allow,
+        whenAllowed: whenAllowed,
+        getProviders: getProviders,
+        scan: scan,
+        openSettings: openSettings,
+        closeSettings: closeSettings,
+        configure: configure,
+        onChange: onChange
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('consent-manager-end');
+        try {
+            performance.measure('consent-manager-load-time', 'consent-manager-start', 'consent-manager-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumConsent = ForumConsent;
+    window.dispatchEvent(new CustomEvent('consent-manager-ready'));
+}
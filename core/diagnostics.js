@@ -0,0 +1,371 @@
+// core/diagnostics.js
+// In-page diagnostics overlay: module status, boot phases, observer queue,
+// failed script loads and image optimization stats in one panel that a
+// moderator can screenshot. Toggle with Alt+Shift+D, or open it on load by
+// adding ?forum-diagnostics (or #forum-diagnostics) to the URL.
+// The boot engine loads this file on the first of those, or in debug mode.
+
+var ForumDiagnostics = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('diagnostics-start');
+    }
+    // ====================================
+
+    var OVERLAY_ID = 'forum-diagnostics';
+    var URL_FLAG = 'forum-diagnostics';
+    var REFRESH_INTERVAL = 1000;
+    var refreshTimer = null;
+
+    // ============================================================================
+    // DATA COLLECTION
+    // ============================================================================
+    function formatMs(value) {
+        return typeof value === 'number' ? value.toFixed(1) + 'ms' : '–';
+    }
+
+    function getPageSection() {
+        return {
+            title: 'Page',
+            rows: [
+                ['URL', window.location.pathname + window.location.search],
+                ['Body id', (document.body && document.body.id) || '–'],
+                ['Viewport', window.innerWidth + '×' + window.innerHeight],
+                ['Time', new Date().toISOString()],
+                ['Browser', navigator.userAgent]
+            ]
+        };
+    }
+
+    function getBootSection() {
+        var report = window.ForumBootReport;
+        if (!report) return { title: 'Boot phases', empty: 'No boot report (loader not run)' };
+
+        var rows = [];
+        report.phases.forEach(function(phase) {
+            rows.push([
+                phase.name,
+                formatMs(phase.duration) + '  ' + phase.scripts + ' script' + (phase.scripts === 1 ? '' : 's') +
+                    (phase.failed > 0 ? ', ' + phase.failed + ' failed' : ''),
+                phase.failed > 0
+            ]);
+            // Only assets that needed a retry or another origin are worth a line
+            (phase.assets || []).forEach(function(asset) {
+                if (asset.origin && asset.attempts === 1) return;
+                rows.push([
+                    '  ' + (asset.name || '?'),
+                    asset.origin
+                        ? 'served by ' + asset.origin + ' on attempt ' + asset.attempts
+                        : 'failed after ' + asset.attempts + ' attempts',
+                    !asset.origin
+                ]);
+            });
+        });
+        rows.push(['Total (until idle work)', formatMs(report.totalTime)]);
+        if (report.error) rows.push(['Critical failure', report.error, true]);
+
+        performance.getEntriesByType('measure').forEach(function(measure) {
+            rows.push([measure.name, formatMs(measure.duration)]);
+        });
+        return { title: 'Boot phases (' + report.loader + (report.profile ? ', ' + report.profile : '') + ')', rows: rows };
+    }
+
+    function getFailedScriptsSection() {
+        var report = window.ForumBootReport;
+        var failed = report ? report.failedScripts : [];
+        if (failed.length === 0) return { title: 'Failed script loads', empty: 'None' };
+        return {
+            title: 'Failed script loads',
+            rows: failed.map(function(entry) {
+                return [
+                    formatMs(entry.time),
+                    (entry.name ? entry.name + ': ' : '') + entry.src +
+                        (entry.tried ? ' (' + entry.tried.length + ' attempts)' : ''),
+                    true
+                ];
+            })
+        };
+    }
+
+    // What core/boot-loader.js trapped, replaced or downgraded; anything
+    // still trapped after the idle release is worth a red line
+    function getTrapSection() {
+        var report = window.ForumBootLoaderReport;
+        if (!report) return { title: 'Boot loader rules', empty: 'Boot loader not run' };
+        if (report.entries.length === 0) return { title: 'Boot loader rules', empty: 'No element matched a rule' };
+        return {
+            title: 'Boot loader rules',
+            rows: report.entries.map(function(entry) {
+                var pending = entry.status === 'trapped' && entry.action !== 'trap-until-interaction' && report.releasedAt !== null;
+                return [entry.file, entry.status + ' (' + entry.rule + ')', pending];
+            })
+        };
+    }
+
+    function getModulesSection() {
+        if (typeof ForumEnhancer === 'undefined') {
+            return { title: 'Modules', empty: 'ForumEnhancer not loaded' };
+        }
+        var status = ForumEnhancer.getModuleStatus();
+        var rows = Object.keys(status).map(function(name) {
+            var module = status[name];
+            var detail = module.status || 'unknown';
+            if (module.duration !== undefined) detail += ' ' + formatMs(module.duration);
+            if (module.blockedBy) detail += ' (blocked by ' + module.blockedBy + ')';
+            if (module.reason) detail += ' – ' + module.reason;
+            var failed = module.status === 'failed' || module.status === 'timeout' || module.status === 'blocked';
+            return [name, detail, failed];
+        });
+        var stats = ForumEnhancer.getStats();
+        rows.unshift(['Enhancer ' + stats.version, stats.modules.initialized + ' of ' + stats.modules.enabled + ' initialized']);
+        return { title: 'Modules', rows: rows };
+    }
+
+    function getObserverSection() {
+        if (!globalThis.forumObserver || typeof globalThis.forumObserver.getStats !== 'function') {
+            return { title: 'Observer', empty: 'forumObserver not loaded' };
+        }
+        var stats = globalThis.forumObserver.getStats();
+        var queue = stats.state.queueBreakdown;
+        var busiest = (stats.callbacks.trace || []).slice(0, 5).filter(function(trace) {
+            return trace.matches > 0;
+        }).map(function(trace) {
+            return ['  ' + trace.id, trace.dispatched + ' dispatched of ' + trace.matches + ' matches (' + trace.duplicates + ' duplicate)'];
+        });
+        return {
+            title: 'Observer',
+            rows: [
+                ['Queue', stats.state.queueLength + ' (high ' + queue.high + ', medium ' + queue.medium + ', low ' + queue.low + ')'],
+                ['Queue high watermark', String(stats.mutations.queueHighWatermark)],
+                ['Processing', stats.state.isProcessing ? 'yes' : 'no'],
+                ['Mutations', stats.mutations.processed + ' processed of ' + stats.mutations.total],
+                ['Average processing', formatMs(stats.mutations.avgTime)],
+                ['Nodes processed', String(stats.mutations.totalNodesProcessed)],
+                ['Callbacks', stats.callbacks.registered + ' registered on ' + stats.callbacks.selectors + ' selectors, ' + stats.callbacks.pendingTimeouts + ' pending'],
+                ['Errors', String(stats.mutations.errors) + (stats.mutations.lastError ? ' – ' + stats.mutations.lastError : ''), stats.mutations.errors > 0]
+            ].concat(busiest)
+        };
+    }
+
+    function getMediaSection() {
+        if (!window.WeservOptimizer) return { title: 'Image optimization', empty: 'media-optimizer not loaded' };
+        var stats = window.WeservOptimizer.getStats();
+        var formats = Object.keys(stats.byFormat).map(function(format) {
+            return format + ' ' + stats.byFormat[format];
+        }).join(', ');
+        return {
+            title: 'Image optimization',
+            rows: [
+                ['Images', stats.optimized + ' optimized, ' + stats.skipped + ' skipped of ' + stats.total],
+                ['Failed', String(stats.failed), stats.failed > 0],
+                ['Formats', formats || '–'],
+                ['Videos', stats.videos.total + ' (' + stats.videos.autoplayVideos + ' autoplay)'],
+                ['Batches', stats.batches.batchesProcessed + ', last ' + formatMs(stats.batches.lastProcessTime)]
+            ]
+        };
+    }
+
+    function getErrorsSection() {
+        if (typeof ForumErrorSink === 'undefined') return { title: 'Errors', empty: 'error-sink not loaded' };
+        var errors = ForumErrorSink.getErrors();
+        if (errors.length === 0) return { title: 'Errors', empty: 'None recorded' };
+        return {
+            title: 'Errors (' + errors.length + ' distinct, latest first)',
+            rows: errors.slice(0, 10).map(function(entry) {
+                return [
+                    entry.module + (entry.count > 1 ? ' ×' + entry.count : ''),
+                    (entry.context ? entry.context + ' ' : '') + entry.message + ' [' + entry.pageType + ']',
+                    true
+                ];
+            })
+        };
+    }
+
+    function collect() {
+        var builders = [
+            getPageSection, getModulesSection, getErrorsSection, getBootSection,
+            getFailedScriptsSection, getTrapSection, getObserverSection, getMediaSection
+        ];
+        return builders.map(function(builder) {
+            try {
+                return builder();
+            } catch (error) {
+                return { title: builder.name, empty: 'Error: ' + error.message };
+            }
+        });
+    }
+
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+    function renderSection(section) {
+        var wrapper = document.createElement('section');
+        wrapper.style.cssText = 'margin-bottom:8px;';
+
+        var heading = document.createElement('div');
+        heading.textContent = section.title;
+        heading.style.cssText = 'font-weight:bold;color:#8fc7ff;border-bottom:1px solid #333;margin-bottom:2px;';
+        wrapper.appendChild(heading);
+
+        if (section.empty) {
+            var empty = document.createElement('div');
+            empty.textContent = section.empty;
+            empty.style.color = '#999';
+            wrapper.appendChild(empty);
+            return wrapper;
+        }
+
+        section.rows.forEach(function(row) {
+            var line = document.createElement('div');
+            line.style.cssText = 'display:flex;gap:8px;' + (row[2] ? 'color:#ff8080;' : '');
+            var label = document.createElement('span');
+            label.textContent = row[0];
+            label.style.cssText = 'flex:0 0 40%;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+            var value = document.createElement('span');
+            value.textContent = row[1];
+            value.style.cssText = 'flex:1;word-break:break-all;';
+            line.appendChild(label);
+            line.appendChild(value);
+            wrapper.appendChild(line);
+        });
+        return wrapper;
+    }
+
+    function render() {
+        var body = document.querySelector('#' + OVERLAY_ID + ' .forum-diagnostics-body');
+        if (!body) return;
+        body.textContent = '';
+        collect().forEach(function(section) {
+            body.appendChild(renderSection(section));
+        });
+    }
+
+    function copyReport() {
+        var text = collect().map(function(section) {
+            var lines = section.empty ? ['  ' + section.empty] : section.rows.map(function(row) {
+                return '  ' + row[0] + ': ' + row[1];
+            });
+            return section.title + '\n' + lines.join('\n');
+        }).join('\n\n');
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(function(error) {
+                console.warn('[Diagnostics] Copy failed:', error);
+            });
+        }
+        return text;
+    }
+
+    // ============================================================================
+    // OVERLAY
+    // ============================================================================
+    function show() {
+        if (document.getElementById(OVERLAY_ID) || !document.body) return;
+
+        var overlay = document.createElement('div');
+        overlay.id = OVERLAY_ID;
+        overlay.style.cssText = 'position:fixed;left:8px;top:8px;width:460px;max-width:calc(100vw - 16px);' +
+            'max-height:calc(100vh - 16px);display:flex;flex-direction:column;background:#1e1e1e;color:#eee;' +
+            'font:11px/1.4 monospace;z-index:2147483001;border:1px solid #444;border-radius:4px;' +
+            'box-shadow:0 2px 8px rgba(0,0,0,.4);';
+
+        var header = document.createElement('div');
+        header.style.cssText = 'display:flex;gap:6px;align-items:center;padding:4px 6px;border-bottom:1px solid #444;';
+        var title = document.createElement('strong');
+        title.textContent = 'Forum diagnostics';
+        title.style.flex = '1';
+        header.appendChild(title);
+
+        [
+            ['Copy', copyReport],
+            ['Export errors', function() {
+                if (typeof ForumErrorSink !== 'undefined') ForumErrorSink.download();
+            }],
+            ['×', hide]
+        ].forEach(function(action) {
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = action[0];
+            button.style.cssText = 'font:inherit;background:#333;color:#eee;border:1px solid #555;border-radius:3px;cursor:pointer;';
+            button.addEventListener('click', action[1]);
+            header.appendChild(button);
+        });
+
+        var body = document.createElement('div');
+        body.className = 'forum-diagnostics-body';
+        body.style.cssText = 'overflow:auto;flex:1;padding:6px;';
+
+        overlay.appendChild(header);
+        overlay.appendChild(body);
+        document.body.appendChild(overlay);
+
+        render();
+        refreshTimer = setInterval(render, REFRESH_INTERVAL);
+    }
+
+    function hide() {
+        if (refreshTimer) {
+            clearInterval(refreshTimer);
+            refreshTimer = null;
+        }
+        var overlay = document.getElementById(OVERLAY_ID);
+        if (overlay) overlay.remove();
+    }
+
+    function toggle() {
+        if (document.getElementById(OVERLAY_ID)) hide();
+        else show();
+    }
+
+    function isRequestedByUrl() {
+        var params = new URLSearchParams(window.location.search);
+        return params.has(URL_FLAG) || window.location.hash === '#' + URL_FLAG;
+    }
+
+    // ============================================================================
+    // ACTIVATION
+    // ============================================================================
+    document.addEventListener('keydown', function(event) {
+        if (event.altKey && event.shiftKey && (event.key === 'D' || event.key === 'd' || event.code === 'KeyD')) {
+            event.preventDefault();
+            toggle();
+        }
+    });
+
+    if (isRequestedByUrl()) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', show, { once: true });
+        } else {
+            show();
+        }
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        show: show,
+        hide: hide,
+        toggle: toggle,
+        collect: collect,
+        copyReport: copyReport
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('diagnostics-end');
+        try {
+            performance.measure('diagnostics-load-time', 'diagnostics-start', 'diagnostics-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumDiagnostics = ForumDiagnostics;
+    window.dispatchEvent(new CustomEvent('diagnostics-ready'));
+}
@@ -154,7 +154,7 @@ var ForumDOMUtils = (function() {
         }
        
         if (innerHtml) {
-            el.innerHTML = innerHtml;
+            setSafeHtml(el, innerHtml);
         }
        
         return el;
@@ -204,10 +204,9 @@ var ForumDOMUtils = (function() {
         }
         return '';
     }
-    function setHtml(element, html) {
-        if (element) {
-            element.innerHTML = html;
-        }
+    // Sanitized with `profile` (default 'ui', see HTML SANITIZER)
+    function setHtml(element, html, profile) {
+        setSafeHtml(element, html, profile);
     }
     function getText(element) {
         if (element) {
@@ -231,10 +230,296 @@ var ForumDOMUtils = (function() {
     }
     function unescapeHtml(html) {
         if (!html) return '';
-        var div = document.createElement('div');
-        div.innerHTML = html;
-        return div.textContent;
+        // Inert: markup in a <template> never loads images or runs handlers
+        var template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content.textContent;
+    }
+    // ============================================================================
+    // HTML SANITIZER
+    // ============================================================================
+    // Allowlist sanitizer every module renders through. Markup is parsed in an
+    // inert <template> (nothing loads or runs), then walked: elements missing
+    // from the profile are unwrapped (their text stays), DROPPED elements go
+    // with their content, attributes are kept only when the profile lists
+    // them, URLs must pass the attribute's scheme policy and inline styles are
+    // filtered per declaration.
+    //
+    // Profiles:
+    //   post      – a post, PM or blog body as the forum rendered it
+    //   signature – member signatures (post formatting without media/headings)
+    //   preview   – link preview cards built from embedded links
+    //   reaction  – reaction buttons and counters
+    //   inline    – topic and link titles: text formatting only, no links
+    //   ui        – markup the modules generate themselves (cards, editors,
+    //               dialogs); the default
+    //
+    // Skins can adjust a profile or add one:
+    //   window.ForumSanitizerConfig = { profiles: { signature: { tags: { table: [] } } } };
+    //   // or later: ForumDOMUtils.defineSanitizerProfile('name', { extends: 'post', ... })
+    var HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+    // Removed together with everything inside them
+    var DROPPED_TAGS = [
+        'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'base', 'link', 'meta', 'title', 'head', 'svg', 'math', 'noembed', 'noframes',
+        'xmp', 'plaintext', 'portal', 'param'
+    ];
+
+    // Which scheme policy each URL-bearing attribute follows
+    var URL_ATTRIBUTES = { href: 'link', cite: 'link', src: 'media', poster: 'media', action: 'link', formaction: 'link' };
+
+    // Scheme policies: allowed schemes, whether relative URLs pass and
+    // whether raster data: images pass (never data:image/svg+xml)
+    var URL_POLICIES = {
+        link: { schemes: ['http:', 'https:', 'mailto:'], relative: true, dataImages: false },
+        media: { schemes: ['http:', 'https:'], relative: true, dataImages: true }
+    };
+
+    // CSS properties allowed in user content; `ui` accepts any property
+    var CONTENT_STYLES = [
+        'color', 'background-color', 'text-align', 'text-decoration', 'text-transform', 'font-weight',
+        'font-style', 'font-size', 'font-family', 'line-height', 'letter-spacing', 'vertical-align',
+        'white-space', 'width', 'height', 'max-width', 'max-height', 'margin', 'margin-top',
+        'margin-right', 'margin-bottom', 'margin-left', 'padding', 'padding-top', 'padding-right',
+        'padding-bottom', 'padding-left', 'border', 'border-color', 'border-style', 'border-width',
+        'border-radius', 'border-collapse', 'float', 'clear', 'display', 'list-style-type'
+    ];
+    // Only these may carry url(), and only for URLs the media policy accepts
+    var URL_STYLES = ['background', 'background-image'];
+    var UNSAFE_STYLE_VALUE = /expression\s*\(|javascript\s*:|vbscript\s*:|@import|-moz-binding|behavior\s*:|[\\<>]/i;
+
+    var FORMATTING_TAGS = {
+        a: ['href', 'target', 'rel'], abbr: [], b: [], bdi: [], bdo: [], big: [], blockquote: ['cite'],
+        br: [], caption: [], center: [], cite: [], code: [], col: ['span', 'width'], colgroup: ['span'],
+        dd: [], del: ['datetime'], details: ['open'], dfn: [], div: [], dl: [], dt: [], em: [],
+        figcaption: [], figure: [], font: ['color', 'face', 'size'], h1: [], h2: [], h3: [], h4: [],
+        h5: [], h6: [], hr: [], i: [], img: ['src', 'alt', 'width', 'height', 'loading', 'decoding'],
+        ins: ['datetime'], kbd: [], li: ['value'], mark: [], ol: ['start', 'type', 'reversed'], p: [],
+        pre: [], q: ['cite'], s: [], samp: [], small: [], span: [], strike: [], strong: [], sub: [],
+        summary: [], sup: [], table: ['border', 'cellpadding', 'cellspacing', 'width'], tbody: [],
+        td: ['colspan', 'rowspan', 'valign', 'width'], tfoot: [], th: ['colspan', 'rowspan', 'scope', 'valign', 'width'],
+        thead: [], time: ['datetime'], tr: [], tt: [], u: [], ul: ['type'], var: [], wbr: []
+    };
+    var MEDIA_TAGS = {
+        audio: ['src', 'controls', 'preload', 'loop'],
+        video: ['src', 'poster', 'controls', 'preload', 'loop', 'muted', 'playsinline', 'width', 'height'],
+        source: ['src', 'type'],
+        track: ['src', 'kind', 'label', 'srclang']
+    };
+    var UI_TAGS = {
+        article: [], aside: [], button: ['type', 'disabled', 'name', 'value'], footer: [], header: [],
+        input: ['type', 'name', 'value', 'placeholder', 'checked', 'disabled', 'readonly', 'maxlength', 'min', 'max', 'step'],
+        label: ['for'], nav: [], optgroup: ['label', 'disabled'], option: ['value', 'selected', 'disabled', 'label'],
+        section: [], select: ['name', 'disabled', 'multiple', 'size'], textarea: ['name', 'placeholder', 'rows', 'cols', 'disabled', 'readonly'],
+        'lite-youtube': ['videoid', 'params', 'playlabel'], 'lite-vimeo': ['videoid']
+    };
+
+    var sanitizerProfiles = {};
+
+    function pick(tags, names) {
+        var result = {};
+        names.forEach(function(name) { result[name] = tags[name]; });
+        return result;
+    }
+
+    function without(tags, names) {
+        var result = {};
+        Object.keys(tags).forEach(function(name) {
+            if (names.indexOf(name) === -1) result[name] = tags[name];
+        });
+        return result;
+    }
+
+    // profile: { extends, tags: { tag: [attributes] }, attributes: [on every
+    // element, 'data-*' / 'aria-*' wildcards], styles: [properties] | true |
+    // false, urls: { attribute: policy } }. With `extends`, tags and
+    // attributes are merged into the parent's and the rest replaces it.
+    function defineSanitizerProfile(name, definition) {
+        var parent = definition.extends ? sanitizerProfiles[definition.extends] : null;
+        if (definition.extends && !parent) {
+            throw new Error('Unknown sanitizer profile "' + definition.extends + '"');
+        }
+        var tags = Object.assign({}, parent ? parent.tags : {}, definition.tags || {});
+        var attributes = (parent ? parent.attributes : []).concat(definition.attributes || []);
+        sanitizerProfiles[name] = {
+            tags: tags,
+            attributes: attributes,
+            styles: definition.hasOwnProperty('styles') ? definition.styles : (parent ? parent.styles : false),
+            urls: Object.assign({}, URL_ATTRIBUTES, parent ? parent.urls : {}, definition.urls || {})
+        };
+        return sanitizerProfiles[name];
+    }
+
+    // Posts also carry the video facades the skin swaps in for player iframes
+    // and the data-* hooks of lazy media and social embeds
+    defineSanitizerProfile('post', {
+        tags: Object.assign({}, FORMATTING_TAGS, MEDIA_TAGS, pick(UI_TAGS, ['lite-youtube', 'lite-vimeo'])),
+        attributes: ['class', 'title', 'dir', 'lang', 'align', 'style',
+            'data-src', 'data-lite-src', 'data-original-src', 'data-twitter', 'data-instagram'],
+        styles: CONTENT_STYLES,
+        urls: { 'data-src': 'media', 'data-lite-src': 'media', 'data-original-src': 'media' }
+    });
+    defineSanitizerProfile('signature', {
+        tags: without(FORMATTING_TAGS, ['h1', 'h2', 'h3']),
+        attributes: ['class', 'title', 'dir', 'lang', 'align', 'style'],
+        styles: CONTENT_STYLES
+    });
+    defineSanitizerProfile('preview', {
+        tags: pick(FORMATTING_TAGS, ['a', 'div', 'span', 'img', 'h3', 'p', 'i']),
+        attributes: ['class', 'title', 'style'],
+        styles: CONTENT_STYLES.concat(['background-image', 'background-repeat', 'background-position', 'background-size', 'object-fit'])
+    });
+    defineSanitizerProfile('reaction', {
+        tags: Object.assign(pick(FORMATTING_TAGS, ['div', 'span', 'img', 'i']), pick(UI_TAGS, ['button'])),
+        attributes: ['class', 'title', 'aria-*', 'data-pid']
+    });
+    defineSanitizerProfile('inline', {
+        tags: pick(FORMATTING_TAGS, ['b', 'strong', 'i', 'em', 'u', 's', 'strike', 'small', 'sub', 'sup', 'span', 'font', 'mark', 'code', 'wbr']),
+        attributes: ['class', 'title', 'style'],
+        styles: ['color', 'background-color', 'font-weight', 'font-style', 'text-decoration']
+    });
+    defineSanitizerProfile('ui', {
+        extends: 'post',
+        tags: UI_TAGS,
+        attributes: ['id', 'role', 'tabindex', 'hidden', 'aria-*', 'data-*'],
+        styles: true
+    });
+
+    function isSafeUrl(value, policyName) {
+        var policy = URL_POLICIES[policyName];
+        if (!policy) return false;
+        // Browsers ignore control characters and whitespace inside a scheme
+        var url = String(value).replace(/[\u0000- \u007F-\u009F]/g, '');
+        var match = /^([a-z][a-z0-9+.\-]*):/i.exec(url);
+        if (!match) return policy.relative;
+        var scheme = match[1].toLowerCase() + ':';
+        if (scheme === 'data:') {
+            return policy.dataImages && /^data:image\/(png|gif|jpe?g|webp|avif|bmp);/i.test(url);
+        }
+        return policy.schemes.indexOf(scheme) !== -1;
+    }
+
+    function isAllowedAttribute(profile, tag, name) {
+        if (name.indexOf('on') === 0) return false;
+        var own = profile.tags[tag];
+        if (own.indexOf(name) !== -1 || profile.attributes.indexOf(name) !== -1) return true;
+        if (name.indexOf('data-') === 0) return profile.attributes.indexOf('data-*') !== -1;
+        if (name.indexOf('aria-') === 0) return profile.attributes.indexOf('aria-*') !== -1;
+        return false;
+    }
+
+    // Keeps the declarations the profile allows; null when none survive
+    function sanitizeStyle(value, profile) {
+        if (!profile.styles) return null;
+        var kept = [];
+        value.split(';').forEach(function(declaration) {
+            var colon = declaration.indexOf(':');
+            if (colon === -1) return;
+            var property = declaration.slice(0, colon).trim().toLowerCase();
+            var propertyValue = declaration.slice(colon + 1).trim();
+            if (!property || !propertyValue || UNSAFE_STYLE_VALUE.test(propertyValue)) return;
+            if (profile.styles !== true && profile.styles.indexOf(property) === -1) return;
+            if (/url\s*\(/i.test(propertyValue)) {
+                if (URL_STYLES.indexOf(property) === -1) return;
+                var urls = propertyValue.match(/url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi) || [];
+                var safe = urls.every(function(token) {
+                    var inner = /url\s*\(\s*(['"]?)(.*?)\1\s*\)/i.exec(token);
+                    return inner && isSafeUrl(inner[2], 'media');
+                });
+                // An unbalanced url( the regex could not read is dropped too
+                if (!safe || urls.length !== (propertyValue.match(/url\s*\(/gi) || []).length) return;
+            }
+            kept.push(property + ': ' + propertyValue);
+        });
+        return kept.length ? kept.join('; ') + ';' : null;
+    }
+
+    function sanitizeAttributes(element, tag, profile) {
+        for (var i = element.attributes.length - 1; i >= 0; i--) {
+            var attr = element.attributes[i];
+            var name = attr.name.toLowerCase();
+            if (!isAllowedAttribute(profile, tag, name)) {
+                element.removeAttribute(attr.name);
+            } else if (profile.urls.hasOwnProperty(name) && !isSafeUrl(attr.value, profile.urls[name])) {
+                element.removeAttribute(attr.name);
+            } else if (name === 'style') {
+                var style = sanitizeStyle(attr.value, profile);
+                if (style) element.setAttribute('style', style);
+                else element.removeAttribute('style');
+            }
+        }
+        // New windows must not get a handle on this page
+        if (tag === 'a' && element.hasAttribute('target')) {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    function sanitizeChildren(parent, profile) {
+        var child = parent.firstChild;
+        while (child) {
+            var next = child.nextSibling;
+            if (child.nodeType === Node.ELEMENT_NODE) {
+                var tag = child.nodeName.toLowerCase();
+                if (child.namespaceURI !== HTML_NAMESPACE || DROPPED_TAGS.indexOf(tag) !== -1) {
+                    child.remove();
+                } else if (!profile.tags.hasOwnProperty(tag)) {
+                    sanitizeChildren(child, profile);
+                    while (child.firstChild) parent.insertBefore(child.firstChild, child);
+                    child.remove();
+                } else {
+                    sanitizeAttributes(child, tag, profile);
+                    sanitizeChildren(child, profile);
+                }
+            } else if (child.nodeType !== Node.TEXT_NODE) {
+                // Comments and anything else that is not text
+                child.remove();
+            }
+            child = next;
+        }
     }
+
+    function getSanitizerProfile(profile) {
+        if (profile && typeof profile === 'object') return profile;
+        var resolved = sanitizerProfiles[profile || 'ui'];
+        if (!resolved) throw new Error('Unknown sanitizer profile "' + profile + '"');
+        return resolved;
+    }
+
+    // Sanitized DocumentFragment, ready to insert without parsing again
+    function sanitizeToFragment(html, profile) {
+        var template = document.createElement('template');
+        template.innerHTML = html === null || html === undefined ? '' : String(html);
+        sanitizeChildren(template.content, getSanitizerProfile(profile));
+        return template.content;
+    }
+
+    function sanitizeHtml(html, profile) {
+        var container = document.createElement('div');
+        container.appendChild(sanitizeToFragment(html, profile));
+        return container.innerHTML;
+    }
+
+    function setSafeHtml(element, html, profile) {
+        if (!element) return;
+        var fragment = sanitizeToFragment(html, profile);
+        while (element.firstChild) element.removeChild(element.firstChild);
+        element.appendChild(fragment);
+    }
+
+    // First element of the sanitized markup
+    function createSafeElement(html, profile) {
+        return sanitizeToFragment(html, profile).firstElementChild;
+    }
+
+    (function applySanitizerConfig() {
+        var config = (typeof window !== 'undefined' && window.ForumSanitizerConfig) || {};
+        Object.keys(config.profiles || {}).forEach(function(name) {
+            var definition = config.profiles[name];
+            var base = sanitizerProfiles[name] && !definition.extends ? { extends: name } : {};
+            defineSanitizerProfile(name, Object.assign(base, definition));
+        });
+    })();
     // ============================================================================
     // SCROLL & POSITION
     // ============================================================================
@@ -407,6 +692,13 @@ var ForumDOMUtils = (function() {
         // HTML escaping
         escapeHtml: escapeHtml,
         unescapeHtml: unescapeHtml,
+
+        // Sanitizer
+        sanitizeHtml: sanitizeHtml,
+        setSafeHtml: setSafeHtml,
+        createSafeElement: createSafeElement,
+        defineSanitizerProfile: defineSanitizerProfile,
+        isSafeUrl: isSafeUrl,
        
         // Scroll & position
         isElementInViewport: isElementInViewport,
@@ -441,4 +733,7 @@ if (typeof window !== 'undefined') {
     // ===========================================
 
     window.dispatchEvent(new CustomEvent('dom-utils-ready'));
+    if (typeof ForumEventBus !== 'undefined') {
+        ForumEventBus.trigger('forum:dom-utils:ready');
+    }
 }
@@ -1,63 +1,258 @@
 "use strict";
 
-document.documentElement.lang = "en";
+// One boot engine for every page that loads the skin. What runs is decided by
+// a named profile (see PROFILES): the page picks one with
+//
+//   <script src=".../core/dynamic-loader.min.js" data-profile="user-messenger"></script>
+//
+// or window.ForumBootProfile = 'user-messenger' before this file; without
+// either the main forum profile is used. core/user-msg-loader.js and the
+// legacy dynamic_loader.js only select their profile and load this file.
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 const CONTENT_PAGE_IDS = Object.freeze(['topic', 'send', 'search', 'blog']);
 
-const STYLESHEETS = Object.freeze([
-    "https://cdnjs.cloudflare.com/ajax/libs/slick-carousel/1.9.0/slick.min.css",
-    "https://cdnjs.cloudflare.com/ajax/libs/lite-youtube-embed/0.3.3/lite-yt-embed.min.css"
-]);
+// Every other URL comes from ForumAssets (core/asset-manifest.js). The
+// manifest holds their hashes, so it is pinned to the same release tag and
+// checked with SRI itself; RELEASE must stay 'v' + ForumAssets.version.
+const RELEASE = "v1.0.0";
+const ASSET_MANIFEST = Object.freeze({
+    name: 'asset-manifest',
+    url: `https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@${RELEASE}/core/asset-manifest.js`,
+    fallbacks: [
+        `https://fastly.jsdelivr.net/gh/hu6amini/perve_avenue@${RELEASE}/core/asset-manifest.js`,
+        `https://gcore.jsdelivr.net/gh/hu6amini/perve_avenue@${RELEASE}/core/asset-manifest.js`
+    ],
+    integrity: "sha384-pZsiOT3wqTEroVUUT1mXpkzqclnFHEWS59ErjHyvDdUMKCvxWnnLAAnMD8wvyIr1",
+    defer: false
+});
 
 const IDLE_TIMEOUT_SLICK = 500;
 const IDLE_TIMEOUT_ENHANCEMENTS = 800;
 
+// Per origin: 1 try + retries with exponential backoff (250, 500, 1000 ms),
+// then the next candidate origin from ForumAssets.candidates()
+const RETRIES_PER_ORIGIN = 3;
+const RETRY_BASE_DELAY = 250;
+const RETRY_MAX_DELAY = 3000;
+
+const DEFAULT_PROFILE = 'main-forum';
+const BOOT_SCRIPT = document.currentScript;
+
 // ============================================================================
-// 1. STYLESHEETS (global – no lightgallery)
+// PROFILES
 // ============================================================================
-STYLESHEETS.forEach(url => {
-    const n = document.createElement("link");
-    Object.assign(n, { rel: "preload", as: "style", href: url });
-    const t = document.createElement("link");
-    Object.assign(t, { rel: "stylesheet", href: url, media: "print" });
-    t.onload = () => { t.media = "all"; };
-    document.head.append(n, t);
+// bodyIds  – only boot when <body id> is one of these (waits for <body>)
+// phases   – run in order and awaited; the boot time covers these
+// idle     – run in order in the background once `phases` are done
+// features – page features started after `phases` (see FEATURES)
+//
+// A phase: { name, styles, scripts, critical, waitForDom, idle, after }
+//   styles / scripts – a ForumAssets phase name or a list of asset names;
+//                      scripts: 'page-modules' loads the modules
+//                      ForumModuleManifest maps to this page
+//   critical         – failures are logged as errors, not warnings
+//   waitForDom       – wait for DOMContentLoaded first
+//   idle             – wait for idle time first (value is the timeout in ms)
+//   after            – FEATURES to start once the phase has finished
+const STANDARD_PHASES = Object.freeze([
+    { name: 'Phase A', styles: 'A', scripts: 'A', critical: true, after: ['lcp', 'on-demand'] },
+    { name: 'Phase B', scripts: 'B' },
+    { name: 'Phase C', scripts: 'C', after: ['twemoji-ready'] },
+    { name: 'Phase D', scripts: 'D', critical: true, after: ['slick'] }
+]);
+
+const ENHANCEMENT_PHASES = Object.freeze([
+    { name: 'Enhancements', scripts: 'page-modules', waitForDom: true, idle: IDLE_TIMEOUT_ENHANCEMENTS, after: ['forum-enhancer', 'late-modules'] }
+]);
+
+const PROFILES = Object.freeze({
+    'main-forum': {
+        description: 'Main forum',
+        phases: STANDARD_PHASES,
+        idle: ENHANCEMENT_PHASES,
+        features: ['lazy-social', 'lightgallery']
+    },
+    'user-messenger': {
+        description: 'User/messenger subdomain',
+        bodyIds: ['msg', 'user'],
+        phases: STANDARD_PHASES,
+        idle: ENHANCEMENT_PHASES,
+        // msg/user are not content pages, so LightGallery never applies here
+        features: ['lazy-social']
+    },
+    'legacy': {
+        description: 'Legacy dynamic_loader.js pages',
+        phases: [],
+        idle: [
+            // Must be in place before the embed libraries are resolved
+            { name: 'Consent', waitForDom: true, idle: 0, scripts: ['consent-manager'] },
+            {
+                name: 'Libraries',
+                styles: [
+                    'lightgallery-css', 'lightgallery-zoom-css', 'lightgallery-thumbnail-css',
+                    'lightgallery-fullscreen-css', 'lightgallery-share-css', 'lightgallery-autoplay-css',
+                    'slick-css', 'lite-youtube-css'
+                ],
+                scripts: [
+                    'twemoji-lib', 'lightgallery', 'lightgallery-zoom', 'lightgallery-thumbnail',
+                    'lightgallery-fullscreen', 'lightgallery-share', 'lightgallery-autoplay',
+                    'lightgallery-hash', 'slick', 'lite-youtube', 'lite-vimeo', 'moment', 'moment-timezone'
+                ]
+            },
+            {
+                name: 'Page scripts',
+                scripts: ['forum-observer', 'legacy-forum-enhancer', 'instant-page'],
+                after: ['eager-social', 'google-cse']
+            }
+        ],
+        features: []
+    }
 });
 
+// Filled in while the loader runs; read by the diagnostics overlay
+const BOOT_REPORT = {
+    loader: 'dynamic-loader',
+    profile: null,
+    startedAt: Date.now(),
+    phases: [],
+    failedScripts: [],
+    totalTime: null,
+    error: null
+};
+window.ForumBootReport = BOOT_REPORT;
+
+// ============================================================================
+// 1. STYLESHEETS
+// ============================================================================
+function injectStylesheet(asset) {
+    const preload = document.createElement("link");
+    Object.assign(preload, { rel: "preload", as: "style", href: asset.url, crossOrigin: "anonymous" });
+    const link = document.createElement("link");
+    Object.assign(link, { rel: "stylesheet", href: asset.url, media: "print", crossOrigin: "anonymous" });
+    if (asset.integrity) {
+        preload.integrity = asset.integrity;
+        link.integrity = asset.integrity;
+    }
+    link.onload = () => { link.media = "all"; };
+    document.head.append(preload, link);
+}
+
 // ============================================================================
 // 2. SCRIPT LOADER ENGINE
 // ============================================================================
-function loadScript(src, isModule = false) {
+function injectScript(asset, src) {
     return new Promise((resolve, reject) => {
         const script = document.createElement('script');
         script.src = src;
 
-        const fileName = src.split('/').pop()
-                           .replace(/\.min\.(js|css)$/, '.$1')
-                           .replace(/\.(js|css)$/, '');
-
-        if (isModule || fileName === 'media-optimizer') {
+        if (asset.module) {
             script.type = 'module';
         } else {
-            script.defer = fileName !== 'event-bus';
+            script.defer = asset.defer !== false;
         }
+        // Injected scripts run async anyway; the attribute keeps
+        // core/boot-loader.js from taking them for the forum's blocking tags
+        if (!script.defer) script.setAttribute('async', '');
 
         script.crossOrigin = "anonymous";
+        if (asset.integrity) script.integrity = asset.integrity;
         script.onload = () => resolve();
-        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+        };
         document.head.appendChild(script);
     });
 }
 
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// asset: a ForumAssets entry ({ name, url, integrity, module, defer }).
+// Tries every candidate origin in order, retrying each with backoff, and
+// resolves with { name, src, origin, attempts } for the boot report.
+async function loadScript(asset) {
+    const candidates = window.ForumAssets
+        ? window.ForumAssets.candidates(asset)
+        : [asset.url].concat(asset.fallbacks || []);
+    // A failed module URL stays failed in the module map, so only switch origins
+    const triesPerOrigin = asset.module ? 1 : 1 + RETRIES_PER_ORIGIN;
+    const tried = [];
+
+    for (const src of candidates) {
+        for (let attempt = 0; attempt < triesPerOrigin; attempt++) {
+            // Back off before retrying the same origin; a new origin is tried at once
+            if (attempt > 0) {
+                await wait(Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1)));
+            }
+            try {
+                await injectScript(asset, src);
+                if (tried.length > 0) {
+                    console.warn(`[Boot] ${asset.name || asset.url} served by ${new URL(src).host} after ${tried.length} failed attempt(s)`);
+                }
+                return { name: asset.name, src, origin: new URL(src).host, attempts: tried.length + 1 };
+            } catch (err) {
+                tried.push(src);
+            }
+        }
+    }
+
+    BOOT_REPORT.failedScripts.push({ name: asset.name, src: asset.url, tried, time: Math.round(performance.now()) });
+    const error = new Error(`Failed to load ${asset.url} (${tried.length} attempts over ${candidates.length} origin(s))`);
+    error.asset = asset.name;
+    error.attempts = tried.length;
+    throw error;
+}
+
+// ----------------------------------------------------------------------------
+// Resolve logical names through the asset manifest
+// ----------------------------------------------------------------------------
+function loadAsset(name) {
+    const asset = window.ForumAssets.get(name);
+    return asset ? loadScript(asset) : Promise.reject(new Error(`Unknown asset ${name}`));
+}
+
+function loadPhase(phase) {
+    return Promise.allSettled(window.ForumAssets.forPhase(phase, 'script').map(loadScript));
+}
+
+// The page normally includes the manifest; fetch it if it did not. One from
+// another release lists files this loader was not written against.
+async function ensureAssetManifest() {
+    if (!window.ForumAssets) {
+        await loadScript(ASSET_MANIFEST);
+    } else if ('v' + window.ForumAssets.version !== RELEASE) {
+        console.warn(`[Boot] Page includes asset manifest ${window.ForumAssets.version}, this loader is ${RELEASE}`);
+    }
+}
+
 // ----------------------------------------------------------------------------
-// Optional: load multiple scripts sequentially
+// Boot report: one entry per phase with the origin that served each asset,
+// returns the phase duration in ms
 // ----------------------------------------------------------------------------
-async function loadScriptsSequentially(sources) {
-    for (const src of sources) {
-        await loadScript(src);
+function recordPhase(name, startTime, results) {
+    const duration = performance.now() - startTime;
+    BOOT_REPORT.phases.push({
+        name,
+        duration: Math.round(duration * 100) / 100,
+        scripts: results.length,
+        failed: results.filter(r => r.status === 'rejected').length,
+        assets: results.map(r => r.status === 'fulfilled'
+            ? r.value
+            : { name: r.reason.asset, src: null, origin: null, attempts: r.reason.attempts })
+    });
+    return duration;
+}
+
+// Hands errors to ForumErrorSink, or queues them until it has loaded
+function reportBootError(context, error) {
+    const details = { module: 'boot', context };
+    if (window.ForumErrorSink) {
+        window.ForumErrorSink.capture(error, details);
+    } else {
+        (window.ForumErrorQueue = window.ForumErrorQueue || []).push([error, details]);
     }
 }
 
@@ -102,191 +297,305 @@ function preloadLCPImage() {
 // ============================================================================
 // 5. CONDITIONAL LIGHTGALLERY LOADING (only on content pages)
 // ============================================================================
-function injectStylesheet(url) {
-    const preload = document.createElement("link");
-    Object.assign(preload, { rel: "preload", as: "style", href: url });
-    const link = document.createElement("link");
-    Object.assign(link, { rel: "stylesheet", href: url, media: "print" });
-    link.onload = () => { link.media = "all"; };
-    document.head.append(preload, link);
-}
-
 async function loadLightGallery() {
-    const LIGHTGALLERY_CSS = [
-        "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@e3da0e57d21df428676468b7aa105d074d78e2f2/lightgallery@2.7.1/lightgallery.min.css",
-        "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@e44a482dc929aec9979f410815e3bf7bdc233da7/lightgallery@2.7.1/lg-zoom.min.css",
-        "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@c5a5f520f3985fb7ef4d90892360aba8bf55a2c0/lightgallery@2.7.1/lg-thumbnail.min.css",
-        "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@b6a816af149a4736f9ee02135f35997b7c03eb4d/lightgallery@2.7.1/lg-fullscreen.min.css",
-        "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@d4e08c60945a1d195666f212ada2df73eced5447/lightgallery@2.7.1/lg-share.min.css",
-        "https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@c64ef501230b0ff4e87c4be912ba83686da2a8e6/lightgallery@2.7.1/lg-autoplay.min.css"
-    ];
-
-    LIGHTGALLERY_CSS.forEach(url => injectStylesheet(url));
-
-    const results = await Promise.allSettled([
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@77a2243547e38cee67f93610cf59391795e8380c/lightgallery@2.7.1/lightgallery.min.js"),
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@e44a482dc929aec9979f410815e3bf7bdc233da7/lightgallery@2.7.1/lg-zoom.min.js"),
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@b199e98bff31d5d7d4cf359f779edc7a09ac2086/lightgallery@2.7.1/lg-thumbnail.min.js"),
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@8b2d601281752a66afad3bd04a7a084365b9d2a4/lightgallery@2.7.1/lg-fullscreen.min.js"),
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@42de4d63b84c47559296db9d026f39970d8f77c7/lightgallery@2.7.1/lg-share.min.js"),
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@a7e3cfe5755e6520972b53e8f0563d0b88771e5a/lightgallery@2.7.1/lg-autoplay.min.js"),
-        loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@c98180cb5d0223215fbcce99520b806470836e40/lightgallery@2.7.1/lg-hash.min.js")
-    ]);
+    window.ForumAssets.forPhase('lightgallery', 'style').forEach(injectStylesheet);
+
+    const results = await loadPhase('lightgallery');
 
     const failed = results.filter(r => r.status === 'rejected');
     if (failed.length > 0) {
         console.warn('[Boot] Some lightgallery modules failed to load:', failed);
+        failed.forEach(r => reportBootError('LightGallery', r.reason));
     }
 }
 
 // ============================================================================
-// 6. PHASED EXECUTION (NO TIPTAP – messenger loads it via import)
+// 6. FEATURES (started by a profile or after a phase)
 // ============================================================================
-async function bootSystem() {
-    try {
-        const startTime = performance.now();
+function initSlick() {
+    if (window.SlickCarouselModule && typeof window.SlickCarouselModule.initialize === 'function') {
+        window.SlickCarouselModule.initialize();
+        console.debug('[Boot] Slick carousel initialized');
+    }
+}
 
-        // PHASE A: Foundation (media optimizer & event bus)
-        const phaseAStart = performance.now();
-        const resultsA = await Promise.allSettled([
-            loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@8f6a9f7f137c8f7a9e36bce00a1c5dc937269906/media-optimizer.min.js"),
-            loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@1977fabb5553b0f825fa92671a03b2ae26c67702/core/event-bus.min.js")
-        ]);
-        const failedA = resultsA.filter(r => r.status === 'rejected');
-        if (failedA.length > 0) {
-            console.error('[Boot] Phase A failures – system may not function correctly:', failedA);
-        }
-        console.debug(`[Boot] Phase A completed in ${(performance.now() - phaseAStart).toFixed(2)}ms`);
+// Third-party assets (asset.consent) wait until the member allows the
+// provider; without the consent manager they are not loaded at all
+function afterConsent(asset, load) {
+    if (!asset.consent) {
+        load();
+        return;
+    }
+    if (!window.ForumConsent) {
+        console.warn(`[Boot] ${asset.name} not loaded – consent manager missing`);
+        return;
+    }
+    window.ForumConsent.whenAllowed(asset.consent).then(load);
+}
 
+function injectPlainScript(name, parent = document.head) {
+    const asset = window.ForumAssets.get(name);
+    if (!asset) return;
+    afterConsent(asset, () => {
+        const s = document.createElement('script');
+        s.src = asset.url;
+        s.async = true;
+        s.referrerPolicy = 'no-referrer';
+        parent.appendChild(s);
+    });
+}
+
+// Social widgets (Twitter/Instagram) load when an embed comes into view
+function loadWhenVisible(selector, assetName, label) {
+    const el = document.querySelector(selector);
+    if (!el) return;
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                injectPlainScript(assetName);
+                observer.disconnect();
+                console.debug(`[Boot] ${label} requested`);
+            }
+        });
+    }, { rootMargin: '200px' });
+    observer.observe(el);
+}
+
+// Debug tools and soft navigation would cost every visitor a request, so
+// they load only when asked for: a URL flag, Alt+Shift+D, debug mode
+// (ForumEventBus.enableDebug()) or window.ForumSoftNavConfig.enabled
+const onDemandLoads = new Map();
+
+function loadOnDemand(name) {
+    if (!onDemandLoads.has(name)) {
+        onDemandLoads.set(name, loadAsset(name).catch(err => {
+            console.warn(`[Boot] ${name} failed to load:`, err);
+            reportBootError(`On demand: ${name}`, err);
+        }));
+    }
+    return onDemandLoads.get(name);
+}
+
+function hasUrlFlag(flag) {
+    return new URLSearchParams(window.location.search).has(flag) || window.location.hash === '#' + flag;
+}
+
+function startOnDemand() {
+    if (hasUrlFlag('forum-record')) loadOnDemand('mutation-recorder');
+    if (hasUrlFlag('forum-diagnostics')) loadOnDemand('diagnostics');
+    if (window.ForumSoftNavConfig?.enabled) loadOnDemand('soft-navigation');
+
+    // Once loaded, the overlay handles the shortcut itself
+    const onKeydown = (event) => {
+        if (!event.altKey || !event.shiftKey || (event.key !== 'D' && event.key !== 'd' && event.code !== 'KeyD')) return;
+        document.removeEventListener('keydown', onKeydown);
+        if (window.ForumDiagnostics) return;
+        event.preventDefault();
+        loadOnDemand('diagnostics').then(() => window.ForumDiagnostics?.show());
+    };
+    document.addEventListener('keydown', onKeydown);
+
+    window.ForumEventBus?.on('forum:debug:enabled', () => {
+        loadOnDemand('diagnostics');
+        loadOnDemand('mutation-recorder');
+    });
+}
+
+// Modules whose manifest selector matched nothing when the page modules were
+// picked: forumObserver loads each one when its content shows up (lists the
+// forum injects after boot) and the enhancer starts it
+function watchLateModules() {
+    const manifest = window.ForumModuleManifest;
+    if (!manifest || !globalThis.forumObserver) return;
+    const context = manifest.getPageContext();
+    manifest.getModules().forEach(entry => {
+        if (window[entry.global] || manifest.appliesToPage(entry, context)) return;
+        const selector = manifest.getPendingSelector(entry, context);
+        if (!selector) return;
+        globalThis.forumObserver.register({
+            id: `boot-late-module-${entry.name}`,
+            selector,
+            once: true,
+            callback: () => {
+                console.debug(`[Boot] ${entry.name} content appeared, loading the module`);
+                loadAsset(entry.asset)
+                    .then(() => window.ForumEnhancer?.activateModule(entry.name))
+                    .catch(err => reportBootError(`Late module ${entry.name}`, err));
+            }
+        });
+    });
+}
+
+const FEATURES = Object.freeze({
+    'lcp': () => {
         injectCriticalCSS();
         preloadLCPImage();
-
-        // PHASE B: Visual core (Slick, DOM utils, Forum Observer)
-        const phaseBStart = performance.now();
-        const resultsB = await Promise.allSettled([
-            loadScript("https://cdnjs.cloudflare.com/ajax/libs/slick-carousel/1.9.0/slick.min.js"),
-            loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@9681242beef6f3a2e2e4c8de461c2e6eeabec26a/core/dom-utils.min.js"),
-            loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@70efe7c7bca10a5093093841f67994aef3b76819/forum_core_observer.min.js")
-        ]);
-        const failedB = resultsB.filter(r => r.status === 'rejected');
-        if (failedB.length > 0) {
-            console.warn('[Boot] Phase B had failures:', failedB);
-        }
-        console.debug(`[Boot] Phase B completed in ${(performance.now() - phaseBStart).toFixed(2)}ms`);
-
-        // PHASE C: Third‑party libraries (twemoji, lite-youtube, lite-vimeo)
-        const phaseCStart = performance.now();
-        const resultsC = await Promise.allSettled([
-            loadScript("https://cdn.jsdelivr.net/npm/twemoji@14.0.2/dist/twemoji.min.js"),
-            loadScript("https://cdnjs.cloudflare.com/ajax/libs/lite-youtube-embed/0.3.3/lite-yt-embed.js"),
-            loadScript("https://cdn.jsdelivr.net/npm/lite-vimeo-embed@0.3.0/+esm", true)
-        ]);
-        const failedC = resultsC.filter(r => r.status === 'rejected');
-        if (failedC.length > 0) {
-            console.warn('[Boot] Phase C had failures:', failedC);
+    },
+    // Twemoji has no ready signal of its own; announce it for modules waiting on it
+    'twemoji-ready': () => {
+        if (window.twemoji && window.ForumEventBus) {
+            window.ForumEventBus.trigger('forum:twemoji:ready');
         }
-        console.debug(`[Boot] Phase C completed in ${(performance.now() - phaseCStart).toFixed(2)}ms`);
+    },
+    'slick': () => scheduleWork(initSlick, IDLE_TIMEOUT_SLICK),
+    'on-demand': startOnDemand,
+    'late-modules': watchLateModules,
+    // Registers every loaded module, so it goes last
+    'forum-enhancer': () => {
+        loadAsset('forum-enhancer')
+            .then(() => console.log('[Boot] System Fully Enhanced'))
+            .catch(err => {
+                console.warn('[Boot] Forum enhancer failed to load:', err);
+                reportBootError('Forum enhancer', err);
+            });
+    },
+    'lazy-social': () => {
+        loadWhenVisible('.twitter-tweet, .twitter-timeline, [data-twitter]', 'twitter-widgets', 'Twitter widgets');
+        loadWhenVisible('.instagram-media, .instagram-embed, [data-instagram]', 'instagram-embeds', 'Instagram embeds');
+    },
+    'eager-social': () => {
+        injectPlainScript('twitter-widgets');
+        injectPlainScript('instagram-embeds');
+    },
+    'google-cse': () => injectPlainScript('google-cse', document.body),
+    // LightGallery only on content pages (topic, send, search, blog)
+    'lightgallery': () => {
+        whenDomReady().then(() => {
+            if (CONTENT_PAGE_IDS.includes(document.body?.id)) {
+                loadLightGallery().catch(err => console.error('[Boot] LightGallery failed:', err));
+            }
+        });
+    }
+});
 
-        // PHASE D: Essential module – carousel handling
-        const phaseDStart = performance.now();
+function startFeatures(names) {
+    (names || []).forEach(name => {
+        const feature = FEATURES[name];
+        if (!feature) {
+            console.warn(`[Boot] Unknown feature ${name}`);
+            return;
+        }
         try {
-            await loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@aa4b053757399bdc7d19ad6e9ae0892b30922b2c/modules/slick-carousel.min.js");
-            console.debug(`[Boot] Phase D completed in ${(performance.now() - phaseDStart).toFixed(2)}ms`);
+            feature();
         } catch (err) {
-            console.error('[Boot] Phase D critical failure:', err);
+            console.error(`[Boot] Feature ${name} failed:`, err);
+            reportBootError(`Feature ${name}`, err);
         }
+    });
+}
 
-        // Initialise Slick carousel after a short idle delay
-        const initSlick = () => {
-            if (window.SlickCarouselModule && typeof window.SlickCarouselModule.initialize === 'function') {
-                window.SlickCarouselModule.initialize();
-                console.debug('[Boot] Slick carousel initialized');
-            }
-        };
-        scheduleWork(initSlick, IDLE_TIMEOUT_SLICK);
-
-        // ============================================================
-        // IDLE LOAD: All remaining enhancement modules (including messenger)
-        // Messenger will load TipTap dynamically via ES modules.
-        // ============================================================
-        const loadEnhancements = async () => {
-            const enhStart = performance.now();
-
-            const results = await Promise.allSettled([
-                loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@11588f18d3c85bfe9998aea25a0ad1412492c188/modules/media-dimensions.min.js"),
-                loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@a88198b93bbc0093b0d0d64be88d2e2472e79a89/modules/twemoji.min.js"),
-                loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@5803eb807f4328aaa6c09dc3ffb71fc25f8f3309/modules/boards.js"),
-                loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@b0f473583279dba7a4c884fced43005a61726b69/modules/posts.min.js"),
-                loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@403484e8351e4fd2b9f757b5c340979cf7d452b8/modules/modals.min.js")
-            ]);
-
-            const failed = results.filter(r => r.status === 'rejected');
-            if (failed.length > 0) {
-                console.warn('[Boot] Enhancement load had failures:', failed);
-            }
-            console.debug(`[Boot] Enhancements loaded in ${(performance.now() - enhStart).toFixed(2)}ms`);
+// ============================================================================
+// 7. PHASE RUNNER
+// ============================================================================
+function whenDomReady() {
+    if (document.readyState !== 'loading') return Promise.resolve();
+    return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+}
 
-            // Finally, load the Forum Enhancer which registers everything
-            loadScript("https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@d8425539db17a67f32a4d4990fb23d50369fcd52/core/forum-enhancer.min.js")
-                .then(() => console.log('[Boot] System Fully Enhanced'))
-                .catch(err => console.warn('[Boot] Forum enhancer failed to load:', err));
-        };
+function whenIdle(timeout) {
+    return new Promise(resolve => scheduleWork(resolve, timeout));
+}
 
-        scheduleWork(loadEnhancements, IDLE_TIMEOUT_ENHANCEMENTS);
-
-        // ============================================================
-        // LAZY LOAD: Social widgets (Twitter/Instagram) when they become visible
-        // ============================================================
-        const tweetEl = document.querySelector('.twitter-tweet, .twitter-timeline, [data-twitter]');
-        if (tweetEl) {
-            const tweetObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const s = document.createElement('script');
-                        s.src = 'https://platform.twitter.com/widgets.js';
-                        s.async = true;
-                        document.head.appendChild(s);
-                        tweetObserver.disconnect();
-                        console.debug('[Boot] Twitter widgets loaded');
-                    }
-                });
-            }, { rootMargin: '200px' });
-            tweetObserver.observe(tweetEl);
-        }
+function resolveAssets(spec, type) {
+    if (!spec) return [];
+    if (Array.isArray(spec)) return spec.map(name => window.ForumAssets.get(name)).filter(Boolean);
+    return window.ForumAssets.forPhase(spec, type);
+}
+
+// Only the modules the manifest maps to this page and that are not loaded yet
+function resolvePageModules() {
+    const manifest = window.ForumModuleManifest;
+    if (!manifest) {
+        console.error('[Boot] Module manifest missing – enhancement modules skipped');
+        return [];
+    }
+    return manifest.getModulesForPage()
+        .filter(entry => !window[entry.global])
+        .map(entry => window.ForumAssets.get(entry.asset))
+        .filter(Boolean);
+}
+
+async function runPhase(phase) {
+    if (phase.waitForDom) await whenDomReady();
+    if (phase.idle !== undefined) await whenIdle(phase.idle);
+
+    const start = performance.now();
+    resolveAssets(phase.styles, 'style').forEach(injectStylesheet);
+    const assets = phase.scripts === 'page-modules'
+        ? resolvePageModules()
+        : resolveAssets(phase.scripts, 'script');
+    const scripts = assets.filter(asset => !asset.consent || window.ForumConsent?.isAllowed(asset.consent));
+    assets.filter(asset => !scripts.includes(asset)).forEach(asset => {
+        console.debug(`[Boot] ${asset.name} held back until ${asset.consent} is allowed`);
+        afterConsent(asset, () => loadScript(asset).catch(err => reportBootError(phase.name, err)));
+    });
+    const results = await Promise.allSettled(scripts.map(loadScript));
 
-        const instagramEl = document.querySelector('.instagram-media, .instagram-embed, [data-instagram]');
-        if (instagramEl) {
-            const instagramObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const s = document.createElement("script");
-                        s.src = "https://platform.instagram.com/en_US/embeds.js";
-                        s.async = true;
-                        document.head.appendChild(s);
-                        instagramObserver.disconnect();
-                        console.debug('[Boot] Instagram embeds loaded');
-                    }
-                });
-            }, { rootMargin: '200px' });
-            instagramObserver.observe(instagramEl);
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length > 0) {
+        if (phase.critical) {
+            console.error(`[Boot] ${phase.name} failures – system may not function correctly:`, failed);
+        } else {
+            console.warn(`[Boot] ${phase.name} had failures:`, failed);
         }
+        failed.forEach(r => reportBootError(phase.name, r.reason));
+    }
+    const names = scripts.map(asset => asset.name).join(', ') || 'none';
+    console.debug(`[Boot] ${phase.name} completed in ${recordPhase(phase.name, start, results).toFixed(2)}ms (${names})`);
 
-        // Load LightGallery only on content pages (topic, send, search, blog)
-        const checkAndLoadLightGallery = () => {
-            const id = document.body?.id;
-            if (CONTENT_PAGE_IDS.includes(id)) {
-                loadLightGallery().catch(err => console.error('[Boot] LightGallery failed:', err));
+    startFeatures(phase.after);
+}
+
+async function runPhases(phases) {
+    for (const phase of phases) {
+        await runPhase(phase);
+    }
+}
+
+// ============================================================================
+// 8. PROFILE SELECTION & BOOT (NO TIPTAP – messenger loads it via import)
+// ============================================================================
+function selectProfile() {
+    const requested = window.ForumBootProfile || BOOT_SCRIPT?.dataset.profile || DEFAULT_PROFILE;
+    if (PROFILES[requested]) return requested;
+    console.warn(`[Boot] Unknown profile "${requested}" – using ${DEFAULT_PROFILE}`);
+    return DEFAULT_PROFILE;
+}
+
+async function bootSystem() {
+    try {
+        const profileName = selectProfile();
+        const profile = PROFILES[profileName];
+        BOOT_REPORT.profile = profileName;
+
+        if (profile.bodyIds) {
+            if (!document.body) await whenDomReady();
+            if (!profile.bodyIds.includes(document.body?.id)) {
+                console.debug(`[Boot] Skipped – profile ${profileName} does not apply (body id: ${document.body?.id})`);
+                return;
             }
-        };
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', checkAndLoadLightGallery, { once: true });
-        } else {
-            checkAndLoadLightGallery();
         }
+        document.documentElement.lang = "en";
+
+        const startTime = performance.now();
+        await ensureAssetManifest();
+
+        await runPhases(profile.phases);
+
+        // Background work; a failure is recorded by its phase, never rethrown
+        runPhases(profile.idle || []).catch(err => {
+            console.error('[Boot] Idle phase failed:', err);
+            reportBootError('Idle phases', err);
+        });
+
+        startFeatures(profile.features);
 
-        console.log(`[Boot] System initialization completed in ${(performance.now() - startTime).toFixed(2)}ms`);
+        BOOT_REPORT.totalTime = Math.round((performance.now() - startTime) * 100) / 100;
+        console.log(`[Boot] System initialization (${profileName}) completed in ${BOOT_REPORT.totalTime.toFixed(2)}ms`);
     } catch (err) {
+        BOOT_REPORT.error = err.message;
         console.error('[Boot] Critical failure:', err);
+        reportBootError('Critical failure', err);
     }
 }
 
@@ -0,0 +1,270 @@
+// core/error-sink.js
+// Single place where the loader, event bus, observer and modules report
+// errors. Entries carry module name, page type and stack, are de-duplicated
+// by fingerprint and kept in a bounded localStorage store so they survive
+// reloads. Optionally each new error is POSTed to a configurable endpoint:
+//
+//   window.ForumErrorSinkConfig = { endpoint: 'https://example.com/errors' };
+//   // or later: ForumErrorSink.configure({ endpoint: '...' })
+//
+// Errors reported before this file loads are queued by the boot loader in
+// window.ForumErrorQueue as [error, details] pairs and drained on load.
+
+var ForumErrorSink = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('error-sink-start');
+    }
+    // ====================================
+
+    var config = {
+        storageKey: 'forum-error-sink',
+        maxEntries: 50,
+        endpoint: null,
+        maxReportsPerPage: 10,
+        persistDelay: 1000
+    };
+
+    var entries = loadEntries();
+    var listeners = [];
+    var reportsSent = 0;
+    var persistTimer = null;
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+    function loadEntries() {
+        try {
+            var stored = JSON.parse(localStorage.getItem(config.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function persist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(function() {
+            persistTimer = null;
+            try {
+                localStorage.setItem(config.storageKey, JSON.stringify(entries));
+            } catch (e) {
+                // Storage full or blocked (private mode) – keep in memory only
+            }
+        }, config.persistDelay);
+    }
+
+    function trim() {
+        if (entries.length <= config.maxEntries) return;
+        entries.sort(function(a, b) { return b.lastSeen - a.lastSeen; });
+        entries.length = config.maxEntries;
+    }
+
+    // ============================================================================
+    // NORMALIZATION
+    // ============================================================================
+    function getPageType() {
+        if (typeof ForumModuleManifest !== 'undefined') {
+            var context = ForumModuleManifest.getPageContext();
+            return context.bodyId + (context.act ? ':' + context.act : '') + (context.code ? ':' + context.code : '');
+        }
+        return (document.body && document.body.id) || 'unknown';
+    }
+
+    function normalize(error) {
+        if (error instanceof Error) {
+            return { name: error.name, message: error.message, stack: error.stack || '' };
+        }
+        if (error && typeof error === 'object' && error.message) {
+            return { name: error.name || 'Error', message: String(error.message), stack: error.stack || '' };
+        }
+        return { name: 'Error', message: String(error), stack: '' };
+    }
+
+    // Module + message + top stack frame, with line/column numbers dropped so
+    // a redeployed file still maps to the same entry
+    function fingerprint(module, normalized) {
+        var frames = normalized.stack.split('\n').filter(function(line) { return /\S+:\d+/.test(line); });
+        var topFrame = frames.length > 0 ? frames[0].trim().replace(/:\d+(:\d+)?\)?$/, '') : '';
+        return module + '|' + normalized.message + '|' + topFrame;
+    }
+
+    // ============================================================================
+    // CAPTURE
+    // ============================================================================
+    // details: { module, context } – context is a short free-form string
+    // describing what was running (e.g. 'Conversion error', an event name)
+    function capture(error, details) {
+        var info = details || {};
+        var module = info.module || 'unknown';
+        var normalized = normalize(error);
+        var id = fingerprint(module, normalized);
+        var now = Date.now();
+
+        var entry = null;
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i].id === id) {
+                entry = entries[i];
+                break;
+            }
+        }
+
+        if (entry) {
+            entry.count++;
+            entry.lastSeen = now;
+            entry.pageType = getPageType();
+            entry.url = window.location.href;
+        } else {
+            entry = {
+                id: id,
+                module: module,
+                context: info.context || '',
+                name: normalized.name,
+                message: normalized.message,
+                stack: normalized.stack.split('\n').slice(0, 10).join('\n'),
+                pageType: getPageType(),
+                url: window.location.href,
+                count: 1,
+                firstSeen: now,
+                lastSeen: now
+            };
+            entries.push(entry);
+            trim();
+            send(entry);
+        }
+
+        persist();
+        listeners.forEach(function(listener) {
+            try {
+                listener(entry);
+            } catch (e) {
+                // A broken listener must not feed errors back into the sink
+            }
+        });
+        return entry;
+    }
+
+    // ============================================================================
+    // REMOTE REPORTING
+    // ============================================================================
+    function send(entry) {
+        if (!config.endpoint || reportsSent >= config.maxReportsPerPage) return;
+        reportsSent++;
+
+        var body = JSON.stringify({
+            error: entry,
+            userAgent: navigator.userAgent,
+            reportedAt: new Date().toISOString()
+        });
+        try {
+            fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body,
+                keepalive: true,
+                credentials: 'omit'
+            }).catch(function() {
+                // Reporting is best effort
+            });
+        } catch (e) {
+            // fetch unavailable
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+    function getErrors() {
+        return entries.slice().sort(function(a, b) { return b.lastSeen - a.lastSeen; });
+    }
+
+    function exportErrors() {
+        return JSON.stringify({
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            exportedAt: new Date().toISOString(),
+            errors: getErrors()
+        }, null, 2);
+    }
+
+    function download() {
+        var blob = new Blob([exportErrors()], { type: 'application/json' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'forum-errors-' + Date.now() + '.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+    }
+
+    function clear() {
+        entries = [];
+        try {
+            localStorage.removeItem(config.storageKey);
+        } catch (e) {
+            // ignore
+        }
+    }
+
+    function configure(options) {
+        if (!options) return;
+        if (options.endpoint !== undefined) config.endpoint = options.endpoint || null;
+        if (options.maxEntries > 0) {
+            config.maxEntries = options.maxEntries;
+            trim();
+        }
+        if (options.maxReportsPerPage >= 0) config.maxReportsPerPage = options.maxReportsPerPage;
+    }
+
+    function onCapture(listener) {
+        listeners.push(listener);
+        return function() {
+            var index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    configure(window.ForumErrorSinkConfig);
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        capture: capture,
+        getErrors: getErrors,
+        exportErrors: exportErrors,
+        download: download,
+        clear: clear,
+        configure: configure,
+        onCapture: onCapture
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('error-sink-end');
+        try {
+            performance.measure('error-sink-load-time', 'error-sink-start', 'error-sink-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumErrorSink = ForumErrorSink;
+
+    // Errors the boot loader saw before the sink existed
+    if (Array.isArray(window.ForumErrorQueue)) {
+        window.ForumErrorQueue.forEach(function(item) {
+            ForumErrorSink.capture(item[0], item[1]);
+        });
+        window.ForumErrorQueue.length = 0;
+    }
+
+    window.dispatchEvent(new CustomEvent('error-sink-ready'));
+}
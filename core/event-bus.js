@@ -8,78 +8,569 @@ var ForumEventBus = (function() {
         performance.mark('event-bus-start');
     }
     // ====================================
-   
+
+    // Event names are namespaced with ':' (e.g. 'forum:posts:converted').
+    // Subscriptions may use wildcards: '*' matches exactly one segment,
+    // '**' matches any number of trailing segments ('forum:**').
     var events = {};
+    var patternCache = {};
     var debug = false;
-   
-    function on(eventName, callback) {
+    var sequence = 0;
+
+    // Sticky events remember their last payload and replay it to anyone who
+    // subscribes later, so modules loaded at idle time still see readiness
+    // signals that fired before they existed.
+    var stickyNames = {
+        'forum:observer:ready': true,
+        'forum:dom-utils:ready': true,
+        'forum:twemoji:ready': true,
+        'forum:enhancer:ready': true,
+        'forum:templates:ready': true,
+        'forum:user-service:ready': true,
+        'messenger:ready': true,
+        'slick:ready': true
+    };
+    var stickyPayloads = {};
+
+    // Ring buffer of recent events for debugging. Off until enableDebug() or
+    // startRecording(), so normal page views do not copy every payload.
+    var recorder = {
+        enabled: false,
+        limit: 200,
+        entries: [],
+        next: 0,
+        sequence: 0,
+        listeners: []
+    };
+
+    var TAB_ID = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+    var BRIDGE_STORAGE_KEY = 'forum-event-bus-bridge';
+    var bridge = {
+        names: [],
+        channel: null,
+        storageHandler: null
+    };
+
+    // ============================================================================
+    // PATTERN MATCHING
+    // ============================================================================
+    function isPattern(eventName) {
+        return eventName.indexOf('*') !== -1;
+    }
+
+    function compilePattern(pattern) {
+        if (patternCache[pattern]) return patternCache[pattern];
+
+        var segments = pattern.split(':');
+        var source = '';
+        for (var i = 0; i < segments.length; i++) {
+            var segment = segments[i];
+            var separator = i === 0 ? '' : ':';
+            if (segment === '**') {
+                source += i === 0 ? '.*' : '(?::.*)?';
+            } else if (segment === '*') {
+                source += separator + '[^:]+';
+            } else {
+                source += separator + segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^:]*');
+            }
+        }
+
+        patternCache[pattern] = new RegExp('^' + source + '$');
+        return patternCache[pattern];
+    }
+
+    function matches(key, eventName) {
+        if (key === eventName) return true;
+        return isPattern(key) && compilePattern(key).test(eventName);
+    }
+
+    // Collects every listener subscribed to eventName (exact or wildcard),
+    // highest priority first; equal priorities keep subscription order.
+    function getListeners(eventName) {
+        var listeners = [];
+        for (var key in events) {
+            if (events.hasOwnProperty(key) && matches(key, eventName)) {
+                listeners = listeners.concat(events[key]);
+            }
+        }
+        listeners.sort(function(a, b) {
+            return (b.priority - a.priority) || (a.order - b.order);
+        });
+        return listeners;
+    }
+
+    // Handler errors also go to ForumErrorSink when it is loaded
+    function reportHandlerError(error, context) {
+        if (typeof ForumErrorSink !== 'undefined') {
+            ForumErrorSink.capture(error, { module: 'event-bus', context: context });
+        }
+    }
+
+    // A once-subscription (including whenReady) is answered by the first
+    // matching payload only, even when a wildcard matches several
+    function replaySticky(eventName, callback, firstOnly) {
+        var replayed = 0;
+        for (var name in stickyPayloads) {
+            if (firstOnly && replayed) break;
+            if (stickyPayloads.hasOwnProperty(name) && matches(eventName, name)) {
+                try {
+                    callback(stickyPayloads[name].data, name, stickyPayloads[name].meta);
+                } catch(e) {
+                    console.error('[EventBus] Error replaying ' + name + ' handler:', e);
+                    reportHandlerError(e, 'replaying ' + name);
+                }
+                replayed++;
+            }
+        }
+        if (debug && replayed) console.log('[EventBus] Replayed', replayed, 'sticky event(s) for:', eventName);
+        return replayed;
+    }
+
+    function normalizeOptions(options) {
+        if (typeof options === 'number') return { priority: options };
+        return options || {};
+    }
+
+    // ============================================================================
+    // SUBSCRIPTION
+    // ============================================================================
+    function on(eventName, callback, options) {
+        if (!eventName || typeof callback !== 'function') return function() {};
+
+        var opts = normalizeOptions(options);
+        var replayed = replaySticky(eventName, callback, !!opts.once);
+        if (opts.once && replayed) return function() {};
+
         if (!events[eventName]) {
             events[eventName] = [];
         }
-        events[eventName].push(callback);
-        if (debug) console.log('[EventBus] Registered:', eventName);
+        var listener = {
+            callback: callback,
+            priority: opts.priority || 0,
+            once: !!opts.once,
+            order: sequence++
+        };
+        events[eventName].push(listener);
+        if (debug) console.log('[EventBus] Registered:', eventName, opts.priority ? '(priority ' + opts.priority + ')' : '');
+
+        // Removes this registration only, even if the same callback is
+        // subscribed more than once
+        return function() {
+            removeListener(eventName, listener);
+        };
     }
-   
+
     function off(eventName, callback) {
         if (!events[eventName]) return;
-       
+
         if (!callback) {
             delete events[eventName];
             if (debug) console.log('[EventBus] Removed all:', eventName);
             return;
         }
-       
-        var index = events[eventName].indexOf(callback);
-        if (index !== -1) {
-            events[eventName].splice(index, 1);
-            if (debug) console.log('[EventBus] Removed one from:', eventName);
+
+        var list = events[eventName];
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].callback === callback) {
+                list.splice(i, 1);
+                if (debug) console.log('[EventBus] Removed one from:', eventName);
+                break;
+            }
+        }
+        if (list.length === 0) {
+            delete events[eventName];
         }
     }
-   
-    function trigger(eventName, data) {
-        if (!events[eventName]) return [];
-       
+
+    function once(eventName, callback, options) {
+        return on(eventName, callback, Object.assign({}, normalizeOptions(options), { once: true }));
+    }
+
+    function removeListener(key, listener) {
+        var list = events[key];
+        if (!list) return;
+        var index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+        if (list.length === 0) delete events[key];
+    }
+
+    // Detaches once-listeners before they run so re-entrant triggers
+    // cannot call them twice.
+    function consumeOnce(eventName, listeners) {
+        for (var i = 0; i < listeners.length; i++) {
+            if (!listeners[i].once) continue;
+            for (var key in events) {
+                if (events.hasOwnProperty(key) && matches(key, eventName)) {
+                    removeListener(key, listeners[i]);
+                }
+            }
+        }
+    }
+
+    // ============================================================================
+    // DISPATCH
+    // ============================================================================
+    function recordSticky(eventName, data, meta) {
+        if (stickyNames[eventName]) {
+            stickyPayloads[eventName] = { data: data, meta: meta, timestamp: meta.timestamp };
+        }
+    }
+
+    function localMeta() {
+        return { origin: TAB_ID, remote: false, timestamp: Date.now() };
+    }
+
+    // Handlers receive (data, eventName, meta) where meta.origin is the id of
+    // the tab that emitted the event and meta.remote is true for bridged events.
+    function dispatch(eventName, data, meta) {
+        recordSticky(eventName, data, meta);
+        var listeners = getListeners(eventName);
+        var startTime = now();
+        var errors = [];
+        consumeOnce(eventName, listeners);
+
         var results = [];
-        for (var i = 0; i < events[eventName].length; i++) {
+        for (var i = 0; i < listeners.length; i++) {
             try {
-                var result = events[eventName][i](data);
+                var result = listeners[i].callback(data, eventName, meta);
                 results.push(result);
             } catch(e) {
+                errors.push(e);
                 console.error('[EventBus] Error in ' + eventName + ' handler:', e);
+                reportHandlerError(e, eventName + ' handler');
             }
         }
-       
-        if (debug) console.log('[EventBus] Triggered:', eventName, data);
+
+        record(eventName, data, meta, listeners.length, now() - startTime, errors, false);
+        if (listeners.length === 0) return results;
+        if (debug) console.log('[EventBus] Triggered:', eventName, data, meta.remote ? '(from tab ' + meta.origin + ')' : '');
+        return results;
+    }
+
+    function trigger(eventName, data) {
+        var meta = localMeta();
+        var results = dispatch(eventName, data, meta);
+        forwardToTabs(eventName, data, meta);
         return results;
     }
-   
-    function once(eventName, callback) {
-        var wrapper = function(data) {
-            callback(data);
-            off(eventName, wrapper);
+
+    // Runs handlers in priority order, awaiting each one. Resolves with one
+    // entry per handler: { status: 'fulfilled', result } or
+    // { status: 'rejected', error }. Never rejects.
+    async function triggerAsync(eventName, data) {
+        var meta = localMeta();
+        recordSticky(eventName, data, meta);
+        forwardToTabs(eventName, data, meta);
+        var listeners = getListeners(eventName);
+        var startTime = now();
+        var errors = [];
+        consumeOnce(eventName, listeners);
+
+        var outcomes = [];
+        for (var i = 0; i < listeners.length; i++) {
+            try {
+                var result = await listeners[i].callback(data, eventName, meta);
+                outcomes.push({ status: 'fulfilled', result: result });
+            } catch(e) {
+                errors.push(e);
+                console.error('[EventBus] Error in async ' + eventName + ' handler:', e);
+                reportHandlerError(e, eventName + ' async handler');
+                outcomes.push({ status: 'rejected', error: e });
+            }
+        }
+
+        record(eventName, data, meta, listeners.length, now() - startTime, errors, true);
+        if (listeners.length === 0) return outcomes;
+        if (debug) console.log('[EventBus] Triggered (async):', eventName, data, outcomes);
+        return outcomes;
+    }
+
+    // ============================================================================
+    // RECORDER
+    // ============================================================================
+    function now() {
+        return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+    }
+
+    // JSON-safe copy of a payload, taken at emit time so later mutation of
+    // the object does not rewrite history. DOM nodes become short labels.
+    function snapshot(value, depth, seen) {
+        if (value === null || value === undefined) return value;
+        var type = typeof value;
+        if (type === 'string') return value.length > 200 ? value.slice(0, 200) + '…' : value;
+        if (type === 'number' || type === 'boolean') return value;
+        if (type === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+        if (type !== 'object') return String(value);
+        if (typeof Node !== 'undefined' && value instanceof Node) {
+            return '<' + (value.nodeName || 'node').toLowerCase() +
+                (value.id ? '#' + value.id : '') +
+                (typeof value.className === 'string' && value.className ? '.' + value.className.trim().split(/\s+/).join('.') : '') + '>';
+        }
+        if (value instanceof Error) return { name: value.name, message: value.message };
+        if (seen.indexOf(value) !== -1) return '[Circular]';
+        if (depth <= 0) return Array.isArray(value) ? '[Array(' + value.length + ')]' : '[Object]';
+
+        seen.push(value);
+        var copy;
+        if (Array.isArray(value)) {
+            copy = [];
+            for (var i = 0; i < Math.min(value.length, 20); i++) {
+                copy.push(snapshot(value[i], depth - 1, seen));
+            }
+            if (value.length > 20) copy.push('… ' + (value.length - 20) + ' more');
+        } else {
+            copy = {};
+            for (var key in value) {
+                if (Object.prototype.hasOwnProperty.call(value, key)) {
+                    copy[key] = snapshot(value[key], depth - 1, seen);
+                }
+            }
+        }
+        seen.pop();
+        return copy;
+    }
+
+    function record(eventName, data, meta, handlerCount, duration, errors, isAsync) {
+        if (!recorder.enabled) return;
+
+        var entry = {
+            id: ++recorder.sequence,
+            name: eventName,
+            time: Math.round(now()),
+            timestamp: meta.timestamp,
+            payload: snapshot(data, 3, []),
+            handlers: handlerCount,
+            duration: Math.round(duration * 100) / 100,
+            errors: errors.map(function(e) {
+                return { message: e && e.message ? e.message : String(e), stack: e && e.stack ? e.stack : null };
+            }),
+            async: isAsync,
+            remote: meta.remote,
+            origin: meta.origin
         };
-        on(eventName, wrapper);
+
+        if (recorder.entries.length < recorder.limit) {
+            recorder.entries.push(entry);
+        } else {
+            recorder.entries[recorder.next] = entry;
+        }
+        recorder.next = (recorder.next + 1) % recorder.limit;
+
+        for (var i = 0; i < recorder.listeners.length; i++) {
+            try {
+                recorder.listeners[i](entry);
+            } catch(e) {
+                // A broken inspector must never break event dispatch
+            }
+        }
+    }
+
+    function startRecording(options) {
+        var opts = options || {};
+        if (opts.limit && opts.limit !== recorder.limit) {
+            var entries = getRecording();
+            recorder.limit = opts.limit;
+            recorder.entries = entries.slice(-opts.limit);
+            recorder.next = recorder.entries.length % recorder.limit;
+        }
+        recorder.enabled = true;
+    }
+
+    function stopRecording() {
+        recorder.enabled = false;
+    }
+
+    // Entries oldest first
+    function getRecording() {
+        if (recorder.entries.length < recorder.limit) return recorder.entries.slice();
+        return recorder.entries.slice(recorder.next).concat(recorder.entries.slice(0, recorder.next));
+    }
+
+    function clearRecording() {
+        recorder.entries = [];
+        recorder.next = 0;
+    }
+
+    function exportRecording() {
+        return JSON.stringify({
+            tabId: TAB_ID,
+            url: typeof location !== 'undefined' ? location.href : null,
+            exportedAt: new Date().toISOString(),
+            events: getRecording()
+        }, null, 2);
+    }
+
+    function onRecord(listener) {
+        if (typeof listener !== 'function') return function() {};
+        recorder.listeners.push(listener);
+        return function() {
+            var index = recorder.listeners.indexOf(listener);
+            if (index !== -1) recorder.listeners.splice(index, 1);
+        };
+    }
+
+    function hasListeners(eventName) {
+        return getListeners(eventName).length > 0;
+    }
+
+    // ============================================================================
+    // STICKY EVENTS
+    // ============================================================================
+    function makeSticky(eventName) {
+        if (eventName && !isPattern(eventName)) stickyNames[eventName] = true;
+    }
+
+    function hasFired(eventName) {
+        return stickyPayloads.hasOwnProperty(eventName);
+    }
+
+    function resetSticky(eventName) {
+        if (eventName) {
+            delete stickyPayloads[eventName];
+        } else {
+            stickyPayloads = {};
+        }
+    }
+
+    // Resolves with the payload of a sticky event, immediately if it already
+    // fired. Rejects after timeoutMs when given.
+    function whenReady(eventName, timeoutMs) {
+        makeSticky(eventName);
+        return new Promise(function(resolve, reject) {
+            var timer = null;
+            var unsubscribe = once(eventName, function(data) {
+                if (timer) clearTimeout(timer);
+                resolve(data);
+            });
+            if (timeoutMs && !hasFired(eventName)) {
+                timer = setTimeout(function() {
+                    unsubscribe();
+                    reject(new Error('[EventBus] Timed out waiting for ' + eventName));
+                }, timeoutMs);
+            }
+        });
+    }
+
+    // ============================================================================
+    // CROSS-TAB BRIDGE
+    // ============================================================================
+    function isBridged(eventName) {
+        for (var i = 0; i < bridge.names.length; i++) {
+            if (matches(bridge.names[i], eventName)) return true;
+        }
+        return false;
+    }
+
+    function forwardToTabs(eventName, data, meta) {
+        if (!bridge.names.length || meta.remote || !isBridged(eventName)) return;
+
+        var message = { eventName: eventName, data: data, origin: meta.origin, timestamp: meta.timestamp };
+        try {
+            if (bridge.channel) {
+                bridge.channel.postMessage(message);
+            } else if (bridge.storageHandler) {
+                // Writing then removing the key fires a 'storage' event in
+                // every other tab without leaving anything behind.
+                message.nonce = Math.random();
+                localStorage.setItem(BRIDGE_STORAGE_KEY, JSON.stringify(message));
+                localStorage.removeItem(BRIDGE_STORAGE_KEY);
+            }
+        } catch(e) {
+            console.warn('[EventBus] Could not forward ' + eventName + ' to other tabs:', e);
+        }
     }
-   
+
+    function receiveFromTab(message) {
+        if (!message || !message.eventName || message.origin === TAB_ID) return;
+        if (!isBridged(message.eventName)) return;
+        dispatch(message.eventName, message.data, {
+            origin: message.origin,
+            remote: true,
+            timestamp: message.timestamp || Date.now()
+        });
+    }
+
+    // Opt-in: only the given event names (wildcards allowed) are shared with
+    // other tabs. Payloads must survive structured cloning / JSON.
+    function enableBridge(eventNames, options) {
+        var opts = options || {};
+        var names = Array.isArray(eventNames) ? eventNames : [eventNames];
+        for (var i = 0; i < names.length; i++) {
+            if (names[i] && bridge.names.indexOf(names[i]) === -1) bridge.names.push(names[i]);
+        }
+        if (bridge.channel || bridge.storageHandler) return;
+
+        if (typeof BroadcastChannel !== 'undefined' && !opts.forceStorage) {
+            bridge.channel = new BroadcastChannel(opts.channelName || 'forum-event-bus');
+            bridge.channel.onmessage = function(e) { receiveFromTab(e.data); };
+        } else if (typeof window !== 'undefined' && window.localStorage) {
+            bridge.storageHandler = function(e) {
+                if (e.key !== BRIDGE_STORAGE_KEY || !e.newValue) return;
+                try {
+                    receiveFromTab(JSON.parse(e.newValue));
+                } catch(err) {
+                    // Ignore malformed messages
+                }
+            };
+            window.addEventListener('storage', bridge.storageHandler);
+        }
+        if (debug) console.log('[EventBus] Cross-tab bridge enabled for:', bridge.names.join(', '));
+    }
+
+    function disableBridge() {
+        if (bridge.channel) {
+            bridge.channel.close();
+            bridge.channel = null;
+        }
+        if (bridge.storageHandler) {
+            window.removeEventListener('storage', bridge.storageHandler);
+            bridge.storageHandler = null;
+        }
+        bridge.names = [];
+    }
+
+    function getTabId() {
+        return TAB_ID;
+    }
+
     function enableDebug() {
         debug = true;
+        startRecording();
         console.log('[EventBus] Debug mode enabled');
+        // The boot engine loads the debug tools on this
+        trigger('forum:debug:enabled');
     }
-   
+
     function disableDebug() {
         debug = false;
     }
-   
+
     function clear() {
         events = {};
+        stickyPayloads = {};
         if (debug) console.log('[EventBus] All events cleared');
     }
-   
+
     return {
         on: on,
         off: off,
         trigger: trigger,
+        triggerAsync: triggerAsync,
         once: once,
+        hasListeners: hasListeners,
+        makeSticky: makeSticky,
+        hasFired: hasFired,
+        resetSticky: resetSticky,
+        whenReady: whenReady,
+        enableBridge: enableBridge,
+        disableBridge: disableBridge,
+        getTabId: getTabId,
+        startRecording: startRecording,
+        stopRecording: stopRecording,
+        getRecording: getRecording,
+        clearRecording: clearRecording,
+        exportRecording: exportRecording,
+        onRecord: onRecord,
         enableDebug: enableDebug,
         disableDebug: disableDebug,
         clear: clear
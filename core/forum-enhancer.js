@@ -20,9 +20,22 @@
         createWrapper: true,
         wrapperId: 'modern-forum-wrapper',
         hideOriginal: false,
+        // Per-module limits (ms) for external dependencies to appear and for
+        // initialize() to settle
+        dependencyTimeout: 10000,
+        moduleTimeout: 15000,
+        // localStorage key holding the member's own module on/off choices
+        preferencesKey: 'forum-enhancer-preferences',
+        // Events mirrored to other open forum tabs through ForumEventBus
+        crossTabEvents: [
+            'forum:theme:changed',
+            'messenger:pm:read',
+            'boards:category:toggled'
+        ],
         modules: {
             'media-dimensions': true,
             twemoji: true,
+            boards: true,
             posts: true,
             modals: true,
             messenger: true,
@@ -36,6 +49,13 @@
     // ============================================================================
     // MODULE REGISTRY
     // ============================================================================
+    // Lifecycle contract for registered modules:
+    //   initialize() – enhance the page; may return a promise; safe to call twice
+    //   destroy()    – undo initialize(): observer callbacks, document listeners,
+    //                  generated nodes. Afterwards initialize() must work again.
+    //   refresh()    – re-read the page and update what was generated
+    // destroy() and refresh() are optional; modules without destroy() cannot be
+    // disabled at runtime, only skipped on the next page load.
     const modules = [];
     const moduleStatus = new Map();
     
@@ -51,107 +71,277 @@
         }
     }
     
-    function registerModule(name, module, dependencies) {
-        modules.push({
+    function registerModule(name, module, dependencies, options) {
+        var record = {
             name: name,
             module: module,
             dependencies: dependencies || [],
+            description: (options && options.description) || '',
+            applicable: !options || options.applicable !== false,
+            timeout: (options && options.timeout) || ENHANCER_CONFIG.moduleTimeout,
             initialized: false,
-            enabled: ENHANCER_CONFIG.modules[name] !== false
-        });
+            enabled: ENHANCER_CONFIG.modules[name] !== false,
+            promise: null,
+            cycle: null,
+            // Dependents disableModule() tore down, restarted by enableModule()
+            stoppedDependents: []
+        };
+        modules.push(record);
+        setStatus(record, 'registered');
         if (ENHANCER_CONFIG.debug) {
             log('Registered module: ' + name);
         }
     }
     
     // ============================================================================
-    // DEPENDENCY CHECKING
+    // DEPENDENCY RESOLUTION
     // ============================================================================
-    function checkDependencies(module) {
-        if (!module.dependencies || module.dependencies.length === 0) {
-            return true;
+    // Dependencies that are not registered modules: how to tell they exist
+    // right now, and which sticky ForumEventBus event announces them later.
+    const EXTERNAL_DEPENDENCIES = {
+        forumObserver: {
+            isReady: function() { return !!globalThis.forumObserver; },
+            readyEvent: 'forum:observer:ready'
+        },
+        twemojiLib: {
+            isReady: function() { return typeof twemoji !== 'undefined'; },
+            readyEvent: 'forum:twemoji:ready'
+        },
+        domUtils: {
+            isReady: function() { return typeof ForumDOMUtils !== 'undefined'; },
+            readyEvent: 'forum:dom-utils:ready'
+        },
+        eventBus: {
+            isReady: function() { return typeof ForumEventBus !== 'undefined'; },
+            readyEvent: null
+        },
+        templates: {
+            isReady: function() { return typeof ForumTemplates !== 'undefined' && ForumTemplates.isReady(); },
+            readyEvent: 'forum:templates:ready'
+        },
+        userService: {
+            isReady: function() { return typeof ForumUserService !== 'undefined'; },
+            readyEvent: 'forum:user-service:ready'
         }
-        for (var i = 0; i < module.dependencies.length; i++) {
-            var depName = module.dependencies[i];
-            if (depName === 'forumObserver') {
-                if (!globalThis.forumObserver) return false;
-                continue;
-            }
-            if (depName === 'twemojiLib') {
-                if (typeof twemoji === 'undefined') return false;
-                continue;
-            }
-            if (depName === 'domUtils') {
-                if (typeof ForumDOMUtils === 'undefined') return false;
-                continue;
-            }
-            if (depName === 'eventBus') {
-                if (typeof ForumEventBus === 'undefined') return false;
-                continue;
-            }
-            var dep = modules.find(function(m) { return m.name === depName; });
-            if (!dep || !dep.initialized) {
-                return false;
+    };
+
+    function setStatus(module, status, details) {
+        var entry = Object.assign({ status: status, timestamp: Date.now() }, details || {});
+        moduleStatus.set(module.name, entry);
+        return entry;
+    }
+
+    function withTimeout(promise, ms, message) {
+        var timer;
+        var timeout = new Promise(function(resolve, reject) {
+            timer = setTimeout(function() {
+                var error = new Error(message);
+                error.timeout = true;
+                reject(error);
+            }, ms);
+        });
+        return Promise.race([promise, timeout]).finally(function() {
+            clearTimeout(timer);
+        });
+    }
+
+    function waitForExternalDependency(name) {
+        var dep = EXTERNAL_DEPENDENCIES[name];
+        if (dep.isReady()) return Promise.resolve();
+        if (!dep.readyEvent || typeof ForumEventBus === 'undefined') {
+            return Promise.reject(new Error(name + ' is not available'));
+        }
+
+        var timeout = ENHANCER_CONFIG.dependencyTimeout;
+        return ForumEventBus.whenReady(dep.readyEvent, timeout).then(
+            function() {
+                if (!dep.isReady()) {
+                    throw new Error(dep.readyEvent + ' fired but ' + name + ' is still missing');
+                }
+            },
+            function() {
+                throw new Error(name + ' did not become available within ' + timeout + 'ms');
             }
+        );
+    }
+
+    function waitForDependency(depName) {
+        if (EXTERNAL_DEPENDENCIES.hasOwnProperty(depName)) {
+            return waitForExternalDependency(depName);
         }
-        return true;
+
+        var dep = modules.find(function(m) { return m.name === depName; });
+        if (!dep) {
+            return Promise.reject(new Error('"' + depName + '" is neither a registered module nor a known external dependency'));
+        }
+        return resolveModule(dep).then(function(initialized) {
+            if (initialized) return;
+            var depStatus = moduleStatus.get(dep.name) || {};
+            throw new Error('module ' + dep.name + ' is ' + (depStatus.status || 'not initialized') +
+                (depStatus.reason ? ' (' + depStatus.reason + ')' : ''));
+        });
+    }
+
+    // Depth-first walk over module-to-module edges. Returns modules in
+    // dependency order and marks every module that sits on a cycle.
+    function resolveDependencyGraph() {
+        var byName = {};
+        modules.forEach(function(m) {
+            byName[m.name] = m;
+            m.cycle = null;
+        });
+
+        var visitState = {};
+        var path = [];
+        var order = [];
+        var cycles = [];
+
+        function visit(module) {
+            visitState[module.name] = 'visiting';
+            path.push(module.name);
+            module.dependencies.forEach(function(depName) {
+                var dep = byName[depName];
+                if (!dep) return;
+                if (visitState[depName] === 'visiting') {
+                    var cycle = path.slice(path.indexOf(depName)).concat(depName);
+                    cycles.push(cycle);
+                    cycle.forEach(function(name) { byName[name].cycle = cycle; });
+                } else if (!visitState[depName]) {
+                    visit(dep);
+                }
+            });
+            path.pop();
+            visitState[module.name] = 'done';
+            order.push(module);
+        }
+
+        modules.forEach(function(m) {
+            if (!visitState[m.name]) visit(m);
+        });
+
+        return { order: order, cycles: cycles };
+    }
+
+    function resolveModule(module) {
+        if (!module.promise) {
+            module.promise = initializeModule(module);
+        }
+        return module.promise;
     }
     
     async function initializeModule(module) {
         if (module.initialized) return true;
+        if (!module.applicable) {
+            setStatus(module, 'skipped', { reason: 'not used on this page' });
+            return false;
+        }
         if (!module.enabled) {
+            setStatus(module, 'disabled');
             log('Module ' + module.name + ' is disabled, skipping', 'warn');
             return false;
         }
-        if (!checkDependencies(module)) return false;
-       
+        if (module.cycle) {
+            setStatus(module, 'blocked', { reason: 'dependency cycle ' + module.cycle.join(' → ') });
+            return false;
+        }
+
+        setStatus(module, 'waiting', { waitingFor: module.dependencies.slice() });
+        var failures = await Promise.all(module.dependencies.map(function(depName) {
+            return waitForDependency(depName).then(
+                function() { return null; },
+                function(error) { return { dependency: depName, reason: error.message }; }
+            );
+        }));
+        var blocker = failures.find(Boolean);
+        if (blocker) {
+            setStatus(module, 'blocked', { blockedBy: blocker.dependency, reason: blocker.reason });
+            log('Module ' + module.name + ' blocked by ' + blocker.dependency + ': ' + blocker.reason, 'warn');
+            return false;
+        }
+
+        setStatus(module, 'initializing');
+        var startTime = Date.now();
         try {
-            if (module.module && typeof module.module.initialize === 'function') {
-                await module.module.initialize();
-                module.initialized = true;
-                moduleStatus.set(module.name, { status: 'initialized', timestamp: Date.now() });
-                log('✓ Initialized: ' + module.name);
-                return true;
+            if (!module.module || typeof module.module.initialize !== 'function') {
+                throw new Error('module has no initialize() function');
             }
+            await withTimeout(
+                Promise.resolve(module.module.initialize()),
+                module.timeout,
+                'initialize() did not settle within ' + module.timeout + 'ms'
+            );
+            module.initialized = true;
+            setStatus(module, 'initialized', { duration: Date.now() - startTime });
+            log('✓ Initialized: ' + module.name);
+            return true;
         } catch (error) {
             log('Failed to initialize ' + module.name + ': ' + error.message, 'error');
-            moduleStatus.set(module.name, { status: 'failed', error: error.message });
+            setStatus(module, error.timeout ? 'timeout' : 'failed', { error: error.message, reason: error.message });
+            if (typeof ForumErrorSink !== 'undefined') {
+                ForumErrorSink.capture(error, { module: module.name, context: 'ForumEnhancer initialize' });
+            }
         }
         return false;
     }
     
     async function initializeAllModules() {
         log('Initializing all modules...');
+
+        var graph = resolveDependencyGraph();
+        graph.cycles.forEach(function(cycle) {
+            log('Dependency cycle detected: ' + cycle.join(' → '), 'error');
+        });
+        log('Initialization order: ' + graph.order.map(function(m) { return m.name; }).join(', '));
+
+        await Promise.all(graph.order.map(resolveModule));
        
-        var maxAttempts = 10;
-        var attempt = 0;
-        var remainingModules = modules.filter(function(m) { return m.enabled && !m.initialized; });
-       
-        while (remainingModules.length > 0 && attempt < maxAttempts) {
-            var initializedAny = false;
-           
-            for (var i = 0; i < modules.length; i++) {
-                var module = modules[i];
-                if (module.enabled && !module.initialized) {
-                    if (await initializeModule(module)) {
-                        initializedAny = true;
-                    }
-                }
-            }
-           
-            if (!initializedAny) break;
-            remainingModules = modules.filter(function(m) { return m.enabled && !m.initialized; });
-            attempt++;
-        }
-       
-        var failedModules = modules.filter(function(m) { return m.enabled && !m.initialized; });
+        var failedModules = modules.filter(function(m) { return m.applicable && m.enabled && !m.initialized; });
         if (failedModules.length > 0) {
             log('Warning: ' + failedModules.length + ' modules failed to initialize', 'warn');
+            failedModules.forEach(function(m) {
+                var status = moduleStatus.get(m.name) || {};
+                log('  ' + m.name + ': ' + status.status + (status.reason ? ' – ' + status.reason : ''), 'warn');
+            });
         }
        
         return modules.filter(function(m) { return m.initialized; }).length;
     }
     
+    // ============================================================================
+    // MODULE TEARDOWN
+    // ============================================================================
+    function destroyModule(module) {
+        if (!module.initialized) return true;
+        if (!module.module || typeof module.module.destroy !== 'function') {
+            log('Module ' + module.name + ' has no destroy(), it stays active until reload', 'warn');
+            return false;
+        }
+        try {
+            module.module.destroy();
+        } catch (error) {
+            log('Failed to destroy ' + module.name + ': ' + error.message, 'error');
+        }
+        module.initialized = false;
+        module.promise = null;
+        setStatus(module, 'destroyed');
+        log('✗ Destroyed: ' + module.name);
+        return true;
+    }
+
+    // Modules depending on this one, directly or transitively
+    function getDependents(moduleName) {
+        var dependents = [];
+        modules.forEach(function(m) {
+            if (m.dependencies.indexOf(moduleName) !== -1 && dependents.indexOf(m) === -1) {
+                dependents.push(m);
+                getDependents(m.name).forEach(function(d) {
+                    if (dependents.indexOf(d) === -1) dependents.push(d);
+                });
+            }
+        });
+        return dependents;
+    }
+    
     // ============================================================================
     // DEPENDENCY CHECKING (Core)
     // ============================================================================
@@ -175,39 +365,23 @@
     // WAIT FOR DEPENDENCIES
     // ============================================================================
     function waitForDependencies() {
-        return new Promise(function(resolve) {
-            var depsReady = {
-                ForumDOMUtils: false,
-                ForumEventBus: false
-            };
-            
-            function checkAllReady() {
-                if (depsReady.ForumDOMUtils && depsReady.ForumEventBus) {
-                    resolve();
-                }
-            }
-            
-            if (typeof ForumDOMUtils !== 'undefined') {
-                depsReady.ForumDOMUtils = true;
-            } else {
-                window.addEventListener('dom-utils-ready', function() {
-                    depsReady.ForumDOMUtils = true;
-                    checkAllReady();
-                });
-            }
-            
-            if (typeof ForumEventBus !== 'undefined') {
-                depsReady.ForumEventBus = true;
-            } else {
-                window.addEventListener('event-bus-ready', function() {
-                    depsReady.ForumEventBus = true;
-                    checkAllReady();
-                });
-            }
-            
-            checkAllReady();
-            setTimeout(resolve, 5000);
-        });
+        // The bus cannot announce itself through itself, so its own window
+        // event is the one signal still needed; everything else is sticky.
+        var busReady = typeof ForumEventBus !== 'undefined'
+            ? Promise.resolve()
+            : new Promise(function(resolve, reject) {
+                window.addEventListener('event-bus-ready', resolve, { once: true });
+                setTimeout(function() { reject(new Error('ForumEventBus not loaded')); }, 5000);
+            });
+
+        return busReady
+            .then(function() {
+                if (typeof ForumDOMUtils !== 'undefined') return;
+                return ForumEventBus.whenReady('forum:dom-utils:ready', 5000);
+            })
+            .catch(function(error) {
+                log('Dependency wait failed: ' + error.message, 'warn');
+            });
     }
     
     // ============================================================================
@@ -244,52 +418,337 @@
     }
     
     // ============================================================================
-    // REGISTER MODULES (all modules now exposed globally)
+    // REGISTER MODULES (driven by ForumModuleManifest)
+    // ============================================================================
+    function registerAllModules() {
+        if (typeof ForumModuleManifest === 'undefined') {
+            log('ForumModuleManifest not found, no modules registered', 'error');
+            return;
+        }
+
+        var pageContext = ForumModuleManifest.getPageContext();
+        ForumModuleManifest.getModules().forEach(function(entry) {
+            var options = { description: entry.description };
+
+            // Still listed (e.g. in the preferences panel), never initialized here
+            if (!ForumModuleManifest.appliesToPage(entry, pageContext)) {
+                options.applicable = false;
+                registerModule(entry.name, window[entry.global] || null, entry.dependencies, options);
+                return;
+            }
+
+            if (typeof window[entry.global] === 'undefined') {
+                log(entry.global + ' not found, ' + entry.name + ' disabled', 'warn');
+                ENHANCER_CONFIG.modules[entry.name] = false;
+                return;
+            }
+            registerModule(entry.name, window[entry.global], entry.dependencies, options);
+        });
+    }
+    
+    // ============================================================================
+    // USER PREFERENCES
+    // ============================================================================
+    function loadPreferences() {
+        try {
+            var stored = JSON.parse(localStorage.getItem(ENHANCER_CONFIG.preferencesKey) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function savePreference(moduleName, enabled) {
+        var preferences = loadPreferences();
+        preferences[moduleName] = enabled;
+        try {
+            localStorage.setItem(ENHANCER_CONFIG.preferencesKey, JSON.stringify(preferences));
+        } catch (e) {
+            log('Could not save preferences: ' + e.message, 'warn');
+        }
+    }
+
+    // The admin's module switches, before any member preference is applied.
+    // A module missing from them is on, as in registerModule().
+    let adminEnabledModules = {};
+
+    function isAdminEnabled(moduleName) {
+        return adminEnabledModules[moduleName] !== false;
+    }
+
+    // Listed in the module config or registered without an entry there
+    function isKnownModule(moduleName) {
+        return ENHANCER_CONFIG.modules.hasOwnProperty(moduleName) ||
+            modules.some(function(m) { return m.name === moduleName; });
+    }
+
+    // Runs before registerAllModules() so opted-out modules register disabled.
+    // Members can only switch off what the admin switched on, never the reverse.
+    function applyPreferences() {
+        adminEnabledModules = Object.assign({}, ENHANCER_CONFIG.modules);
+        var preferences = loadPreferences();
+        Object.keys(preferences).forEach(function(name) {
+            if (typeof preferences[name] === 'boolean' && isAdminEnabled(name)) {
+                ENHANCER_CONFIG.modules[name] = preferences[name];
+            }
+        });
+    }
+
+    // ============================================================================
+    // PREFERENCES PANEL
     // ============================================================================
-function registerAllModules() {
-    if (typeof MediaDimensionsModule !== 'undefined') {
-        registerModule('media-dimensions', MediaDimensionsModule, ['forumObserver']);
-    } else {
-        log('MediaDimensionsModule not found, media dimensions disabled', 'warn');
-        ENHANCER_CONFIG.modules['media-dimensions'] = false;
+    const PREFERENCES_PANEL_ID = 'enhancer-preferences';
+    let preferencesKeyHandler = null;
+
+    function setModuleEnabled(moduleName, enabled) {
+        if (!isAdminEnabled(moduleName)) return;
+        savePreference(moduleName, enabled);
+        var module = modules.find(function(m) { return m.name === moduleName; });
+        if (!module) return;
+        if (enabled) {
+            ForumEnhancer.enableModule(moduleName);
+        } else {
+            ForumEnhancer.disableModule(moduleName);
+        }
+    }
+
+    function buildPreferenceItem(module) {
+        var item = document.createElement('li');
+        item.className = 'enhancer-preferences-item';
+
+        var label = document.createElement('label');
+        label.className = 'modern-checkbox';
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = module.enabled;
+        var name = document.createElement('span');
+        name.className = 'enhancer-preferences-name';
+        name.textContent = module.name;
+        label.appendChild(checkbox);
+        label.appendChild(name);
+        item.appendChild(label);
+
+        if (module.description) {
+            var description = document.createElement('p');
+            description.className = 'enhancer-preferences-description';
+            description.textContent = module.description;
+            item.appendChild(description);
+        }
+
+        var hint = document.createElement('p');
+        hint.className = 'enhancer-preferences-hint';
+        hint.hidden = true;
+        hint.textContent = 'Takes effect after the page is reloaded.';
+        item.appendChild(hint);
+
+        checkbox.addEventListener('change', function() {
+            setModuleEnabled(module.name, checkbox.checked);
+            // Without destroy() a running module can only be switched off by a reload
+            hint.hidden = checkbox.checked || !module.module || typeof module.module.destroy === 'function';
+        });
+        return item;
+    }
+
+    function openPreferencesPanel() {
+        if (document.getElementById(PREFERENCES_PANEL_ID)) return;
+
+        var overlay = document.createElement('div');
+        overlay.id = PREFERENCES_PANEL_ID;
+        overlay.className = 'modern-modal-overlay enhancer-preferences-overlay';
+
+        var dialog = document.createElement('div');
+        dialog.className = 'enhancer-preferences';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'enhancer-preferences-title');
+        dialog.tabIndex = -1;
+        dialog.innerHTML =
+            '<div class="modern-modal-header">' +
+                '<div class="modern-modal-title">' +
+                    '<i class="fa-regular fa-sliders" aria-hidden="true"></i>' +
+                    '<h3 id="enhancer-preferences-title">Forum enhancements</h3>' +
+                '</div>' +
+                '<button type="button" class="modern-modal-close" aria-label="Close">' +
+                    '<i class="fa-regular fa-xmark" aria-hidden="true"></i>' +
+                '</button>' +
+            '</div>' +
+            '<p class="enhancer-preferences-intro">Choose which parts of the modern layout you want. Your choices are saved in this browser.</p>';
+
+        var list = document.createElement('ul');
+        list.className = 'enhancer-preferences-list';
+        modules.filter(function(module) {
+            return isAdminEnabled(module.name);
+        }).forEach(function(module) {
+            list.appendChild(buildPreferenceItem(module));
+        });
+        dialog.appendChild(list);
+
+        // Per-provider embed consent lives in its own panel (core/consent-manager.js)
+        if (window.ForumConsent) {
+            var consentButton = document.createElement('button');
+            consentButton.type = 'button';
+            consentButton.className = 'modern-btn modern-btn-secondary enhancer-preferences-consent';
+            consentButton.textContent = 'Embedded content (YouTube, X, …)';
+            consentButton.addEventListener('click', function() {
+                closePreferencesPanel();
+                window.ForumConsent.openSettings();
+            });
+            dialog.appendChild(consentButton);
+        }
+        overlay.appendChild(dialog);
+
+        dialog.querySelector('.modern-modal-close').addEventListener('click', closePreferencesPanel);
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) closePreferencesPanel();
+        });
+        preferencesKeyHandler = function(e) {
+            if (e.key === 'Escape') closePreferencesPanel();
+        };
+        document.addEventListener('keydown', preferencesKeyHandler);
+
+        document.body.appendChild(overlay);
+        dialog.focus();
+    }
+
+    function closePreferencesPanel() {
+        var overlay = document.getElementById(PREFERENCES_PANEL_ID);
+        if (overlay) overlay.remove();
+        if (preferencesKeyHandler) {
+            document.removeEventListener('keydown', preferencesKeyHandler);
+            preferencesKeyHandler = null;
+        }
+    }
+
+    // Adds the entry to the dropdown under the member's avatar. The click is
+    // delegated because skins may clone the menu into their own navigation.
+    function attachPreferencesMenuEntry() {
+        document.addEventListener('click', function(e) {
+            var link = e.target.closest('[data-enhancer-preferences]');
+            if (!link) return;
+            e.preventDefault();
+            openPreferencesPanel();
+        });
+
+        var userMenu = Array.prototype.find.call(
+            document.querySelectorAll('.menuwrap .left li.menu'),
+            function(menu) { return menu.querySelector('.avatar') && menu.querySelector('ul'); }
+        );
+        if (!userMenu || userMenu.querySelector('[data-enhancer-preferences]')) return;
+
+        var item = document.createElement('li');
+        var link = document.createElement('a');
+        link.href = '#';
+        link.setAttribute('data-enhancer-preferences', '');
+        link.textContent = 'Enhancement settings';
+        item.appendChild(link);
+        userMenu.querySelector('ul').appendChild(item);
     }
+    
+    // ============================================================================
+    // EVENT INSPECTOR (debug panel over ForumEventBus recording)
+    // ============================================================================
+    const INSPECTOR_ID = 'forum-event-inspector';
+    const INSPECTOR_MAX_ROWS = 100;
+    let inspectorUnsubscribe = null;
+
+    function formatInspectorRow(entry) {
+        var row = document.createElement('div');
+        row.className = 'forum-event-inspector-row';
+        if (entry.errors.length > 0) row.classList.add('forum-event-inspector-row--error');
+        else if (entry.handlers === 0) row.classList.add('forum-event-inspector-row--unhandled');
+
+        var summary = document.createElement('div');
+        summary.textContent = (entry.time / 1000).toFixed(2) + 's  ' + entry.name +
+            '  [' + entry.handlers + ' handler' + (entry.handlers === 1 ? '' : 's') + ', ' + entry.duration + 'ms' +
+            (entry.async ? ', async' : '') + (entry.remote ? ', remote' : '') +
+            (entry.errors.length > 0 ? ', ' + entry.errors.length + ' error' + (entry.errors.length === 1 ? '' : 's') : '') + ']';
+        row.appendChild(summary);
 
-    if (typeof TwemojiModule !== 'undefined') {
-        registerModule('twemoji', TwemojiModule, ['twemojiLib', 'forumObserver']);
-    } else {
-        log('TwemojiModule not found, emoji replacement disabled', 'warn');
-        ENHANCER_CONFIG.modules.twemoji = false;
+        var details = document.createElement('pre');
+        details.className = 'forum-event-inspector-details';
+        details.textContent = JSON.stringify({ payload: entry.payload, errors: entry.errors }, null, 2);
+        row.appendChild(details);
+
+        row.addEventListener('click', function() {
+            row.classList.toggle('expanded');
+        });
+        return row;
     }
 
-    if (typeof ForumPostsModule !== 'undefined') {
-        registerModule('posts', ForumPostsModule, ['domUtils', 'eventBus']);
-    } else {
-        log('ForumPostsModule not found, posts enhancement disabled', 'warn');
-        ENHANCER_CONFIG.modules.posts = false;
+    function addInspectorRow(list, entry) {
+        list.insertBefore(formatInspectorRow(entry), list.firstChild);
+        while (list.children.length > INSPECTOR_MAX_ROWS) {
+            list.removeChild(list.lastChild);
+        }
     }
 
-    if (typeof ModalsModule !== 'undefined') {
-        registerModule('modals', ModalsModule, ['forumObserver']);
-    } else {
-        log('ModalsModule not found, modern modals disabled', 'warn');
-        ENHANCER_CONFIG.modules.modals = false;
+    function downloadRecording() {
+        var blob = new Blob([ForumEventBus.exportRecording()], { type: 'application/json' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'forum-events-' + Date.now() + '.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
     }
 
-    // --- MESSENGER MODULE (ADD THIS) ---
-    if (typeof MessengerModule !== 'undefined') {
-        registerModule('messenger', MessengerModule, ['domUtils', 'eventBus']);
-    } else {
-        log('MessengerModule not found, messenger enhancement disabled', 'warn');
-        ENHANCER_CONFIG.modules.messenger = false;
+    function showEventInspector() {
+        if (typeof ForumEventBus === 'undefined' || !ForumEventBus.getRecording) return;
+        if (document.getElementById(INSPECTOR_ID) || !document.body) return;
+        ForumEventBus.startRecording();
+
+        var panel = document.createElement('div');
+        panel.id = INSPECTOR_ID;
+        panel.className = 'forum-event-inspector';
+
+        var header = document.createElement('div');
+        header.className = 'forum-event-inspector-header';
+        var title = document.createElement('strong');
+        title.className = 'forum-event-inspector-title';
+        title.textContent = 'Event bus';
+        header.appendChild(title);
+
+        var list = document.createElement('div');
+        list.className = 'forum-event-inspector-list';
+
+        [
+            ['Export JSON', downloadRecording],
+            ['Clear', function() {
+                ForumEventBus.clearRecording();
+                list.textContent = '';
+            }],
+            ['×', hideEventInspector]
+        ].forEach(function(action) {
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'forum-event-inspector-button';
+            button.textContent = action[0];
+            button.addEventListener('click', action[1]);
+            header.appendChild(button);
+        });
+
+        panel.appendChild(header);
+        panel.appendChild(list);
+
+        ForumEventBus.getRecording().slice(-INSPECTOR_MAX_ROWS).forEach(function(entry) {
+            addInspectorRow(list, entry);
+        });
+        inspectorUnsubscribe = ForumEventBus.onRecord(function(entry) {
+            addInspectorRow(list, entry);
+        });
+
+        document.body.appendChild(panel);
     }
 
-    // Slick Carousel module registration
-    if (typeof SlickCarouselModule !== 'undefined') {
-        registerModule('slick-carousel', SlickCarouselModule, ['forumObserver']);
-    } else {
-        log('SlickCarouselModule not found, carousels will not be active', 'warn');
+    function hideEventInspector() {
+        if (inspectorUnsubscribe) {
+            inspectorUnsubscribe();
+            inspectorUnsubscribe = null;
+        }
+        var panel = document.getElementById(INSPECTOR_ID);
+        if (panel) panel.remove();
     }
-}
     
     // ============================================================================
     // PUBLIC API
@@ -301,43 +760,121 @@ function registerAllModules() {
         registerModule: registerModule,
        
         enableModule: function(moduleName) {
-            if (ENHANCER_CONFIG.modules.hasOwnProperty(moduleName)) {
+            if (isKnownModule(moduleName)) {
                 ENHANCER_CONFIG.modules[moduleName] = true;
                 var module = modules.find(function(m) { return m.name === moduleName; });
                 if (module) {
                     module.enabled = true;
-                    initializeModule(module);
+                    module.promise = null;
+                    var stopped = module.stoppedDependents;
+                    module.stoppedDependents = [];
+                    resolveDependencyGraph().order.forEach(function(m) {
+                        if (m === module) {
+                            resolveModule(m);
+                        } else if (stopped.indexOf(m.name) !== -1 && !m.initialized) {
+                            // Drop a "blocked" result from while this module was off
+                            m.promise = null;
+                            resolveModule(m);
+                        }
+                    });
                 }
                 log('Enabled module: ' + moduleName);
             }
         },
        
         disableModule: function(moduleName) {
-            if (ENHANCER_CONFIG.modules.hasOwnProperty(moduleName)) {
+            if (isKnownModule(moduleName)) {
                 ENHANCER_CONFIG.modules[moduleName] = false;
                 var module = modules.find(function(m) { return m.name === moduleName; });
                 if (module) {
+                    // Dependents go first, they may still hold on to this module
+                    var dependents = getDependents(moduleName).filter(function(m) { return m.initialized; });
+                    dependents.reverse().forEach(destroyModule);
+                    dependents.forEach(function(m) {
+                        if (!m.initialized) module.stoppedDependents.push(m.name);
+                    });
+                    destroyModule(module);
                     module.enabled = false;
+                    setStatus(module, 'disabled');
                 }
                 log('Disabled module: ' + moduleName);
             }
         },
        
+        // A module whose content appeared after boot; the boot engine calls
+        // this once it has loaded the script. Before registration it is
+        // picked up by the normal page check instead.
+        activateModule: function(moduleName) {
+            var module = modules.find(function(m) { return m.name === moduleName; });
+            var entry = typeof ForumModuleManifest !== 'undefined' ? ForumModuleManifest.getEntry(moduleName) : null;
+            if (!module || !entry || typeof window[entry.global] === 'undefined') return Promise.resolve(false);
+            if (module.applicable) return resolveModule(module);
+            module.module = window[entry.global];
+            module.applicable = true;
+            module.promise = null;
+            resolveDependencyGraph();
+            log('Activated module: ' + moduleName);
+            return resolveModule(module);
+        },
+
+        refreshModule: async function(moduleName) {
+            var module = modules.find(function(m) { return m.name === moduleName; });
+            if (!module || !module.enabled) return false;
+            if (!module.initialized) return resolveModule(module);
+            if (typeof module.module.refresh === 'function') {
+                await module.module.refresh();
+            } else if (destroyModule(module)) {
+                return resolveModule(module);
+            }
+            log('Refreshed module: ' + moduleName);
+            return true;
+        },
+       
+        // After the page content was swapped in place (core/soft-navigation.js):
+        // every initialized module re-reads the page, dependencies first
+        refreshAll: async function() {
+            var refreshed = 0;
+            var order = resolveDependencyGraph().order;
+            for (var i = 0; i < order.length; i++) {
+                var module = order[i];
+                if (!module.enabled || !module.applicable || !module.initialized) continue;
+                try {
+                    await ForumEnhancer.refreshModule(module.name);
+                    refreshed++;
+                } catch (error) {
+                    log('Failed to refresh ' + module.name + ': ' + error.message, 'error');
+                }
+            }
+            log('Refreshed ' + refreshed + ' modules');
+            return refreshed;
+        },
+       
         getModuleStatus: function() {
             var status = {};
             modules.forEach(function(m) {
+                var state = moduleStatus.get(m.name) || {};
                 status[m.name] = {
                     enabled: m.enabled,
+                    applicable: m.applicable,
                     initialized: m.initialized,
-                    dependencies: m.dependencies
+                    dependencies: m.dependencies,
+                    status: state.status,
+                    blockedBy: state.blockedBy || null,
+                    reason: state.reason || null,
+                    duration: state.duration,
+                    timestamp: state.timestamp
                 };
             });
             return status;
         },
        
+        openPreferences: openPreferencesPanel,
+        closePreferences: closePreferencesPanel,
+        getPreferences: loadPreferences,
+       
         getStats: function() {
             var initialized = modules.filter(function(m) { return m.initialized; }).length;
-            var enabled = modules.filter(function(m) { return m.enabled; }).length;
+            var enabled = modules.filter(function(m) { return m.applicable && m.enabled; }).length;
             return {
                 version: ENHANCER_CONFIG.version,
                 modules: {
@@ -356,6 +893,7 @@ function registerAllModules() {
             log('Debug mode enabled');
             if (typeof ForumEventBus !== 'undefined') {
                 ForumEventBus.enableDebug();
+                showEventInspector();
             }
         },
        
@@ -364,14 +902,17 @@ function registerAllModules() {
             if (typeof ForumEventBus !== 'undefined') {
                 ForumEventBus.disableDebug();
             }
+            hideEventInspector();
         },
        
         reinitialize: function() {
             log('Reinitializing all modules...');
+            // Tear down in reverse dependency order so nothing outlives what it uses
+            resolveDependencyGraph().order.slice().reverse().forEach(destroyModule);
             modules.forEach(function(m) {
-                m.initialized = false;
+                if (!m.initialized) m.promise = null;
             });
-            initializeAllModules();
+            return initializeAllModules();
         },
        
         getObserver: function() {
@@ -404,28 +945,20 @@ function registerAllModules() {
         await domReady();
         log('DOM ready');
        
+        if (ENHANCER_CONFIG.crossTabEvents.length > 0) {
+            ForumEventBus.enableBridge(ENHANCER_CONFIG.crossTabEvents);
+        }
+       
         if (ENHANCER_CONFIG.createWrapper) {
             createModernWrapper();
         }
        
+        applyPreferences();
         registerAllModules();
+        attachPreferencesMenuEntry();
         var initializedCount = await initializeAllModules();
         log(initializedCount + ' of ' + modules.length + ' modules initialized');
 
-        // ---- FALLBACK: ensure ForumPostsModule runs ----
-        if (typeof ForumPostsModule !== 'undefined' && ForumPostsModule.initialize) {
-            var postsMod = modules.find(function(m) { return m.name === 'posts'; });
-            if (!postsMod || !postsMod.initialized) {
-                log('Posts module not initialized – forcing start', 'warn');
-                try {
-                    await ForumPostsModule.initialize();
-                } catch (e) {
-                    log('Force‑start of posts module failed: ' + e.message, 'error');
-                }
-            }
-        }
-        // -----------------------------------------------
-
         if (typeof ForumEventBus !== 'undefined') {
             ForumEventBus.trigger('forum:enhancer:ready', {
                 version: ENHANCER_CONFIG.version,
@@ -0,0 +1,189 @@
+// core/module-manifest.js
+// Declares every enhancement module: its script (a ForumAssets name), what
+// it depends on and which pages it applies to. The boot loaders fetch only
+// the scripts the current page needs; ForumEnhancer registers modules from
+// this list.
+
+var ForumModuleManifest = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('module-manifest-start');
+    }
+    // ====================================
+
+    // ============================================================================
+    // MANIFEST
+    // ============================================================================
+    // pages: list of rules, the module applies when ANY rule matches. Inside a
+    // rule every given field must match:
+    //   bodyIds  – document.body.id values
+    //   act      – URL ?act= values (case-insensitive)
+    //   code     – URL ?CODE= values
+    //   selector – present in the document once it is parsed, or injected
+    //              later (the boot engine then loads the module on sight)
+    // Omit pages to load the module everywhere.
+    var MODULES = [
+        {
+            name: 'media-dimensions',
+            global: 'MediaDimensionsModule',
+            asset: 'media-dimensions',
+            dependencies: ['forumObserver'],
+            description: 'Reserves space for images and videos so the page does not jump while they load'
+        },
+        {
+            name: 'twemoji',
+            global: 'TwemojiModule',
+            asset: 'twemoji',
+            dependencies: ['twemojiLib', 'forumObserver'],
+            description: 'Shows emoji as Twemoji images so they look the same on every device'
+        },
+        {
+            name: 'boards',
+            global: 'ForumBoardsModule',
+            asset: 'boards',
+            dependencies: ['forumObserver', 'domUtils', 'templates', 'userService'],
+            description: 'Card layout for the board list, topic lists, latest posts and forum statistics',
+            pages: [
+                { bodyIds: ['board', 'forum'] },
+                { selector: 'ul.board.List, div.forum ol.big_list, div.side_topics, ul.stats.List' }
+            ]
+        },
+        {
+            name: 'posts',
+            global: 'ForumPostsModule',
+            asset: 'posts',
+            dependencies: ['domUtils', 'eventBus', 'templates', 'userService'],
+            description: 'Modern layout for posts, blog articles and private messages',
+            pages: [
+                { bodyIds: ['topic', 'send', 'blog', 'msg'] },
+                { bodyIds: ['search'], selector: '.topic.member_posts' }
+            ]
+        },
+        {
+            name: 'modals',
+            global: 'ModalsModule',
+            asset: 'modals',
+            dependencies: ['forumObserver', 'domUtils', 'userService'],
+            description: 'Modern dialogs for post likes and reports'
+        },
+        {
+            name: 'messenger',
+            global: 'MessengerModule',
+            asset: 'messenger',
+            dependencies: ['domUtils', 'eventBus'],
+            description: 'Rich text editor, inbox and contacts pages for private messages',
+            pages: [
+                { bodyIds: ['msg'], act: ['Msg'] }
+            ]
+        },
+        {
+            // Loaded and started early by the boot loaders (phase D)
+            name: 'slick-carousel',
+            global: 'SlickCarouselModule',
+            asset: 'slick-carousel',
+            dependencies: ['forumObserver'],
+            description: 'Featured topics carousel at the top of the forum'
+        }
+    ];
+
+    // ============================================================================
+    // PAGE CONTEXT
+    // ============================================================================
+    // The observer owns page detection; the fallback covers pages where the
+    // manifest is read before it loads (boot engine)
+    function getPageContext() {
+        if (globalThis.forumObserver && typeof globalThis.forumObserver.getPageContext === 'function') {
+            return globalThis.forumObserver.getPageContext();
+        }
+        var params = new URLSearchParams(window.location.search);
+        return {
+            bodyId: document.body ? document.body.id : '',
+            act: params.get('act') || '',
+            code: params.get('CODE') || ''
+        };
+    }
+
+    // ============================================================================
+    // MATCHING
+    // ============================================================================
+    function ruleMatches(rule, context) {
+        if (rule.bodyIds && rule.bodyIds.indexOf(context.bodyId) === -1) return false;
+        if (rule.act) {
+            var act = context.act.toLowerCase();
+            var actMatch = rule.act.some(function(value) { return value.toLowerCase() === act; });
+            if (!actMatch) return false;
+        }
+        if (rule.code && rule.code.indexOf(context.code) === -1) return false;
+        if (rule.selector && !document.querySelector(rule.selector)) return false;
+        return true;
+    }
+
+    function appliesToPage(entryOrName, context) {
+        var entry = typeof entryOrName === 'string' ? getEntry(entryOrName) : entryOrName;
+        if (!entry) return false;
+        if (!entry.pages || entry.pages.length === 0) return true;
+        var ctx = context || getPageContext();
+        return entry.pages.some(function(rule) { return ruleMatches(rule, ctx); });
+    }
+
+    // The selectors of rules that match this page but for their selector: the
+    // content to watch for when it is injected after boot. Null when none.
+    function getPendingSelector(entryOrName, context) {
+        var entry = typeof entryOrName === 'string' ? getEntry(entryOrName) : entryOrName;
+        if (!entry || !entry.pages) return null;
+        var ctx = context || getPageContext();
+        var selectors = entry.pages.filter(function(rule) {
+            return rule.selector && ruleMatches(Object.assign({}, rule, { selector: null }), ctx);
+        }).map(function(rule) {
+            return rule.selector;
+        });
+        return selectors.length ? selectors.join(', ') : null;
+    }
+
+    function getEntry(name) {
+        for (var i = 0; i < MODULES.length; i++) {
+            if (MODULES[i].name === name) return MODULES[i];
+        }
+        return null;
+    }
+
+    function getModules() {
+        return MODULES.slice();
+    }
+
+    function getModulesForPage(context) {
+        var ctx = context || getPageContext();
+        return MODULES.filter(function(entry) { return appliesToPage(entry, ctx); });
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        getModules: getModules,
+        getEntry: getEntry,
+        getModulesForPage: getModulesForPage,
+        appliesToPage: appliesToPage,
+        getPendingSelector: getPendingSelector,
+        getPageContext: getPageContext
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('module-manifest-end');
+        try {
+            performance.measure('module-manifest-load-time', 'module-manifest-start', 'module-manifest-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumModuleManifest = ForumModuleManifest;
+    window.dispatchEvent(new CustomEvent('module-manifest-ready'));
+}
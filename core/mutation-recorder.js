@@ -0,0 +1,442 @@
+// core/mutation-recorder.js
+// Records what ForumCommunity does to a page: the HTML at the moment
+// recording starts plus every later DOM change, in order and timed, as a JSON
+// fixture. The same file replays a fixture into any DOM (a browser tab or
+// jsdom), so a conversion bug that depends on injection order – [TOPBUTTON]
+// being swapped in late, the .st-emoji-pop popup appearing – can be
+// reproduced offline with forumObserver and the modules under test loaded.
+//
+// Recording: open the page with ?forum-record (or #forum-record), reproduce
+// the problem, then run ForumMutationRecorder.download() in the console. The
+// boot engine only loads this file for that flag or in debug mode.
+// Switch the enhancement modules off in the preferences panel first if the
+// fixture should hold only the forum's own changes.
+//
+// Replaying under jsdom: test/helpers/browser.js builds the window (with the
+// IntersectionObserver, ResizeObserver and requestIdleCallback stand-ins
+// forum_core_observer.js needs) and test/replay.test.js shows the pattern.
+// Saved fixtures go in test/fixtures/.
+//
+//   const { window, replay } = replayFixture(fixture, [...coreFiles, 'forum_core_observer.js', 'modules/boards.js']);
+//   await replay.play({ speed: 0 });
+//
+// prepareReplay() must run before any module touches the document: nodes are
+// matched to the recording by their position in the untouched tree.
+
+var ForumMutationRecorder = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('mutation-recorder-start');
+    }
+    // ====================================
+
+    var FIXTURE_VERSION = 1;
+    var URL_FLAG = 'forum-record';
+
+    var DEFAULTS = {
+        maxDuration: 60000,
+        maxOps: 50000,
+        // Subtrees that are never recorded
+        ignore: '#forum-diagnostics',
+        // Attributes written by our own tooling
+        ignoreAttributes: ['data-observer-origin']
+    };
+
+    var recording = null;
+    var lastFixture = null;
+
+    // ============================================================================
+    // NODE IDS
+    // ============================================================================
+    // Every node (elements, text, comments) gets a number in tree order. The
+    // recorder and the replayer number the same tree the same way, so an id in
+    // the fixture names the same node on both sides.
+    function forEachInTreeOrder(root, visit) {
+        visit(root);
+        var child = root.firstChild;
+        while (child) {
+            forEachInTreeOrder(child, visit);
+            child = child.nextSibling;
+        }
+    }
+
+    function assignIds(root, ids, firstId) {
+        var next = firstId;
+        forEachInTreeOrder(root, function(node) {
+            ids.set(node, next++);
+        });
+        return next;
+    }
+
+    function forgetIds(root, ids) {
+        forEachInTreeOrder(root, function(node) {
+            ids.delete(node);
+        });
+    }
+
+    // ============================================================================
+    // RECORDING
+    // ============================================================================
+    function cleanUrl() {
+        var url = new URL(window.location.href);
+        url.searchParams.delete(URL_FLAG);
+        if (url.hash === '#' + URL_FLAG) url.hash = '';
+        return url.toString();
+    }
+
+    function serializeDoctype() {
+        var doctype = document.doctype;
+        if (!doctype) return '';
+        return '<!DOCTYPE ' + doctype.name +
+            (doctype.publicId ? ' PUBLIC "' + doctype.publicId + '"' : '') +
+            (!doctype.publicId && doctype.systemId ? ' SYSTEM' : '') +
+            (doctype.systemId ? ' "' + doctype.systemId + '"' : '') + '>';
+    }
+
+    function serializeNode(node) {
+        if (node.nodeType === Node.ELEMENT_NODE) return { type: 1, html: node.outerHTML };
+        if (node.nodeType === Node.TEXT_NODE) return { type: 3, text: node.data };
+        if (node.nodeType === Node.COMMENT_NODE) return { type: 8, text: node.data };
+        return null;
+    }
+
+    function isIgnored(node) {
+        var element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element || !recording.options.ignore) return false;
+        try {
+            return !!element.closest(recording.options.ignore);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function hasAddedAncestor(node, added) {
+        var parent = node.parentNode;
+        while (parent) {
+            if (added.has(parent)) return true;
+            parent = parent.parentNode;
+        }
+        return false;
+    }
+
+    function documentOrder(a, b) {
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    }
+
+    // Ops describe the DOM as it is when the observer delivers the batch, not
+    // each intermediate step: removals first, then new subtrees in document
+    // order, then attribute and text values.
+    function recordBatch(records) {
+        var ids = recording.ids;
+        var ops = [];
+        var added = new Set();
+        var attributes = new Map();
+        var texts = new Set();
+
+        records.forEach(function(record) {
+            if (record.type === 'childList') {
+                record.removedNodes.forEach(function(node) {
+                    if (!ids.has(node) || node.isConnected) return;
+                    ops.push({ op: 'remove', id: ids.get(node) });
+                    forgetIds(node, ids);
+                });
+                record.addedNodes.forEach(function(node) {
+                    added.add(node);
+                });
+            } else if (record.type === 'attributes') {
+                if (recording.options.ignoreAttributes.indexOf(record.attributeName) !== -1) return;
+                if (!attributes.has(record.target)) attributes.set(record.target, new Set());
+                attributes.get(record.target).add(record.attributeName);
+            } else if (record.type === 'characterData') {
+                texts.add(record.target);
+            }
+        });
+
+        // A node moved within the batch keeps its old id until it is removed
+        added.forEach(function(node) {
+            if (ids.has(node) && node.isConnected) {
+                ops.push({ op: 'remove', id: ids.get(node) });
+                forgetIds(node, ids);
+            }
+        });
+
+        var roots = Array.from(added).filter(function(node) {
+            return node.isConnected && !hasAddedAncestor(node, added) && !isIgnored(node);
+        }).sort(documentOrder);
+
+        roots.forEach(function(node) {
+            var parentId = ids.get(node.parentNode);
+            var serialized = serializeNode(node);
+            if (parentId === undefined || !serialized) return;
+
+            var before = node.nextSibling;
+            while (before && !ids.has(before)) before = before.nextSibling;
+
+            var firstId = recording.nextId;
+            recording.nextId = assignIds(node, ids, firstId);
+            ops.push({
+                op: 'add',
+                parent: parentId,
+                before: before ? ids.get(before) : null,
+                id: firstId,
+                node: serialized
+            });
+        });
+
+        attributes.forEach(function(names, target) {
+            if (!ids.has(target) || !target.isConnected || isIgnored(target)) return;
+            names.forEach(function(name) {
+                ops.push({ op: 'attr', id: ids.get(target), name: name, value: target.getAttribute(name) });
+            });
+        });
+
+        texts.forEach(function(target) {
+            if (!ids.has(target) || !target.isConnected || isIgnored(target)) return;
+            ops.push({ op: 'text', id: ids.get(target), value: target.data });
+        });
+
+        if (!ops.length) return;
+
+        recording.batches.push({ t: Math.round((performance.now() - recording.startTime) * 10) / 10, ops: ops });
+        recording.opCount += ops.length;
+
+        if (recording.opCount >= recording.options.maxOps) {
+            console.warn('[MutationRecorder] Operation limit reached, stopping');
+            stop();
+        }
+    }
+
+    function start(options) {
+        if (recording) return false;
+        var settings = Object.assign({}, DEFAULTS, window.ForumMutationRecorderConfig || {}, options || {});
+        var ids = new WeakMap();
+
+        recording = {
+            options: settings,
+            ids: ids,
+            nextId: assignIds(document.documentElement, ids, 1),
+            startTime: performance.now(),
+            batches: [],
+            opCount: 0,
+            timer: null,
+            fixture: {
+                version: FIXTURE_VERSION,
+                url: cleanUrl(),
+                recordedAt: new Date().toISOString(),
+                startedAt: Math.round(performance.now()),
+                readyState: document.readyState,
+                doctype: serializeDoctype(),
+                html: document.documentElement.outerHTML
+            }
+        };
+
+        recording.observer = new MutationObserver(recordBatch);
+        recording.observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            characterData: true
+        });
+
+        recording.timer = setTimeout(function() {
+            console.warn('[MutationRecorder] ' + settings.maxDuration + 'ms elapsed, stopping');
+            stop();
+        }, settings.maxDuration);
+
+        console.log('[MutationRecorder] Recording started. ForumMutationRecorder.stop() or .download() to finish.');
+        return true;
+    }
+
+    function stop() {
+        if (!recording) return lastFixture;
+
+        recordBatch(recording.observer.takeRecords());
+        recording.observer.disconnect();
+        clearTimeout(recording.timer);
+
+        lastFixture = Object.assign(recording.fixture, {
+            duration: Math.round(performance.now() - recording.startTime),
+            batches: recording.batches
+        });
+        recording = null;
+
+        console.log('[MutationRecorder] Recorded ' + lastFixture.batches.length + ' batches over ' + lastFixture.duration + 'ms');
+        return lastFixture;
+    }
+
+    function download(filename) {
+        var fixture = stop();
+        if (!fixture) return null;
+        var name = filename || 'forum-fixture-' + (document.body ? document.body.id || 'page' : 'page') + '-' + Date.now() + '.json';
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' }));
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+        return name;
+    }
+
+    function isRecording() {
+        return !!recording;
+    }
+
+    // ============================================================================
+    // REPLAY
+    // ============================================================================
+    function parseNode(serialized, doc) {
+        if (serialized.type === 3) return doc.createTextNode(serialized.text);
+        if (serialized.type === 8) return doc.createComment(serialized.text);
+        // <template> parses table rows and other context-bound tags; scripts
+        // inside stay inert
+        var template = doc.createElement('template');
+        template.innerHTML = serialized.html;
+        return template.content.firstChild;
+    }
+
+    function applyOp(op, nodes, doc) {
+        var target;
+        switch (op.op) {
+            case 'remove':
+                target = nodes.get(op.id);
+                if (!target || !target.parentNode) return false;
+                target.parentNode.removeChild(target);
+                return true;
+
+            case 'add':
+                var parent = nodes.get(op.parent);
+                var node = parent ? parseNode(op.node, doc) : null;
+                if (!node) return false;
+                var before = op.before !== null ? nodes.get(op.before) : null;
+                parent.insertBefore(node, before && before.parentNode === parent ? before : null);
+                var next = op.id;
+                forEachInTreeOrder(node, function(child) {
+                    nodes.set(next++, child);
+                });
+                return true;
+
+            case 'attr':
+                target = nodes.get(op.id);
+                if (!target || !target.setAttribute) return false;
+                if (op.value === null) target.removeAttribute(op.name);
+                else target.setAttribute(op.name, op.value);
+                return true;
+
+            case 'text':
+                target = nodes.get(op.id);
+                if (!target) return false;
+                target.data = op.value;
+                return true;
+        }
+        return false;
+    }
+
+    // Numbers the document now, while it still matches fixture.html
+    function prepareReplay(fixture, options) {
+        if (!fixture || fixture.version !== FIXTURE_VERSION) {
+            throw new Error('[MutationRecorder] Unsupported fixture version: ' + (fixture && fixture.version));
+        }
+
+        var settings = Object.assign({ document: document }, options || {});
+        var doc = settings.document;
+        var nodes = new Map();
+        var next = 1;
+        forEachInTreeOrder(doc.documentElement, function(node) {
+            nodes.set(next++, node);
+        });
+
+        var position = 0;
+        var stats = { batches: fixture.batches.length, applied: 0, skipped: 0, unresolved: [] };
+
+        function step() {
+            if (position >= fixture.batches.length) return false;
+            var batch = fixture.batches[position++];
+            batch.ops.forEach(function(op) {
+                if (applyOp(op, nodes, doc)) {
+                    stats.applied++;
+                } else {
+                    stats.skipped++;
+                    if (stats.unresolved.length < 50) stats.unresolved.push({ batch: position - 1, op: op.op, id: op.id });
+                }
+            });
+            return true;
+        }
+
+        // speed: 1 keeps the recorded timing, 2 is twice as fast, 0 applies one
+        // batch per macrotask so observers still see separate flushes
+        function play(playOptions) {
+            var speed = playOptions && typeof playOptions.speed === 'number' ? playOptions.speed : 1;
+            var onBatch = playOptions && playOptions.onBatch;
+            var view = doc.defaultView || window;
+
+            return new Promise(function(resolve) {
+                var previous = 0;
+                function next() {
+                    if (position >= fixture.batches.length) {
+                        resolve(stats);
+                        return;
+                    }
+                    var batch = fixture.batches[position];
+                    var delay = speed > 0 ? Math.max(0, (batch.t - previous) / speed) : 0;
+                    previous = batch.t;
+                    view.setTimeout(function() {
+                        var index = position;
+                        step();
+                        if (onBatch) onBatch(batch, index);
+                        next();
+                    }, delay);
+                }
+                next();
+            });
+        }
+
+        return {
+            step: step,
+            play: play,
+            getStats: function() { return stats; }
+        };
+    }
+
+    // ============================================================================
+    // ACTIVATION
+    // ============================================================================
+    function isRequestedByUrl() {
+        var params = new URLSearchParams(window.location.search);
+        return params.has(URL_FLAG) || window.location.hash === '#' + URL_FLAG;
+    }
+
+    if (isRequestedByUrl() && document.documentElement) {
+        start();
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        start: start,
+        stop: stop,
+        download: download,
+        isRecording: isRecording,
+        prepareReplay: prepareReplay
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('mutation-recorder-end');
+        try {
+            performance.measure('mutation-recorder-load-time', 'mutation-recorder-start', 'mutation-recorder-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumMutationRecorder = ForumMutationRecorder;
+    window.dispatchEvent(new CustomEvent('mutation-recorder-ready'));
+}
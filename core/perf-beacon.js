@@ -0,0 +1,284 @@
+// core/perf-beacon.js
+// Real-user performance collector. Gathers every User Timing mark and
+// measure the suite records (event-bus-start, enhancer-ready,
+// observer-init-time, weserv-start, media-dimensions-start, ...), the boot
+// phase timings from window.ForumBootReport, LCP, CLS and INP, the page type
+// and the release of every module, then sends one beacon per page view when
+// the page is hidden. Off unless an endpoint is configured:
+//
+//   window.ForumPerfBeaconConfig = { endpoint: 'https://example.com/rum', sampleRate: 0.1 };
+//   // or later: ForumPerfBeacon.configure({ ... })
+//
+// The sampling decision is made once per page view. The body is JSON sent
+// as text/plain, which keeps the request CORS-simple (no preflight) for both
+// sendBeacon and the fetch fallback; the endpoint must parse it as JSON.
+
+var ForumPerfBeacon = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('perf-beacon-start');
+    }
+    // ====================================
+
+    var config = {
+        endpoint: null,
+        sampleRate: 0.1
+    };
+
+    var sampleRoll = Math.random();
+    var sent = false;
+
+    var vitals = {
+        lcp: null,
+        cls: 0,
+        inp: null,
+        fcp: null,
+        ttfb: null
+    };
+
+    // ============================================================================
+    // WEB VITALS
+    // ============================================================================
+    function observe(type, callback, options) {
+        if (typeof PerformanceObserver === 'undefined') return;
+        var supported = PerformanceObserver.supportedEntryTypes || [];
+        if (supported.indexOf(type) === -1) return;
+        try {
+            var observer = new PerformanceObserver(function(list) {
+                list.getEntries().forEach(callback);
+            });
+            observer.observe(Object.assign({ type: type, buffered: true }, options || {}));
+        } catch (e) {
+            // Entry type known but options rejected (older engines)
+        }
+    }
+
+    // LCP: the last candidate before the page is hidden
+    observe('largest-contentful-paint', function(entry) {
+        vitals.lcp = Math.round(entry.startTime);
+    });
+
+    // CLS: largest session window (shifts < 1s apart, window <= 5s)
+    var clsWindow = { value: 0, first: 0, last: 0 };
+    observe('layout-shift', function(entry) {
+        if (entry.hadRecentInput) return;
+        if (clsWindow.value > 0 &&
+            entry.startTime - clsWindow.last < 1000 &&
+            entry.startTime - clsWindow.first < 5000) {
+            clsWindow.value += entry.value;
+        } else {
+            clsWindow.value = entry.value;
+            clsWindow.first = entry.startTime;
+        }
+        clsWindow.last = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, Math.round(clsWindow.value * 10000) / 10000);
+    });
+
+    // INP: longest interaction, ignoring one outlier per 50 interactions
+    var interactions = {};
+    observe('event', function(entry) {
+        if (!entry.interactionId) return;
+        var current = interactions[entry.interactionId] || 0;
+        interactions[entry.interactionId] = Math.max(current, entry.duration);
+    }, { durationThreshold: 40 });
+    observe('first-input', function(entry) {
+        if (entry.interactionId && !interactions[entry.interactionId]) {
+            interactions[entry.interactionId] = entry.duration;
+        }
+    });
+
+    function computeINP() {
+        var durations = Object.keys(interactions).map(function(id) { return interactions[id]; });
+        if (durations.length === 0) return null;
+        durations.sort(function(a, b) { return b - a; });
+        var index = Math.min(durations.length - 1, Math.floor(durations.length / 50));
+        return Math.round(durations[index]);
+    }
+
+    observe('paint', function(entry) {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = Math.round(entry.startTime);
+    });
+
+    function readTTFB() {
+        var navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+        return navigation ? Math.round(navigation.responseStart) : null;
+    }
+
+    // ============================================================================
+    // SUITE TIMINGS
+    // ============================================================================
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function getUserTimings() {
+        var marks = {};
+        var measures = {};
+        performance.getEntriesByType('mark').forEach(function(entry) {
+            marks[entry.name] = round(entry.startTime);
+        });
+        performance.getEntriesByType('measure').forEach(function(entry) {
+            measures[entry.name] = round(entry.duration);
+        });
+        return { marks: marks, measures: measures };
+    }
+
+    function getBootTimings() {
+        var report = window.ForumBootReport;
+        if (!report) return null;
+        var phases = {};
+        report.phases.forEach(function(phase) {
+            phases[phase.name] = phase.duration;
+        });
+        return {
+            profile: report.profile || null,
+            total: report.totalTime,
+            phases: phases,
+            failedScripts: report.failedScripts.length
+        };
+    }
+
+    function getPageType() {
+        if (typeof ForumModuleManifest !== 'undefined') {
+            var context = ForumModuleManifest.getPageContext();
+            return context.bodyId + (context.act ? ':' + context.act : '') + (context.code ? ':' + context.code : '');
+        }
+        return (document.body && document.body.id) || 'unknown';
+    }
+
+    // The release tag or pinned commit of each of our own files, so a
+    // slowdown can be tied to the release that shipped it. A branch name says
+    // nothing about the code that ran, so unpinned files report null.
+    function getVersions() {
+        var versions = {
+            assets: window.ForumAssets ? window.ForumAssets.version : null,
+            enhancer: typeof ForumEnhancer !== 'undefined' ? ForumEnhancer.version : null,
+            files: {}
+        };
+        if (window.ForumAssets) {
+            window.ForumAssets.getAll().forEach(function(asset) {
+                var match = /\/gh\/hu6amini\/perve_avenue@([^/]+)\//.exec(asset.url);
+                if (match && asset.type === 'script') {
+                    var ref = match[1];
+                    versions.files[asset.name] = /^[0-9a-f]{40}$/.test(ref) ? ref.slice(0, 7) :
+                        /^v\d+\.\d+\.\d+$/.test(ref) ? ref : null;
+                }
+            });
+        }
+        return versions;
+    }
+
+    // ============================================================================
+    // COLLECT & SEND
+    // ============================================================================
+    function getMetrics() {
+        var connection = navigator.connection || {};
+        return {
+            url: window.location.pathname + window.location.search,
+            pageType: getPageType(),
+            vitals: {
+                lcp: vitals.lcp,
+                cls: vitals.cls,
+                inp: computeINP(),
+                fcp: vitals.fcp,
+                ttfb: readTTFB()
+            },
+            timings: getUserTimings(),
+            boot: getBootTimings(),
+            versions: getVersions(),
+            device: {
+                effectiveType: connection.effectiveType || null,
+                memory: navigator.deviceMemory || null,
+                viewport: window.innerWidth + 'x' + window.innerHeight
+            },
+            sampleRate: config.sampleRate,
+            collectedAt: new Date().toISOString()
+        };
+    }
+
+    function isSampled() {
+        return sampleRoll < config.sampleRate;
+    }
+
+    // force: send even when this page view was not sampled (manual use).
+    // Only a beacon that was handed off counts as sent; after any failure the
+    // next hide tries again.
+    function send(force) {
+        if (!config.endpoint || sent) return false;
+        if (!force && !isSampled()) return false;
+
+        var body = JSON.stringify(getMetrics());
+        try {
+            if (navigator.sendBeacon &&
+                navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'text/plain' }))) {
+                sent = true;
+                return true;
+            }
+        } catch (e) {
+            // Fall through to fetch
+        }
+        try {
+            sent = true;
+            fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: body,
+                keepalive: true,
+                credentials: 'omit'
+            }).catch(function() {
+                sent = false;
+            });
+            return true;
+        } catch (e) {
+            sent = false;
+            return false;
+        }
+    }
+
+    function configure(options) {
+        if (!options) return;
+        if (options.endpoint !== undefined) config.endpoint = options.endpoint || null;
+        if (typeof options.sampleRate === 'number') {
+            config.sampleRate = Math.max(0, Math.min(1, options.sampleRate));
+        }
+    }
+
+    configure(window.ForumPerfBeaconConfig);
+
+    // LCP, CLS and INP are only final once the page is hidden
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') send(false);
+    });
+    window.addEventListener('pagehide', function() {
+        send(false);
+    });
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        getMetrics: getMetrics,
+        send: send,
+        isSampled: isSampled,
+        configure: configure
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('perf-beacon-end');
+        try {
+            performance.measure('perf-beacon-load-time', 'perf-beacon-start', 'perf-beacon-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumPerfBeacon = ForumPerfBeacon;
+    window.dispatchEvent(new CustomEvent('perf-beacon-ready'));
+}
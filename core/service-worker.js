@@ -0,0 +1,188 @@
+// core/service-worker.js
+// Optional service worker for instant repeat loads of the skin.
+//
+// Browsers only accept a service worker served from the forum's own origin,
+// so this file cannot run from jsDelivr: copy it to the forum host and point
+// the boot loader at it before core/boot-loader.js runs:
+//
+//   window.ForumServiceWorkerConfig = { url: '/sw.js', scope: '/' };
+//
+// Set { enabled: false } instead to unregister it again.
+//
+// Caching:
+//   - Versioned skin assets (jsDelivr release tags and pinned commits,
+//     npm/cdnjs versions, Cloudinary /v123/ uploads) never change, so they
+//     are served cache-first from forum-skin-<version>. The page posts the
+//     URLs to precache along with ForumAssets.version; a new version drops
+//     the old cache.
+//   - Unpinned skin assets ('@main') and images.weserv.nl / wsrv.nl images
+//     are stale-while-revalidate; images live in a separate bounded cache.
+//   - Everything else, including the forum's HTML, goes to the network.
+//
+// Only readable (CORS) responses are stored. An opaque no-cors response is
+// counted against the origin's quota at a padded size of several MB, so a
+// few hundred images would fill it. Every cached origin answers with
+// Access-Control-Allow-Origin: *, so no-cors <img>/<script> requests are
+// fetched in CORS mode instead; a CORS response is a valid answer to them.
+
+'use strict';
+
+var SKIN_CACHE_PREFIX = 'forum-skin-';
+var RUNTIME_CACHE = 'forum-runtime';
+var IMAGE_CACHE = 'forum-images';
+var MAX_IMAGE_ENTRIES = 300;
+var MAX_RUNTIME_ENTRIES = 60;
+
+var VERSIONED_PATTERNS = [
+    /^https:\/\/(cdn|fastly|gcore)\.jsdelivr\.net\/gh\/[^/]+\/[^/@]+@([0-9a-f]{7,40}|v\d+\.\d+\.\d+)\//,
+    /^https:\/\/(cdn|fastly|gcore)\.jsdelivr\.net\/npm\/(@[^/]+\/)?[^/@]+@\d+\.\d+\.\d+\//,
+    /^https:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/[^/]+\/\d+[^/]*\//,
+    /^https:\/\/res\.cloudinary\.com\/[^/]+\/raw\/upload\/v\d+\//
+];
+var SKIN_PATTERN = /^https:\/\/(cdn|fastly|gcore)\.jsdelivr\.net\/gh\/hu6amini\/perve_avenue@/;
+var IMAGE_PATTERN = /^https:\/\/(images\.weserv\.nl|wsrv\.nl)\//;
+
+var currentSkinCache = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+function isVersioned(url) {
+    return VERSIONED_PATTERNS.some(function(pattern) { return pattern.test(url); });
+}
+
+function findSkinCache() {
+    if (currentSkinCache) return Promise.resolve(currentSkinCache);
+    return caches.keys().then(function(keys) {
+        var skinKeys = keys.filter(function(key) { return key.indexOf(SKIN_CACHE_PREFIX) === 0; });
+        currentSkinCache = skinKeys.length > 0 ? skinKeys[skinKeys.length - 1] : SKIN_CACHE_PREFIX + 'default';
+        return currentSkinCache;
+    });
+}
+
+function isCacheable(response) {
+    return !!response && response.ok && response.type !== 'opaque';
+}
+
+// If the CORS request fails (origin without CORS headers, network error)
+// the page still gets the original no-cors response, uncached
+function fetchReadable(request) {
+    if (request.mode !== 'no-cors') return fetch(request);
+    return fetch(request.url, { mode: 'cors', credentials: 'omit' }).catch(function() {
+        return fetch(request);
+    });
+}
+
+function trimCache(cacheName, maxEntries) {
+    return caches.open(cacheName).then(function(cache) {
+        return cache.keys().then(function(keys) {
+            var excess = keys.length - maxEntries;
+            if (excess <= 0) return;
+            return Promise.all(keys.slice(0, excess).map(function(key) { return cache.delete(key); }));
+        });
+    });
+}
+
+// ============================================================================
+// STRATEGIES
+// ============================================================================
+function cacheFirst(request) {
+    return findSkinCache().then(function(cacheName) {
+        return caches.open(cacheName).then(function(cache) {
+            return cache.match(request).then(function(cached) {
+                if (cached) return cached;
+                return fetchReadable(request).then(function(response) {
+                    if (isCacheable(response)) cache.put(request, response.clone());
+                    return response;
+                });
+            });
+        });
+    });
+}
+
+function staleWhileRevalidate(event, cacheName, maxEntries) {
+    var request = event.request;
+    return caches.open(cacheName).then(function(cache) {
+        return cache.match(request).then(function(cached) {
+            var network = fetchReadable(request).then(function(response) {
+                if (isCacheable(response)) {
+                    return cache.put(request, response.clone()).then(function() {
+                        return trimCache(cacheName, maxEntries);
+                    }).then(function() {
+                        return response;
+                    });
+                }
+                return response;
+            });
+
+            if (cached) {
+                // Answer now, refresh in the background
+                event.waitUntil(network.catch(function() {}));
+                return cached;
+            }
+            return network;
+        });
+    });
+}
+
+// ============================================================================
+// PRECACHE
+// ============================================================================
+function precache(version, urls) {
+    var cacheName = SKIN_CACHE_PREFIX + version;
+    currentSkinCache = cacheName;
+
+    return caches.keys().then(function(keys) {
+        // Drop skin caches of earlier versions
+        return Promise.all(keys.filter(function(key) {
+            return key.indexOf(SKIN_CACHE_PREFIX) === 0 && key !== cacheName;
+        }).map(function(key) {
+            return caches.delete(key);
+        }));
+    }).then(function() {
+        return caches.open(cacheName);
+    }).then(function(cache) {
+        return Promise.all(urls.filter(isVersioned).map(function(url) {
+            return cache.match(url).then(function(cached) {
+                if (cached) return;
+                return fetch(url, { mode: 'cors', credentials: 'omit' }).then(function(response) {
+                    if (response.ok) return cache.put(url, response);
+                }).catch(function() {
+                    // Offline or blocked – it will be cached on first use instead
+                });
+            });
+        }));
+    });
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+self.addEventListener('install', function() {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', function(event) {
+    var data = event.data || {};
+    if (data.type === 'forum:precache' && data.version && Array.isArray(data.urls)) {
+        event.waitUntil(precache(String(data.version), data.urls));
+    }
+});
+
+self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    if (request.method !== 'GET') return;
+
+    var url = request.url;
+    if (IMAGE_PATTERN.test(url)) {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    } else if (isVersioned(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (SKIN_PATTERN.test(url)) {
+        event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE, MAX_RUNTIME_ENTRIES));
+    }
+});
@@ -0,0 +1,353 @@
+// core/soft-navigation.js
+// Optional in-place navigation between forum pages of the same kind (topic
+// to topic by default): the next page is fetched, its content swapped into
+// the current document and the history updated, then forumObserver rescans
+// and every module refreshes. The boot sequence does not run again. Off
+// unless enabled before the boot engine runs, which only then loads this file:
+//
+//   window.ForumSoftNavConfig = { enabled: true };
+//   // tuning later: ForumSoftNav.configure({ ... })
+//
+// Links are judged by their URL (config.pageUrls) before anything is
+// fetched, and ?act= links (posting, editing, logging out …) never navigate
+// in place. Anything else – another page type, a failed request, a modified
+// click – falls back to a normal page load.
+
+var ForumSoftNav = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('soft-navigation-start');
+    }
+    // ====================================
+
+    var config = {
+        enabled: false,
+        // body ids that navigate in place; the target must have the same id
+        pageTypes: ['topic'],
+        // How a link to each of those page types looks (tested against path +
+        // query), so only links that land on the same kind of page are fetched
+        pageUrls: {
+            topic: /^\/(?:\?(?:[^#]*&)?t=\d+|t\/\d+)/
+        },
+        // Element whose content is swapped. Without it every child of <body>
+        // is replaced except the ones matching `persist`
+        contentSelector: null,
+        persist: '#modern-forum-wrapper, #forum-diagnostics, #forum-event-inspector, .modern-modal-overlay, script[src]',
+        // Links that always load normally
+        exclude: '[data-no-soft-nav], [target], [download], .ve-content a, .st-editor a',
+        // Inline scripts of the next page that are never run
+        skipScripts: '[data-no-soft-nav]',
+        timeout: 8000
+    };
+
+    var controller = null;
+    var navigationId = 0;
+    var navigating = false;
+    var stats = { navigations: 0, fallbacks: 0, lastDuration: null, lastError: null };
+
+    function log() {
+        var args = ['[SoftNav]'];
+        for (var i = 0; i < arguments.length; i++) args.push(arguments[i]);
+        console.debug.apply(console, args);
+    }
+
+    function trigger(name, detail) {
+        if (typeof ForumEventBus !== 'undefined') {
+            ForumEventBus.trigger(name, detail);
+        }
+    }
+
+    function currentBodyId() {
+        if (globalThis.forumObserver && typeof globalThis.forumObserver.getPageContext === 'function') {
+            return globalThis.forumObserver.getPageContext().bodyId;
+        }
+        return document.body ? document.body.id : '';
+    }
+
+    // ============================================================================
+    // LINK FILTER
+    // ============================================================================
+    function isSoftLink(link, event) {
+        if (!config.enabled || !link || !link.href) return false;
+        if (event.defaultPrevented || event.button !== 0) return false;
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+        if (config.pageTypes.indexOf(currentBodyId()) === -1) return false;
+
+        try {
+            if (link.matches(config.exclude)) return false;
+        } catch (e) {
+            // Invalid exclude selector: filter on the URL only
+        }
+
+        var url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return false;
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+        // Same document, only the fragment differs: let the browser scroll
+        if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) return false;
+        // Actions (posting, editing, voting, logging out …) always load normally
+        if (/[?&]act=/i.test(url.search)) return false;
+        var pattern = config.pageUrls[currentBodyId()];
+        return !!pattern && pattern.test(url.pathname + url.search);
+    }
+
+    // ============================================================================
+    // CONTENT SWAP
+    // ============================================================================
+    function isPersisted(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+        try {
+            return node.matches(config.persist);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function loadedScripts() {
+        return new Set(Array.prototype.map.call(document.scripts, function(script) {
+            return script.src;
+        }).filter(Boolean));
+    }
+
+    // Inline scripts that already ran in this document. The ones every page
+    // carries (analytics, ads, the forum's global setup) are not run twice
+    var executedInline = new Set();
+
+    function rememberInlineScripts() {
+        Array.prototype.forEach.call(document.querySelectorAll('script:not([src])'), function(script) {
+            executedInline.add(script.textContent.trim());
+        });
+    }
+
+    function isSkippedInline(script) {
+        if (executedInline.has(script.textContent.trim())) return true;
+        try {
+            return script.matches(config.skipScripts);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Scripts parsed by DOMParser never run; inline ones of the next page are
+    // recreated so its own setup still happens, external ones only if not
+    // loaded yet
+    function activateScripts(roots, loaded) {
+        var scripts = [];
+        roots.forEach(function(root) {
+            if (root.nodeName === 'SCRIPT') scripts.push(root);
+            else if (root.querySelectorAll) scripts.push.apply(scripts, root.querySelectorAll('script'));
+        });
+        scripts.forEach(function(old) {
+            if (old.src ? loaded.has(old.src) : isSkippedInline(old)) {
+                old.remove();
+                return;
+            }
+            var script = document.createElement('script');
+            for (var i = 0; i < old.attributes.length; i++) {
+                script.setAttribute(old.attributes[i].name, old.attributes[i].value);
+            }
+            script.textContent = old.textContent;
+            old.replaceWith(script);
+        });
+    }
+
+    function swapContent(nextDocument) {
+        var loaded = loadedScripts();
+        rememberInlineScripts();
+        document.title = nextDocument.title;
+
+        if (config.contentSelector) {
+            var current = document.querySelector(config.contentSelector);
+            var next = nextDocument.querySelector(config.contentSelector);
+            if (!current || !next) return false;
+            current.innerHTML = next.innerHTML;
+            activateScripts([current], loaded);
+            return true;
+        }
+
+        var body = document.body;
+        Array.prototype.slice.call(body.childNodes).forEach(function(node) {
+            if (!isPersisted(node)) node.remove();
+        });
+
+        var inserted = [];
+        var fragment = document.createDocumentFragment();
+        Array.prototype.slice.call(nextDocument.body.childNodes).forEach(function(node) {
+            // Our own persisted nodes are already here; the forum's scripts are not
+            if (isPersisted(node) && node.nodeName !== 'SCRIPT') return;
+            inserted.push(fragment.appendChild(document.importNode(node, true)));
+        });
+        body.appendChild(fragment);
+        activateScripts(inserted, loaded);
+        return true;
+    }
+
+    function restoreScroll(url) {
+        var hash = new URL(url, window.location.href).hash;
+        var target = hash ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+        if (target) target.scrollIntoView();
+        else window.scrollTo(0, 0);
+    }
+
+    // ============================================================================
+    // NAVIGATION
+    // ============================================================================
+    function fallback(url, reason) {
+        stats.fallbacks++;
+        log('Full load (' + reason + '):', url);
+        window.location.assign(url);
+    }
+
+    // A newer navigation aborts this one: the error is marked `superseded`
+    async function fetchPage(url) {
+        if (controller) controller.abort();
+        var request = new AbortController();
+        var timedOut = false;
+        controller = request;
+        var timer = setTimeout(function() {
+            timedOut = true;
+            request.abort();
+        }, config.timeout);
+        try {
+            var response = await fetch(url, {
+                credentials: 'same-origin',
+                signal: request.signal,
+                headers: { 'X-Requested-With': 'ForumSoftNav' }
+            });
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            if ((response.headers.get('Content-Type') || '').indexOf('text/html') === -1) {
+                throw new Error('Not an HTML page');
+            }
+            return {
+                url: response.url || url,
+                document: new DOMParser().parseFromString(await response.text(), 'text/html')
+            };
+        } catch (error) {
+            if (error.name === 'AbortError' && !timedOut) error.superseded = true;
+            else if (timedOut) error.message = 'Timed out after ' + config.timeout + 'ms';
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (controller === request) controller = null;
+        }
+    }
+
+    // options.history: 'push' (link click), 'none' (back/forward)
+    async function navigate(url, options) {
+        var historyMode = (options && options.history) || 'push';
+        var start = performance.now();
+        var bodyId = currentBodyId();
+        var id = ++navigationId;
+        navigating = true;
+        document.documentElement.setAttribute('aria-busy', 'true');
+        trigger('forum:navigation:start', { url: url });
+
+        try {
+            var page = await fetchPage(url);
+            if (id !== navigationId) return false;
+            if (page.document.body.id !== bodyId) {
+                fallback(url, 'page type ' + (page.document.body.id || 'unknown'));
+                return false;
+            }
+
+            if (historyMode === 'push') {
+                history.pushState({ forumSoftNav: true }, '', page.url);
+            }
+            if (!swapContent(page.document)) {
+                fallback(page.url, 'content container missing');
+                return false;
+            }
+            restoreScroll(page.url);
+
+            if (globalThis.forumObserver && typeof globalThis.forumObserver.refreshPage === 'function') {
+                globalThis.forumObserver.refreshPage();
+            }
+            if (typeof ForumEnhancer !== 'undefined' && typeof ForumEnhancer.refreshAll === 'function') {
+                await ForumEnhancer.refreshAll();
+            }
+
+            stats.navigations++;
+            stats.lastDuration = Math.round(performance.now() - start);
+            if (performance.measure) {
+                try {
+                    performance.measure('soft-navigation', { start: start, end: performance.now() });
+                } catch (e) {
+                    // Older engines without measure options
+                }
+            }
+            trigger('forum:navigation:complete', { url: page.url, duration: stats.lastDuration });
+            log('Navigated in ' + stats.lastDuration + 'ms:', page.url);
+            return true;
+        } catch (error) {
+            if (error.superseded) return false;
+            stats.lastError = error.message;
+            fallback(url, error.message);
+            return false;
+        } finally {
+            if (id === navigationId) {
+                navigating = false;
+                document.documentElement.removeAttribute('aria-busy');
+            }
+        }
+    }
+
+    // ============================================================================
+    // LISTENERS
+    // ============================================================================
+    document.addEventListener('click', function(event) {
+        var link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+        if (!isSoftLink(link, event)) return;
+        event.preventDefault();
+        navigate(link.href, { history: 'push' });
+    });
+
+    window.addEventListener('popstate', function(event) {
+        if (!config.enabled || !event.state || !event.state.forumSoftNav) return;
+        navigate(window.location.href, { history: 'none' });
+    });
+
+    function markEntry() {
+        if (config.enabled && !(history.state && history.state.forumSoftNav)) {
+            history.replaceState(Object.assign({}, history.state, { forumSoftNav: true }), '');
+        }
+    }
+
+    function configure(options) {
+        if (!options) return;
+        Object.keys(options).forEach(function(key) {
+            if (Object.prototype.hasOwnProperty.call(config, key)) config[key] = options[key];
+        });
+        // Back to the first page must be handled in place too
+        markEntry();
+    }
+
+    configure(window.ForumSoftNavConfig);
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        navigate: navigate,
+        configure: configure,
+        isNavigating: function() { return navigating; },
+        getStats: function() { return Object.assign({}, stats); }
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('soft-navigation-end');
+        try {
+            performance.measure('soft-navigation-load-time', 'soft-navigation-start', 'soft-navigation-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumSoftNav = ForumSoftNav;
+    window.dispatchEvent(new CustomEvent('soft-navigation-ready'));
+}
@@ -0,0 +1,303 @@
+// core/templates.js
+// Handlebars template registry for the markup the modules generate (board,
+// topic and post cards, forum statistics). Modules define their templates by
+// name; every render goes through here, so {{value}} is HTML-escaped unless a
+// template deliberately uses {{{raw}}} for markup that is already HTML.
+//
+// Shared partials: avatar, statPill, relativeTime, groupBadge.
+// Shared helpers:  formatNumber, isoDate, multiply.
+//
+// Forum admins restyle a card by overriding its template (or a partial)
+// without touching the JS, either in the page:
+//
+//   <script type="text/x-handlebars-template" data-forum-template="boards.forum-card">
+//     <article class="my-card">{{forumName}}</article>
+//   </script>
+//
+// or from the skin's scripts:
+//
+//   window.ForumTemplatesConfig = { overrides: { 'boards.forum-card': '...' } };
+//   // or later: ForumTemplates.override('avatar', '...')
+//
+// ForumTemplates.list() shows every name with its default source. An override
+// that does not compile, or fails while rendering, is reported and the
+// default is used instead.
+//
+// Templates run in their own Handlebars environment, so the forum's own
+// helpers and partials never collide with ours. Defaults are compiled once on
+// first use.
+//
+// 'forum:templates:ready' fires once Handlebars is available: the boot
+// engine loads it in Phase C, before the enhancement modules. Without the
+// boot engine, core/boot-loader.js swaps the forum's hb.js for it at idle.
+
+var ForumTemplates = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('templates-start');
+    }
+    // ====================================
+
+    var OVERRIDE_SELECTOR = 'script[type="text/x-handlebars-template"][data-forum-template]';
+
+    var env = null;
+    var templates = {};   // name -> default source
+    var partials = {};    // name -> default source
+    var overrides = {};   // name -> admin source
+    var pending = {};     // overrides given before Handlebars was there
+    var compiled = {};    // name -> template function
+    var pageOverridesRead = false;
+    var stats = { renders: 0, compiles: 0, overrideErrors: 0 };
+
+    function reportError(message, error, name) {
+        console.error('[ForumTemplates] ' + message, error);
+        if (typeof ForumErrorSink !== 'undefined') {
+            ForumErrorSink.capture(error, { module: 'templates', context: message, template: name });
+        }
+    }
+
+    // ============================================================================
+    // SHARED HELPERS & PARTIALS
+    // ============================================================================
+    var HELPERS = {
+        formatNumber: function(num) {
+            return (num || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        },
+        isoDate: function(date) {
+            var valid = Object.prototype.toString.call(date) === '[object Date]' && !isNaN(date.getTime());
+            return valid ? date.toISOString() : '';
+        },
+        multiply: function(a, b) {
+            return a * b;
+        }
+    };
+
+    // avatar: { url, alt, size, className } for a picture, or
+    //         { initial, color, initialClassName, sized } for the letter
+    //         fallback; `sized` puts the size into the inline style
+    // statPill: icon (Font Awesome name without fa-), value, label
+    // relativeTime: date (Date), text, title
+    // groupBadge: role (css modifier), name
+    var SHARED_PARTIALS = {
+        avatar:
+            '{{#if url}}' +
+                '<img class="{{className}}" src="{{url}}" alt="{{alt}}" width="{{size}}" height="{{size}}" loading="lazy">' +
+            '{{else}}' +
+                '<span class="{{initialClassName}}" style="' +
+                    '{{#if color}}background-color:#{{color}};{{/if}}' +
+                    '{{#if sized}}width:{{size}}px;height:{{size}}px;font-size:{{multiply size 0.618}}px;line-height:{{size}}px;{{/if}}' +
+                '" data-initial="{{initial}}">{{initial}}</span>' +
+            '{{/if}}',
+        statPill:
+            '<span><i class="fa-regular fa-{{icon}}"></i> {{formatNumber value}} {{label}}</span>',
+        relativeTime:
+            '<time{{#if date}} datetime="{{isoDate date}}"{{/if}}{{#if title}} title="{{title}}"{{/if}}>{{text}}</time>',
+        groupBadge:
+            '<span class="role-badge {{role}}">{{name}}</span>'
+    };
+
+    // ============================================================================
+    // ENVIRONMENT
+    // ============================================================================
+    function isReady() {
+        return typeof Handlebars !== 'undefined' && typeof Handlebars.create === 'function';
+    }
+
+    function getEnvironment() {
+        if (env) return env;
+        if (!isReady()) throw new Error('Handlebars is not loaded');
+        env = Handlebars.create();
+        Object.keys(HELPERS).forEach(function(name) {
+            env.registerHelper(name, HELPERS[name]);
+        });
+        Object.keys(pending).forEach(function(name) {
+            override(name, pending[name]);
+        });
+        pending = {};
+        readPageOverrides();
+        Object.keys(partials).forEach(syncPartial);
+        return env;
+    }
+
+    // Partials are registered as source; Handlebars compiles them on first use
+    function syncPartial(name) {
+        if (!env) return;
+        env.registerPartial(name, overrides.hasOwnProperty(name) ? overrides[name] : partials[name]);
+    }
+
+    // Syntax errors surface here instead of in the middle of a render
+    function validate(name, source) {
+        try {
+            getEnvironment().parse(source);
+            return true;
+        } catch (error) {
+            stats.overrideErrors++;
+            reportError('Override for "' + name + '" does not compile, keeping the default', error, name);
+            return false;
+        }
+    }
+
+    function readPageOverrides() {
+        if (pageOverridesRead || typeof document === 'undefined') return;
+        pageOverridesRead = true;
+        Array.prototype.forEach.call(document.querySelectorAll(OVERRIDE_SELECTOR), function(script) {
+            override(script.getAttribute('data-forum-template'), script.textContent);
+        });
+    }
+
+    // ============================================================================
+    // DEFINITIONS
+    // ============================================================================
+    // define(name, source) or define({ name: source, ... }). Defining a name
+    // again replaces its default (modules define on every initialize).
+    function define(name, source) {
+        if (name && typeof name === 'object') {
+            Object.keys(name).forEach(function(key) { define(key, name[key]); });
+            return;
+        }
+        if (templates[name] !== source) {
+            templates[name] = source;
+            delete compiled[name];
+        }
+    }
+
+    function definePartial(name, source) {
+        if (name && typeof name === 'object') {
+            Object.keys(name).forEach(function(key) { definePartial(key, name[key]); });
+            return;
+        }
+        partials[name] = source;
+        syncPartial(name);
+    }
+
+    // Admin override for a template or partial; null/undefined restores the default
+    function override(name, source) {
+        if (!name) return false;
+        if (!env && !isReady()) {
+            pending[name] = source;
+            return true;
+        }
+        if (source === null || source === undefined) {
+            delete overrides[name];
+        } else {
+            if (typeof source !== 'string' || !validate(name, source)) return false;
+            overrides[name] = source;
+        }
+        delete compiled[name];
+        if (partials.hasOwnProperty(name)) syncPartial(name);
+        if (typeof ForumEventBus !== 'undefined') {
+            ForumEventBus.trigger('forum:templates:override', { name: name, active: overrides.hasOwnProperty(name) });
+        }
+        return true;
+    }
+
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+    function compileDefault(name) {
+        var source = templates[name];
+        stats.compiles++;
+        return getEnvironment().compile(source);
+    }
+
+    function getTemplate(name) {
+        if (compiled[name]) return compiled[name];
+        // First call creates the environment and applies pending overrides
+        var environment = getEnvironment();
+        if (!templates.hasOwnProperty(name) && !overrides.hasOwnProperty(name)) {
+            throw new Error('Unknown template "' + name + '"');
+        }
+        if (overrides.hasOwnProperty(name)) {
+            stats.compiles++;
+            compiled[name] = environment.compile(overrides[name]);
+        } else {
+            compiled[name] = compileDefault(name);
+        }
+        return compiled[name];
+    }
+
+    function render(name, context) {
+        var template = getTemplate(name);
+        stats.renders++;
+        try {
+            return template(context || {});
+        } catch (error) {
+            if (!overrides.hasOwnProperty(name) || !templates.hasOwnProperty(name)) throw error;
+            // A broken override must not take the card down with it
+            stats.overrideErrors++;
+            reportError('Override for "' + name + '" failed, using the default', error, name);
+            delete overrides[name];
+            compiled[name] = compileDefault(name);
+            return compiled[name](context || {});
+        }
+    }
+
+    function list() {
+        var names = {};
+        Object.keys(templates).forEach(function(name) {
+            names[name] = { kind: 'template', overridden: overrides.hasOwnProperty(name), source: templates[name] };
+        });
+        Object.keys(partials).forEach(function(name) {
+            names[name] = { kind: 'partial', overridden: overrides.hasOwnProperty(name), source: partials[name] };
+        });
+        return names;
+    }
+
+    definePartial(SHARED_PARTIALS);
+
+    // Applied (and validated) when the environment is created on first render
+    pending = Object.assign({}, (window.ForumTemplatesConfig || {}).overrides);
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        define: define,
+        definePartial: definePartial,
+        override: override,
+        render: render,
+        has: function(name) { return templates.hasOwnProperty(name) || partials.hasOwnProperty(name); },
+        list: list,
+        isReady: isReady,
+        helpers: HELPERS,
+        getStats: function() {
+            return Object.assign({}, stats, {
+                templates: Object.keys(templates).length,
+                partials: Object.keys(partials).length,
+                overrides: Object.keys(overrides)
+            });
+        }
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('templates-end');
+        try {
+            performance.measure('templates-load-time', 'templates-start', 'templates-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumTemplates = ForumTemplates;
+    window.dispatchEvent(new CustomEvent('templates-ready'));
+
+    // Handlebars is either here already or brought by a script released
+    // later (the boot loader inserts it at idle, after the load event).
+    // Script load events do not bubble, so listen in the capture phase.
+    var announceTemplates = function() {
+        if (!ForumTemplates.isReady()) return;
+        document.removeEventListener('load', announceTemplates, true);
+        if (typeof ForumEventBus !== 'undefined') {
+            ForumEventBus.trigger('forum:templates:ready');
+        }
+    };
+    if (ForumTemplates.isReady()) announceTemplates();
+    else document.addEventListener('load', announceTemplates, true);
+}
@@ -0,0 +1,389 @@
+// core/user-service.js
+// Member profiles from /api.php?mid= for every module. Ids asked for in the
+// same tick are sent as one comma-separated request (up to batchSize per
+// request), an id already on its way is not requested again, and answers are
+// kept in memory and in IndexedDB:
+//
+//   - younger than `ttl`       returned as they are
+//   - younger than `maxStale`  returned at once and refreshed in the
+//                              background (stale-while-revalidate)
+//   - older                    fetched before returning
+//
+//   ForumUserService.get('12').then(function(user) { ... });      // user or null
+//   ForumUserService.getMany(['12', '40'], { timeout: 3000 });     // Map mid -> user
+//   ForumUserService.peek('12');                                   // sync, memory only
+//
+// Refreshed profiles are announced with 'forum:users:updated' ({ mids }).
+// Tuning:
+//
+//   window.ForumUserServiceConfig = { ttl: 5 * 60 * 1000 };
+//   // or later: ForumUserService.configure({ ... })
+
+var ForumUserService = (function() {
+    'use strict';
+
+    // ===== USER TIMING: mark start =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('user-service-start');
+    }
+    // ====================================
+
+    var DB_NAME = 'forum-user-service';
+    var DB_VERSION = 1;
+    var STORE = 'users';
+
+    var config = {
+        ttl: 10 * 60 * 1000,
+        maxStale: 7 * 24 * 60 * 60 * 1000,
+        // Ids per request; longer lists are split
+        batchSize: 50,
+        // How long ids are collected before a request goes out
+        batchDelay: 10,
+        timeout: 8000,
+        persist: true
+    };
+
+    var memory = new Map();     // mid -> { mid, user, fetchedAt }; user null = no such member
+    var inFlight = new Map();   // mid -> Promise of the user
+    var queue = new Map();      // mid -> resolve, waiting for the next batch
+    var flushTimer = null;
+    var dbPromise = null;
+    var stats = {
+        requests: 0, batched: 0, deduped: 0, memoryHits: 0, storeHits: 0,
+        staleHits: 0, revalidations: 0, timeouts: 0, errors: 0
+    };
+
+    function reportError(message, error) {
+        stats.errors++;
+        console.warn('[ForumUserService] ' + message, error);
+        if (typeof ForumErrorSink !== 'undefined') {
+            ForumErrorSink.capture(error, { module: 'user-service', context: message });
+        }
+    }
+
+    function normalizeMid(mid) {
+        var id = String(mid === null || mid === undefined ? '' : mid).replace(/^m/, '');
+        return /^\d+$/.test(id) ? id : null;
+    }
+
+    function isFresh(entry) {
+        return Date.now() - entry.fetchedAt < config.ttl;
+    }
+
+    // Unknown members are only remembered while fresh
+    function isUsable(entry) {
+        var age = Date.now() - entry.fetchedAt;
+        return entry.user ? age < config.maxStale : age < config.ttl;
+    }
+
+    // ============================================================================
+    // PERSISTENT CACHE (IndexedDB)
+    // ============================================================================
+    // Every failure here (private mode, quota, blocked upgrade) degrades to
+    // the memory cache instead of failing a lookup.
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise(function(resolve) {
+            if (!config.persist || typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            var request;
+            try {
+                request = indexedDB.open(DB_NAME, DB_VERSION);
+            } catch (e) {
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(STORE, { keyPath: 'mid' });
+            };
+            request.onsuccess = function() {
+                var db = request.result;
+                db.onversionchange = function() { db.close(); };
+                resolve(db);
+                pruneStore(db);
+            };
+            request.onerror = function() {
+                resolve(null);
+            };
+            request.onblocked = function() {
+                resolve(null);
+            };
+        });
+        return dbPromise;
+    }
+
+    function readStored(mids) {
+        return openDatabase().then(function(db) {
+            var found = new Map();
+            if (!db) return found;
+            return new Promise(function(resolve) {
+                try {
+                    var store = db.transaction(STORE, 'readonly').objectStore(STORE);
+                    mids.forEach(function(mid) {
+                        store.get(mid).onsuccess = function(event) {
+                            if (event.target.result) found.set(mid, event.target.result);
+                        };
+                    });
+                    store.transaction.oncomplete = function() { resolve(found); };
+                    store.transaction.onerror = function() { resolve(found); };
+                    store.transaction.onabort = function() { resolve(found); };
+                } catch (e) {
+                    resolve(found);
+                }
+            });
+        });
+    }
+
+    function writeStored(entries) {
+        if (!entries.length) return;
+        openDatabase().then(function(db) {
+            if (!db) return;
+            try {
+                var store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+                entries.forEach(function(entry) { store.put(entry); });
+            } catch (e) {
+                // Quota or closed connection: memory still has them
+            }
+        });
+    }
+
+    function deleteStored(mid) {
+        openDatabase().then(function(db) {
+            if (!db) return;
+            try {
+                var store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+                if (mid) store.delete(mid);
+                else store.clear();
+            } catch (e) {
+                // Nothing to clean up
+            }
+        });
+    }
+
+    // Profiles nobody asked for since maxStale
+    function pruneStore(db) {
+        try {
+            var cutoff = Date.now() - config.maxStale;
+            db.transaction(STORE, 'readwrite').objectStore(STORE).openCursor().onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.value.fetchedAt < cutoff) cursor.delete();
+                cursor.continue();
+            };
+        } catch (e) {
+            // Pruning is best effort
+        }
+    }
+
+    // ============================================================================
+    // NETWORK (batched /api.php requests)
+    // ============================================================================
+    function remember(mid, user) {
+        var entry = { mid: mid, user: user, fetchedAt: Date.now() };
+        memory.set(mid, entry);
+        return entry;
+    }
+
+    function request(mid) {
+        if (inFlight.has(mid)) {
+            stats.deduped++;
+            return inFlight.get(mid);
+        }
+        var promise = new Promise(function(resolve) {
+            queue.set(mid, resolve);
+        });
+        inFlight.set(mid, promise);
+        promise.then(function() {
+            inFlight.delete(mid);
+        });
+        if (!flushTimer) flushTimer = setTimeout(flush, config.batchDelay);
+        return promise;
+    }
+
+    function flush() {
+        flushTimer = null;
+        var waiting = queue;
+        queue = new Map();
+        var mids = Array.from(waiting.keys());
+        for (var i = 0; i < mids.length; i += config.batchSize) {
+            fetchBatch(mids.slice(i, i + config.batchSize), waiting);
+        }
+    }
+
+    async function fetchBatch(mids, waiting) {
+        var controller = new AbortController();
+        var timer = setTimeout(function() { controller.abort(); }, config.timeout);
+        var received = [];
+        stats.requests++;
+        stats.batched += mids.length;
+        try {
+            var response = await fetch('/api.php?mid=' + mids.join(','), {
+                credentials: 'same-origin',
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            var data = await response.json();
+            mids.forEach(function(mid) {
+                // A single id may come back as `info` instead of `m<id>`
+                var user = data['m' + mid] || (mids.length === 1 ? data.info : null);
+                var entry = remember(mid, user && user.id ? user : null);
+                if (entry.user) received.push(entry);
+                waiting.get(mid)(entry.user);
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') stats.timeouts++;
+            reportError('Request for ' + mids.length + ' member(s) failed', error);
+            // Keep serving what we had, however old
+            mids.forEach(function(mid) {
+                var entry = memory.get(mid);
+                waiting.get(mid)(entry ? entry.user : null);
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+        if (received.length) {
+            writeStored(received);
+            if (typeof ForumEventBus !== 'undefined') {
+                ForumEventBus.trigger('forum:users:updated', {
+                    mids: received.map(function(entry) { return entry.mid; })
+                });
+            }
+        }
+    }
+
+    function revalidate(mid) {
+        if (inFlight.has(mid)) return;
+        stats.revalidations++;
+        request(mid);
+    }
+
+    // ============================================================================
+    // LOOKUP
+    // ============================================================================
+    // Serves a cached entry, refreshing it in the background when stale
+    function serve(mid, entry, result) {
+        if (!isFresh(entry)) {
+            stats.staleHits++;
+            revalidate(mid);
+        }
+        result.set(mid, entry.user);
+    }
+
+    // Map of mid -> user (null for unknown members). With options.timeout the
+    // Map is returned after that many ms with whatever has arrived; the rest
+    // keeps loading into the cache.
+    function getMany(mids, options) {
+        var result = new Map();
+        var missing = [];
+        new Set((mids || []).map(normalizeMid)).forEach(function(mid) {
+            if (!mid) return;
+            var entry = memory.get(mid);
+            if (entry && isUsable(entry)) {
+                stats.memoryHits++;
+                serve(mid, entry, result);
+            } else {
+                missing.push(mid);
+            }
+        });
+        if (!missing.length) return Promise.resolve(result);
+
+        var pending = readStored(missing).then(function(stored) {
+            return Promise.all(missing.map(function(mid) {
+                var entry = stored.get(mid);
+                if (entry && isUsable(entry)) {
+                    stats.storeHits++;
+                    memory.set(mid, entry);
+                    serve(mid, entry, result);
+                    return null;
+                }
+                return request(mid).then(function(user) {
+                    result.set(mid, user);
+                });
+            }));
+        }).then(function() {
+            return result;
+        });
+
+        var timeout = options && options.timeout;
+        if (!timeout) return pending;
+        var timer;
+        return Promise.race([
+            pending,
+            new Promise(function(resolve) {
+                timer = setTimeout(function() {
+                    resolve(new Map(result));
+                }, timeout);
+            })
+        ]).finally(function() {
+            clearTimeout(timer);
+        });
+    }
+
+    function get(mid, options) {
+        var id = normalizeMid(mid);
+        if (!id) return Promise.resolve(null);
+        return getMany([id], options).then(function(users) {
+            return users.get(id) || null;
+        });
+    }
+
+    // What memory already has, for rendering without waiting
+    function peek(mid) {
+        var entry = memory.get(normalizeMid(mid));
+        return entry && isUsable(entry) ? entry.user : null;
+    }
+
+    // Drops one member, or everyone, from both caches
+    function invalidate(mid) {
+        var id = mid === undefined ? null : normalizeMid(mid);
+        if (mid !== undefined && !id) return;
+        if (id) memory.delete(id);
+        else memory.clear();
+        deleteStored(id);
+    }
+
+    function configure(options) {
+        if (!options) return;
+        Object.keys(options).forEach(function(key) {
+            if (Object.prototype.hasOwnProperty.call(config, key)) config[key] = options[key];
+        });
+    }
+
+    configure(window.ForumUserServiceConfig);
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    return {
+        get: get,
+        getMany: getMany,
+        peek: peek,
+        invalidate: invalidate,
+        configure: configure,
+        getStats: function() {
+            return Object.assign({}, stats, { cached: memory.size, inFlight: inFlight.size });
+        }
+    };
+
+})();
+
+if (typeof window !== 'undefined') {
+    // ===== USER TIMING: mark end & measure =====
+    if (typeof performance !== 'undefined' && performance.mark) {
+        performance.mark('user-service-end');
+        try {
+            performance.measure('user-service-load-time', 'user-service-start', 'user-service-end');
+        } catch (e) {
+            // Ignore if marks are missing
+        }
+    }
+    // ===========================================
+
+    window.ForumUserService = ForumUserService;
+    window.dispatchEvent(new CustomEvent('user-service-ready'));
+    if (typeof ForumEventBus !== 'undefined') {
+        ForumEventBus.trigger('forum:user-service:ready');
+    }
+}
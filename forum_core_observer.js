@@ -27,6 +27,12 @@ class ForumCoreObserver {
     #callbacks = new Map();
     #debouncedCallbacks = new Map();
     #styleReprocessCallbacks = new Set();
+    #selectorIndex = new Map();
+    #dispatchedNodes = new Map();
+    #callbackTraces = new Map();
+    #removalCallbacks = new Set();
+    #pageContext = null;
+    #pageContextKey = '';
     #pageState = this.#detectPageState();
     
     #scriptsReady = {
@@ -41,6 +47,7 @@ class ForumCoreObserver {
     #boundColorSchemeHandler = null;
     #boundAnimationStartHandler = null;
     #boundTransitionStartHandler = null;
+    #unsubscribeRemoteTheme = null;
     
     static #CONFIG = {
         observer: {
@@ -72,6 +79,12 @@ class ForumCoreObserver {
         }
     };
     
+    // pageTypes names that cover more than one body id. Every other name is
+    // matched against document.body.id as is (topic, send, msg, blog, ...)
+    static #PAGE_TYPE_ALIASES = {
+        forum: ['forum', 'board']
+    };
+    
     #mutationMetrics = {
         totalMutations: 0,
         processedMutations: 0,
@@ -106,7 +119,11 @@ class ForumCoreObserver {
         }
 
         queueMicrotask(() => {
-            window.dispatchEvent(new CustomEvent('forum-observer-ready', { detail: { timestamp: Date.now() } }));
+            const readyDetail = { timestamp: Date.now() };
+            window.dispatchEvent(new CustomEvent('forum-observer-ready', { detail: readyDetail }));
+            if (typeof ForumEventBus !== 'undefined') {
+                ForumEventBus.trigger('forum:observer:ready', readyDetail);
+            }
             
             if (performance && performance.mark) {
                 performance.mark('observer-ready-dispatched');
@@ -142,6 +159,14 @@ class ForumCoreObserver {
         this.#mutationMetrics.lastError = Array.prototype.join.call(arguments, ' ');
     }
     
+    // Forwards to ForumErrorSink when loaded; module is the owning
+    // callback id where there is one
+    #report(error, module, context) {
+        if (typeof ForumErrorSink !== 'undefined') {
+            ForumErrorSink.capture(error, { module: module, context: context });
+        }
+    }
+    
     #isInEditor(element) {
         if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
         try {
@@ -260,17 +285,21 @@ class ForumCoreObserver {
     #handleNewStyles(styleNode) {
         setTimeout(() => {
             const affectedSelectors = this.#extractSelectorsFromStyles(styleNode);
+            const roots = [];
             affectedSelectors.forEach(selector => {
                 try {
                     document.querySelectorAll(selector).forEach(el => {
                         if (!this.#processedNodes.has(el) && !this.#isInEditor(el)) {
-                            this.#processNode(el);
+                            roots.push(el);
                         }
                     });
                 } catch (e) {
                     // Ignore invalid selectors
                 }
             });
+            if (roots.length) {
+                this.#processRoots(roots);
+            }
         }, 100);
     }
     
@@ -332,32 +361,27 @@ class ForumCoreObserver {
     }
     
     #scanIframeContent(doc) {
-        if (!doc || !doc.querySelectorAll) return;
+        if (!doc || !doc.documentElement) return;
         
-        const elements = doc.querySelectorAll('*');
-        elements.forEach(el => {
-            if (!this.#processedNodes.has(el) && !this.#isInEditor(el)) {
-                this.#processNode(el);
-            }
-        });
+        if (!this.#processedNodes.has(doc.documentElement)) {
+            this.#processRoots([doc.documentElement]);
+        }
     }
     
     #handleIframeMutations(mutations, iframe) {
+        const roots = [];
         mutations.forEach(mutation => {
             if (mutation.type === 'childList') {
                 mutation.addedNodes.forEach(node => {
-                    if (node && node.nodeType === Node.ELEMENT_NODE) {
-                        const affectedNodes = new Set();
-                        this.#collectAllElements(node, affectedNodes);
-                        affectedNodes.forEach(el => {
-                            if (el && !this.#processedNodes.has(el) && !this.#isInEditor(el)) {
-                                this.#processNode(el);
-                            }
-                        });
+                    if (node && node.nodeType === Node.ELEMENT_NODE && !this.#isInEditor(node)) {
+                        roots.push(node);
                     }
                 });
             }
         });
+        if (roots.length) {
+            this.#processRoots(roots);
+        }
     }
     
     #setupIntersectionObserver() {
@@ -537,38 +561,29 @@ class ForumCoreObserver {
     }
     
     #detectPageState() {
-        const pathname = window.location.pathname || '';
-        const className = document.body ? document.body.className : '';
+        const context = this.getPageContext();
         const theme = document.documentElement ? document.documentElement.dataset?.theme : null;
         const prefersDark = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)').matches : false;
         
-        const selectors = {
-            forum: '.board, .big_list',
-            topic: '.modern-topic-title, .post',
-            blog: '#blog, .article',
-            profile: '.modern-profile, .profile',
-            search: '#search.posts, body#search',
-            modernized: '.post-modernized'
-        };
-        
-        const pageChecks = {};
-        for (const key in selectors) {
-            if (selectors.hasOwnProperty(key)) {
-                try {
-                    pageChecks[key] = document.querySelector(selectors[key]) || null;
-                } catch (e) {
-                    pageChecks[key] = null;
-                }
-            }
+        let hasModernizedPosts = false;
+        try {
+            hasModernizedPosts = !!document.querySelector('.post-modernized');
+        } catch (e) {
+            // Document not ready
         }
         
         return {
-            isForum: pathname.includes('/f/') || pageChecks.forum,
-            isTopic: pathname.includes('/t/') || pageChecks.topic,
-            isBlog: pathname.includes('/b/') || pageChecks.blog,
-            isProfile: pathname.includes('/user/') || pageChecks.profile,
-            isSearch: pathname.includes('/search/') || pageChecks.search,
-            hasModernizedPosts: !!pageChecks.modernized,
+            bodyId: context.bodyId,
+            act: context.act,
+            code: context.code,
+            isForum: this.#matchesPageRule('forum', context),
+            isBoard: context.bodyId === 'board',
+            isTopic: context.bodyId === 'topic',
+            isBlog: context.bodyId === 'blog',
+            isProfile: context.bodyId === 'profile',
+            isSearch: context.bodyId === 'search',
+            isMsg: context.bodyId === 'msg',
+            hasModernizedPosts: hasModernizedPosts,
             hasModernizedQuotes: !!(document && document.querySelector('.modern-quote')),
             hasModernizedProfile: !!(document && document.querySelector('.modern-profile')),
             hasModernizedNavigation: !!(document && document.querySelector('.modern-nav')),
@@ -578,7 +593,7 @@ class ForumCoreObserver {
             isLightMode: theme === 'light' || (!theme && !prefersDark),
             isLoggedIn: !!(document && document.querySelector('.menuwrap .avatar')),
             isMobile: window.matchMedia ? window.matchMedia('(max-width: 768px)').matches : false,
-            isSendPage: !!(document && (document.body && document.body.id === 'send' || className.includes('send'))),
+            isSendPage: context.bodyId === 'send',
             hasPreview: !!(document && document.querySelector('#preview, #ajaxObject, .preview, .Item.preview'))
         };
     }
@@ -591,9 +606,21 @@ class ForumCoreObserver {
             this.#notifyThemeDependentCallbacks(theme);
             this.#rescanThemeSensitiveElements(theme);
             this.#updateThemeAttributes(theme);
+            if (!(e.detail && e.detail.remote) && typeof ForumEventBus !== 'undefined') {
+                ForumEventBus.trigger('forum:theme:changed', { theme: theme });
+            }
         };
         window.addEventListener('themechange', this.#boundThemeHandler, { passive: true });
         
+        // Apply theme switches made in another tab (only when the bus bridges them)
+        if (typeof ForumEventBus !== 'undefined') {
+            this.#unsubscribeRemoteTheme = ForumEventBus.on('forum:theme:changed', (data, eventName, meta) => {
+                if (!meta || !meta.remote || !data || !data.theme) return;
+                document.documentElement.setAttribute('data-theme', data.theme);
+                window.dispatchEvent(new CustomEvent('themechange', { detail: { theme: data.theme, remote: true } }));
+            });
+        }
+        
         if (window.matchMedia) {
             this.#boundColorSchemeHandler = (e) => {
                 if (!localStorage.getItem('forum-theme')) {
@@ -641,14 +668,14 @@ class ForumCoreObserver {
         ];
         
         const processElements = () => {
+            const roots = [];
             themeSensitiveSelectors.forEach(selector => {
                 try {
                     if (document.querySelectorAll) {
                         const elements = document.querySelectorAll(selector);
                         elements.forEach(element => {
                             if (element && !this.#isInEditor(element)) {
-                                this.#processedNodes.delete(element);
-                                this.#processNode(element);
+                                roots.push(element);
                             }
                         });
                     }
@@ -656,6 +683,9 @@ class ForumCoreObserver {
                     // Ignore invalid selectors
                 }
             });
+            if (roots.length) {
+                this.#processRoots(roots, { force: true });
+            }
         };
         
         if ('requestIdleCallback' in window) {
@@ -691,6 +721,7 @@ class ForumCoreObserver {
             this.#handleMutations(mutations);
         } catch (error) {
             this.#error('Mutation handling failed:', error);
+            this.#report(error, 'observer', 'Mutation handling');
             this.#errorCount++;
             
             if (this.#errorCount > this.#maxErrors) {
@@ -917,6 +948,7 @@ class ForumCoreObserver {
             }
         } catch (error) {
             this.#error('Mutation processing error:', error);
+            this.#report(error, 'observer', 'Mutation processing');
         } finally {
             this.#isProcessing = false;
             this.#mutationMetrics.processedMutations++;
@@ -928,7 +960,8 @@ class ForumCoreObserver {
     }
     
     async #processMutationBatch(mutations, priority) {
-        const affectedNodes = new Set();
+        const roots = new Set();
+        const removedRoots = new Set();
         const styleChangeNodes = new Set();
         
         for (let i = 0; i < mutations.length; i++) {
@@ -942,10 +975,10 @@ class ForumCoreObserver {
                         for (let j = 0; j < mutation.addedNodes.length; j++) {
                             const node = mutation.addedNodes[j];
                             if (node && node.nodeType === Node.ELEMENT_NODE && !this.#isInEditor(node)) {
-                                this.#collectAllElements(node, affectedNodes);
+                                roots.add(node);
                                 
                                 if (node.shadowRoot) {
-                                    this.#collectAllElements(node.shadowRoot, affectedNodes);
+                                    this.#addShadowRoots(node.shadowRoot, roots);
                                     this.#observeShadowRoot(node.shadowRoot, node);
                                 }
                             }
@@ -957,6 +990,7 @@ class ForumCoreObserver {
                             const node = mutation.removedNodes[j];
                             if (node && node.nodeType === Node.ELEMENT_NODE) {
                                 this.#cleanupRemovedNode(node);
+                                removedRoots.add(node);
                             }
                         }
                     }
@@ -973,7 +1007,9 @@ class ForumCoreObserver {
                             }
                         }
                         
-                        affectedNodes.add(mutation.target);
+                        if (!this.#processedNodes.has(mutation.target)) {
+                            roots.add(mutation.target);
+                        }
                         
                         if (mutation.attributeName === 'data-theme') {
                             this.#pageState = this.#detectPageState();
@@ -988,24 +1024,24 @@ class ForumCoreObserver {
                 case 'characterData':
                     if (mutation.target) {
                         const parent = mutation.target.parentElement;
-                        if (parent && !this.#isInEditor(parent)) {
-                            affectedNodes.add(parent);
+                        if (parent && !this.#isInEditor(parent) && !this.#processedNodes.has(parent)) {
+                            roots.add(parent);
                         }
                     }
                     break;
             }
         }
         
-        for (const node of affectedNodes) {
-            if (node && !this.#processedNodes.has(node)) {
-                await this.#processNode(node);
-            }
+        if (removedRoots.size && this.#removalCallbacks.size) {
+            this.#processRemovals(Array.from(removedRoots));
         }
         
-        for (const node of styleChangeNodes) {
-            if (node && this.#styleReprocessCallbacks.size > 0) {
-                await this.#processNode(node, { styleChange: true });
-            }
+        if (roots.size) {
+            await this.#processRoots(Array.from(roots));
+        }
+        
+        if (styleChangeNodes.size && this.#styleReprocessCallbacks.size > 0) {
+            await this.#processRoots(Array.from(styleChangeNodes), { styleChange: true });
         }
     }
     
@@ -1015,27 +1051,44 @@ class ForumCoreObserver {
         return match ? match[1].trim() : null;
     }
     
+    // Open shadow roots are not reached by querySelectorAll on the host, so
+    // their top-level elements (and any nested shadow roots) become roots too
+    #addShadowRoots(shadowRoot, roots) {
+        if (!shadowRoot || !shadowRoot.children) return;
+        
+        const children = shadowRoot.children;
+        for (let i = 0; i < children.length; i++) {
+            roots.add(children[i]);
+        }
+        
+        if (shadowRoot.querySelectorAll) {
+            shadowRoot.querySelectorAll('*').forEach(el => {
+                if (el.shadowRoot) {
+                    this.#addShadowRoots(el.shadowRoot, roots);
+                }
+            });
+        }
+    }
+    
     #observeShadowRoot(shadowRoot, host) {
         if (!shadowRoot || !host) return;
         
         if (this.#shadowObservers && this.#shadowObservers.has(host)) return;
         
         const shadowObserver = new MutationObserver((mutations) => {
+            const roots = [];
             mutations.forEach(mutation => {
                 if (mutation.type === 'childList') {
                     mutation.addedNodes.forEach(node => {
                         if (node && node.nodeType === Node.ELEMENT_NODE && !this.#isInEditor(node)) {
-                            const affectedNodes = new Set();
-                            this.#collectAllElements(node, affectedNodes);
-                            affectedNodes.forEach(el => {
-                                if (el && !this.#processedNodes.has(el)) {
-                                    this.#processNode(el);
-                                }
-                            });
+                            roots.push(node);
                         }
                     });
                 }
             });
+            if (roots.length) {
+                this.#processRoots(roots);
+            }
         });
         
         shadowObserver.observe(shadowRoot, ForumCoreObserver.#CONFIG.observer);
@@ -1078,113 +1131,270 @@ class ForumCoreObserver {
         }
     }
     
-    #collectAllElements(root, collection) {
-        if (!root || root.nodeType !== Node.ELEMENT_NODE) return;
-        
-        collection.add(root);
-        
-        if (root.shadowRoot) {
-            this.#collectAllElements(root.shadowRoot, collection);
+    // ===== SELECTOR INDEX =====
+    //
+    // Callbacks are indexed by selector, so a flush runs one matches() plus one
+    // querySelectorAll() per distinct selector and root instead of testing every
+    // callback against every element. Callbacks without a selector are indexed
+    // under null and are given the added roots only, not their descendants.
+    // Each callback remembers the elements it has been given and is only
+    // dispatched for new matches.
+    
+    #indexCallback(callback) {
+        const selector = callback.selector || null;
+        if (!this.#selectorIndex.has(selector)) {
+            this.#selectorIndex.set(selector, new Set());
+        }
+        this.#selectorIndex.get(selector).add(callback.id);
+        this.#dispatchedNodes.set(callback.id, new WeakSet());
+        this.#callbackTraces.set(callback.id, {
+            matches: 0,
+            dispatched: 0,
+            duplicates: 0,
+            lastMatchAt: 0
+        });
+    }
+    
+    #unindexCallback(callbackId) {
+        for (const [selector, ids] of this.#selectorIndex) {
+            if (ids.delete(callbackId) && !ids.size) {
+                this.#selectorIndex.delete(selector);
+            }
+        }
+        this.#dispatchedNodes.delete(callbackId);
+        this.#callbackTraces.delete(callbackId);
+    }
+    
+    // Drop roots contained in another root of the same flush; the outer
+    // root's querySelectorAll already covers them
+    #pruneNestedRoots(roots) {
+        const candidates = new Set();
+        for (let i = 0; i < roots.length; i++) {
+            const root = roots[i];
+            if (root && root.nodeType === Node.ELEMENT_NODE && root.isConnected !== false) {
+                candidates.add(root);
+            }
         }
         
-        if (root.children) {
-            const children = root.children;
-            for (let i = 0; i < children.length; i++) {
-                this.#collectAllElements(children[i], collection);
+        const pruned = [];
+        for (const root of candidates) {
+            let parent = root.parentNode;
+            let nested = false;
+            while (parent) {
+                if (candidates.has(parent)) {
+                    nested = true;
+                    break;
+                }
+                parent = parent.parentNode;
             }
+            if (!nested) pruned.push(root);
         }
+        return pruned;
     }
     
-    async #processNode(node, options = {}) {
-        if (!node) return;
-        
-        if (!options.styleChange && this.#processedNodes.has(node)) return;
-        
-        if (this.#isInEditor(node)) return;
-        
-        const matchingCallbacks = this.#getMatchingCallbacks(node);
-        if (!matchingCallbacks || !matchingCallbacks.length) return;
-        
+    #findMatches(selector, roots) {
+        if (selector === null) {
+            return roots.filter(root => root.nodeType === Node.ELEMENT_NODE);
+        }
+        const matches = [];
+        for (let i = 0; i < roots.length; i++) {
+            const root = roots[i];
+            try {
+                if (root.matches && root.matches(selector)) {
+                    matches.push(root);
+                }
+                if (root.querySelectorAll) {
+                    const found = root.querySelectorAll(selector);
+                    for (let j = 0; j < found.length; j++) {
+                        matches.push(found[j]);
+                    }
+                }
+            } catch (e) {
+                // Invalid selector: the callback never matches, as before
+                return [];
+            }
+        }
+        return matches;
+    }
+    
+    #isEligible(callback, options) {
+        if (!callback || callback.spent) return false;
+        if (options.only && options.only !== callback.id) return false;
+        if (options.styleChange && !callback.reprocessOnStyle) return false;
+        if (callback.pageTypes && !this.#matchesPageType(callback.pageTypes)) return false;
+        if (callback.retryCount > (callback.maxRetries || ForumCoreObserver.#CONFIG.memory.maxCallbackRetries)) return false;
+        return true;
+    }
+    
+    // Options:
+    //   styleChange - only reprocessOnStyle callbacks, already-seen matches included
+    //   force       - dispatch already-seen matches again (forceReprocess, theme rescans)
+    //   only        - restrict the flush to one callback id (retries)
+    async #processRoots(roots, options = {}) {
+        const scanRoots = this.#pruneNestedRoots(roots);
+        if (!scanRoots.length) return;
+        
+        const redispatch = options.styleChange || options.force;
+        const now = performance.now();
+        const flushCounts = new Map();
         const priorityGroups = {
-            critical: [],
-            high: [],
-            normal: [],
-            low: []
+            critical: new Map(),
+            high: new Map(),
+            normal: new Map(),
+            low: new Map()
         };
         
-        for (let i = 0; i < matchingCallbacks.length; i++) {
-            const callback = matchingCallbacks[i];
-            if (!callback) continue;
-            
-            if (options.styleChange && !callback.reprocessOnStyle) continue;
-            
-            let priority = callback.priority || 'normal';
-            if (!priorityGroups[priority]) priority = 'normal';
+        for (const [selector, ids] of this.#selectorIndex) {
+            const callbacks = [];
+            for (const id of ids) {
+                const callback = this.#callbacks.get(id);
+                if (this.#isEligible(callback, options)) callbacks.push(callback);
+            }
+            if (!callbacks.length) continue;
             
-            if (callback.retryCount > (callback.maxRetries || ForumCoreObserver.#CONFIG.memory.maxCallbackRetries)) continue;
+            const matches = this.#findMatches(selector, scanRoots);
+            if (!matches.length) continue;
             
-            priorityGroups[priority].push(callback);
+            for (let i = 0; i < matches.length; i++) {
+                const node = matches[i];
+                if (this.#isInEditor(node)) continue;
+                
+                for (let j = 0; j < callbacks.length; j++) {
+                    const callback = callbacks[j];
+                    if (callback.spent) continue;
+                    const seen = this.#dispatchedNodes.get(callback.id);
+                    const trace = this.#callbackTraces.get(callback.id);
+                    
+                    trace.matches++;
+                    trace.lastMatchAt = now;
+                    
+                    if (seen.has(node) && !redispatch) {
+                        trace.duplicates++;
+                        continue;
+                    }
+                    seen.add(node);
+                    trace.dispatched++;
+                    flushCounts.set(callback.id, (flushCounts.get(callback.id) || 0) + 1);
+                    
+                    let priority = callback.priority || 'normal';
+                    if (!priorityGroups[priority]) priority = 'normal';
+                    
+                    const group = priorityGroups[priority];
+                    if (!group.has(node)) group.set(node, []);
+                    group.get(node).push(callback);
+                    
+                    if (callback.once) {
+                        this.#spendOnce(callback, node);
+                    }
+                }
+            }
+        }
+        
+        if (!options.styleChange) {
+            const timestamp = Date.now();
+            for (let i = 0; i < scanRoots.length; i++) {
+                this.#processedNodes.add(scanRoots[i]);
+                this.#nodeTimestamps.set(scanRoots[i], timestamp);
+            }
+            this.#mutationMetrics.totalNodesProcessed += scanRoots.length;
+        }
+        
+        if (flushCounts.size) {
+            this.#log('Flush: ' + scanRoots.length + ' root(s), ' + Array.from(flushCounts)
+                .map(([id, count]) => id + ' x' + count).join(', '));
         }
         
         const priorities = ['critical', 'high', 'normal', 'low'];
-        for (let j = 0; j < priorities.length; j++) {
-            const priority = priorities[j];
-            const callbacks = priorityGroups[priority];
-            
-            if (!callbacks || !callbacks.length) continue;
+        for (let i = 0; i < priorities.length; i++) {
+            const priority = priorities[i];
+            const group = priorityGroups[priority];
+            if (!group.size) continue;
             
             if (priority === 'critical') {
-                await this.#executeCallbacks(callbacks, node);
+                for (const [node, callbacks] of group) {
+                    await this.#executeCallbacks(callbacks, node);
+                }
             } else {
-                this.#deferCallbacks(callbacks, node, priority);
+                this.#deferCallbacks(group, priority);
             }
         }
-        
-        if (!options.styleChange) {
-            this.#processedNodes.add(node);
-            this.#nodeTimestamps.set(node, Date.now());
+    }
+    
+    // A once callback stops matching after its first dispatch. Without onRemove
+    // it is unregistered once that run has succeeded (a failed run is retried);
+    // with onRemove it waits for that node to leave the DOM
+    #spendOnce(callback, node) {
+        callback.spent = true;
+        callback.onceNode = node;
+    }
+    
+    #finishOnce(callback) {
+        if (!callback.once || callback.onRemove) return;
+        // The id may have been registered again in the meantime
+        if (this.#callbacks.get(callback.id) === callback) {
+            this.unregister(callback.id);
         }
     }
     
-    #getMatchingCallbacks(node) {
-        if (!node) return [];
-        
-        const matching = [];
-        const callbackValues = Array.from(this.#callbacks.values());
-        
-        for (let i = 0; i < callbackValues.length; i++) {
-            const callback = callbackValues[i];
-            if (!callback) continue;
-            
-            if (callback.pageTypes && !this.#matchesPageType(callback.pageTypes)) {
-                continue;
-            }
+    // onRemove fires for nodes the callback was dispatched for, once they are
+    // detached (nodes moved within the same batch are still connected)
+    #processRemovals(removedRoots) {
+        for (const id of Array.from(this.#removalCallbacks)) {
+            const callback = this.#callbacks.get(id);
+            const seen = this.#dispatchedNodes.get(id);
+            if (!callback || !seen) continue;
             
-            if (callback.selector) {
+            const selector = callback.selector || '*';
+            const removed = [];
+            for (let i = 0; i < removedRoots.length; i++) {
+                const root = removedRoots[i];
+                if (root.isConnected) continue;
+                if (seen.has(root)) removed.push(root);
                 try {
-                    if (!node.matches || !node.querySelector) continue;
-                    if (!node.matches(callback.selector) && !node.querySelector(callback.selector)) {
-                        continue;
-                    }
+                    root.querySelectorAll(selector).forEach(el => {
+                        if (seen.has(el)) removed.push(el);
+                    });
                 } catch (e) {
-                    continue;
+                    // Invalid selector never matched anything
                 }
             }
             
-            matching.push(callback);
+            for (let i = 0; i < removed.length; i++) {
+                const node = removed[i];
+                seen.delete(node);
+                try {
+                    callback.onRemove(node);
+                } catch (error) {
+                    this.#error('onRemove ' + id + ' failed:', error);
+                    this.#report(error, id, 'Observer onRemove');
+                }
+                if (callback.once && callback.onceNode === node) {
+                    this.unregister(id);
+                    break;
+                }
+            }
         }
+    }
+    
+    // Single-node entry point (intersection, resize, load and animation hooks)
+    async #processNode(node, options = {}) {
+        if (!node) return;
+        
+        if (!options.styleChange && !options.force && this.#processedNodes.has(node)) return;
+        
+        if (this.#isInEditor(node)) return;
         
-        return matching;
+        await this.#processRoots([node], options);
     }
     
     #matchesPageType(pageTypes) {
-        if (!pageTypes || !Array.isArray(pageTypes)) return true;
+        if (!pageTypes) return true;
+        
+        const rules = Array.isArray(pageTypes) ? pageTypes : [pageTypes];
+        const context = this.getPageContext();
         
-        for (let i = 0; i < pageTypes.length; i++) {
-            const type = pageTypes[i];
-            if (!type) continue;
-            const key = 'is' + type.charAt(0).toUpperCase() + type.slice(1);
-            if (this.#pageState[key]) {
+        for (let i = 0; i < rules.length; i++) {
+            if (this.#matchesPageRule(rules[i], context)) {
                 return true;
             }
         }
@@ -1192,6 +1402,41 @@ class ForumCoreObserver {
         return false;
     }
     
+    // A rule is one of:
+    //   'topic'                    - body id (or an alias such as 'forum')
+    //   'CODE=01', 'act=Msg&CODE=02' - URL parameters, all must match
+    //   { bodyIds, act, code }     - the page rule shape of ForumModuleManifest
+    #matchesPageRule(rule, context) {
+        if (!rule) return false;
+        
+        if (typeof rule === 'string') {
+            if (rule.indexOf('=') === -1) {
+                const bodyIds = ForumCoreObserver.#PAGE_TYPE_ALIASES[rule] || [rule];
+                return bodyIds.includes(context.bodyId);
+            }
+            
+            return rule.split('&').every(pair => {
+                const separator = pair.indexOf('=');
+                const key = pair.slice(0, separator).trim().toLowerCase();
+                const value = pair.slice(separator + 1).trim();
+                if (key === 'act') return context.act.toLowerCase() === value.toLowerCase();
+                if (key === 'code') return context.code === value;
+                if (key === 'body') return context.bodyId === value;
+                return false;
+            });
+        }
+        
+        if (typeof rule === 'object') {
+            const list = value => Array.isArray(value) ? value : [value];
+            if (rule.bodyIds && !list(rule.bodyIds).includes(context.bodyId)) return false;
+            if (rule.act && !list(rule.act).some(act => act.toLowerCase() === context.act.toLowerCase())) return false;
+            if (rule.code && !list(rule.code).includes(context.code)) return false;
+            return true;
+        }
+        
+        return false;
+    }
+    
     async #executeCallbacks(callbacks, node) {
         if (!callbacks || !callbacks.length || !node) return;
         
@@ -1215,6 +1460,7 @@ class ForumCoreObserver {
                     
                     if (callback) {
                         callback.retryCount = 0;
+                        this.#finishOnce(callback);
                     }
                     
                 } catch (error) {
@@ -1222,11 +1468,17 @@ class ForumCoreObserver {
                         callback.retryCount = (callback.retryCount || 0) + 1;
                     }
                     this.#error('Callback ' + (callback ? callback.id : 'unknown') + ' failed (attempt ' + (callback ? callback.retryCount : '?') + '):', error);
+                    this.#report(error, callback ? callback.id : 'observer', 'Observer callback');
                     
                     if (callback && callback.retryCount <= (callback.maxRetries || ForumCoreObserver.#CONFIG.memory.maxCallbackRetries)) {
                         setTimeout(() => {
-                            this.#processNode(node);
+                            const seen = this.#dispatchedNodes.get(callback.id);
+                            if (seen) seen.delete(node);
+                            if (callback.once && callback.onceNode === node) callback.spent = false;
+                            this.#processRoots([node], { only: callback.id });
                         }, 1000 * callback.retryCount);
+                    } else if (callback) {
+                        this.#finishOnce(callback);
                     }
                 } finally {
                     if (node && node.nodeType === Node.ELEMENT_NODE) {
@@ -1239,8 +1491,9 @@ class ForumCoreObserver {
         await Promise.allSettled(promises);
     }
     
-    #deferCallbacks(callbacks, node, priority) {
-        if (!callbacks || !callbacks.length || !node) return;
+    // One deferred task per priority and flush, not one per node
+    #deferCallbacks(group, priority) {
+        if (!group || !group.size) return;
         
         const delays = {
             high: 50,
@@ -1249,24 +1502,23 @@ class ForumCoreObserver {
         };
         
         const delay = delays[priority] || 100;
+        const run = () => {
+            for (const [node, callbacks] of group) {
+                this.#executeCallbacks(callbacks, node);
+            }
+        };
         
         if (typeof scheduler !== 'undefined' && scheduler.postTask) {
-            scheduler.postTask(() => {
-                this.#executeCallbacks(callbacks, node);
-            }, { 
+            scheduler.postTask(run, { 
                 priority: 'user-visible', 
                 delay: delay 
             });
         } else if (window.requestIdleCallback) {
-            requestIdleCallback(() => {
-                this.#executeCallbacks(callbacks, node);
-            }, { 
+            requestIdleCallback(run, { 
                 timeout: delay 
             });
         } else {
-            setTimeout(() => {
-                this.#executeCallbacks(callbacks, node);
-            }, delay);
+            setTimeout(run, delay);
         }
     }
     
@@ -1290,6 +1542,7 @@ class ForumCoreObserver {
         ];
         
         const allSelectors = forumSelectors.concat(previewSelectors);
+        const roots = [];
         
         for (let i = 0; i < allSelectors.length; i++) {
             const selector = allSelectors[i];
@@ -1299,7 +1552,7 @@ class ForumCoreObserver {
                     for (let j = 0; j < nodes.length; j++) {
                         const node = nodes[j];
                         if (node && !this.#isInEditor(node) && !this.#processedNodes.has(node)) {
-                            this.#processNode(node);
+                            roots.push(node);
                             
                             if (node.shadowRoot && !this.#shadowObservers?.has(node)) {
                                 this.#observeShadowRoot(node.shadowRoot, node);
@@ -1312,6 +1565,10 @@ class ForumCoreObserver {
             }
         }
         
+        if (roots.length) {
+            this.#processRoots(roots);
+        }
+        
         if (document.querySelectorAll) {
             document.querySelectorAll('iframe').forEach(iframe => {
                 if (iframe) {
@@ -1453,6 +1710,30 @@ class ForumCoreObserver {
     
     // ===== PUBLIC API =====
     
+    // Where we are: body id plus the act and CODE URL parameters. Re-read when
+    // the URL or body id changes, so it stays right after in-page navigation
+    getPageContext() {
+        const bodyId = document.body ? document.body.id : '';
+        const key = window.location.href + '|' + bodyId;
+        
+        if (!this.#pageContext || this.#pageContextKey !== key) {
+            const params = new URLSearchParams(window.location.search);
+            this.#pageContext = Object.freeze({
+                bodyId: bodyId,
+                act: params.get('act') || '',
+                code: params.get('CODE') || '',
+                path: window.location.pathname
+            });
+            this.#pageContextKey = key;
+        }
+        
+        return this.#pageContext;
+    }
+    
+    matchesPage(pageTypes) {
+        return this.#matchesPageType(pageTypes);
+    }
+    
     register(settings) {
         if (!settings || typeof settings.callback !== 'function') {
             console.error('[ForumObserver] Invalid registration: missing callback function');
@@ -1472,49 +1753,75 @@ class ForumCoreObserver {
             reprocessOnStyle: settings.reprocessOnStyle || false,
             retryCount: 0,
             maxRetries: settings.maxRetries || ForumCoreObserver.#CONFIG.memory.maxCallbackRetries,
+            onRemove: typeof settings.onRemove === 'function' ? settings.onRemove : null,
+            once: !!settings.once,
+            spent: false,
+            onceNode: null,
             createdAt: performance.now(),
             metadata: settings.metadata || {}
         };
         
+        if (this.#callbacks.has(id)) {
+            this.unregister(id);
+        }
         this.#callbacks.set(id, callback);
+        this.#indexCallback(callback);
         if (callback.reprocessOnStyle) {
             this.#styleReprocessCallbacks.add(id);
         }
+        if (callback.onRemove) {
+            this.#removalCallbacks.add(id);
+        }
+        
+        // The handle stands in for the id (unregister() and string use accept
+        // it) and only ever disposes its own registration, even if the id is
+        // registered again later
+        const handle = Object.freeze({
+            id: id,
+            dispose: () => this.#callbacks.get(id) === callback ? this.unregister(id) : false,
+            isActive: () => this.#callbacks.get(id) === callback,
+            toString: () => id
+        });
         
         this.#log('Registered GLOBAL callback: ' + id + ' (priority: ' + callback.priority + ', reprocessOnStyle: ' + callback.reprocessOnStyle + ')');
         
         if (this.#initialScanComplete && callback.selector) {
             try {
                 if (document.querySelectorAll) {
+                    const roots = [];
                     const nodes = document.querySelectorAll(callback.selector);
                     for (let i = 0; i < nodes.length; i++) {
                         const node = nodes[i];
                         if (node && !this.#isInEditor(node) && !this.#processedNodes.has(node)) {
-                            this.#processNode(node);
+                            roots.push(node);
                         }
                     }
+                    if (roots.length) {
+                        this.#processRoots(roots);
+                    }
                 }
             } catch (e) {
                 this.#error('Error during initial callback scan:', e);
             }
         }
         
-        return id;
+        return handle;
     }
     
     registerDebounced(settings) {
         if (!settings || typeof settings.callback !== 'function') return null;
         
-        const id = this.register(settings);
+        const handle = this.register(settings);
+        if (!handle) return null;
         
-        this.#debouncedCallbacks.set(id, {
+        this.#debouncedCallbacks.set(handle.id, {
             callback: settings.callback,
             delay: settings.delay || ForumCoreObserver.#CONFIG.performance.debounceThreshold,
             lastRun: 0,
             timeout: null
         });
         
-        return id;
+        return handle;
     }
     
     registerThemeAware(settings) {
@@ -1538,6 +1845,7 @@ class ForumCoreObserver {
     }
     
     unregister(callbackId) {
+        if (callbackId && typeof callbackId === 'object') callbackId = callbackId.id;
         if (!callbackId) return false;
         
         let removed = false;
@@ -1545,6 +1853,8 @@ class ForumCoreObserver {
         if (this.#callbacks.has(callbackId)) {
             this.#callbacks.delete(callbackId);
             this.#styleReprocessCallbacks.delete(callbackId);
+            this.#removalCallbacks.delete(callbackId);
+            this.#unindexCallback(callbackId);
             removed = true;
         }
         
@@ -1577,13 +1887,17 @@ class ForumCoreObserver {
         
         try {
             if (document.querySelectorAll) {
+                const roots = [];
                 const nodes = document.querySelectorAll(selector);
                 for (let i = 0; i < nodes.length; i++) {
                     const node = nodes[i];
                     if (node && !this.#isInEditor(node) && !this.#processedNodes.has(node)) {
-                        this.#processNode(node);
+                        roots.push(node);
                     }
                 }
+                if (roots.length) {
+                    this.#processRoots(roots);
+                }
             }
         } catch (e) {
             this.#error('Error during force scan:', e);
@@ -1593,20 +1907,35 @@ class ForumCoreObserver {
     forceReprocess(selector) {
         try {
             if (document.querySelectorAll) {
+                const roots = [];
                 const nodes = document.querySelectorAll(selector);
                 for (let i = 0; i < nodes.length; i++) {
                     const node = nodes[i];
                     if (node && !this.#isInEditor(node)) {
-                        this.#processedNodes.delete(node);
-                        this.#processNode(node);
+                        roots.push(node);
                     }
                 }
+                if (roots.length) {
+                    this.#processRoots(roots, { force: true });
+                }
             }
         } catch (e) {
             this.#error('Error during force reprocess:', e);
         }
     }
     
+    // The page content was replaced without a reload: re-detect the page and
+    // scan the new content as on first load
+    refreshPage() {
+        this.#pageContext = null;
+        this.#pageState = this.#detectPageState();
+        this.#cleanupProcessedNodes(true);
+        this.#scanExistingContent();
+        this.#observeLazyElements();
+        this.#log('Page refreshed: ' + this.#pageState.bodyId);
+        return this.getPageContext();
+    }
+    
     updateThemeOnElements(theme) {
         this.#rescanThemeSensitiveElements(theme);
     }
@@ -1615,6 +1944,7 @@ class ForumCoreObserver {
         const now = Date.now();
         const activeNodes = Array.from(this.#nodeTimestamps.entries())
             .filter(([node]) => node && document.body && document.body.contains(node)).length;
+        this.#pageState = this.#detectPageState();
         
         return {
             mutations: {
@@ -1634,7 +1964,9 @@ class ForumCoreObserver {
                 themeDependent: Array.from(this.#callbacks.values()).filter(c => 
                     c && c.dependencies && c.dependencies.includes('theme')
                 ).length,
-                reprocessOnStyle: this.#styleReprocessCallbacks.size
+                reprocessOnStyle: this.#styleReprocessCallbacks.size,
+                selectors: this.#selectorIndex.size,
+                trace: this.getCallbackTrace()
             },
             nodes: {
                 processed: this.#processedNodes.size,
@@ -1663,6 +1995,21 @@ class ForumCoreObserver {
         };
     }
     
+    // Per-callback match counts: matches found, dispatched (new to the
+    // callback) and duplicates skipped, busiest first
+    getCallbackTrace() {
+        return Array.from(this.#callbackTraces.entries())
+            .map(([id, trace]) => ({
+                id: id,
+                selector: this.#callbacks.get(id)?.selector || '*',
+                matches: trace.matches,
+                dispatched: trace.dispatched,
+                duplicates: trace.duplicates,
+                lastMatchAt: trace.lastMatchAt
+            }))
+            .sort((a, b) => b.matches - a.matches);
+    }
+    
     async waitForScripts(scripts = ['weserv', 'dimensionExtractor'], timeout = 5000) {
         const startTime = Date.now();
         
@@ -1705,6 +2052,10 @@ class ForumCoreObserver {
         if (this.#boundThemeHandler) {
             window.removeEventListener('themechange', this.#boundThemeHandler);
         }
+        if (this.#unsubscribeRemoteTheme) {
+            this.#unsubscribeRemoteTheme();
+            this.#unsubscribeRemoteTheme = null;
+        }
         if (this.#boundColorSchemeHandler && window.matchMedia) {
             window.matchMedia('(prefers-color-scheme: dark)').removeEventListener('change', this.#boundColorSchemeHandler);
         }
@@ -1718,6 +2069,10 @@ class ForumCoreObserver {
         this.#callbacks.clear();
         this.#debouncedCallbacks.clear();
         this.#styleReprocessCallbacks.clear();
+        this.#selectorIndex.clear();
+        this.#dispatchedNodes.clear();
+        this.#callbackTraces.clear();
+        this.#removalCallbacks.clear();
         this.#processedNodes = new WeakSet();
         this.#nodeTimestamps.clear();
         this.#iframeObservers = new WeakMap();
@@ -1799,7 +2154,19 @@ if (!globalThis.forumObserver) {
             get: function(target, prop) {
                 const methods = ['register', 'registerDebounced', 'registerThemeAware', 'unregister', 
                                'forceScan', 'forceReprocess', 'updateThemeOnElements', 'getStats', 
-                               'destroy', 'waitForScripts'];
+                               'destroy', 'waitForScripts', 'matchesPage', 'getCallbackTrace', 'refreshPage'];
+                if (prop === 'getPageContext') {
+                    // Page detection must keep working for ForumModuleManifest
+                    return function() {
+                        const params = new URLSearchParams(window.location.search);
+                        return {
+                            bodyId: document.body ? document.body.id : '',
+                            act: params.get('act') || '',
+                            code: params.get('CODE') || '',
+                            path: window.location.pathname
+                        };
+                    };
+                }
                 if (methods.includes(prop)) {
                     return function() {
                         console.warn('ForumCoreObserver not initialized - ' + prop + ' called');
@@ -1020,13 +1020,7 @@ if (!globalThis.mediaDimensionExtractor) {
                 return;
             }
             
-            var url = '/api.php?mid=' + batch.join(',');
-            
-            fetch(url)
-                .then(function(response) {
-                    if (!response.ok) throw new Error('Prefetch API failed');
-                    return response.json();
-                })
+            requestUsers(batch)
                 .then(function(data) {
                     // Cache the fetched data
                     for (var userId in data) {
@@ -1112,8 +1106,7 @@ if (!globalThis.mediaDimensionExtractor) {
                         
                         if (missingUserIds.length > 0) {
                             // Fetch missing users immediately
-                            var url = '/api.php?mid=' + missingUserIds.join(',');
-                            fetch(url).then(r => r.json()).then(data => {
+                            requestUsers(missingUserIds).then(data => {
                                 for (var id in data) {
                                     var numId = id.replace('m', '');
                                     prefetchState.prefetchedUsers.set(numId, data[id]);
@@ -1268,6 +1261,25 @@ if (!globalThis.mediaDimensionExtractor) {
     // BATCH API REQUEST FUNCTION
     // ==============================
 
+    // Through ForumUserService when the page loads it (batched, deduplicated,
+    // cached across visits); resolves to the API's { m<id>: user } shape
+    // either way
+    function requestUsers(userIds) {
+        if (window.ForumUserService) {
+            return window.ForumUserService.getMany(userIds).then(function(users) {
+                var data = {};
+                users.forEach(function(user, id) {
+                    if (user) data['m' + id] = user;
+                });
+                return data;
+            });
+        }
+        return fetch('/api.php?mid=' + userIds.join(',')).then(function(response) {
+            if (!response.ok) throw new Error('API failed');
+            return response.json();
+        });
+    }
+
     function fetchMultipleUsers(userIds, callback) {
         if (!userIds || userIds.length === 0) {
             callback({});
@@ -1276,15 +1288,7 @@ if (!globalThis.mediaDimensionExtractor) {
         
         var uniqueIds = [...new Set(userIds)];
         
-        var url = '/api.php?mid=' + uniqueIds.join(',');
-        
-        fetch(url)
-            .then(function(response) {
-                if (!response.ok) {
-                    throw new Error('Batch API failed');
-                }
-                return response.json();
-            })
+        requestUsers(uniqueIds)
             .then(function(data) {
                 callback(data);
             })
@@ -1307,11 +1311,7 @@ if (!globalThis.mediaDimensionExtractor) {
             currentIndex = batchEnd;
             
             batchIds.forEach(function(userId) {
-                fetch('/api.php?mid=' + userId)
-                    .then(function(response) {
-                        if (!response.ok) throw new Error('API failed');
-                        return response.json();
-                    })
+                requestUsers([userId])
                     .then(function(data) {
                         Object.assign(results, data);
                         remaining--;
@@ -2710,8 +2710,7 @@ if (!globalThis.mediaDimensionExtractor) {
                 var extracted = extractUsernameFromElement(posts[i], 'post', userId);
             }
             
-            fetch('/api.php?mid=' + userId)
-                .then(r => r.json())
+            requestUsers([userId])
                 .then(data => {})
                 .catch(err => {});
         },
@@ -3230,7 +3229,7 @@ twemoji.parse(document.body,{folder:"svg",ext:".svg",base:"https://twemoji.maxcd
                 callback: replaceCustomEmojis,
                 selector: '.picker-custom-grid, .picker-custom-item, .image-thumbnail, .ve-emoji-list',
                 priority: 'high',
-                pageTypes: ['topic', 'blog', 'search', 'forum']
+                pageTypes: ['topic', 'blog', 'search', 'forum', 'send', 'msg']
             });
             
             globalThis.forumObserver.register({
@@ -3238,7 +3237,7 @@ twemoji.parse(document.body,{folder:"svg",ext:".svg",base:"https://twemoji.maxcd
                 callback: replaceCustomEmojis,
                 selector: '.post, .article, .content, .reply, .comment, .color, td[align], div[align]',
                 priority: 'normal',
-                pageTypes: ['topic', 'blog', 'search', 'forum']
+                pageTypes: ['topic', 'blog', 'search', 'forum', 'send', 'msg']
             });
             
             globalThis.forumObserver.register({
@@ -136,6 +136,33 @@
     }
 
     // ===== VIDEO POSTER GENERATION =====
+    // Thumbnails served by providers under core/consent-manager.js are
+    // third-party requests too: they wait for the same consent as the embeds
+    var CONSENT_POSTERS = {
+        'youtube-thumb': 'youtube',
+        'vimeo-thumb': 'vimeo',
+        'twitter-thumb': 'twitter',
+        'instagram-thumb': 'instagram'
+    };
+
+    function isPosterAllowed(provider) {
+        return !!(window.ForumConsent && window.ForumConsent.isAllowed(provider));
+    }
+
+    function watchPosterConsent() {
+        window.ForumConsent.onChange(function(provider, choice, allowed) {
+            if (!allowed) return;
+            var videos = document.querySelectorAll('video[data-poster-consent="' + provider + '"]');
+            for (var i = 0; i < videos.length; i++) {
+                videos[i].removeAttribute('data-poster-consent');
+                videos[i].removeAttribute('data-poster-loaded');
+                // Counted again once the real thumbnail loads
+                state.videos.withPoster--;
+                generateVideoPoster(videos[i]);
+            }
+        });
+    }
+
     function createSvgPoster(video) {
         var width = video.getAttribute('width') || 640;
         var height = video.getAttribute('height') || 360;
@@ -248,8 +275,6 @@
                 var youtubeId = youtubeMatches[1];
                 posterUrl = 'https://img.youtube.com/vi/' + youtubeId + '/maxresdefault.jpg';
                 posterType = 'youtube-thumb';
-                setPosterWithTimeout(video, posterUrl, posterType);
-                return;
             }
         }
         // ===== VIMEO =====
@@ -303,6 +328,12 @@
             }
         }
 
+        var provider = CONSENT_POSTERS[posterType];
+        if (posterUrl && provider && !isPosterAllowed(provider)) {
+            posterUrl = null;
+            video.setAttribute('data-poster-consent', provider);
+        }
+
         if (posterUrl) {
             setPosterWithTimeout(video, posterUrl, posterType);
         } else {
@@ -644,6 +675,12 @@ function buildWeservUrl(img) {
         setupImageProxy();
         setupElementProxy();
 
+        if (window.ForumConsent) {
+            watchPosterConsent();
+        } else {
+            window.addEventListener('consent-manager-ready', watchPosterConsent, { once: true });
+        }
+
         // Batch process existing media
         var allMedia = document.querySelectorAll('img, iframe, video');
         var imageCount = 0;
@@ -786,6 +823,22 @@ function buildWeservUrl(img) {
         }
     }
 
+    // ===== READ-ONLY STATS (diagnostics overlay) =====
+    window.WeservOptimizer = {
+        getStats: function() {
+            return {
+                total: state.stats.total,
+                optimized: state.stats.optimized,
+                failed: state.stats.failed,
+                skipped: state.stats.skipped,
+                byFormat: Object.assign({}, state.stats.byFormat),
+                byQuality: Object.assign({}, state.stats.byQuality),
+                videos: Object.assign({}, state.videos),
+                batches: Object.assign({}, state.processingMetrics)
+            };
+        }
+    };
+
     // ===== START INITIALIZATION =====
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
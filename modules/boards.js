@@ -76,6 +76,153 @@ const ForumBoardsModule = (function () {
         '64748B', '94A3B8', 'CBD5E1', '475569', '334155'
     ];
 
+    // =========================================================================
+    // TEMPLATES (rendered by ForumTemplates; admins can override any of them)
+    // =========================================================================
+    // Titles (lastTopicHTML, topicTitleHTML) are the forum's own markup,
+    // sanitized with the 'inline' profile and inserted raw; everything else
+    // is escaped by Handlebars.
+    const PARTIALS = {
+        boardThumbnail:
+            '{{#if image}}' +
+                '<div class="modern-thumbnail modern-thumbnail--bg" style="background-image: url(\'{{image}}\');">' +
+                    '<a href="{{url}}" aria-label="{{label}}" class="modern-thumbnail-cover-link"></a>' +
+                '</div>' +
+            '{{else}}' +
+                '<div class="modern-thumbnail modern-thumbnail--placeholder">' +
+                    '<a href="{{url}}" aria-label="{{label}}"><i class="fa-regular fa-comments"></i></a>' +
+                '</div>' +
+            '{{/if}}',
+        boardStatusIcon:
+            '<span class="topic-status-icon" title="{{title}}"><i class="{{icon}}" aria-hidden="true"></i></span>'
+    };
+
+    const TEMPLATES = {
+        'boards.forum-card':
+            '<article class="modern-card" data-forum-id="{{forumId}}" data-original-id="f{{forumId}}">' +
+                '{{> boardThumbnail url=forumUrl label=thumbnailLabel image=thumbnailUrl}}' +
+                '<div class="modern-info">' +
+                    '<h3 class="modern-title">' +
+                        '{{> boardStatusIcon title=statusTitle icon=iconClass}}' +
+                        '<a href="{{forumUrl}}">{{forumName}}</a>' +
+                    '</h3>' +
+                    '<div class="modern-meta">' +
+                        '<span class="modern-stats">' +
+                            '{{> statPill icon="message" value=topicsCount label="topics"}}' +
+                            '{{> statPill icon="reply" value=repliesCount label="replies"}}' +
+                        '</span>' +
+                    '</div>' +
+                    '{{#if lastTopicUrl}}' +
+                        '<div class="modern-last-post">' +
+                            '<div class="last-post-topic"> ' +
+                                '{{#if subForumName}}' +
+                                    '<span class="last-post-in">in</span> ' +
+                                    '{{#if subForumUrl}}<a href="{{subForumUrl}}">{{subForumName}}</a>{{else}}{{subForumName}}{{/if}}' +
+                                    ' → ' +
+                                '{{/if}}' +
+                                '<a href="{{lastTopicUrl}}">{{{lastTopicHTML}}}</a>' +
+                            '</div>' +
+                            '<div class="last-post-meta">' +
+                                '<span class="last-post-date">{{> relativeTime date=lastPostDate text=lastPostRelative}}</span>' +
+                                '{{#if lastPostAuthor}}' +
+                                    '<span class="last-post-author">' +
+                                        '{{#if authorAvatar}}{{> avatar authorAvatar}}{{/if}}' +
+                                        '<a href="{{lastPostAuthorUrl}}">{{lastPostAuthor}}</a>' +
+                                    '</span>' +
+                                '{{/if}}' +
+                            '</div>' +
+                        '</div>' +
+                    '{{else}}' +
+                        '<div class="modern-last-post modern-last-post--empty">No posts yet</div>' +
+                    '{{/if}}' +
+                '</div>' +
+            '</article>',
+
+        'boards.topic-card':
+            '<article class="modern-card" data-topic-id="{{topicId}}" data-original-id="t{{topicId}}">' +
+                '{{> boardThumbnail url=topicUrl label=thumbnailLabel image=thumbnailUrl}}' +
+                '<div class="modern-info">' +
+                    '<h3 class="modern-title">' +
+                        '{{> boardStatusIcon title=statusTitle icon=statusIconClass}}' +
+                        '{{#if isUnread}}<span class="topic-unread-badge" title="New replies"><i class="fa-regular fa-circle"></i></span>{{/if}}' +
+                        '<a href="{{topicUrl}}">{{{topicTitleHTML}}}</a>' +
+                    '</h3>' +
+                    '<div class="modern-meta">' +
+                        '{{#if starterName}}<span class="topic-starter">by <a href="{{starterUrl}}">{{starterName}}</a></span>{{/if}}' +
+                        '{{#if forumName}}<span class="topic-forum-location">in <a href="{{forumUrl}}"><i class="fa-regular fa-folder"></i> {{forumName}}</a></span>{{/if}}' +
+                        '<span class="modern-stats">' +
+                            '{{> statPill icon="reply" value=replyCount label="replies"}}' +
+                            '{{> statPill icon="eye" value=viewCount label="views"}}' +
+                        '</span>' +
+                    '</div>' +
+                    '<div class="modern-last-post">' +
+                        '<a href="{{lastPostUrl}}" class="last-post-date-link">' +
+                            '<i class="fa-regular fa-clock"></i> {{> relativeTime date=lastPostDate text=lastPostRelative}}' +
+                        '</a>' +
+                        '<span class="last-post-author">' +
+                            '{{#if posterAvatar}}{{> avatar posterAvatar}}{{/if}}' +
+                            '<a href="{{lastPosterUrl}}">{{lastPosterName}}</a>' +
+                        '</span>' +
+                    '</div>' +
+                '</div>' +
+            '</article>',
+
+        'boards.latest-post-card':
+            '<article class="latest-post-card{{#if isNew}} is-new{{/if}}">' +
+                '<div class="latest-post-avatar">{{> avatar authorAvatar}}</div>' +
+                '<div class="latest-post-content">' +
+                    '<div class="latest-post-title">' +
+                        '<a href="{{topicUrl}}">' +
+                            '{{#if isReply}}<i class="fa-regular fa-reply latest-reply-icon" aria-hidden="true"></i> {{/if}}' +
+                            '{{{topicTitleHTML}}}' +
+                        '</a>' +
+                    '</div>' +
+                    '<div class="latest-post-meta">' +
+                        '<a href="{{authorProfileUrl}}" class="latest-post-author">{{authorName}}</a>' +
+                        '<span class="latest-post-time">{{> relativeTime date=postDate text=relativeTime}}</span>' +
+                    '</div>' +
+                '</div>' +
+            '</article>',
+
+        // statItems: [{ icon, value, label, url? }] – values arrive formatted
+        'boards.stats':
+            '<section class="modern-stats">' +
+                '<header class="stats-header">' +
+                    '<h2 class="stats-title">Community stats</h2>' +
+                    '<button id="modern-vote-btn" class="modern-btn modern-btn-primary" style="display:none"><i class="fa-regular fa-star"></i></button>' +
+                '</header>' +
+                '<div class="stats-card">' +
+                    '<div class="stats-section online-section">' +
+                        '<h3 class="stats-section-title"><i class="fa-regular fa-bolt"></i> Who\'s online</h3>' +
+                        '{{#if users.length}}' +
+                            '<div class="online-users-avatars">' +
+                                '{{#each users}}' +
+                                    '<a href="{{profileUrl}}" class="online-user-avatar" title="{{username}}">{{> avatar avatar}}</a>' +
+                                '{{/each}}' +
+                            '</div>' +
+                        '{{/if}}' +
+                        '<div class="online-counts">' +
+                            '{{> statPill icon="user" value=counts.members label="members"}}' +
+                            '{{> statPill icon="eye" value=counts.guests label="guests"}}' +
+                            '{{#if counts.anon}}{{> statPill icon="user-secret" value=counts.anon label="anonymous"}}{{/if}}' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="stats-section forum-stats-section">' +
+                        '<h3 class="stats-section-title"><i class="fa-regular fa-chart-simple"></i> Forum statistics</h3>' +
+                        '<div class="stats-grid">' +
+                            '{{#each statItems}}' +
+                                '<div class="stat-item">' +
+                                    '<i class="fa-regular fa-{{icon}}"></i>' +
+                                    '<span class="stat-value">{{#if url}}<a href="{{url}}">{{value}}</a>{{else}}{{value}}{{/if}}</span>' +
+                                    '<span class="stat-label">{{label}}</span>' +
+                                '</div>' +
+                            '{{/each}}' +
+                        '</div>' +
+                    '</div>' +
+                '</div>' +
+            '</section>'
+    };
+
     // =========================================================================
     // UTILITIES
     // =========================================================================
@@ -86,6 +233,14 @@ const ForumBoardsModule = (function () {
         return div.innerHTML;
     };
 
+    // Titles sit inside our own links, so only text formatting survives
+    const sanitizeTitle = (html) => ForumDOMUtils.sanitizeHtml(html, 'inline');
+
+    function logError(message, error) {
+        console.error('[BoardsModule] ' + message, error);
+        if (typeof ForumErrorSink !== 'undefined') ForumErrorSink.capture(error, { module: 'boards', context: message });
+    }
+
     function parseDateFromTitle(title) {
         if (!title) return null;
         title = title.replace(/(\d{1,2}):(\d{2})\s*(AM|PM)?:(\d+)/i, '$1:$2 $3');
@@ -160,10 +315,6 @@ const ForumBoardsModule = (function () {
         return rtf.format(-Math.floor(absDiff / 31536000), 'year');
     }
 
-    function formatNumber(num) {
-        return (num || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-    }
-
     function extractTopicIdFromClass(row) {
         for (const cls of row.classList) {
             if (cls.startsWith('t') && /^t\d+$/.test(cls)) return cls.substring(1);
@@ -180,41 +331,6 @@ const ForumBoardsModule = (function () {
     // =========================================================================
     // AVATAR HELPERS
     // =========================================================================
-    const userDataCache = new Map();
-
-    async function fetchUserData(mid) {
-        if (userDataCache.has(mid)) return userDataCache.get(mid);
-        try {
-            const response = await fetch('/api.php?mid=' + mid);
-            if (!response.ok) throw new Error('HTTP ' + response.status);
-            const data = await response.json();
-            const user = data['m' + mid] || data.info;
-            if (user && user.id) {
-                userDataCache.set(mid, user);
-                return user;
-            }
-            return null;
-        } catch (e) {
-            console.warn('[BoardsModule] API error for MID', mid, e);
-            return null;
-        }
-    }
-
-    // Time‑limited fetch that never blocks the UI indefinitely
-    async function fetchUserDataWithTimeout(mid, timeoutMs) {
-        if (userDataCache.has(mid)) return userDataCache.get(mid);
-        const effectiveTimeout = timeoutMs || CONFIG.API_TIMEOUT;
-        const timeoutPromise = new Promise(function (_, reject) {
-            setTimeout(function () { reject(new Error('Timeout')); }, effectiveTimeout);
-        });
-        try {
-            return await Promise.race([fetchUserData(mid), timeoutPromise]);
-        } catch (e) {
-            console.warn('[BoardsModule] User fetch timeout / error for MID', mid, e);
-            return null;
-        }
-    }
-
     function getColorFromNickname(nickname, userId) {
         let hash = 0;
         const str = nickname || userId || 'user';
@@ -273,7 +389,8 @@ const ForumBoardsModule = (function () {
         return 'group-' + sanitized;
     }
 
-    function generateAvatarHtml(user, username, userId, size) {
+    // View model for the shared avatar partial
+    function getAvatarView(user, username, userId, size) {
         const effectiveSize = size || CONFIG.AVATAR_SIZE_MINI;
         const avatarData = getUserAvatarData(user, username, userId);
         const groupClass = getGroupClass(user);
@@ -282,14 +399,15 @@ const ForumBoardsModule = (function () {
             if (effectiveSize !== CONFIG.AVATAR_SIZE_MINI && effectiveSize !== CONFIG.AVATAR_SIZE_SMALL && effectiveSize !== CONFIG.AVATAR_SIZE_ONLINE) {
                 url = optimizeImageUrl(user.avatar, effectiveSize, effectiveSize) || url;
             }
-            return '<img class="mini-avatar ' + groupClass + '" src="' + escapeHtml(url) +
-                '" alt="' + escapeHtml(username) + '" width="' + effectiveSize +
-                '" height="' + effectiveSize + '" loading="lazy">';
-        } else {
-            return '<span class="mini-avatar mini-avatar--initial ' + groupClass + '" style="background-color:#' +
-                avatarData.bgColor + ';width:' + effectiveSize + 'px;height:' + effectiveSize + 'px;font-size:' + (effectiveSize * 0.618) + 'px;line-height:' + effectiveSize + 'px;">' +
-                escapeHtml(avatarData.initial) + '</span>';
+            return { url: url, alt: username, size: effectiveSize, className: 'mini-avatar ' + groupClass };
         }
+        return {
+            initial: avatarData.initial,
+            color: avatarData.bgColor,
+            size: effectiveSize,
+            sized: true,
+            initialClassName: 'mini-avatar mini-avatar--initial ' + groupClass
+        };
     }
 
     // =========================================================================
@@ -361,12 +479,12 @@ const ForumBoardsModule = (function () {
             const links = whereEl.querySelectorAll('a');
             if (links.length === 1) {
                 lastTopicUrl = links[0].getAttribute('href') || '';
-                lastTopicHTML = links[0].innerHTML;
+                lastTopicHTML = sanitizeTitle(links[0].innerHTML);
             } else if (links.length >= 2) {
                 subForumUrl = links[0].getAttribute('href') || '';
                 subForumName = links[0].textContent.trim();
                 lastTopicUrl = links[1].getAttribute('href') || '';
-                lastTopicHTML = links[1].innerHTML;
+                lastTopicHTML = sanitizeTitle(links[1].innerHTML);
             }
         }
 
@@ -382,7 +500,7 @@ const ForumBoardsModule = (function () {
         return {
             forumId, forumName, forumUrl,
             thumbnailUrl, topicsCount, repliesCount,
-            lastPostRelative, lastPostDateStr,
+            lastPostRelative, lastPostDateStr, lastPostDate,
             lastTopicUrl, lastTopicHTML,
             subForumUrl, subForumName,
             lastPostAuthor, lastPostAuthorUrl, lastPostAuthorMid,
@@ -398,81 +516,16 @@ const ForumBoardsModule = (function () {
         return { categoryId, categoryName };
     }
 
-    function buildThumbnailDiv(linkUrl, label, bgUrl) {
-        if (bgUrl) {
-            return '<div class="modern-thumbnail modern-thumbnail--bg" style="background-image: url(\'' + escapeHtml(bgUrl) + '\');">' +
-                       '<a href="' + escapeHtml(linkUrl) + '" aria-label="' + escapeHtml(label) + '" class="modern-thumbnail-cover-link"></a>' +
-                   '</div>';
-        } else {
-            return '<div class="modern-thumbnail modern-thumbnail--placeholder">' +
-                       '<a href="' + escapeHtml(linkUrl) + '" aria-label="' + escapeHtml(label) + '">' +
-                           '<i class="fa-regular fa-comments"></i>' +
-                       '</a>' +
-                   '</div>';
-        }
-    }
-
     function generateForumCard(data) {
-        var imageHtml = buildThumbnailDiv(data.forumUrl, 'Go to ' + data.forumName, data.thumbnailUrl);
-
-        var statusIconTitle = data.isUnread ? 'New posts' : 'No new posts';
-        var statusIconHtml =
-            '<span class="topic-status-icon" title="' + escapeHtml(statusIconTitle) + '">' +
-                '<i class="' + escapeHtml(data.iconClass) + '" aria-hidden="true"></i>' +
-            '</span>';
-
-        var lastPostHtml = '';
-        if (data.lastTopicUrl) {
-            var subText = ' ';
-            if (data.subForumName) {
-                var subLink = data.subForumUrl
-                    ? '<a href="' + escapeHtml(data.subForumUrl) + '">' + escapeHtml(data.subForumName) + '</a>'
-                    : escapeHtml(data.subForumName);
-                subText = ' <span class="last-post-in">in</span> ' + subLink + ' \u2192 ';
-            }
-
-            var avatarHtml = '';
-            if (data.lastPostAuthorMid && data.lastPostAuthor) {
-                const user = userDataCache.get(data.lastPostAuthorMid);
-                avatarHtml = generateAvatarHtml(user, data.lastPostAuthor, data.lastPostAuthorMid, CONFIG.AVATAR_SIZE_MINI);
-            }
-            var authorHtml = data.lastPostAuthor
-                ? '<span class="last-post-author">' + avatarHtml +
-                    '<a href="' + escapeHtml(data.lastPostAuthorUrl) + '">' + escapeHtml(data.lastPostAuthor) + '</a></span>'
-                : '';
-
-            lastPostHtml =
-                '<div class="modern-last-post">' +
-                    '<div class="last-post-topic">' +
-                        subText + '<a href="' + escapeHtml(data.lastTopicUrl) + '">' + data.lastTopicHTML + '</a>' +
-                    '</div>' +
-                    '<div class="last-post-meta">' +
-                        '<span class="last-post-date">' + escapeHtml(data.lastPostRelative) + '</span>' +
-                        authorHtml +
-                    '</div>' +
-                '</div>';
-        } else {
-            lastPostHtml = '<div class="modern-last-post modern-last-post--empty">No posts yet</div>';
+        var authorAvatar = null;
+        if (data.lastPostAuthorMid && data.lastPostAuthor) {
+            authorAvatar = getAvatarView(ForumUserService.peek(data.lastPostAuthorMid), data.lastPostAuthor, data.lastPostAuthorMid, CONFIG.AVATAR_SIZE_MINI);
         }
-
-        return (
-            '<article class="modern-card" data-forum-id="' + data.forumId + '" data-original-id="f' + data.forumId + '">' +
-                imageHtml +
-                '<div class="modern-info">' +
-                    '<h3 class="modern-title">' +
-                        statusIconHtml +
-                        '<a href="' + escapeHtml(data.forumUrl) + '">' + escapeHtml(data.forumName) + '</a>' +
-                    '</h3>' +
-                    '<div class="modern-meta">' +
-                        '<span class="modern-stats">' +
-                            '<span><i class="fa-regular fa-message"></i> ' + formatNumber(data.topicsCount) + ' topics</span>' +
-                            '<span><i class="fa-regular fa-reply"></i> ' + formatNumber(data.repliesCount) + ' replies</span>' +
-                        '</span>' +
-                    '</div>' +
-                    lastPostHtml +
-                '</div>' +
-            '</article>'
-        );
+        return ForumTemplates.render('boards.forum-card', Object.assign({}, data, {
+            thumbnailLabel: 'Go to ' + data.forumName,
+            statusTitle: data.isUnread ? 'New posts' : 'No new posts',
+            authorAvatar: authorAvatar
+        }));
     }
 
     // =========================================================================
@@ -487,7 +540,7 @@ const ForumBoardsModule = (function () {
         const titleEl = row.querySelector('h3.web a');
         const topicTitle = titleEl ? titleEl.textContent.trim() : 'Unknown Topic';
         const topicUrl = titleEl ? titleEl.getAttribute('href') : '#';
-        const topicTitleHTML = titleEl ? titleEl.innerHTML : escapeHtml(topicTitle);
+        const topicTitleHTML = titleEl ? sanitizeTitle(titleEl.innerHTML) : escapeHtml(topicTitle);
 
         const thumbImg = row.querySelector('h4.desc img');
         const thumbnailUrl = thumbImg ? thumbImg.getAttribute('src') : null;
@@ -536,70 +589,22 @@ const ForumBoardsModule = (function () {
             thumbnailUrl,
             starterName, starterUrl, starterMid,
             replyCount, viewCount,
-            lastPostRelative, lastPostUrl,
+            lastPostRelative, lastPostUrl, lastPostDate,
             lastPosterName, lastPosterUrl, lastPosterMid,
             forumName, forumUrl
         };
     }
 
     function generateTopicCard(data) {
-        var imageHtml = buildThumbnailDiv(data.topicUrl, 'View topic: ' + data.topicTitle, data.thumbnailUrl);
-
-        var statusIconTitle = data.isUnread ? 'New replies' : 'No new replies';
-        var statusIconHtml =
-            '<span class="topic-status-icon" title="' + escapeHtml(statusIconTitle) + '">' +
-                '<i class="' + escapeHtml(data.statusIconClass) + '" aria-hidden="true"></i>' +
-            '</span>';
-
-        var unreadBadge = data.isUnread
-            ? '<span class="topic-unread-badge" title="New replies"><i class="fa-regular fa-circle"></i></span>'
-            : '';
-
-        var starterHtml = '';
-        if (data.starterName) {
-            starterHtml = '<span class="topic-starter">by <a href="' + escapeHtml(data.starterUrl) + '">' + escapeHtml(data.starterName) + '</a></span>';
-        }
-
-        // Forum location (if present)
-        var forumLocationHtml = '';
-        if (data.forumName) {
-            forumLocationHtml = '<span class="topic-forum-location">in <a href="' + escapeHtml(data.forumUrl) + '"><i class="fa-regular fa-folder"></i> ' + escapeHtml(data.forumName) + '</a></span>';
-        }
-
-        var lastPosterAvatarHtml = '';
+        var posterAvatar = null;
         if (data.lastPosterMid && data.lastPosterName) {
-            const user = userDataCache.get(data.lastPosterMid);
-            lastPosterAvatarHtml = generateAvatarHtml(user, data.lastPosterName, data.lastPosterMid, CONFIG.AVATAR_SIZE_MINI);
+            posterAvatar = getAvatarView(ForumUserService.peek(data.lastPosterMid), data.lastPosterName, data.lastPosterMid, CONFIG.AVATAR_SIZE_MINI);
         }
-        var lastPosterHtml =
-            '<span class="last-post-author">' + lastPosterAvatarHtml +
-                '<a href="' + escapeHtml(data.lastPosterUrl) + '">' + escapeHtml(data.lastPosterName) + '</a></span>';
-
-        return (
-            '<article class="modern-card" data-topic-id="' + data.topicId + '" data-original-id="t' + data.topicId + '">' +
-                imageHtml +
-                '<div class="modern-info">' +
-                    '<h3 class="modern-title">' +
-                        statusIconHtml + unreadBadge +
-                        '<a href="' + escapeHtml(data.topicUrl) + '">' + data.topicTitleHTML + '</a>' +
-                    '</h3>' +
-                    '<div class="modern-meta">' +
-                        starterHtml +
-                        forumLocationHtml +
-                        '<span class="modern-stats">' +
-                            '<span><i class="fa-regular fa-reply"></i> ' + formatNumber(data.replyCount) + ' replies</span>' +
-                            '<span><i class="fa-regular fa-eye"></i> ' + formatNumber(data.viewCount) + ' views</span>' +
-                        '</span>' +
-                    '</div>' +
-                    '<div class="modern-last-post">' +
-                        '<a href="' + escapeHtml(data.lastPostUrl) + '" class="last-post-date-link">' +
-                            '<i class="fa-regular fa-clock"></i> ' + escapeHtml(data.lastPostRelative) +
-                        '</a>' +
-                        lastPosterHtml +
-                    '</div>' +
-                '</div>' +
-            '</article>'
-        );
+        return ForumTemplates.render('boards.topic-card', Object.assign({}, data, {
+            thumbnailLabel: 'View topic: ' + data.topicTitle,
+            statusTitle: data.isUnread ? 'New replies' : 'No new replies',
+            posterAvatar: posterAvatar
+        }));
     }
 
     // =========================================================================
@@ -621,10 +626,11 @@ const ForumBoardsModule = (function () {
         const replyIcon = boldEl ? boldEl.querySelector('i.reply') : null;
         const isReply = !!replyIcon;
 
-        var topicTitleHTML = boldEl ? boldEl.innerHTML : (topicLink ? topicLink.textContent : 'Untitled');
+        var topicTitleHTML = boldEl ? boldEl.innerHTML : escapeHtml(topicLink ? topicLink.textContent : 'Untitled');
         if (replyIcon) {
             topicTitleHTML = topicTitleHTML.replace(/<i class="reply"[^>]*>[^<]*<\/i>\s*/i, '');
         }
+        topicTitleHTML = sanitizeTitle(topicTitleHTML);
 
         const whenSpan = topicDiv.querySelector('.when');
         var dateStr = '';
@@ -642,42 +648,27 @@ const ForumBoardsModule = (function () {
             avatarSrc,
             authorName, authorProfileUrl, authorMid,
             topicUrl, topicTitleHTML,
-            relativeTime, isNew,
+            relativeTime, postDate, isNew,
             isReply
         };
     }
 
     function generateLatestPostCard(data) {
-        var avatarHtml = '';
+        var authorAvatar;
         if (data.authorMid) {
-            const user = userDataCache.get(data.authorMid);
-            avatarHtml = generateAvatarHtml(user, data.authorName, data.authorMid, CONFIG.AVATAR_SIZE_SMALL);
+            authorAvatar = getAvatarView(ForumUserService.peek(data.authorMid), data.authorName, data.authorMid, CONFIG.AVATAR_SIZE_SMALL);
         } else if (data.avatarSrc) {
-            avatarHtml = '<img class="mini-avatar group-member" src="' + escapeHtml(data.avatarSrc) +
-                '" alt="' + escapeHtml(data.authorName) + '" width="' + CONFIG.AVATAR_SIZE_SMALL +
-                '" height="' + CONFIG.AVATAR_SIZE_SMALL + '" loading="lazy">';
+            authorAvatar = { url: data.avatarSrc, alt: data.authorName, size: CONFIG.AVATAR_SIZE_SMALL, className: 'mini-avatar group-member' };
         } else {
-            avatarHtml = '<span class="mini-avatar mini-avatar--initial group-member" style="background-color:#059669;width:' +
-                CONFIG.AVATAR_SIZE_SMALL + 'px;height:' + CONFIG.AVATAR_SIZE_SMALL + 'px;font-size:' + (CONFIG.AVATAR_SIZE_SMALL * 0.618) + 'px;line-height:' + CONFIG.AVATAR_SIZE_SMALL + 'px;">?</span>';
-        }
-
-        var titlePrefix = '';
-        if (data.isReply) {
-            titlePrefix = '<i class="fa-regular fa-reply latest-reply-icon" aria-hidden="true"></i> ';
+            authorAvatar = {
+                initial: '?',
+                color: '059669',
+                size: CONFIG.AVATAR_SIZE_SMALL,
+                sized: true,
+                initialClassName: 'mini-avatar mini-avatar--initial group-member'
+            };
         }
-
-        var titleLink = '<a href="' + escapeHtml(data.topicUrl) + '">' + titlePrefix + data.topicTitleHTML + '</a>';
-
-        return '<article class="latest-post-card' + (data.isNew ? ' is-new' : '') + '">' +
-            '<div class="latest-post-avatar">' + avatarHtml + '</div>' +
-            '<div class="latest-post-content">' +
-                '<div class="latest-post-title">' + titleLink + '</div>' +
-                '<div class="latest-post-meta">' +
-                    '<a href="' + escapeHtml(data.authorProfileUrl) + '" class="latest-post-author">' + escapeHtml(data.authorName) + '</a>' +
-                    '<span class="latest-post-time">' + escapeHtml(data.relativeTime) + '</span>' +
-                '</div>' +
-            '</div>' +
-        '</article>';
+        return ForumTemplates.render('boards.latest-post-card', Object.assign({}, data, { authorAvatar: authorAvatar }));
     }
 
     // =========================================================================
@@ -775,64 +766,39 @@ const ForumBoardsModule = (function () {
     }
    
     function buildModernStats(onlineData, statsData) {
-        var usersHtml = '';
-        if (onlineData.users.length > 0) {
-            var avatarItems = onlineData.users.map(function (u) {
-                var avatarHtml;
-                if (u.mid) {
-                    const user = userDataCache.get(u.mid);
-                    avatarHtml = generateAvatarHtml(user, u.username, u.mid, CONFIG.AVATAR_SIZE_ONLINE);
-                } else {
-                    var initial = u.username.charAt(0).toUpperCase();
-                    avatarHtml = '<span class="mini-avatar mini-avatar--initial ' + u.groupClass + '" style="width:' + CONFIG.AVATAR_SIZE_ONLINE + 'px;height:' + CONFIG.AVATAR_SIZE_ONLINE + 'px;line-height:' + CONFIG.AVATAR_SIZE_ONLINE + 'px;">' + initial + '</span>';
-                }
-                return '<a href="' + escapeHtml(u.profileUrl) + '" class="online-user-avatar" title="' + escapeHtml(u.username) + '">' + avatarHtml + '</a>';
-            }).join('');
-            usersHtml = '<div class="online-users-avatars">' + avatarItems + '</div>';
-        }
+        var users = onlineData.users.map(function (u) {
+            var avatar;
+            if (u.mid) {
+                avatar = getAvatarView(ForumUserService.peek(u.mid), u.username, u.mid, CONFIG.AVATAR_SIZE_ONLINE);
+            } else {
+                avatar = {
+                    initial: u.username.charAt(0).toUpperCase(),
+                    size: CONFIG.AVATAR_SIZE_ONLINE,
+                    sized: true,
+                    initialClassName: 'mini-avatar mini-avatar--initial ' + u.groupClass
+                };
+            }
+            return Object.assign({ avatar: avatar }, u);
+        });
 
-        var countsHtml = '<div class="online-counts">' +
-            '<span><i class="fa-regular fa-user"></i> ' + onlineData.counts.members + ' members</span>' +
-            '<span><i class="fa-regular fa-eye"></i> ' + onlineData.counts.guests + ' guests</span>' +
-            (onlineData.counts.anon ? '<span><i class="fa-regular fa-user-secret"></i> ' + onlineData.counts.anon + ' anonymous</span>' : '') +
-            '</div>';
-
-        var statsHtml = '<div class="stats-grid">';
-        statsHtml += '<div class="stat-item"><i class="fa-regular fa-message"></i><span class="stat-value">' + statsData.posts + '</span><span class="stat-label">posts</span></div>';
-        statsHtml += '<div class="stat-item"><i class="fa-regular fa-comments"></i><span class="stat-value">' + statsData.topics + '</span><span class="stat-label">topics</span></div>';
-        statsHtml += '<div class="stat-item"><i class="fa-regular fa-users"></i><span class="stat-value">' + statsData.members + '</span><span class="stat-label">members</span></div>';
-        statsHtml += '<div class="stat-item"><i class="fa-regular fa-eye"></i><span class="stat-value">' + statsData.totalVisits + '</span><span class="stat-label">total visits</span></div>';
-        if (statsData.monthlyVisits) {
-            statsHtml += '<div class="stat-item"><i class="fa-regular fa-calendar"></i><span class="stat-value">' + statsData.monthlyVisits + '</span><span class="stat-label">monthly visits</span></div>';
-        }
-        if (statsData.topForum) {
-            statsHtml += '<div class="stat-item"><i class="fa-regular fa-trophy"></i><span class="stat-value">' + statsData.topForum + '</span><span class="stat-label">top forum</span></div>';
-        }
+        var statItems = [
+            { icon: 'message', value: statsData.posts, label: 'posts' },
+            { icon: 'comments', value: statsData.topics, label: 'topics' },
+            { icon: 'users', value: statsData.members, label: 'members' },
+            { icon: 'eye', value: statsData.totalVisits, label: 'total visits' }
+        ];
+        if (statsData.monthlyVisits) statItems.push({ icon: 'calendar', value: statsData.monthlyVisits, label: 'monthly visits' });
+        if (statsData.topForum) statItems.push({ icon: 'trophy', value: statsData.topForum, label: 'top forum' });
         if (statsData.newestMember) {
-            statsHtml += '<div class="stat-item"><i class="fa-regular fa-user-plus"></i><span class="stat-value"><a href="' + escapeHtml(statsData.newestMember.url) + '">' + escapeHtml(statsData.newestMember.name) + '</a></span><span class="stat-label">newest member</span></div>';
+            statItems.push({ icon: 'user-plus', value: statsData.newestMember.name, url: statsData.newestMember.url, label: 'newest member' });
         }
-        if (statsData.mostOnline) {
-            statsHtml += '<div class="stat-item"><i class="fa-regular fa-chart-line"></i><span class="stat-value">' + statsData.mostOnline.count + '</span><span class="stat-label">most online</span></div>';
-        }
-        statsHtml += '</div>';
-
-        return '<section class="modern-stats">' +
-            '<header class="stats-header">' +
-                '<h2 class="stats-title">Community stats</h2>' +
-                '<button id="modern-vote-btn" class="modern-btn modern-btn-primary" style="display:none"><i class="fa-regular fa-star"></i></button>' +
-            '</header>' +
-            '<div class="stats-card">' +
-                '<div class="stats-section online-section">' +
-                    '<h3 class="stats-section-title"><i class="fa-regular fa-bolt"></i> Who\'s online</h3>' +
-                    usersHtml +
-                    countsHtml +
-                '</div>' +
-                '<div class="stats-section forum-stats-section">' +
-                    '<h3 class="stats-section-title"><i class="fa-regular fa-chart-simple"></i> Forum statistics</h3>' +
-                    statsHtml +
-                '</div>' +
-            '</div>' +
-        '</section>';
+        if (statsData.mostOnline) statItems.push({ icon: 'chart-line', value: statsData.mostOnline.count, label: 'most online' });
+
+        return ForumTemplates.render('boards.stats', {
+            users: users,
+            counts: onlineData.counts,
+            statItems: statItems
+        });
     }
 
     // =========================================================================
@@ -855,9 +821,7 @@ const ForumBoardsModule = (function () {
             }
         });
         try {
-            await Promise.all(Array.from(mids).map(function (mid) {
-                return fetchUserDataWithTimeout(mid);
-            }));
+            await ForumUserService.getMany(Array.from(mids), { timeout: CONFIG.API_TIMEOUT });
         } catch (e) {
             console.warn('[BoardsModule] User data fetch failed, using initials only');
         }
@@ -873,9 +837,7 @@ const ForumBoardsModule = (function () {
             }
         });
         try {
-            await Promise.all(Array.from(mids).map(function (mid) {
-                return fetchUserDataWithTimeout(mid);
-            }));
+            await ForumUserService.getMany(Array.from(mids), { timeout: CONFIG.API_TIMEOUT });
         } catch (e) {
             console.warn('[BoardsModule] Latest post author fetch failed');
         }
@@ -887,9 +849,7 @@ const ForumBoardsModule = (function () {
             if (u.mid) mids.add(u.mid);
         });
         try {
-            await Promise.all(Array.from(mids).map(function (mid) {
-                return fetchUserDataWithTimeout(mid);
-            }));
+            await ForumUserService.getMany(Array.from(mids), { timeout: CONFIG.API_TIMEOUT });
         } catch (e) {
             console.warn('[BoardsModule] Online user fetch failed');
         }
@@ -973,19 +933,55 @@ const ForumBoardsModule = (function () {
     // =========================================================================
     // COLLAPSIBLE CATEGORY TOGGLE
     // =========================================================================
+    let categoryToggleAttached = false;
+    let unsubscribeCategoryToggle = null;
+
+    function setCategoryCollapsed(categoryId, collapsed) {
+        const section = document.querySelector('.board-category[data-category-id="' + categoryId + '"]');
+        if (!section) return null;
+        section.classList.toggle('collapsed', collapsed);
+        return section;
+    }
+
     function attachCategoryToggleEvents() {
-        document.addEventListener('click', function (e) {
-            const btn = e.target.closest('.category-toggle-btn');
-            if (!btn) return;
-            const categoryId = btn.getAttribute('data-category-id');
-            const section = document.querySelector('.board-category[data-category-id="' + categoryId + '"]');
-            if (!section) return;
-            section.classList.toggle('collapsed');
-            const collapsed = section.classList.contains('collapsed');
-            try {
-                localStorage.setItem(CONFIG.COLLAPSE_STORAGE_PREFIX + categoryId, collapsed ? '1' : '0');
-            } catch (ignore) {}
-        });
+        if (categoryToggleAttached) return;
+        categoryToggleAttached = true;
+        document.addEventListener('click', handleCategoryToggleClick);
+
+        // Mirror toggles made in other tabs (localStorage is already shared)
+        if (typeof ForumEventBus !== 'undefined') {
+            unsubscribeCategoryToggle = ForumEventBus.on('boards:category:toggled', function (data, eventName, meta) {
+                // The payload comes from another tab's storage event; only plain ids reach the selector
+                if (!meta || !meta.remote || !data || !/^\d+$/.test(String(data.categoryId))) return;
+                setCategoryCollapsed(data.categoryId, !!data.collapsed);
+            });
+        }
+    }
+
+    function handleCategoryToggleClick(e) {
+        const btn = e.target.closest('.category-toggle-btn');
+        if (!btn) return;
+        const categoryId = btn.getAttribute('data-category-id');
+        const section = document.querySelector('.board-category[data-category-id="' + categoryId + '"]');
+        if (!section) return;
+        const collapsed = !section.classList.contains('collapsed');
+        setCategoryCollapsed(categoryId, collapsed);
+        try {
+            localStorage.setItem(CONFIG.COLLAPSE_STORAGE_PREFIX + categoryId, collapsed ? '1' : '0');
+        } catch (ignore) {}
+        if (typeof ForumEventBus !== 'undefined') {
+            ForumEventBus.trigger('boards:category:toggled', { categoryId: categoryId, collapsed: collapsed });
+        }
+    }
+
+    function detachCategoryToggleEvents() {
+        if (!categoryToggleAttached) return;
+        categoryToggleAttached = false;
+        document.removeEventListener('click', handleCategoryToggleClick);
+        if (unsubscribeCategoryToggle) {
+            unsubscribeCategoryToggle();
+            unsubscribeCategoryToggle = null;
+        }
     }
 
     function restoreCategoryStates() {
@@ -1002,6 +998,7 @@ const ForumBoardsModule = (function () {
     // CONVERSION FUNCTIONS
     // =========================================================================
     let conversionInProgress = false;
+    let voteSetupTimer = null;
 
     async function convertBoards() {
         if (conversionInProgress) return;
@@ -1025,14 +1022,14 @@ const ForumBoardsModule = (function () {
             await fetchAllRelevantUsers(allForumRows, []);
 
             const modernHtml = buildModernBoardList(categories);
-            container.innerHTML = modernHtml || '';
+            ForumDOMUtils.setSafeHtml(container, modernHtml || '', 'ui');
 
             attachCategoryToggleEvents();
             restoreCategoryStates();
 
             console.log('[BoardsModule] Board list modernized');
         } catch (err) {
-            console.error('[BoardsModule] Board conversion error:', err);
+            logError('Board conversion error:', err);
         } finally {
             conversionInProgress = false;
         }
@@ -1057,10 +1054,10 @@ const ForumBoardsModule = (function () {
             await fetchAllRelevantUsers([], Array.from(topicRows));
 
             const modernHtml = buildModernTopicList(forumWrapper);
-            container.innerHTML = modernHtml || '';
+            ForumDOMUtils.setSafeHtml(container, modernHtml || '', 'ui');
             console.log('[BoardsModule] Topic list modernized (' + topicRows.length + ' topics)');
         } catch (err) {
-            console.error('[BoardsModule] Topic conversion error:', err);
+            logError('Topic conversion error:', err);
         } finally {
             conversionInProgress = false;
         }
@@ -1084,10 +1081,10 @@ const ForumBoardsModule = (function () {
             await fetchLatestPostAuthors(limitedDivs);
 
             const modernHtml = buildLatestPostsList(limitedDivs);
-            container.innerHTML = modernHtml || '';
+            ForumDOMUtils.setSafeHtml(container, modernHtml || '', 'ui');
             console.log('[BoardsModule] Latest posts modernized (' + limitedDivs.length + ' shown)');
         } catch (err) {
-            console.error('[BoardsModule] Latest posts error:', err);
+            logError('Latest posts error:', err);
         } finally {
             conversionInProgress = false;
         }
@@ -1109,10 +1106,12 @@ const ForumBoardsModule = (function () {
             await fetchOnlineUsers(onlineData.users);
 
             var modernHtml = buildModernStats(onlineData, statsData);
-            container.innerHTML = modernHtml || '';
+            ForumDOMUtils.setSafeHtml(container, modernHtml || '', 'ui');
 
             // ---- Voting button setup (after DOM is populated) ----
-            setTimeout(function () {
+            clearTimeout(voteSetupTimer);
+            voteSetupTimer = setTimeout(function () {
+                voteSetupTimer = null;
                 var legacyForm = document.querySelector('#legacy-topbutton form.topbutton');
                 var modernBtn = document.getElementById('modern-vote-btn');
                 if (legacyForm && modernBtn) {
@@ -1123,7 +1122,7 @@ const ForumBoardsModule = (function () {
                         // "Vote for us in Top Forum for June!" → "Vote for us in June!"
                         buttonText = fullText.replace(/in Top Forum for /i, 'in ');
                     }
-                    modernBtn.innerHTML = '<i class="fa-regular fa-star"></i> ' + buttonText;
+                    ForumDOMUtils.setSafeHtml(modernBtn, '<i class="fa-regular fa-star"></i> ' + escapeHtml(buttonText));
                     modernBtn.style.display = '';
                     modernBtn.addEventListener('click', function (e) {
                         e.preventDefault();
@@ -1135,7 +1134,7 @@ const ForumBoardsModule = (function () {
 
             console.log('[BoardsModule] Stats modernized');
         } catch (err) {
-            console.error('[BoardsModule] Stats error:', err);
+            logError('Stats error:', err);
         } finally {
             conversionInProgress = false;
         }
@@ -1144,60 +1143,79 @@ const ForumBoardsModule = (function () {
     // =========================================================================
     // OBSERVER INTEGRATION – now each registration is individually guarded
     // =========================================================================
+    const observerIds = [];
+
+    function registerObserver(settings) {
+        const id = globalThis.forumObserver.register(settings);
+        if (id) observerIds.push(id);
+    }
+
     function registerObservers() {
         if (!globalThis.forumObserver) return;
 
         try {
-            globalThis.forumObserver.register({
+            registerObserver({
                 id: 'boards-module-board-list',
                 selector: CONFIG.BOARD_LIST_SELECTOR,
                 priority: 'high',
                 callback: function () { convertBoards(); }
             });
         } catch (e) {
-            console.error('[BoardsModule] Failed to register board list observer:', e);
+            logError('Failed to register board list observer:', e);
         }
 
         try {
-            globalThis.forumObserver.register({
+            registerObserver({
                 id: 'boards-module-topic-list',
                 selector: CONFIG.FORUM_WRAPPER_SELECTOR,
                 priority: 'high',
                 callback: function () { convertTopics(); }
             });
         } catch (e) {
-            console.error('[BoardsModule] Failed to register topic list observer:', e);
+            logError('Failed to register topic list observer:', e);
         }
 
         try {
-            globalThis.forumObserver.register({
+            registerObserver({
                 id: 'boards-module-latest-posts',
                 selector: CONFIG.LATEST_POSTS_SELECTOR,
                 priority: 'high',
                 callback: function () { convertLatestPosts(); }
             });
         } catch (e) {
-            console.error('[BoardsModule] Failed to register latest posts observer:', e);
+            logError('Failed to register latest posts observer:', e);
         }
 
         try {
-            globalThis.forumObserver.register({
+            registerObserver({
                 id: 'boards-module-stats',
                 selector: CONFIG.STATS_SELECTOR,
                 priority: 'high',
                 callback: function () { convertStats(); }
             });
         } catch (e) {
-            console.error('[BoardsModule] Failed to register stats observer:', e);
+            logError('Failed to register stats observer:', e);
         }
 
         console.log('[BoardsModule] Registered with ForumCoreObserver');
     }
 
+    function unregisterObservers() {
+        while (observerIds.length > 0) {
+            const id = observerIds.pop();
+            if (globalThis.forumObserver) globalThis.forumObserver.unregister(id);
+        }
+    }
+
     // =========================================================================
-    // INITIALIZATION
+    // LIFECYCLE
     // =========================================================================
-    async function initialize() {
+    let isInitialized = false;
+    let initPromise = null;
+    // Bumped by destroy() so conversions still awaiting the API stop there
+    let lifecycleGeneration = 0;
+
+    async function convertAll() {
         var hasLatest = !!document.querySelector(CONFIG.LATEST_POSTS_SELECTOR);
         var hasBoard = !!document.querySelector(CONFIG.BOARD_LIST_SELECTOR);
         var hasForum = !!document.querySelector(CONFIG.FORUM_WRAPPER_SELECTOR);
@@ -1218,27 +1236,57 @@ const ForumBoardsModule = (function () {
         if (hasStats) await convertStats();
 
         reorderContainers();
-        registerObservers();
+    }
+
+    function initialize() {
+        if (isInitialized) return Promise.resolve();
+        if (initPromise) return initPromise;
+
+        ForumTemplates.definePartial(PARTIALS);
+        ForumTemplates.define(TEMPLATES);
+
+        const generation = lifecycleGeneration;
+        initPromise = convertAll().then(function () {
+            if (generation !== lifecycleGeneration) return;
+            registerObservers();
+            isInitialized = true;
+            console.log('[BoardsModule] All lists modernized and observing');
+        }).finally(function () {
+            if (generation === lifecycleGeneration) initPromise = null;
+        });
+        return initPromise;
+    }
 
-        console.log('[BoardsModule] All lists modernized and observing');
+    // Removes everything initialize() added: observer callbacks, listeners
+    // and the generated containers. Legacy markup was never modified.
+    function destroy() {
+        lifecycleGeneration++;
+        initPromise = null;
+        isInitialized = false;
+        unregisterObservers();
+        detachCategoryToggleEvents();
+        clearTimeout(voteSetupTimer);
+        voteSetupTimer = null;
+        CONFIG.ORDERED_CONTAINERS.forEach(function (id) {
+            const el = document.getElementById(id);
+            if (el) el.remove();
+        });
+        console.log('[BoardsModule] Destroyed');
+    }
+
+    async function refresh() {
+        if (!isInitialized) return initialize();
+        await convertAll();
     }
 
     return {
         initialize: initialize,
-        refresh: async function () {
-            userDataCache.clear();
-            await initialize();
-        }
+        destroy: destroy,
+        refresh: refresh
     };
 })();
 
-// Auto‑initialize when DOM is ready
-if (document.readyState === 'interactive' || document.readyState === 'complete') {
-    setTimeout(function () { ForumBoardsModule.initialize(); }, 0);
-} else {
-    document.addEventListener('DOMContentLoaded', function () { ForumBoardsModule.initialize(); });
-}
-
+// Initialized by ForumEnhancer, so member preferences can switch it off
 // Expose globally
 if (typeof window !== 'undefined') {
     window.ForumBoardsModule = ForumBoardsModule;
@@ -7,12 +7,25 @@ var MessengerModule = (function(Utils, EventBus) {
     var observerCallbacks = [];
     var _originalEmoticon = null;
 
-    var currentUrl = window.location.href;
-    var currentSection = 'compose';
-    if (currentUrl.indexOf('CODE=01') !== -1) {
-        currentSection = 'messages';
-    } else if (currentUrl.indexOf('CODE=02') !== -1) {
-        currentSection = 'contacts';
+    // Page additions that outlive the #modern-messenger container
+    var documentListeners = [];
+    var busSubscriptions = [];
+    var overlayNodes = [];
+    var activeEditor = null;
+    var lifecycleGeneration = 0;
+
+    var currentSection = detectSection();
+
+    function detectSection() {
+        var code = globalThis.forumObserver ? globalThis.forumObserver.getPageContext().code : '';
+        if (code === '01') return 'messages';
+        if (code === '02') return 'contacts';
+        return 'compose';
+    }
+
+    function listen(type, handler) {
+        document.addEventListener(type, handler);
+        documentListeners.push([type, handler]);
     }
 
     // ------------------------------------------------------------------------
@@ -21,6 +34,7 @@ var MessengerModule = (function(Utils, EventBus) {
     function initialize() {
         if (isInitialized) return Promise.resolve();
         if (document.body.id !== 'msg') return Promise.resolve();
+        currentSection = detectSection();
         if (document.getElementById('modern-messenger')) {
             isInitialized = true;
             return Promise.resolve();
@@ -31,11 +45,13 @@ var MessengerModule = (function(Utils, EventBus) {
             return Promise.reject(new Error('forumObserver missing'));
         }
 
+        var generation = lifecycleGeneration;
         return new Promise(function(resolve, reject) {
             var wrapperReady = false;
             var targetReady = false;
 
             function tryBuild() {
+                if (generation !== lifecycleGeneration) return resolve();
                 if (wrapperReady && targetReady && !isInitialized && !document.getElementById('modern-messenger')) {
                     waitForGlobalFunctions()
                         .then(function() {
@@ -45,7 +61,7 @@ var MessengerModule = (function(Utils, EventBus) {
                                 if (EventBus) EventBus.trigger('messenger:ready');
                                 resolve();
                             } catch (err) {
-                                console.error('[MessengerModule] Build failed:', err);
+                                logError('Build failed:', err);
                                 reject(err);
                             }
                         })
@@ -53,16 +69,17 @@ var MessengerModule = (function(Utils, EventBus) {
                 }
             }
 
-            var wrapperObserverId = globalThis.forumObserver.register({
+            var wrapperObserver = globalThis.forumObserver.register({
                 id: 'messenger-wrapper',
                 selector: '#modern-forum-wrapper',
                 priority: 'critical',
+                once: true,
                 callback: function() {
                     wrapperReady = true;
-                    if (wrapperObserverId) globalThis.forumObserver.unregister(wrapperObserverId);
                     tryBuild();
                 }
             });
+            if (wrapperObserver) observerCallbacks.push(wrapperObserver);
 
             var targetSelector = '';
             if (currentSection === 'messages') {
@@ -73,16 +90,17 @@ var MessengerModule = (function(Utils, EventBus) {
                 targetSelector = '.cp.send, #Post';
             }
 
-            var targetObserverId = globalThis.forumObserver.register({
+            var targetObserver = globalThis.forumObserver.register({
                 id: 'messenger-target',
                 selector: targetSelector,
                 priority: 'critical',
+                once: true,
                 callback: function() {
                     targetReady = true;
-                    if (targetObserverId) globalThis.forumObserver.unregister(targetObserverId);
                     tryBuild();
                 }
             });
+            if (targetObserver) observerCallbacks.push(targetObserver);
 
             setTimeout(function() {
                 if (!wrapperReady) wrapperReady = true;
@@ -98,14 +116,39 @@ var MessengerModule = (function(Utils, EventBus) {
             window.emoticon = _originalEmoticon;
             _originalEmoticon = null;
         }
-        observerCallbacks.forEach(function(id) {
-            if (globalThis.forumObserver && typeof globalThis.forumObserver.unregister === 'function') {
-                globalThis.forumObserver.unregister(id);
-            }
+        observerCallbacks.forEach(function(handle) {
+            handle.dispose();
         });
         observerCallbacks = [];
     }
 
+    // Tears down everything buildModernMessenger() set up; the legacy form
+    // fields were only read and written, never replaced
+    function destroy() {
+        lifecycleGeneration++;
+        reset();
+        if (activeEditor) {
+            activeEditor.destroy();
+            activeEditor = null;
+        }
+        documentListeners.forEach(function(entry) {
+            document.removeEventListener(entry[0], entry[1]);
+        });
+        documentListeners = [];
+        busSubscriptions.forEach(function(unsubscribe) { unsubscribe(); });
+        busSubscriptions = [];
+        overlayNodes.forEach(function(node) { node.remove(); });
+        overlayNodes = [];
+        var container = document.getElementById('modern-messenger');
+        if (container) container.remove();
+        console.log('[MessengerModule] Destroyed');
+    }
+
+    function refresh() {
+        destroy();
+        return initialize();
+    }
+
     function waitForGlobalFunctions() {
         if (currentSection !== 'compose') return Promise.resolve();
         return new Promise(function(resolve) {
@@ -120,6 +163,11 @@ var MessengerModule = (function(Utils, EventBus) {
     // ------------------------------------------------------------------------
     // HELPERS
     // ------------------------------------------------------------------------
+    function logError(message, error) {
+        console.error('[MessengerModule] ' + message, error);
+        if (typeof ForumErrorSink !== 'undefined') ForumErrorSink.capture(error, { module: 'messenger', context: message });
+    }
+
     function escapeHtml(str) {
         if (!str) return '';
         return str.replace(/[&<>"']/g, function(m) {
@@ -190,7 +238,7 @@ var MessengerModule = (function(Utils, EventBus) {
         // Recipient + Subject row
         var recipientRow = document.createElement('div');
         recipientRow.className = 'modern-recipient-row';
-        recipientRow.innerHTML = ''
+        Utils.setSafeHtml(recipientRow, ''
             + '<div class="modern-field">'
             + '<div class="modern-recipient-controls">'
             + '<input type="text" id="modern-recipient" class="modern-input" placeholder="Recipient" value="' + escapeHtml(recipientInput ? recipientInput.value : '') + '">'
@@ -198,7 +246,7 @@ var MessengerModule = (function(Utils, EventBus) {
             + '</div></div>'
             + '<div class="modern-field">'
             + '<input type="text" id="modern-title" class="modern-input" placeholder="Subject" value="' + escapeHtml(titleInput ? titleInput.value : '') + '">'
-            + '</div>';
+            + '</div>');
         container.appendChild(recipientRow);
 
         // Toolbar
@@ -213,6 +261,7 @@ var MessengerModule = (function(Utils, EventBus) {
 
         var editor = null;
         var activeButtonElements = [];
+        var generation = lifecycleGeneration;
 
         function addSeparator() {
             var sep = document.createElement('span');
@@ -239,7 +288,7 @@ var MessengerModule = (function(Utils, EventBus) {
             var button = document.createElement('button');
             button.type = 'button';
             button.className = 'modern-editor-btn';
-            button.innerHTML = '<i class="' + g.icon + '"></i>';
+            Utils.setSafeHtml(button, '<i class="' + g.icon + '"></i>');
             button.title = g.title;
             toolbar.appendChild(button);
             g.btn = button;
@@ -254,15 +303,15 @@ var MessengerModule = (function(Utils, EventBus) {
         var headingDropdownBtn = document.createElement('button');
         headingDropdownBtn.type = 'button';
         headingDropdownBtn.className = 'modern-editor-btn';
-        headingDropdownBtn.innerHTML = '<i class="fa-regular fa-heading"></i> <i class="fa-regular fa-chevron-down" style="font-size:0.7rem;"></i>';
+        Utils.setSafeHtml(headingDropdownBtn, '<i class="fa-regular fa-heading"></i> <i class="fa-regular fa-chevron-down" style="font-size:0.7rem;"></i>');
         headingDropdownBtn.title = 'Heading';
         var headingDropdownMenu = document.createElement('div');
         headingDropdownMenu.className = 'modern-dropdown-menu';
         headingDropdownMenu.style.cssText = 'position:absolute;top:100%;left:0;background:var(--surface-color);border:1px solid var(--border-color);border-radius:var(--radius-sm);z-index:1000;min-width:160px;display:none;';
-        headingDropdownMenu.innerHTML = ''
+        Utils.setSafeHtml(headingDropdownMenu, ''
             + '<button class="modern-dropdown-item" data-level="1">Heading 1</button>'
             + '<button class="modern-dropdown-item" data-level="2">Heading 2</button>'
-            + '<button class="modern-dropdown-item" data-level="3">Heading 3</button>';
+            + '<button class="modern-dropdown-item" data-level="3">Heading 3</button>');
         headingDropdownContainer.appendChild(headingDropdownBtn);
         headingDropdownContainer.appendChild(headingDropdownMenu);
         toolbar.appendChild(headingDropdownContainer);
@@ -270,7 +319,7 @@ var MessengerModule = (function(Utils, EventBus) {
             e.stopPropagation();
             headingDropdownMenu.style.display = headingDropdownMenu.style.display === 'block' ? 'none' : 'block';
         };
-        document.addEventListener('click', function() { headingDropdownMenu.style.display = 'none'; });
+        listen('click', function() { headingDropdownMenu.style.display = 'none'; });
         headingDropdownMenu.addEventListener('click', function(e) { e.stopPropagation(); });
 
         var headingButtons = {
@@ -287,14 +336,14 @@ var MessengerModule = (function(Utils, EventBus) {
         var listDropdownBtn = document.createElement('button');
         listDropdownBtn.type = 'button';
         listDropdownBtn.className = 'modern-editor-btn';
-        listDropdownBtn.innerHTML = '<i class="fa-regular fa-list"></i> <i class="fa-regular fa-chevron-down" style="font-size:0.7rem;"></i>';
+        Utils.setSafeHtml(listDropdownBtn, '<i class="fa-regular fa-list"></i> <i class="fa-regular fa-chevron-down" style="font-size:0.7rem;"></i>');
         listDropdownBtn.title = 'Insert list';
         var listDropdownMenu = document.createElement('div');
         listDropdownMenu.className = 'modern-dropdown-menu';
         listDropdownMenu.style.cssText = 'position:absolute;top:100%;left:0;background:var(--surface-color);border:1px solid var(--border-color);border-radius:var(--radius-sm);z-index:1000;min-width:160px;display:none;';
-        listDropdownMenu.innerHTML = ''
+        Utils.setSafeHtml(listDropdownMenu, ''
             + '<button class="modern-dropdown-item" id="bullet-list-option"><i class="fa-regular fa-list"></i> Bullet list</button>'
-            + '<button class="modern-dropdown-item" id="ordered-list-option"><i class="fa-regular fa-list-ol"></i> Ordered list</button>';
+            + '<button class="modern-dropdown-item" id="ordered-list-option"><i class="fa-regular fa-list-ol"></i> Ordered list</button>');
         listDropdownContainer.appendChild(listDropdownBtn);
         listDropdownContainer.appendChild(listDropdownMenu);
         toolbar.appendChild(listDropdownContainer);
@@ -302,13 +351,13 @@ var MessengerModule = (function(Utils, EventBus) {
             e.stopPropagation();
             listDropdownMenu.style.display = listDropdownMenu.style.display === 'block' ? 'none' : 'block';
         };
-        document.addEventListener('click', function() { listDropdownMenu.style.display = 'none'; });
+        listen('click', function() { listDropdownMenu.style.display = 'none'; });
         listDropdownMenu.addEventListener('click', function(e) { e.stopPropagation(); });
 
         var blockquoteBtn = document.createElement('button');
         blockquoteBtn.type = 'button';
         blockquoteBtn.className = 'modern-editor-btn';
-        blockquoteBtn.innerHTML = '<i class="fa-regular fa-quote-left"></i>';
+        Utils.setSafeHtml(blockquoteBtn, '<i class="fa-regular fa-quote-left"></i>');
         blockquoteBtn.title = 'Blockquote';
         toolbar.appendChild(blockquoteBtn);
         activeButtonElements.push(blockquoteBtn);
@@ -316,7 +365,7 @@ var MessengerModule = (function(Utils, EventBus) {
         var codeBtn = document.createElement('button');
         codeBtn.type = 'button';
         codeBtn.className = 'modern-editor-btn';
-        codeBtn.innerHTML = '<i class="fa-regular fa-code"></i>';
+        Utils.setSafeHtml(codeBtn, '<i class="fa-regular fa-code"></i>');
         codeBtn.title = 'Code block';
         toolbar.appendChild(codeBtn);
         activeButtonElements.push(codeBtn);
@@ -325,7 +374,7 @@ var MessengerModule = (function(Utils, EventBus) {
         var linkBtn = document.createElement('button');
         linkBtn.type = 'button';
         linkBtn.className = 'modern-editor-btn';
-        linkBtn.innerHTML = '<i class="fa-regular fa-link"></i>';
+        Utils.setSafeHtml(linkBtn, '<i class="fa-regular fa-link"></i>');
         linkBtn.title = 'Insert link';
         toolbar.appendChild(linkBtn);
         activeButtonElements.push(linkBtn);
@@ -336,14 +385,14 @@ var MessengerModule = (function(Utils, EventBus) {
         var imageDropdownBtn = document.createElement('button');
         imageDropdownBtn.type = 'button';
         imageDropdownBtn.className = 'modern-editor-btn';
-        imageDropdownBtn.innerHTML = '<i class="fa-regular fa-image"></i> <i class="fa-regular fa-chevron-down" style="font-size:0.7rem;"></i>';
+        Utils.setSafeHtml(imageDropdownBtn, '<i class="fa-regular fa-image"></i> <i class="fa-regular fa-chevron-down" style="font-size:0.7rem;"></i>');
         imageDropdownBtn.title = 'Insert image';
         var imageDropdownMenu = document.createElement('div');
         imageDropdownMenu.className = 'modern-dropdown-menu';
         imageDropdownMenu.style.cssText = 'position:absolute;top:100%;left:0;background:var(--surface-color);border:1px solid var(--border-color);border-radius:var(--radius-sm);z-index:1000;min-width:160px;display:none;';
-        imageDropdownMenu.innerHTML = ''
+        Utils.setSafeHtml(imageDropdownMenu, ''
             + '<button class="modern-dropdown-item" id="image-url-option"><i class="fa-regular fa-link"></i> By URL</button>'
-            + '<button class="modern-dropdown-item" id="image-upload-option"><i class="fa-regular fa-cloud-arrow-up"></i> Upload from computer</button>';
+            + '<button class="modern-dropdown-item" id="image-upload-option"><i class="fa-regular fa-cloud-arrow-up"></i> Upload from computer</button>');
         imageDropdownContainer.appendChild(imageDropdownBtn);
         imageDropdownContainer.appendChild(imageDropdownMenu);
         toolbar.appendChild(imageDropdownContainer);
@@ -351,7 +400,7 @@ var MessengerModule = (function(Utils, EventBus) {
             e.stopPropagation();
             imageDropdownMenu.style.display = imageDropdownMenu.style.display === 'block' ? 'none' : 'block';
         };
-        document.addEventListener('click', function() { imageDropdownMenu.style.display = 'none'; });
+        listen('click', function() { imageDropdownMenu.style.display = 'none'; });
         imageDropdownMenu.addEventListener('click', function(e) { e.stopPropagation(); });
         addSeparator();
 
@@ -359,7 +408,7 @@ var MessengerModule = (function(Utils, EventBus) {
         var spoilerBtn = document.createElement('button');
         spoilerBtn.type = 'button';
         spoilerBtn.className = 'modern-editor-btn';
-        spoilerBtn.innerHTML = '<i class="fa-regular fa-eye-slash"></i>';
+        Utils.setSafeHtml(spoilerBtn, '<i class="fa-regular fa-eye-slash"></i>');
         spoilerBtn.title = 'Spoiler';
         toolbar.appendChild(spoilerBtn);
         activeButtonElements.push(spoilerBtn);
@@ -368,7 +417,7 @@ var MessengerModule = (function(Utils, EventBus) {
         var emojiBtn = document.createElement('button');
         emojiBtn.type = 'button';
         emojiBtn.className = 'modern-editor-btn';
-        emojiBtn.innerHTML = '<i class="fa-regular fa-face-smile"></i>';
+        Utils.setSafeHtml(emojiBtn, '<i class="fa-regular fa-face-smile"></i>');
         emojiBtn.title = 'Insert emoji';
         toolbar.appendChild(emojiBtn);
         activeButtonElements.push(emojiBtn);
@@ -426,7 +475,7 @@ function emojiToCodePoint(emoji) {
                 img.style.width = '1.5rem';
                 img.style.height = '1.5rem';
                 img.onerror = function() {
-                    emojiItem.innerHTML = emoji;
+                    Utils.setSafeHtml(emojiItem, emoji);
                     emojiItem.style.fontSize = '1.5rem';
                 };
                 emojiItem.appendChild(img);
@@ -463,7 +512,7 @@ function emojiToCodePoint(emoji) {
             emojiPickerPanel.style.display = isVisible ? 'none' : 'grid';
         };
 
-        document.addEventListener('click', function(e) {
+        listen('click', function(e) {
             if (emojiPickerPanel && !emojiPickerPanel.contains(e.target) && e.target !== emojiBtn) {
                 emojiPickerPanel.style.display = 'none';
             }
@@ -517,15 +566,16 @@ function emojiToCodePoint(emoji) {
             var modalBox = document.createElement('div');
             modalBox.className = 'modern-modal-box';
             modalBox.style.cssText = 'background:var(--surface-color);border-radius:var(--radius-lg);padding:var(--space-lg);width:340px;max-width:90%;box-shadow:var(--shadow-lg);';
-            modalBox.innerHTML = ''
+            Utils.setSafeHtml(modalBox, ''
                 + '<h3 style="margin:0 0 var(--space-md) 0;">' + escapeHtml(title) + '</h3>'
                 + '<input type="text" id="modal-input" class="modern-input" placeholder="' + escapeHtml(placeholder) + '" style="width:100%;">'
                 + '<div style="display:flex;gap:var(--space-sm);margin-top:var(--space-md);justify-content:flex-end;">'
                 + '<button id="modal-cancel" class="modern-btn modern-btn-secondary">Cancel</button>'
                 + '<button id="modal-submit" class="modern-btn modern-btn-primary">Insert</button>'
-                + '</div>';
+                + '</div>');
             modalOverlay.appendChild(modalBox);
             document.body.appendChild(modalOverlay);
+            overlayNodes.push(modalOverlay);
             var input = modalBox.querySelector('#modal-input');
             input.focus();
             function close() { modalOverlay.remove(); }
@@ -547,7 +597,7 @@ function emojiToCodePoint(emoji) {
             var modalBox = document.createElement('div');
             modalBox.className = 'modern-modal-box';
             modalBox.style.cssText = 'background:var(--surface-color);border-radius:var(--radius-lg);padding:var(--space-lg);width:360px;max-width:90%;box-shadow:var(--shadow-lg);';
-            modalBox.innerHTML = ''
+            Utils.setSafeHtml(modalBox, ''
                 + '<h3 style="margin:0 0 var(--space-md) 0;"><i class="fa-regular fa-link"></i> Insert link</h3>'
                 + '<div style="margin-bottom:var(--space-md);">'
                 + '<label style="display:block;margin-bottom:var(--space-xs);color:var(--text-secondary);">Link text (optional)</label>'
@@ -560,9 +610,10 @@ function emojiToCodePoint(emoji) {
                 + '<div style="display:flex;gap:var(--space-sm);justify-content:flex-end;">'
                 + '<button id="modal-cancel" class="modern-btn modern-btn-secondary">Cancel</button>'
                 + '<button id="modal-submit" class="modern-btn modern-btn-primary">Insert link</button>'
-                + '</div>';
+                + '</div>');
             modalOverlay.appendChild(modalBox);
             document.body.appendChild(modalOverlay);
+            overlayNodes.push(modalOverlay);
             var textInput = modalBox.querySelector('#modal-link-text');
             var urlInput = modalBox.querySelector('#modal-link-url');
             urlInput.focus();
@@ -812,6 +863,9 @@ renderHTML({ node, HTMLAttributes }) {
                     },
                 });
 
+                // Module was destroyed while TipTap was still downloading
+                if (generation !== lifecycleGeneration) return;
+
                 var initialHtml = legacyToHtml(originalTextarea ? originalTextarea.value : '');
                 editor = new Editor({
                     element: editorElement,
@@ -961,6 +1015,7 @@ renderHTML({ node, HTMLAttributes }) {
                         headingDropdownBtn.style.color = '';
                     }
                 }
+                activeEditor = editor;
                 editor.on('selectionUpdate', updateActiveStates);
                 editor.on('transaction', updateActiveStates);
                 updateActiveStates();
@@ -1002,17 +1057,17 @@ renderHTML({ node, HTMLAttributes }) {
                     }
                 };
             } catch (err) {
-                console.error('[MessengerModule] TipTap failed to load:', err);
-                editorElement.innerHTML = '<div style="color:red;padding:1rem;">Editor failed to load. Please refresh the page.<br>' + escapeHtml(err.message) + '</div>';
+                logError('TipTap failed to load:', err);
+                Utils.setSafeHtml(editorElement, '<div style="color:red;padding:1rem;">Editor failed to load. Please refresh the page.<br>' + escapeHtml(err.message) + '</div>');
             }
         })();
 
         // Options row, action buttons, data binding (raw HTML)
         var optionsRow = document.createElement('div');
         optionsRow.className = 'modern-options';
-        optionsRow.innerHTML = ''
+        Utils.setSafeHtml(optionsRow, ''
             + '<label class="modern-checkbox"><input type="checkbox" id="modern-add-sent" '     + (addSentCheckbox     && addSentCheckbox.checked     ? 'checked' : '') + '> <span>Add a copy to Sent Items</span></label>'
-            + '<label class="modern-checkbox"><input type="checkbox" id="modern-add-tracking" ' + (addTrackingCheckbox && addTrackingCheckbox.checked ? 'checked' : '') + '> <span>Notify when read</span></label>';
+            + '<label class="modern-checkbox"><input type="checkbox" id="modern-add-tracking" ' + (addTrackingCheckbox && addTrackingCheckbox.checked ? 'checked' : '') + '> <span>Notify when read</span></label>');
         container.appendChild(optionsRow);
 
         // ----- Modern preview area -----
@@ -1020,14 +1075,14 @@ renderHTML({ node, HTMLAttributes }) {
         previewArea.id = 'modern-preview-area';
         previewArea.className = 'modern-preview';
         previewArea.style.display = 'none';
-        previewArea.innerHTML = '<h3 class="modern-preview-title"><i class="fa-regular fa-eye"></i> Preview</h3><div class="preview-content"></div>';
+        Utils.setSafeHtml(previewArea, '<h3 class="modern-preview-title"><i class="fa-regular fa-eye"></i> Preview</h3><div class="preview-content"></div>');
         container.appendChild(previewArea);
         
         var actions = document.createElement('div');
         actions.className = 'modern-actions';
-        actions.innerHTML = ''
+        Utils.setSafeHtml(actions, ''
             + '<button type="button" id="modern-preview" class="modern-btn modern-btn-secondary"><i class="fa-regular fa-eye"></i> Preview</button>'
-            + '<button type="button" id="modern-submit"  class="modern-btn modern-btn-primary"><i class="fa-regular fa-paper-plane"></i> Send message</button>';
+            + '<button type="button" id="modern-submit"  class="modern-btn modern-btn-primary"><i class="fa-regular fa-paper-plane"></i> Send message</button>');
         container.appendChild(actions);
 
         var modernRecipient   = container.querySelector('#modern-recipient');
@@ -1069,7 +1124,7 @@ renderHTML({ node, HTMLAttributes }) {
                     var previewHtml = editor.getHTML();
                     var previewContent = previewArea.querySelector('.preview-content');
                     if (previewContent) {
-                        previewContent.innerHTML = previewHtml;
+                        Utils.setSafeHtml(previewContent, previewHtml, 'post');
                         if (window.twemoji) {
                             window.twemoji.parse(previewContent, { base: 'https://twemoji.maxcdn.com/v/latest/svg/', ext: '.svg' });
                         }
@@ -1100,6 +1155,16 @@ renderHTML({ node, HTMLAttributes }) {
     // ------------------------------------------------------------------------
     // MESSAGES SECTION (unchanged – keep your existing)
     // ------------------------------------------------------------------------
+    function markMessageRowRead(row) {
+        row.classList.remove('unread');
+        row.classList.add('read');
+        var icon = row.querySelector('.msg-status i');
+        if (icon) {
+            icon.classList.remove('fa-envelope');
+            icon.classList.add('fa-envelope-open');
+        }
+    }
+
     function buildModernMessagesSection() {
         var container = document.createElement('div');
         container.className = 'modern-messenger-section';
@@ -1112,7 +1177,7 @@ renderHTML({ node, HTMLAttributes }) {
             var spaceLeft     = dlItems.length >= 2 ? dlItems[1].innerText.trim() : '0';
             var folderRow = document.createElement('div');
             folderRow.className = 'messages-folder-row';
-            folderRow.innerHTML = ''
+            Utils.setSafeHtml(folderRow, ''
                 + '<div class="messages-stats">'
                 + '<span><i class="fa-regular fa-envelope"></i> Total: ' + escapeHtml(totalMessages) + '</span>'
                 + '<span><i class="fa-regular fa-database"></i> Space left: ' + escapeHtml(spaceLeft) + '</span>'
@@ -1122,16 +1187,16 @@ renderHTML({ node, HTMLAttributes }) {
                 + '<select id="modern-folder-select" class="modern-select">'
                 + (folderSelect ? folderSelect.innerHTML : '<option value="in">Inbox</option><option value="sent">Sent Items</option>')
                 + '</select>'
-                + '</div>';
+                + '</div>');
             container.appendChild(folderRow);
             var listHeader = document.createElement('div');
             listHeader.className = 'messages-list-header';
-            listHeader.innerHTML = ''
+            Utils.setSafeHtml(listHeader, ''
                 + '<div class="msg-status"></div>'
                 + '<div class="msg-title">Message Title</div>'
                 + '<div class="msg-sender">Sender</div>'
                 + '<div class="msg-date">Date</div>'
-                + '<div class="msg-select"><input type="checkbox" id="select-all-msgs" class="modern-checkbox-input"></div>';
+                + '<div class="msg-select"><input type="checkbox" id="select-all-msgs" class="modern-checkbox-input"></div>');
             container.appendChild(listHeader);
             var listContainer = document.createElement('div');
             listContainer.className = 'messages-list';
@@ -1146,18 +1211,37 @@ renderHTML({ node, HTMLAttributes }) {
                 var msgName = origCheckbox ? origCheckbox.name : '';
                 var msgRow = document.createElement('div');
                 msgRow.className = 'message-row' + (isUnread ? ' unread' : ' read');
-                msgRow.innerHTML = ''
+                var msidMatch = titleLink ? (titleLink.getAttribute('href') || '').match(/MSID=(\d+)/i) : null;
+                if (msidMatch) msgRow.setAttribute('data-msid', msidMatch[1]);
+                Utils.setSafeHtml(msgRow, ''
                     + '<div class="msg-status"><i class="fa-regular ' + (isUnread ? 'fa-envelope' : 'fa-envelope-open') + '"></i></div>'
                     + '<div class="msg-title"><a href="' + escapeHtml(titleLink ? titleLink.getAttribute('href') : '#') + '">' + escapeHtml(titleLink ? titleLink.textContent.trim() : '(no title)') + '</a></div>'
                     + '<div class="msg-sender"><a href="' + escapeHtml(senderLink ? senderLink.getAttribute('href') : '#') + '">' + escapeHtml(senderLink ? senderLink.textContent.trim() : 'Unknown') + '</a></div>'
                     + '<div class="msg-date">' + escapeHtml(formatDate(date)) + '</div>'
-                    + '<div class="msg-select"><input type="checkbox" class="modern-checkbox-input" name="' + escapeHtml(msgName) + '" id="msg-' + i + '"></div>';
+                    + '<div class="msg-select"><input type="checkbox" class="modern-checkbox-input" name="' + escapeHtml(msgName) + '" id="msg-' + i + '"></div>');
                 listContainer.appendChild(msgRow);
             }
             container.appendChild(listContainer);
+            listContainer.addEventListener('click', function(e) {
+                var link = e.target.closest('.msg-title a');
+                var row = link ? link.closest('.message-row') : null;
+                if (!row || !row.classList.contains('unread')) return;
+                var msid = row.getAttribute('data-msid');
+                markMessageRowRead(row);
+                if (msid && EventBus) EventBus.trigger('messenger:pm:read', { msid: msid });
+            });
+            if (EventBus) {
+                // Another tab opened a PM: reflect it in this inbox listing
+                busSubscriptions.push(EventBus.on('messenger:pm:read', function(data, eventName, meta) {
+                    // The payload comes from another tab's storage event; only plain ids reach the selector
+                    if (!meta || !meta.remote || !data || !/^\d+$/.test(String(data.msid))) return;
+                    var remoteRow = listContainer.querySelector('.message-row[data-msid="' + data.msid + '"]');
+                    if (remoteRow) markMessageRowRead(remoteRow);
+                }));
+            }
             var actionBar = document.createElement('div');
             actionBar.className = 'messages-action-bar';
-            actionBar.innerHTML = ''
+            Utils.setSafeHtml(actionBar, ''
                 + '<div class="action-group">'
                 + '<button class="modern-btn modern-btn-secondary" id="export-messages"><i class="fa-regular fa-download"></i> Export as</button> '
                 + '<select id="export-format" class="modern-select-sm"><option value="html">HTML</option><option value="xls">Excel</option></select>'
@@ -1168,7 +1252,7 @@ renderHTML({ node, HTMLAttributes }) {
                 + '</div>'
                 + '<div class="action-group">'
                 + '<button class="modern-btn modern-btn-secondary danger" id="delete-messages"><i class="fa-regular fa-trash-can"></i> Delete selected</button>'
-                + '</div>';
+                + '</div>');
             container.appendChild(actionBar);
             var folderForm   = folderSelect ? folderSelect.form : null;
             var inboxForm    = document.querySelector('form[name="inbox"]');
@@ -1226,7 +1310,7 @@ renderHTML({ node, HTMLAttributes }) {
                 });
             }
         } catch (err) {
-            console.error('[MessengerModule] Error building messages section:', err);
+            logError('Error building messages section:', err);
             var cpEl = document.querySelector('.cp');
             if (cpEl) {
                 var clone = cpEl.cloneNode(true);
@@ -1234,7 +1318,7 @@ renderHTML({ node, HTMLAttributes }) {
                 if (tabs) tabs.remove();
                 container.appendChild(clone);
             } else {
-                container.innerHTML = '<div class="modern-empty-state"><i class="fa-regular fa-inbox"></i><p>Unable to load messages</p></div>';
+                Utils.setSafeHtml(container, '<div class="modern-empty-state"><i class="fa-regular fa-inbox"></i><p>Unable to load messages</p></div>');
             }
         }
         return container;
@@ -1254,31 +1338,31 @@ renderHTML({ node, HTMLAttributes }) {
             var updateButton    = document.querySelector('input[value="Update Contact list"]');
             var friendsCard = document.createElement('div');
             friendsCard.className = 'contacts-card';
-            friendsCard.innerHTML = ''
+            Utils.setSafeHtml(friendsCard, ''
                 + '<h3 class="contacts-card-title"><i class="fa-regular fa-user-group"></i> Friends list</h3>'
                 + '<textarea id="modern-friends-list" class="modern-textarea-contacts" rows="8" placeholder="One username per line">' + escapeHtml(friendsTextarea ? friendsTextarea.value : '') + '</textarea>'
-                + '<p class="contacts-help">Users you allow to message you when privacy mode is on.</p>';
+                + '<p class="contacts-help">Users you allow to message you when privacy mode is on.</p>');
             container.appendChild(friendsCard);
             var blockedCard = document.createElement('div');
             blockedCard.className = 'contacts-card';
-            blockedCard.innerHTML = ''
+            Utils.setSafeHtml(blockedCard, ''
                 + '<h3 class="contacts-card-title"><i class="fa-regular fa-ban"></i> Blocked users</h3>'
                 + '<textarea id="modern-blocked-list" class="modern-textarea-contacts" rows="5" placeholder="One username per line">' + escapeHtml(blockedTextarea ? blockedTextarea.value : '') + '</textarea>'
-                + '<p class="contacts-help">These users cannot send you messages or mention you.</p>';
+                + '<p class="contacts-help">These users cannot send you messages or mention you.</p>');
             container.appendChild(blockedCard);
             var privacyVal = privacySelect ? privacySelect.value : '0';
             var privacyCard = document.createElement('div');
             privacyCard.className = 'contacts-card';
-            privacyCard.innerHTML = ''
+            Utils.setSafeHtml(privacyCard, ''
                 + '<h3 class="contacts-card-title"><i class="fa-regular fa-shield"></i> Privacy settings</h3>'
                 + '<div class="privacy-option">'
                 + '<label class="modern-radio"><input type="radio" name="privacy" value="1" ' + (privacyVal === '1' ? 'checked' : '') + '> <span>Yes — only friends can message me</span></label>'
                 + '<label class="modern-radio"><input type="radio" name="privacy" value="0" ' + (privacyVal === '0' ? 'checked' : '') + '> <span>No — everyone can message me (except blocked users)</span></label>'
-                + '</div>';
+                + '</div>');
             container.appendChild(privacyCard);
             var actionsDiv = document.createElement('div');
             actionsDiv.className = 'contacts-actions';
-            actionsDiv.innerHTML = '<button class="modern-btn modern-btn-primary" id="update-contacts"><i class="fa-regular fa-floppy-disk"></i> Update contact list</button>';
+            Utils.setSafeHtml(actionsDiv, '<button class="modern-btn modern-btn-primary" id="update-contacts"><i class="fa-regular fa-floppy-disk"></i> Update contact list</button>');
             container.appendChild(actionsDiv);
             var updateContactsBtn = container.querySelector('#update-contacts');
             if (updateContactsBtn && updateButton) {
@@ -1291,7 +1375,7 @@ renderHTML({ node, HTMLAttributes }) {
                 });
             }
         } catch (err) {
-            console.error('[MessengerModule] Error building contacts section:', err);
+            logError('Error building contacts section:', err);
             var cpEl = document.querySelector('.cp');
             if (cpEl) {
                 var clone = cpEl.cloneNode(true);
@@ -1299,7 +1383,7 @@ renderHTML({ node, HTMLAttributes }) {
                 if (tabs) tabs.remove();
                 container.appendChild(clone);
             } else {
-                container.innerHTML = '<div class="modern-empty-state"><i class="fa-regular fa-address-book"></i><p>Unable to load contacts</p></div>';
+                Utils.setSafeHtml(container, '<div class="modern-empty-state"><i class="fa-regular fa-address-book"></i><p>Unable to load contacts</p></div>');
             }
         }
         return container;
@@ -1335,7 +1419,7 @@ renderHTML({ node, HTMLAttributes }) {
             var link = document.createElement('a');
             link.href = item.url;
             link.className = 'modern-nav-link' + (item.section === currentSection ? ' current' : '');
-            link.innerHTML = '<i class="' + item.icon + '" aria-hidden="true"></i><span class="modern-nav-text">' + item.text + '</span>';
+            Utils.setSafeHtml(link, '<i class="' + item.icon + '" aria-hidden="true"></i><span class="modern-nav-text">' + item.text + '</span>');
             navContainer.appendChild(link);
         }
         var mainContent = document.createElement('div');
@@ -1359,6 +1443,8 @@ renderHTML({ node, HTMLAttributes }) {
 
     return {
         initialize: initialize,
+        destroy: destroy,
+        refresh: refresh,
         reset: reset
     };
 })(typeof ForumDOMUtils !== 'undefined' ? ForumDOMUtils : window.ForumDOMUtils,
@@ -73,6 +73,12 @@ var ModalsModule = (function() {
 
     var userProfileLinks = new Map();
 
+    // ========== HELPER: ERROR REPORTING ==========
+    function logError(message, error) {
+        console.error('[Modern Modals] ' + message, error);
+        if (typeof ForumErrorSink !== 'undefined') ForumErrorSink.capture(error, { module: 'modals', context: message });
+    }
+
     // ========== HELPER: SANITIZE GROUP NAME FOR CSS CLASS ==========
     function sanitizeGroupName(groupName) {
         if (!groupName) return 'unknown';
@@ -270,17 +276,10 @@ var ModalsModule = (function() {
     async function fetchUsersFromApi(userIds) {
         if (!userIds || userIds.length === 0) return [];
         try {
-            var response = await fetch('/api.php?mid=' + userIds.join(','));
-            var data = await response.json();
-            var users = [];
-            for (var key in data) {
-                if (data.hasOwnProperty(key) && key.indexOf('m') === 0 && data[key].id) {
-                    users.push(data[key]);
-                }
-            }
-            return users;
+            var users = await ForumUserService.getMany(userIds);
+            return userIds.map(function(id) { return users.get(id); }).filter(Boolean);
         } catch (error) {
-            console.error('[Modern Modals] API Error:', error);
+            logError('API Error:', error);
             return [];
         }
     }
@@ -397,7 +396,24 @@ var ModalsModule = (function() {
             modalElement.setAttribute('tabindex', '-1');
             modalElement.focus();
         }
-        document.addEventListener('keydown', function(e) { trapFocus(e, focusableElements, firstFocusable, lastFocusable); });
+        document.addEventListener('keydown', likesTrapHandler);
+    }
+
+    var likesTrapHandler = function(e) { trapFocus(e, focusableElements, firstFocusable, lastFocusable); };
+
+    // One Escape handler per modal kind, dropped again whenever that modal closes
+    var escHandlers = { likes: null, report: null, reportNotify: null };
+
+    function setEscHandler(kind, onEscape) {
+        clearEscHandler(kind);
+        escHandlers[kind] = function(e) { if (e.key === 'Escape') onEscape(); };
+        document.addEventListener('keydown', escHandlers[kind]);
+    }
+
+    function clearEscHandler(kind) {
+        if (!escHandlers[kind]) return;
+        document.removeEventListener('keydown', escHandlers[kind]);
+        escHandlers[kind] = null;
     }
 
     function announceToScreenReader(message) {
@@ -416,7 +432,8 @@ var ModalsModule = (function() {
     function closeCustomModal(legacyModal, skipOriginalClose) {
         if (currentModal) {
             unlockBodyScroll();
-            document.removeEventListener('keydown', trapFocus);
+            document.removeEventListener('keydown', likesTrapHandler);
+            clearEscHandler('likes');
             var dialog = currentModal.querySelector('.modern-likes-modal');
             if (dialog && dialog.close && typeof dialog.close === 'function' && !isDialogPolyfilled) {
                 dialog.close();
@@ -447,7 +464,7 @@ var ModalsModule = (function() {
         modal.setAttribute('aria-describedby', 'modal-description');
 
         var currentTime = getCurrentTime();
-        modal.innerHTML = 
+        ForumDOMUtils.setSafeHtml(modal,
             '<div class="modern-modal-header">' +
                 '<div class="modern-modal-title">' +
                     '<i class="fa-regular fa-thumbs-up" aria-hidden="true"></i>' +
@@ -467,7 +484,7 @@ var ModalsModule = (function() {
             '</div>' +
             '<div class="modern-modal-footer">' +
                 '<i class="fa-regular fa-clock" aria-hidden="true"></i> ' + currentTime + ' · post feedback' +
-            '</div>';
+            '</div>');
 
         overlay.appendChild(modal);
         document.body.appendChild(overlay);
@@ -500,8 +517,7 @@ var ModalsModule = (function() {
         var closeBtn = modal.querySelector('.modern-modal-close');
         closeBtn.addEventListener('click', function() { closeCustomModal(legacyModal, false); });
         overlay.addEventListener('click', function(e) { if (e.target === overlay) closeCustomModal(legacyModal, false); });
-        var escHandler = function(e) { if (e.key === 'Escape') { closeCustomModal(legacyModal, false); document.removeEventListener('keydown', escHandler); } };
-        document.addEventListener('keydown', escHandler);
+        setEscHandler('likes', function() { closeCustomModal(legacyModal, false); });
 
         var likesList = modal.querySelector('.modern-likes-list');
         var countSpan = modal.querySelector('.modal-like-count');
@@ -512,7 +528,7 @@ var ModalsModule = (function() {
             var users = await fetchUsersFromApi(userIds);
             likesList.removeAttribute('aria-busy');
             if (!users || users.length === 0) {
-                likesList.innerHTML = '<div class="modern-empty"><i class="fa-regular fa-thumbs-up" aria-hidden="true"></i><p>No user data available</p></div>';
+                ForumDOMUtils.setSafeHtml(likesList, '<div class="modern-empty"><i class="fa-regular fa-thumbs-up" aria-hidden="true"></i><p>No user data available</p></div>');
                 announceToScreenReader('No user data available');
                 processingModal = false;
                 return;
@@ -578,7 +594,7 @@ var ModalsModule = (function() {
                         '</div>';
                 }
             }
-            likesList.innerHTML = itemsHtml;
+            ForumDOMUtils.setSafeHtml(likesList, itemsHtml);
             countSpan.textContent = sortedUsers.length;
             announceToScreenReader('Loaded ' + sortedUsers.length + ' users');
 
@@ -604,8 +620,8 @@ var ModalsModule = (function() {
             document.removeEventListener('keydown', trapFocus);
             setLikesFocusTrap(modal);
         } catch (error) {
-            console.error('[Modern Modals] Error:', error);
-            likesList.innerHTML = '<div class="modern-empty"><i class="fa-regular fa-circle-exclamation" aria-hidden="true"></i><p>Error loading user data.</p></div>';
+            logError('Likes modal error:', error);
+            ForumDOMUtils.setSafeHtml(likesList, '<div class="modern-empty"><i class="fa-regular fa-circle-exclamation" aria-hidden="true"></i><p>Error loading user data.</p></div>');
             announceToScreenReader('Error loading user data');
         }
         processingModal = false;
@@ -622,6 +638,7 @@ var ModalsModule = (function() {
         if (currentReportModal) {
             unlockBodyScroll();
             document.removeEventListener('keydown', reportTrapHandler);
+            clearEscHandler('report');
             currentReportModal.remove();
             currentReportModal = null;
         }
@@ -690,7 +707,7 @@ var ModalsModule = (function() {
         container.setAttribute('aria-labelledby', 'reportModalTitle');
         container.setAttribute('aria-describedby', 'reportModalDesc');
 
-        container.innerHTML = 
+        ForumDOMUtils.setSafeHtml(container,
             '<div class="report-modal-header">' +
                 '<div class="report-modal-title">' +
                     '<i class="fa-regular fa-circle-exclamation" aria-hidden="true"></i>' +
@@ -729,7 +746,7 @@ var ModalsModule = (function() {
                     '</button>' +
                 '</div>' +
             '</div>' +
-            '<div id="reportModalDesc" class="sr-only">Dialog to report an inappropriate post. Fill in the reason and confirm sending. The action cannot be undone.</div>';
+            '<div id="reportModalDesc" class="sr-only">Dialog to report an inappropriate post. Fill in the reason and confirm sending. The action cannot be undone.</div>');
 
         overlay.appendChild(container);
         document.body.appendChild(overlay);
@@ -805,8 +822,7 @@ var ModalsModule = (function() {
         closeBtn.addEventListener('click', closeHandler);
         overlay.addEventListener('click', function(e) { if (e.target === overlay) closeHandler(); });
 
-        var escHandler = function(e) { if (e.key === 'Escape') { closeHandler(); document.removeEventListener('keydown', escHandler); } };
-        document.addEventListener('keydown', escHandler);
+        setEscHandler('report', closeHandler);
 
         sendBtn.addEventListener('click', function(e) {
             e.preventDefault();
@@ -843,6 +859,7 @@ var ModalsModule = (function() {
         if (currentReportNotifyModal) {
             unlockBodyScroll();
             document.removeEventListener('keydown', reportNotifyTrapHandler);
+            clearEscHandler('reportNotify');
             currentReportNotifyModal.remove();
             currentReportNotifyModal = null;
         }
@@ -999,7 +1016,7 @@ var ModalsModule = (function() {
         container.setAttribute('aria-labelledby', 'notifyModalTitle');
         container.setAttribute('aria-describedby', 'notifyModalDesc');
 
-        container.innerHTML = 
+        ForumDOMUtils.setSafeHtml(container,
             '<div class="notify-modal-header">' +
                 '<div class="notify-modal-title">' +
                     '<i class="fa-regular fa-flag" aria-hidden="true"></i>' +
@@ -1030,7 +1047,7 @@ var ModalsModule = (function() {
             '<div class="notify-modal-footer">' +
                 '<i class="fa-regular fa-shield" aria-hidden="true"></i> Reported posts are visible to staff only' +
             '</div>' +
-            '<div id="notifyModalDesc" class="sr-only">Admin panel for managing user reports and group permissions.</div>';
+            '<div id="notifyModalDesc" class="sr-only">Admin panel for managing user reports and group permissions.</div>');
 
         overlay.appendChild(container);
         document.body.appendChild(overlay);
@@ -1153,25 +1170,41 @@ var ModalsModule = (function() {
         var closeHandler = function() { closeModernReportNotifyModal(legacyModal, false); };
         closeBtn.addEventListener('click', closeHandler);
         overlay.addEventListener('click', function(e) { if (e.target === overlay) closeHandler(); });
-        var escHandler = function(e) { if (e.key === 'Escape') { closeHandler(); document.removeEventListener('keydown', escHandler); } };
-        document.addEventListener('keydown', escHandler);
+        setEscHandler('reportNotify', closeHandler);
     }
 
     // ========== INITIALIZATION – ONLY USES FORUMCORE OBSERVER ==========
     async function waitForForumObserver() {
         if (globalThis.forumObserver) return true;
-        return new Promise((resolve) => {
-            var handler = function() {
-                window.removeEventListener('forum-observer-ready', handler);
-                resolve(true);
-            };
-            window.addEventListener('forum-observer-ready', handler);
-            setTimeout(function() {
-                window.removeEventListener('forum-observer-ready', handler);
+        if (typeof ForumEventBus === 'undefined') {
+            return new Promise(function(resolve) {
+                var handler = function() {
+                    window.removeEventListener('forum-observer-ready', handler);
+                    resolve(true);
+                };
+                window.addEventListener('forum-observer-ready', handler);
+                setTimeout(function() {
+                    window.removeEventListener('forum-observer-ready', handler);
+                    console.warn('[Modals] ForumCoreObserver not ready after 5 seconds – modals will not be enhanced.');
+                    resolve(false);
+                }, 5000);
+            });
+        }
+        return ForumEventBus.whenReady('forum:observer:ready', 5000).then(
+            function() { return true; },
+            function() {
                 console.warn('[Modals] ForumCoreObserver not ready after 5 seconds – modals will not be enhanced.');
-                resolve(false);
-            }, 5000);
-        });
+                return false;
+            }
+        );
+    }
+
+    var observerHandles = [];
+    var injectedFontAwesome = null;
+
+    function registerObserver(settings) {
+        var handle = globalThis.forumObserver.register(settings);
+        if (handle) observerHandles.push(handle);
     }
 
     async function init() {
@@ -1187,12 +1220,13 @@ var ModalsModule = (function() {
             faLink.rel = 'stylesheet';
             faLink.href = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css';
             document.head.appendChild(faLink);
+            injectedFontAwesome = faLink;
         }
 
         function getTriggerElement() { return document.activeElement; }
 
         // Likes popup – register with reprocessOnStyle: true so it fires every time the style changes to visible
-        globalThis.forumObserver.register({
+        registerObserver({
             id: 'modern-likes-modal',
             selector: '.popup.pop_points, #overlay.pop_points',
             priority: 'high',
@@ -1204,11 +1238,15 @@ var ModalsModule = (function() {
                         showModernModal(userIds, node, getTriggerElement());
                     }
                 }
+            },
+            // The forum removed its popup: nothing left to close on its side
+            onRemove: function(node) {
+                if (node === currentLegacyModal) closeCustomModal(node, true);
             }
         });
 
         // Report modals
-        globalThis.forumObserver.register({
+        registerObserver({
             id: 'modern-report-modal',
             selector: '.ff-modal.modal.report-modal, .report-modal',
             priority: 'high',
@@ -1216,9 +1254,12 @@ var ModalsModule = (function() {
                 if (node && (node.style.display === 'inline-block' || node.style.display === 'block') && !currentReportModal) {
                     showModernReportModal(node, getTriggerElement());
                 }
+            },
+            onRemove: function(node) {
+                if (node === currentLegacyReportModal) closeModernReportModal(node, true);
             }
         });
-        globalThis.forumObserver.register({
+        registerObserver({
             id: 'modern-report-notify-modal',
             selector: '.ff-modal.modal.report-modal-notify, .report-modal-notify',
             priority: 'high',
@@ -1226,6 +1267,9 @@ var ModalsModule = (function() {
                 if (node && (node.style.display === 'inline-block' || node.style.display === 'block') && !currentReportNotifyModal) {
                     showModernReportNotifyModal(node, getTriggerElement());
                 }
+            },
+            onRemove: function(node) {
+                if (node === currentLegacyReportNotifyModal) closeModernReportNotifyModal(node, true);
             }
         });
         console.log('[Modern Modals] Registered with ForumCoreObserver (likes modal uses reprocessOnStyle flag)');
@@ -1249,8 +1293,38 @@ var ModalsModule = (function() {
         // ================================================
     }
 
+    // Closes any open modern modal without touching its legacy counterpart,
+    // then drops observer callbacks and the nodes init() added
+    function destroy() {
+        if (currentModal) closeCustomModal(currentLegacyModal, true);
+        if (currentReportModal) closeModernReportModal(currentLegacyReportModal, true);
+        if (currentReportNotifyModal) closeModernReportNotifyModal(currentLegacyReportNotifyModal, true);
+
+        while (observerHandles.length) {
+            observerHandles.pop().dispose();
+        }
+
+        var liveRegion = document.querySelector('.modal-live-region');
+        if (liveRegion) liveRegion.remove();
+        if (injectedFontAwesome) {
+            injectedFontAwesome.remove();
+            injectedFontAwesome = null;
+        }
+
+        userProfileLinks.clear();
+        initialized = false;
+        console.log('[Modern Modals] Destroyed');
+    }
+
+    async function refresh() {
+        destroy();
+        await initialize();
+    }
+
     return {
         initialize: initialize,
+        destroy: destroy,
+        refresh: refresh,
         name: 'modals',
         dependencies: ['forumObserver']
     };
@@ -34,14 +34,125 @@ const ForumPostsModule = (function () {
         '64748B', '94A3B8', 'CBD5E1', '475569', '334155'
     ];
 
+    // ============================================================================
+    // TEMPLATES (rendered by ForumTemplates; admins can override any of them)
+    // ============================================================================
+    // contentHtml and signatureHtml are the post body as the forum rendered
+    // it and are inserted raw; everything else is escaped by Handlebars.
+    const PARTIALS = {
+        // Grouped reactions, or the "add a reaction" button when there are none
+        postReactions:
+            '{{#if reactions.length}}' +
+                '<div class="reactions-container" data-pid="{{postId}}">' +
+                    '{{#each reactions}}' +
+                        '<button class="reaction-btn reaction-with-image" title="{{name}}" data-pid="{{../postId}}">' +
+                            '<img src="{{src}}" alt="{{alt}}" width="18" height="18" loading="lazy">' +
+                            '<span class="reaction-count">{{count}}</span>' +
+                        '</button>' +
+                    '{{/each}}' +
+                '</div>' +
+            '{{else}}' +
+                '<button class="reaction-btn reaction-add-btn" aria-label="Add a reaction" data-pid="{{postId}}"><i class="fa-regular fa-face-smile" aria-hidden="true"></i></button>' +
+            '{{/if}}',
+        postActionButton:
+            '<button class="action-icon{{#if className}} {{className}}{{/if}}" title="{{title}}" aria-label="{{label}}" data-action="{{action}}" data-pid="{{postId}}"><i class="fa-regular fa-{{icon}}"></i></button>'
+    };
+
+    const TEMPLATES = {
+        'posts.reactions': '{{> postReactions}}',
+
+        'posts.post-card':
+            '<article id="entry{{postId}}" class="post-card {{groupCssClass}}" data-original-id="{{originalId}}" data-post-id="{{postId}}" aria-labelledby="post-title-{{postId}}">' +
+                '<header class="post-card-header">' +
+                    '<div class="post-meta">' +
+                        '<div class="post-number"><i class="fa-regular fa-hashtag" aria-hidden="true"></i> {{postNumber}}</div>' +
+                        '<div class="post-time">{{> relativeTime date=postDate text=relativeTime}}</div>' +
+                    '</div>' +
+                    '{{#if actions.length}}' +
+                        '<div class="post-actions">{{#each actions}}{{> postActionButton postId=../postId}}{{/each}}</div>' +
+                    '{{/if}}' +
+                '</header>' +
+                '<div class="post-card-body">' +
+                    '<div class="avatar-modern">' +
+                        '<div class="post-avatar-wrapper">' +
+                            '<a href="{{profileUrl}}" class="avatar-link" aria-label="Profile of {{username}}">{{> avatar avatar}}</a>' +
+                            '<span class="status-dot {{statusClass}}" data-status="{{statusText}}" aria-label="User is {{statusText}}"></span>' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="post-user-info">' +
+                        '<div class="user-name"><a href="{{profileUrl}}" class="user-profile-link">{{username}}</a></div>' +
+                        '<div class="user-group">{{> groupBadge role=role name=groupName}}</div>' +
+                        '<div class="user-stats">' +
+                            '<div class="user-rank"><i class="{{rankIconClass}}" aria-hidden="true"></i> {{userTitle}}</div>' +
+                            '<div class="user-posts"><i class="fa-regular fa-message"></i> {{formatNumber postCount}} posts</div>' +
+                            '{{#if showReputation}}<div class="user-reputation"><i class="fa-regular fa-thumbs-up"></i> {{formatNumber reputation}} rep</div>{{/if}}' +
+                            '<div class="user-joined"><i class="fa-regular fa-user-plus"></i> {{joinDate}}</div>' +
+                        '</div>' +
+                    '</div>' +
+                '</div>' +
+                '<div class="post-content">' +
+                    '<div class="post-message">' +
+                        '{{{contentHtml}}}' +
+                        '{{#if edit}}' +
+                            '<div class="post-edit-info"><i class="fa-regular fa-pen-to-square" aria-hidden="true"></i> Edited {{> relativeTime date=edit.date text=edit.relative title=edit.title}}</div>' +
+                        '{{/if}}' +
+                    '</div>' +
+                    '{{#if signatureHtml}}<div class="post-signature">{{{signatureHtml}}}</div>{{/if}}' +
+                '</div>' +
+                '{{#unless hideFooter}}' +
+                    '<footer class="post-footer">' +
+                        '<div class="post-reactions">' +
+                            '{{#if showLike}}' +
+                                '<button class="reaction-btn like-btn" aria-label="Like this post" data-pid="{{postId}}">' +
+                                    '<i class="fa-regular fa-thumbs-up like-icon" aria-hidden="true"></i>' +
+                                    '{{#if likes}}<span class="like-count like-count-display">{{likes}}</span>{{/if}}' +
+                                '</button>' +
+                            '{{/if}}' +
+                            '{{#if reactionView}}{{> postReactions reactionView}}{{/if}}' +
+                        '</div>' +
+                        '{{#if memberLinks}}' +
+                            '<div class="post-member-actions">' +
+                                '{{#if topicLink}}<button class="action-icon member-topic-link" title="Go to topic" aria-label="Go to topic" data-topic-url="{{topicLink}}"><i class="fa-regular fa-message" aria-hidden="true"></i></button>{{/if}}' +
+                                '{{#if forumLink}}<button class="action-icon member-forum-link" title="Go to forum" aria-label="Go to forum" data-forum-url="{{forumLink}}"><i class="fa-regular fa-folder" aria-hidden="true"></i></button>{{/if}}' +
+                            '</div>' +
+                        '{{/if}}' +
+                        '{{#if messageActions.length}}' +
+                            '<div class="post-message-actions">{{#each messageActions}}{{> postActionButton postId=../postId}}{{/each}}</div>' +
+                        '{{/if}}' +
+                        '{{#if ipAddress}}<div class="post-ip">IP: {{ipAddress}}</div>{{/if}}' +
+                    '</footer>' +
+                '{{/unless}}' +
+            '</article>'
+    };
+
+    // Header and footer buttons, in display order
+    const POST_ACTIONS = [
+        { action: 'quote', title: 'Quote', label: 'Quote this post', icon: 'quote-left' },
+        { action: 'edit', title: 'Edit', label: 'Edit this post', icon: 'pen-to-square' },
+        { action: 'share', title: 'Share', label: 'Share this post', icon: 'share-nodes' },
+        { action: 'report', title: 'Report', label: 'Report this post', icon: 'circle-exclamation', className: 'report-action' },
+        { action: 'delete', title: 'Delete', label: 'Delete this post', icon: 'trash-can', className: 'delete-action' },
+        { action: 'reply', title: 'Reply', label: 'Reply', icon: 'reply', messageOnly: true }
+    ];
+    const MESSAGE_ACTIONS = [
+        { action: 'friend', title: 'Add as Friend', label: 'Add as Friend', icon: 'user-plus' },
+        { action: 'block', title: 'Block User', label: 'Block User', icon: 'ban' }
+    ];
+
     let convertedPostIds = new Set();
     let isInitialized = false;
     const postReactions = new Map();
     let activePopup = null;
     let conversionInProgress = false;
     let conversionPending = false;
-    const userDataCache = new Map();
-    let currentAbortController = null;
+
+    // Everything the module adds to the page, so destroy() can take it back
+    const documentListeners = [];
+    const observerIds = [];
+    const createdNodes = [];
+    const claimedContainers = new Map();
+    let wrapperOrigin = null;
+    let lifecycleGeneration = 0;
 
     // ============================================================================
     // BASIC HTML ESCAPE
@@ -56,44 +167,64 @@ const ForumPostsModule = (function () {
     // ============================================================================
     // HTML SANITIZER
     // ============================================================================
-    const sanitizeHTML = (dirty) => {
+    // Everything goes through the allowlist sanitizer in ForumDOMUtils. Forum
+    // content is cleaned with the 'post' or 'signature' profile before we
+    // transform it; the cards, quotes and spoilers we build around it with
+    // 'ui', which also keeps our buttons and data-* attributes.
+    const sanitizeHTML = (dirty, profile = 'post') => {
         if (!dirty || typeof dirty !== 'string') return '';
-        const template = document.createElement('template');
-        template.innerHTML = dirty;
-        const doc = template.content;
-        const walker = document.createTreeWalker(doc, NodeFilter.SHOW_ELEMENT, null);
-        const toRemove = [];
-        let node;
-        while ((node = walker.nextNode())) {
-            if (node.tagName === 'SCRIPT' || node.tagName === 'IFRAME') {
-                toRemove.push(node);
-                continue;
-            }
-            const attrs = node.attributes;
-            for (let i = attrs.length - 1; i >= 0; i--) {
-                const attr = attrs[i];
-                if (attr.name.startsWith('on') || (attr.name === 'href' && /^\s*javascript\s*:/i.test(attr.value))) {
-                    node.removeAttribute(attr.name);
-                }
-            }
-        }
-        toRemove.forEach(el => el.remove());
-        return template.innerHTML;
+        return ForumDOMUtils.sanitizeHtml(dirty, profile);
     };
 
-    const setSanitizedHTML = (element, htmlString) => {
-        element.innerHTML = sanitizeHTML(htmlString);
+    const setSanitizedHTML = (element, htmlString, profile = 'ui') => {
+        ForumDOMUtils.setSafeHtml(element, htmlString, profile);
     };
 
-    const createElementFromHTML = (htmlString) => {
-        const div = document.createElement('div');
-        setSanitizedHTML(div, htmlString);
-        return div.firstElementChild;
+    const createElementFromHTML = (htmlString, profile = 'ui') => {
+        return ForumDOMUtils.createSafeElement(htmlString, profile);
     };
 
+    // YouTube and Vimeo players arrive as iframes, which the sanitizer drops;
+    // cards get the lite-youtube/lite-vimeo facades instead, which the consent
+    // manager then gates. Parsed in an inert <template>: the markup is not
+    // sanitized yet.
+    function toLiteEmbeds(html) {
+        if (html.indexOf('<iframe') === -1) return html;
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll('iframe[src]').forEach(iframe => {
+            const src = iframe.getAttribute('src');
+            const youtube = /(?:youtube\.com|youtube-nocookie\.com)\/embed\/([\w-]{11})/.exec(src);
+            const vimeo = /player\.vimeo\.com\/video\/(\d+)/.exec(src);
+            if (!youtube && !vimeo) return;
+            const facade = document.createElement(youtube ? 'lite-youtube' : 'lite-vimeo');
+            facade.setAttribute('videoid', youtube ? youtube[1] : vimeo[1]);
+            if (youtube) facade.setAttribute('params', 'rel=0&modestbranding=1');
+            iframe.replaceWith(facade);
+        });
+        return template.innerHTML;
+    }
+
+    // Post, message or blog body as the forum rendered it, ready for a card
+    function prepareContent(html) {
+        html = sanitizeHTML(toLiteEmbeds(html.trim()), 'post');
+        html = transformEmbeddedLinks(html);
+        return transformLegacyQuotesAndSpoilers(html);
+    }
+
+    // ============================================================================
+    // ERROR REPORTING
+    // ============================================================================
+    function logError(message, error) {
+        console.error('[PostsModule] ' + message, error);
+        if (typeof ForumErrorSink !== 'undefined') ForumErrorSink.capture(error, { module: 'posts', context: message });
+    }
+
     // ============================================================================
     // PAGE VALIDATION
     // ============================================================================
+    // core/module-manifest.js decides which pages load the module; this stays as
+    // a cheap guard for callers that initialize it directly
     function isValidPage() {
         const bodyId = document.body.id;
         if (bodyId === 'topic' || bodyId === 'send' || bodyId === 'blog' || bodyId === 'msg') return true;
@@ -149,35 +280,16 @@ const ForumPostsModule = (function () {
     // ============================================================================
     // API USER DATA FETCHING
     // ============================================================================
-    async function fetchUserData(mid, signal) {
-        if (userDataCache.has(mid)) return userDataCache.get(mid);
+    // Loads every poster on the page in as few requests as possible; cards
+    // then read them with ForumUserService.peek()
+    async function fetchMultipleUsers(midList) {
         try {
-            const response = await fetch('/api.php?mid=' + mid, { signal });
-            if (!response.ok) throw new Error('HTTP ' + response.status);
-            const data = await response.json();
-            const user = data['m' + mid] || data.info;
-            if (user && user.id) {
-                userDataCache.set(mid, user);
-                return user;
-            }
-            return null;
+            await ForumUserService.getMany(midList.filter(Boolean));
         } catch (e) {
-            if (e.name !== 'AbortError') console.error('[PostsModule] API error for MID', mid, e);
-            return null;
+            logError('User data fetch failed:', e);
         }
     }
 
-    async function fetchMultipleUsers(midList) {
-        const uniqueMids = [...new Set(midList.filter(Boolean))];
-        if (uniqueMids.length === 0) return;
-        currentAbortController?.abort();
-        currentAbortController = new AbortController();
-        const signal = currentAbortController.signal;
-        try {
-            await Promise.all(uniqueMids.map(mid => fetchUserData(mid, signal)));
-        } catch (e) {}
-    }
-
     // ============================================================================
     // AVATAR HANDLING
     // ============================================================================
@@ -252,6 +364,7 @@ const ForumPostsModule = (function () {
 
         if (wrapper && carouselWrapper && !wrapper.contains(carouselWrapper)) {
             if (wrapper.compareDocumentPosition(carouselWrapper) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                if (!wrapperOrigin) wrapperOrigin = { node: wrapper, parent: wrapper.parentNode, next: wrapper.nextSibling };
                 carouselWrapper.parentNode.insertBefore(wrapper, carouselWrapper.nextSibling);
             }
         } else if (!wrapper && carouselWrapper) {
@@ -259,11 +372,13 @@ const ForumPostsModule = (function () {
             wrapper.id = 'modern-forum-wrapper';
             wrapper.className = 'modern-forum-wrapper';
             carouselWrapper.parentNode.insertBefore(wrapper, carouselWrapper.nextSibling);
+            createdNodes.push(wrapper);
         } else if (!wrapper) {
             wrapper = document.createElement('div');
             wrapper.id = 'modern-forum-wrapper';
             wrapper.className = 'modern-forum-wrapper';
             document.body.appendChild(wrapper);
+            createdNodes.push(wrapper);
         }
 
         let container = document.getElementById('modern-posts-container');
@@ -276,9 +391,16 @@ const ForumPostsModule = (function () {
         container.id = CONFIG.CONTAINER_ID;
         container.className = 'modern-posts-container';
         wrapper.appendChild(container);
+        createdNodes.push(container);
         return container;
     }
 
+    // Remembers what a container we did not create held before we emptied it
+    function claimContainer(container) {
+        if (createdNodes.includes(container) || claimedContainers.has(container)) return;
+        claimedContainers.set(container, container.innerHTML);
+    }
+
     function isValidPost(postEl) {
         if (!postEl) return false;
         const id = postEl.getAttribute('id');
@@ -399,15 +521,12 @@ const ForumPostsModule = (function () {
         });
         let html = contentClone.innerHTML || '';
         html = html.replace(/<p>\s*<\/p>/g, '');
-        html = html.trim();
-        html = transformEmbeddedLinks(html);
-        html = transformLegacyQuotesAndSpoilers(html);
-        return html;
+        return prepareContent(html);
     }
 
     function getSignatureHtml($post) {
         const signature = $post.querySelector('.signature');
-        return signature ? signature.innerHTML : '';
+        return signature ? sanitizeHTML(signature.innerHTML, 'signature') : '';
     }
 
     function getEditInfo($post) {
@@ -534,11 +653,7 @@ const ForumPostsModule = (function () {
                 break;
             }
         }
-        let html = clone.innerHTML || '';
-        html = html.trim();
-        html = transformEmbeddedLinks(html);
-        html = transformLegacyQuotesAndSpoilers(html);
-        return html;
+        return prepareContent(clone.innerHTML || '');
     }
     function getMessagePostDate($post) {
         const whenSpan = $post.querySelector('.when');
@@ -593,9 +708,7 @@ const ForumPostsModule = (function () {
                 editSpan.remove();
             }
             while (clone.lastChild && clone.lastChild.nodeType === Node.ELEMENT_NODE && clone.lastChild.tagName === 'BR') clone.removeChild(clone.lastChild);
-            contentHtml = clone.innerHTML.trim();
-            contentHtml = transformEmbeddedLinks(contentHtml);
-            contentHtml = transformLegacyQuotesAndSpoilers(contentHtml);
+            contentHtml = prepareContent(clone.innerHTML);
         }
         const pointsPos = articleLi.querySelector('.points_pos');
         const likes = pointsPos ? parseInt(pointsPos.textContent.replace(/[^0-9]/g, '')) || 0 : 0;
@@ -703,7 +816,7 @@ const ForumPostsModule = (function () {
 
     function convertToModernEmbed(originalContainer) {
         try {
-            const hiddenDiv = originalContainer.querySelector('div[style="display:none"]');
+            const hiddenDiv = originalContainer.querySelector('div[style*="display: none"], div[style*="display:none"]');
             let faviconUrl = null;
             if (hiddenDiv) {
                 const favImg = hiddenDiv.querySelector('img');
@@ -748,7 +861,7 @@ const ForumPostsModule = (function () {
             if (rawDescription) modernHtml += '<p class="embedded-link-description">' + escapeHtml(rawDescription) + '</p>';
             modernHtml += '<div class="embedded-link-meta"><span class="embedded-link-read-more" style="background-image:url(' + faviconUrl + ');background-repeat:no-repeat;background-position:left center;background-size:16px 16px;padding-left:22px;display:inline;">' + escapeHtml(siteName) + '</span></div>';
             modernHtml += '</div></a></div>';
-            return createElementFromHTML(modernHtml);
+            return createElementFromHTML(modernHtml, 'preview');
         } catch (e) { return null; }
     }
 
@@ -881,7 +994,7 @@ const ForumPostsModule = (function () {
                 expandBtn.remove();
                 quote.classList.remove('long-quote');
             } else {
-                expandBtn.innerHTML = '<i class="fa-regular fa-angle-down"></i> Show more';
+                setSanitizedHTML(expandBtn, '<i class="fa-regular fa-angle-down"></i> Show more');
                 quote.classList.remove('expanded');
             }
         };
@@ -1093,24 +1206,21 @@ const ForumPostsModule = (function () {
         }, 500);
     }
 
-    function generateReactionButtons(data) {
-        if (!data.hasReactions || data.reactionCount === 0) {
-            return '<button class="reaction-btn reaction-add-btn" aria-label="Add a reaction" data-pid="' + data.postId + '"><i class="fa-regular fa-face-smile" aria-hidden="true"></i></button>';
-        }
+    function getReactionView(data) {
+        if (!data.hasReactions || data.reactionCount === 0) return { postId: data.postId, reactions: [] };
         const reactionMap = new Map();
         for (const r of data.reactions) {
             if (reactionMap.has(r.src)) {
                 reactionMap.get(r.src).count++;
             } else {
-                reactionMap.set(r.src, { src: r.src, alt: r.alt, name: r.name, count: 1 });
+                reactionMap.set(r.src, { src: r.src, alt: r.alt || 'reaction', name: r.name || 'Reaction', count: 1 });
             }
         }
-        let html = '<div class="reactions-container" data-pid="' + data.postId + '">';
-        reactionMap.forEach(r => {
-            html += '<button class="reaction-btn reaction-with-image" title="' + escapeHtml(r.name || 'Reaction') + '" data-pid="' + data.postId + '"><img src="' + r.src + '" alt="' + escapeHtml(r.alt || 'reaction') + '" width="18" height="18" loading="lazy"><span class="reaction-count">' + r.count + '</span></button>';
-        });
-        html += '</div>';
-        return html;
+        return { postId: data.postId, reactions: Array.from(reactionMap.values()) };
+    }
+
+    function generateReactionButtons(data) {
+        return ForumTemplates.render('posts.reactions', getReactionView(data));
     }
 
     function sanitizeGroupName(groupName) {
@@ -1131,29 +1241,19 @@ const ForumPostsModule = (function () {
         const username = data.username;
         const userId = data.mid;
         const isOnline = (user?.status === 'online') || data.isOnline;
-        const statusClass = isOnline ? 'online' : 'offline';
-        const statusText = isOnline ? 'Online' : 'Offline';
-        const profileUrl = userId ? '/?act=Profile&MID=' + userId : '#';
         const avatarData = getUserAvatarData(user, username, userId);
-        let avatarHtml = '';
-        if (avatarData.type === 'img') {
-            avatarHtml = '<div class="post-avatar-wrapper"><a href="' + escapeHtml(profileUrl) + '" class="avatar-link" aria-label="Profile of ' + escapeHtml(username) + '"><img class="avatar-circle" src="' + escapeHtml(avatarData.url) + '" alt="Avatar of ' + escapeHtml(username) + '" width="' + CONFIG.AVATAR_SIZE + '" height="' + CONFIG.AVATAR_SIZE + '" loading="lazy"></a><span class="status-dot ' + statusClass + '" data-status="' + statusText + '" aria-label="User is ' + statusText + '"></span></div>';
-        } else {
-            avatarHtml = '<div class="post-avatar-wrapper"><a href="' + escapeHtml(profileUrl) + '" class="avatar-link" aria-label="Profile of ' + escapeHtml(username) + '"><div class="initial-avatar" style="background-color: #' + avatarData.bgColor + ';" data-initial="' + escapeHtml(avatarData.initial) + '">' + escapeHtml(avatarData.initial) + '</div></a><span class="status-dot ' + statusClass + '" data-status="' + statusText + '" aria-label="User is ' + statusText + '"></span></div>';
-        }
+        const avatar = avatarData.type === 'img'
+            ? { url: avatarData.url, alt: 'Avatar of ' + username, size: CONFIG.AVATAR_SIZE, className: 'avatar-circle' }
+            : { initial: avatarData.initial, color: avatarData.bgColor, initialClassName: 'initial-avatar' };
 
         let groupName = user?.group?.name || data.groupText || 'Member';
-        let roleClass = 'role-badge';
+        let role = 'member';
         const isFounder = user?.group && ((user.group.class?.includes('founder')) || (user.group.bodyclass?.includes('founder')));
-        if (isFounder) { roleClass += ' founder'; groupName = 'Founder'; }
-        else if (groupName.toLowerCase() === 'administrator') roleClass += ' admin';
-        else if (groupName.toLowerCase() === 'moderator') roleClass += ' moderator';
-        else if (groupName.toLowerCase() === 'developer') roleClass += ' developer';
-        else roleClass += ' member';
-        const groupCssClass = 'group-' + sanitizeGroupName(groupName);
+        if (isFounder) { role = 'founder'; groupName = 'Founder'; }
+        else if (groupName.toLowerCase() === 'administrator') role = 'admin';
+        else if (groupName.toLowerCase() === 'moderator') role = 'moderator';
+        else if (groupName.toLowerCase() === 'developer') role = 'developer';
 
-        const postCount = user?.messages ?? data.postCount;
-        const reputation = user?.reputation ?? data.reputation;
         let joinDateFormatted = 'Unknown join date';
         if (user?.registration) {
             const date = new Date(user.registration);
@@ -1162,81 +1262,51 @@ const ForumPostsModule = (function () {
             joinDateFormatted = data.joinDate;
         }
 
-        let likeButton = '';
-        if (!data.hideFooter && !data.isMessage) {
-            likeButton = '<button class="reaction-btn like-btn" aria-label="Like this post" data-pid="' + data.postId + '"><i class="fa-regular fa-thumbs-up like-icon" aria-hidden="true"></i>';
-            if (data.likes > 0) likeButton += '<span class="like-count like-count-display">' + data.likes + '</span>';
-            likeButton += '</button>';
-        }
-
-        let reactionsHtml = '';
-        if (!data.isMemberPostsPage && !data.hideFooter && !data.isMessage) {
-            reactionsHtml = generateReactionButtons({
-                postId: data.postId,
-                hasReactions: data.hasReactions,
-                reactionCount: data.reactionCount,
-                reactions: data.reactions
-            });
-        }
-
-        let editHtml = '';
+        let edit = null;
         if (data.editInfo?.relative) {
             const editDate = data.editInfo.rawDate;
-            const isoEdit = editDate ? editDate.toISOString() : '';
-            const titleEdit = editDate ? editDate.toLocaleString() : '';
-            editHtml = '<div class="post-edit-info"><i class="fa-regular fa-pen-to-square" aria-hidden="true"></i> Edited <time datetime="' + isoEdit + '" title="' + escapeHtml(titleEdit) + '">' + escapeHtml(data.editInfo.relative) + '</time></div>';
-        }
-
-        const signatureHtml = data.signatureHtml ? '<div class="post-signature">' + data.signatureHtml + '</div>' : '';
-        const ipHtml = data.ipAddress ? '<div class="post-ip">IP: ' + data.ipAddress + '</div>' : '';
-        const postTimeHtml = '<div class="post-time"><time datetime="' + (data.postDate ? data.postDate.toISOString() : '') + '">' + escapeHtml(data.relativeTime) + '</time></div>';
-
-        let actionsHtml = '';
-        if (!data.hideActions && !data.isMemberPostsPage) {
-            if (data.availableActions?.quote) actionsHtml += '<button class="action-icon" title="Quote" aria-label="Quote this post" data-action="quote" data-pid="' + data.postId + '"><i class="fa-regular fa-quote-left"></i></button>';
-            if (data.availableActions?.edit) actionsHtml += '<button class="action-icon" title="Edit" aria-label="Edit this post" data-action="edit" data-pid="' + data.postId + '"><i class="fa-regular fa-pen-to-square"></i></button>';
-            if (data.availableActions?.share) actionsHtml += '<button class="action-icon" title="Share" aria-label="Share this post" data-action="share" data-pid="' + data.postId + '"><i class="fa-regular fa-share-nodes"></i></button>';
-            if (data.availableActions?.report) actionsHtml += '<button class="action-icon report-action" title="Report" aria-label="Report this post" data-action="report" data-pid="' + data.postId + '"><i class="fa-regular fa-circle-exclamation"></i></button>';
-            if (data.availableActions?.delete) actionsHtml += '<button class="action-icon delete-action" title="Delete" aria-label="Delete this post" data-action="delete" data-pid="' + data.postId + '"><i class="fa-regular fa-trash-can"></i></button>';
-            if (data.isMessage && data.availableActions?.reply) actionsHtml += '<button class="action-icon" title="Reply" aria-label="Reply" data-action="reply" data-pid="' + data.postId + '"><i class="fa-regular fa-reply"></i></button>';
-        }
-
-        let memberActionsHtml = '';
-        if (data.isMemberPostsPage && (data.topicLink || data.forumLink)) {
-            memberActionsHtml = '<div class="post-member-actions">';
-            if (data.topicLink) memberActionsHtml += '<button class="action-icon member-topic-link" title="Go to topic" aria-label="Go to topic" data-topic-url="' + escapeHtml(data.topicLink) + '"><i class="fa-regular fa-message" aria-hidden="true"></i></button>';
-            if (data.forumLink) memberActionsHtml += '<button class="action-icon member-forum-link" title="Go to forum" aria-label="Go to forum" data-forum-url="' + escapeHtml(data.forumLink) + '"><i class="fa-regular fa-folder" aria-hidden="true"></i></button>';
-            memberActionsHtml += '</div>';
-        }
-
-        const statsHtml = '<div class="user-rank"><i class="' + (data.rankIconClass || 'fa-medal fa-regular') + '" aria-hidden="true"></i> ' + (data.userTitle || 'Member') + '</div>' +
-            '<div class="user-posts"><i class="fa-regular fa-message"></i> ' + formatNumber(postCount) + ' posts</div>' +
-            (!data.isMemberPostsPage && !data.isMessage ? '<div class="user-reputation"><i class="fa-regular fa-thumbs-up"></i> ' + formatNumber(reputation) + ' rep</div>' : '') +
-            '<div class="user-joined"><i class="fa-regular fa-user-plus"></i> ' + joinDateFormatted + '</div>';
-
-        const headerActionsHtml = actionsHtml ? '<div class="post-actions">' + actionsHtml + '</div>' : '';
-
-        let footerHtml = '';
-        if (!data.hideFooter) {
-            let messageActionsHtml = '';
-            if (data.isMessage && (data.availableActions?.friend || data.availableActions?.block)) {
-                messageActionsHtml = '<div class="post-message-actions">';
-                if (data.availableActions.friend) messageActionsHtml += '<button class="action-icon" title="Add as Friend" aria-label="Add as Friend" data-action="friend" data-pid="' + data.postId + '"><i class="fa-regular fa-user-plus"></i></button>';
-                if (data.availableActions.block) messageActionsHtml += '<button class="action-icon" title="Block User" aria-label="Block User" data-action="block" data-pid="' + data.postId + '"><i class="fa-regular fa-ban"></i></button>';
-                messageActionsHtml += '</div>';
-            }
-            footerHtml = '<footer class="post-footer"><div class="post-reactions">' + likeButton + reactionsHtml + '</div>' + memberActionsHtml + messageActionsHtml + ipHtml + '</footer>';
+            edit = { date: editDate, relative: data.editInfo.relative, title: editDate ? editDate.toLocaleString() : '' };
         }
 
-        // MODIFIED: added id="entry{data.postId}" to the article element
-        return '<article id="entry' + data.postId + '" class="post-card ' + groupCssClass + '" data-original-id="' + (data.originalIdPrefix || CONFIG.POST_ID_PREFIX) + data.postId + '" data-post-id="' + data.postId + '" aria-labelledby="post-title-' + data.postId + '">' +
-            '<header class="post-card-header"><div class="post-meta"><div class="post-number"><i class="fa-regular fa-hashtag" aria-hidden="true"></i> ' + data.postNumber + '</div>' + postTimeHtml + '</div>' + headerActionsHtml + '</header>' +
-            '<div class="post-card-body"><div class="avatar-modern">' + avatarHtml + '</div>' +
-            '<div class="post-user-info"><div class="user-name"><a href="' + profileUrl + '" class="user-profile-link">' + escapeHtml(username) + '</a></div>' +
-            '<div class="user-group"><span class="' + roleClass + '">' + escapeHtml(groupName) + '</span></div>' +
-            '<div class="user-stats">' + statsHtml + '</div></div></div>' +
-            '<div class="post-content"><div class="post-message">' + data.contentHtml + editHtml + '</div>' + signatureHtml + '</div>' +
-            footerHtml + '</article>';
+        const available = data.availableActions || {};
+        const showActions = !data.hideActions && !data.isMemberPostsPage;
+        const actions = showActions ? POST_ACTIONS.filter(a => available[a.action] && (!a.messageOnly || data.isMessage)) : [];
+        const messageActions = data.isMessage ? MESSAGE_ACTIONS.filter(a => available[a.action]) : [];
+
+        return ForumTemplates.render('posts.post-card', {
+            postId: data.postId,
+            originalId: (data.originalIdPrefix || CONFIG.POST_ID_PREFIX) + data.postId,
+            postNumber: data.postNumber,
+            postDate: data.postDate,
+            relativeTime: data.relativeTime,
+            groupCssClass: 'group-' + sanitizeGroupName(groupName),
+            username: username,
+            profileUrl: userId ? '/?act=Profile&MID=' + userId : '#',
+            avatar: avatar,
+            statusClass: isOnline ? 'online' : 'offline',
+            statusText: isOnline ? 'Online' : 'Offline',
+            role: role,
+            groupName: groupName,
+            rankIconClass: data.rankIconClass || 'fa-medal fa-regular',
+            userTitle: data.userTitle || 'Member',
+            postCount: user?.messages ?? data.postCount,
+            reputation: user?.reputation ?? data.reputation,
+            showReputation: !data.isMemberPostsPage && !data.isMessage,
+            joinDate: joinDateFormatted,
+            contentHtml: data.contentHtml,
+            edit: edit,
+            signatureHtml: data.signatureHtml,
+            actions: actions,
+            hideFooter: data.hideFooter,
+            showLike: !data.hideFooter && !data.isMessage,
+            likes: data.likes > 0 ? data.likes : 0,
+            reactionView: !data.isMemberPostsPage && !data.hideFooter && !data.isMessage ? getReactionView(data) : null,
+            memberLinks: data.isMemberPostsPage && (data.topicLink || data.forumLink),
+            topicLink: data.topicLink,
+            forumLink: data.forumLink,
+            messageActions: messageActions,
+            ipAddress: data.ipAddress
+        });
     }
 
     // ============================================================================
@@ -1306,7 +1376,7 @@ const ForumPostsModule = (function () {
             reactionCount: reactionData.reactionCount,
             reactions: reactionData.reactions
         });
-        setSanitizedHTML(postReactionsDiv, likeButtonHtml + newReactionsHtml);
+        setSanitizedHTML(postReactionsDiv, likeButtonHtml + newReactionsHtml, 'reaction');
     }
 
     // ============================================================================
@@ -1345,8 +1415,8 @@ const ForumPostsModule = (function () {
         const url = window.location.href.split('#')[0] + '#entry' + pid;
         navigator.clipboard.writeText(url).then(() => {
             const originalHtml = buttonElement.innerHTML;
-            buttonElement.innerHTML = '<i class="fa-regular fa-check" aria-hidden="true"></i>';
-            setTimeout(() => { buttonElement.innerHTML = originalHtml; }, 1500);
+            setSanitizedHTML(buttonElement, '<i class="fa-regular fa-check" aria-hidden="true"></i>');
+            setTimeout(() => { setSanitizedHTML(buttonElement, originalHtml); }, 1500);
         }).catch(err => console.error('Copy failed:', err));
     }
     function handleReport(pid) {
@@ -1452,7 +1522,7 @@ const ForumPostsModule = (function () {
         if (quote) {
             quote.classList.toggle('expanded');
             const isExpanded = quote.classList.contains('expanded');
-            btn.innerHTML = isExpanded ? '<i class="fa-regular fa-angle-down"></i> Show less' : '<i class="fa-regular fa-angle-down"></i> Show more';
+            setSanitizedHTML(btn, isExpanded ? '<i class="fa-regular fa-angle-down"></i> Show less' : '<i class="fa-regular fa-angle-down"></i> Show more');
         }
     }
     function handleQuoteJump(btn) {
@@ -1475,28 +1545,34 @@ const ForumPostsModule = (function () {
         }
     }
 
+    function listen(type, handler) {
+        document.addEventListener(type, handler);
+        documentListeners.push([type, handler]);
+    }
+
     function attachEventHandlers() {
-        document.addEventListener('click', function (e) {
+        if (documentListeners.length > 0) return;
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="quote"]');
             if (btn) { e.preventDefault(); handleQuote(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="edit"]');
             if (btn) { e.preventDefault(); handleEdit(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="delete"]');
             if (btn) { e.preventDefault(); handleDelete(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="share"]');
             if (btn) { e.preventDefault(); handleShare(btn.getAttribute('data-pid'), btn); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="report"]');
             if (btn) { e.preventDefault(); handleReport(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const topicBtn = e.target.closest('.member-topic-link');
             if (topicBtn) {
                 e.preventDefault();
@@ -1504,7 +1580,7 @@ const ForumPostsModule = (function () {
                 if (url) window.location.href = url;
             }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const forumBtn = e.target.closest('.member-forum-link');
             if (forumBtn) {
                 e.preventDefault();
@@ -1512,14 +1588,14 @@ const ForumPostsModule = (function () {
                 if (url) window.location.href = url;
             }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const likeBtn = e.target.closest('.like-btn');
             if (likeBtn) {
                 e.preventDefault();
                 handleLike(likeBtn.getAttribute('data-pid'), e.target.classList.contains('like-count-display'));
             }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const reactionCount = e.target.closest('.reaction-count');
             if (reactionCount) {
                 e.preventDefault(); e.stopPropagation();
@@ -1527,38 +1603,38 @@ const ForumPostsModule = (function () {
                 if (reactionBtn) handleReactionCountClick(reactionBtn.getAttribute('data-pid'));
             }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.reaction-btn:not(.like-btn)');
             if (btn && !e.target.classList.contains('reaction-count')) {
                 e.preventDefault(); e.stopPropagation();
                 handleReact(btn.getAttribute('data-pid'), btn);
             }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="reply"]');
             if (btn) { e.preventDefault(); handleMessageReply(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="friend"]');
             if (btn) { e.preventDefault(); handleMessageFriend(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const btn = e.target.closest('.action-icon[data-action="block"]');
             if (btn) { e.preventDefault(); handleMessageBlock(btn.getAttribute('data-pid')); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const expandBtn = e.target.closest('.quote-expand-btn');
             if (expandBtn) { e.preventDefault(); handleQuoteExpand(expandBtn); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const jumpBtn = e.target.closest('.quote-jump-btn');
             if (jumpBtn) { e.preventDefault(); handleQuoteJump(jumpBtn); }
         });
-        document.addEventListener('click', function (e) {
+        listen('click', function (e) {
             const spoilerHeader = e.target.closest('.spoiler-header');
             if (spoilerHeader) { e.preventDefault(); handleSpoilerToggle(spoilerHeader); }
         });
-        document.addEventListener('keydown', function (e) {
+        listen('keydown', function (e) {
             if (e.key === 'Escape' && activePopup) {
                 activePopup.remove();
                 activePopup = null;
@@ -1569,12 +1645,79 @@ const ForumPostsModule = (function () {
     // ============================================================================
     // CONVERSION FUNCTIONS
     // ============================================================================
+    function getMessageData($post, msid, postNumber) {
+        const postDate = getMessagePostDate($post);
+        const relativeTime = postDate ? getRelativeTimeString(postDate) : 'Recently';
+        return {
+            postId: msid, mid: getMidFromPost($post), originalPost: $post, username: getMessageUsername($post),
+            groupText: getMessageGroup($post), postCount: getMessagePostCount($post),
+            joinDate: getMessageJoinDate($post), contentHtml: getMessageContent($post),
+            relativeTime, postDate, isMessage: true, hideFooter: false, hideActions: false,
+            availableActions: { reply: true, delete: true, friend: true, block: true },
+            postNumber, originalIdPrefix: ''
+        };
+    }
+
+    // Member-posts listings carry the author once in the page header instead of per post
+    function getMemberPostsContext() {
+        const context = { isMemberPostsPage: false, mid: null, username: null };
+        const memberPostsHeader = document.querySelector('.topic.member_posts .mtitle b');
+        if (!memberPostsHeader) return context;
+        context.isMemberPostsPage = true;
+        const match = memberPostsHeader.className.match(/user(\d+)/);
+        if (match) context.mid = match[1];
+        else {
+            const onclickAttr = memberPostsHeader.getAttribute('onclick');
+            if (onclickAttr) {
+                const midMatch = onclickAttr.match(/MID=(\d+)/);
+                if (midMatch) context.mid = midMatch[1];
+            }
+        }
+        context.username = memberPostsHeader.textContent.trim();
+        return context;
+    }
+
+    function getPostData($post, postId, memberPosts) {
+        const isMemberPostsPage = memberPosts.isMemberPostsPage;
+        const mid = getMidFromPost($post) || memberPosts.mid;
+        const reactionData = getReactionData($post);
+        const userTitleData = getUserTitleAndIcon($post);
+        if (reactionData.hasReactions) postReactions.set(postId, reactionData.reactions);
+        const whenSpan = $post.querySelector('.when');
+        let postDate = null;
+        if (whenSpan) {
+            const title = whenSpan.getAttribute('title') || whenSpan.textContent.replace(/^Posted:\s*/i, '');
+            postDate = parseDateFromTitle(title);
+        }
+        const relativeTime = postDate ? getRelativeTimeString(postDate) : 'Recently';
+        const editInfo = getEditInfo($post);
+        let availableActions = getAvailableActions($post, postId);
+        if (isMemberPostsPage) availableActions = { quote: false, edit: false, delete: false, report: false, share: false };
+        const memberLinks = isMemberPostsPage ? getMemberPostLinks($post) : {};
+        const username = getUsername($post) === 'Unknown' ? memberPosts.username : getUsername($post);
+        return {
+            postId, mid, originalPost: $post, username, groupText: getGroupText($post),
+            postCount: getPostCount($post), reputation: getReputation($post),
+            isOnline: getIsOnline($post), userTitle: userTitleData.title,
+            rankIconClass: userTitleData.iconClass, contentHtml: getCleanContent($post),
+            signatureHtml: getSignatureHtml($post), editInfo, likes: getLikes($post),
+            hasReactions: reactionData.hasReactions, reactionCount: reactionData.reactionCount,
+            reactions: reactionData.reactions, ipAddress: getMaskedIp($post),
+            relativeTime, postDate, availableActions, isMemberPostsPage,
+            topicLink: memberLinks.topicLink, topicTitle: memberLinks.topicTitle,
+            forumLink: memberLinks.forumLink, forumName: memberLinks.forumName,
+            hideActions: false, hideFooter: false
+        };
+    }
+
     async function convertMessages() {
         if (conversionInProgress) { conversionPending = true; return; }
         conversionInProgress = true;
         conversionPending = false;
+        const generation = lifecycleGeneration;
         try {
             const container = getPostsContainer();
+            claimContainer(container);
             setSanitizedHTML(container, '');
             convertedPostIds.clear();
             const posts = document.querySelectorAll(CONFIG.POST_SELECTOR);
@@ -1586,24 +1729,16 @@ const ForumPostsModule = (function () {
                 const $post = validPosts[i];
                 const msid = getMsidFromPost($post);
                 if (!msid || convertedPostIds.has(msid)) continue;
-                const mid = getMidFromPost($post);
-                mids.push(mid);
-                const postDate = getMessagePostDate($post);
-                const relativeTime = postDate ? getRelativeTimeString(postDate) : 'Recently';
-                postsData.push({
-                    postId: msid, mid, originalPost: $post, username: getMessageUsername($post),
-                    groupText: getMessageGroup($post), postCount: getMessagePostCount($post),
-                    joinDate: getMessageJoinDate($post), contentHtml: getMessageContent($post),
-                    relativeTime, postDate, isMessage: true, hideFooter: false, hideActions: false,
-                    availableActions: { reply: true, delete: true, friend: true, block: true },
-                    postNumber: i + 1
-                });
+                const data = getMessageData($post, msid, i + 1);
+                mids.push(data.mid);
+                postsData.push(data);
                 convertedPostIds.add(msid);
             }
             await fetchMultipleUsers(mids);
+            if (generation !== lifecycleGeneration) return;
             for (const data of postsData) {
-                const apiUser = data.mid ? userDataCache.get(data.mid) : null;
-                const completeData = { ...data, apiUser, originalIdPrefix: '' };
+                const apiUser = data.mid ? ForumUserService.peek(data.mid) : null;
+                const completeData = { ...data, apiUser };
                 const cardHtml = generateModernPost(completeData);
                 const card = createElementFromHTML(cardHtml);
                 container.appendChild(card);
@@ -1613,16 +1748,23 @@ const ForumPostsModule = (function () {
             attachEventHandlers();
             initQuotesAndSpoilers();
             console.log('[PostsModule] Messages ready - ' + postsData.length + ' messages converted');
-        } catch (err) { console.error('[PostsModule] Messages conversion error:', err); }
-        finally { conversionInProgress = false; if (conversionPending) convertMessages(); }
+        } catch (err) { logError('Messages conversion error:', err); }
+        finally {
+            if (generation === lifecycleGeneration) {
+                conversionInProgress = false;
+                if (conversionPending) convertMessages();
+            }
+        }
     }
 
     async function convertAllPosts() {
         if (conversionInProgress) { conversionPending = true; return; }
         conversionInProgress = true;
         conversionPending = false;
+        const generation = lifecycleGeneration;
         try {
             const container = getPostsContainer();
+            claimContainer(container);
             setSanitizedHTML(container, '');
             convertedPostIds.clear();
             postReactions.clear();
@@ -1634,7 +1776,8 @@ const ForumPostsModule = (function () {
                 if (blogData.postId && convertedPostIds.has(blogData.postId)) continue;
                 if (blogData.mid) allMids.push(blogData.mid);
                 await fetchMultipleUsers(allMids);
-                const apiUser = blogData.mid ? userDataCache.get(blogData.mid) : null;
+                if (generation !== lifecycleGeneration) return;
+                const apiUser = blogData.mid ? ForumUserService.peek(blogData.mid) : null;
                 const blogCardHtml = generateBlogPost(blogData, apiUser);
                 const blogCard = createElementFromHTML(blogCardHtml);
                 container.appendChild(blogCard);
@@ -1645,62 +1788,22 @@ const ForumPostsModule = (function () {
             }
             const posts = document.querySelectorAll(CONFIG.POST_SELECTOR);
             const validPosts = Array.from(posts).filter(isValidPost);
-            let globalMid = null, globalUsername = null, isMemberPostsPage = false;
-            const memberPostsHeader = document.querySelector('.topic.member_posts .mtitle b');
-            if (memberPostsHeader) {
-                isMemberPostsPage = true;
-                const match = memberPostsHeader.className.match(/user(\d+)/);
-                if (match) globalMid = match[1];
-                else {
-                    const onclickAttr = memberPostsHeader.getAttribute('onclick');
-                    if (onclickAttr) {
-                        const midMatch = onclickAttr.match(/MID=(\d+)/);
-                        if (midMatch) globalMid = midMatch[1];
-                    }
-                }
-                globalUsername = memberPostsHeader.textContent.trim();
-            }
+            const memberPosts = getMemberPostsContext();
             const mids = [];
             const postsData = [];
             for (const $post of validPosts) {
                 const postId = getPostId($post);
                 if (!postId || convertedPostIds.has(postId)) continue;
-                let mid = getMidFromPost($post) || globalMid;
-                mids.push(mid);
-                const reactionData = getReactionData($post);
-                const userTitleData = getUserTitleAndIcon($post);
-                if (reactionData.hasReactions) postReactions.set(postId, reactionData.reactions);
-                const whenSpan = $post.querySelector('.when');
-                let postDate = null;
-                if (whenSpan) {
-                    const title = whenSpan.getAttribute('title') || whenSpan.textContent.replace(/^Posted:\s*/i, '');
-                    postDate = parseDateFromTitle(title);
-                }
-                const relativeTime = postDate ? getRelativeTimeString(postDate) : 'Recently';
-                const editInfo = getEditInfo($post);
-                let availableActions = getAvailableActions($post, postId);
-                if (isMemberPostsPage) availableActions = { quote: false, edit: false, delete: false, report: false, share: false };
-                const memberLinks = isMemberPostsPage ? getMemberPostLinks($post) : {};
-                const username = getUsername($post) === 'Unknown' ? globalUsername : getUsername($post);
-                postsData.push({
-                    postId, mid, originalPost: $post, username, groupText: getGroupText($post),
-                    postCount: getPostCount($post), reputation: getReputation($post),
-                    isOnline: getIsOnline($post), userTitle: userTitleData.title,
-                    rankIconClass: userTitleData.iconClass, contentHtml: getCleanContent($post),
-                    signatureHtml: getSignatureHtml($post), editInfo, likes: getLikes($post),
-                    hasReactions: reactionData.hasReactions, reactionCount: reactionData.reactionCount,
-                    reactions: reactionData.reactions, ipAddress: getMaskedIp($post),
-                    relativeTime, postDate, availableActions, isMemberPostsPage,
-                    topicLink: memberLinks.topicLink, topicTitle: memberLinks.topicTitle,
-                    forumLink: memberLinks.forumLink, forumName: memberLinks.forumName,
-                    hideActions: false, hideFooter: false
-                });
+                const data = getPostData($post, postId, memberPosts);
+                mids.push(data.mid);
+                postsData.push(data);
                 convertedPostIds.add(postId);
             }
             await fetchMultipleUsers(mids);
+            if (generation !== lifecycleGeneration) return;
             for (let i = 0; i < postsData.length; i++) {
                 const data = postsData[i];
-                const apiUser = data.mid ? userDataCache.get(data.mid) : null;
+                const apiUser = data.mid ? ForumUserService.peek(data.mid) : null;
                 const completeData = { ...data, apiUser, postNumber: i + 1 + blogCount };
                 const cardHtml = generateModernPost(completeData);
                 const card = createElementFromHTML(cardHtml);
@@ -1711,14 +1814,48 @@ const ForumPostsModule = (function () {
             attachEventHandlers();
             initQuotesAndSpoilers();
             console.log('[PostsModule] Ready - ' + (postsData.length + blogCount) + ' posts converted');
-        } catch (err) { console.error('[PostsModule] Conversion error:', err); }
-        finally { conversionInProgress = false; if (conversionPending) convertAllPosts(); }
+        } catch (err) { logError('Conversion error:', err); }
+        finally {
+            if (generation === lifecycleGeneration) {
+                conversionInProgress = false;
+                if (conversionPending) convertAllPosts();
+            }
+        }
+    }
+
+    // Appends the card for one post added after the initial conversion (quick reply, live updates)
+    async function convertNewPost($post) {
+        if (conversionInProgress) { conversionPending = true; return; }
+        const postId = getPostId($post);
+        if (!postId || convertedPostIds.has(postId)) return;
+        convertedPostIds.add(postId);
+        const generation = lifecycleGeneration;
+        try {
+            const container = getPostsContainer();
+            const postNumber = container.querySelectorAll('.post-card').length + 1;
+            const data = document.body.id === 'msg'
+                ? getMessageData($post, postId, postNumber)
+                : { ...getPostData($post, postId, getMemberPostsContext()), postNumber };
+            await fetchMultipleUsers(data.mid ? [data.mid] : []);
+            if (generation !== lifecycleGeneration) return;
+            const apiUser = data.mid ? ForumUserService.peek(data.mid) : null;
+            const card = createElementFromHTML(generateModernPost({ ...data, apiUser }));
+            container.appendChild(card);
+            fixMissingImageDimensions(card);
+            applyFaviconsToMessageLinks(card);
+            attachEventHandlers();
+            initQuotesAndSpoilers();
+        } catch (err) {
+            convertedPostIds.delete(postId);
+            logError('Post conversion error:', err);
+        }
     }
 
     async function convertSummaryPosts() {
         if (document.body.id !== 'send') return;
         const summaryEl = document.querySelector('.summary');
         if (!summaryEl) return;
+        const generation = lifecycleGeneration;
         let container = document.getElementById('modern-summary-container');
         if (!container) {
             container = document.createElement('div');
@@ -1726,7 +1863,11 @@ const ForumPostsModule = (function () {
             container.className = 'modern-posts-container';
             const wrapper = document.getElementById('modern-forum-wrapper') || document.body;
             wrapper.appendChild(container);
-        } else setSanitizedHTML(container, '');
+            createdNodes.push(container);
+        } else {
+            claimContainer(container);
+            setSanitizedHTML(container, '');
+        }
         const header = document.createElement('div');
         header.className = 'summary-header modern-section-header';
         setSanitizedHTML(header, '<div class="summary-header-content"><i class="fa-regular fa-clock" aria-hidden="true"></i><h3>Latest posts <span class="summary-subtitle">(last 10, newest first)</span></h3></div>');
@@ -1759,8 +1900,7 @@ const ForumPostsModule = (function () {
                 const clone = contentDiv.cloneNode(true);
                 clone.querySelector('.signature')?.remove();
                 clone.querySelector('.edit')?.remove();
-                contentHtml = transformEmbeddedLinks(clone.innerHTML);
-                contentHtml = transformLegacyQuotesAndSpoilers(contentHtml);
+                contentHtml = prepareContent(clone.innerHTML);
             }
             postsData.push({
                 postId: 'summary_' + i, mid, username, groupText: groupName, contentHtml,
@@ -1772,8 +1912,9 @@ const ForumPostsModule = (function () {
         }
         if (!mids.length) return;
         await fetchMultipleUsers(mids);
+        if (generation !== lifecycleGeneration) return;
         for (const data of postsData) {
-            const apiUser = data.mid ? userDataCache.get(data.mid) : null;
+            const apiUser = data.mid ? ForumUserService.peek(data.mid) : null;
             const completeData = { ...data, apiUser };
             const cardHtml = generateModernPost(completeData);
             const card = createElementFromHTML(cardHtml);
@@ -1788,8 +1929,24 @@ const ForumPostsModule = (function () {
     // ============================================================================
     // INITIALIZE
     // ============================================================================
+    // Converts whatever this page holds; returns false when the page has no
+    // regular posts to keep observing
+    function convertForPage() {
+        if (!isValidPage()) return false;
+        if (document.body.id === 'msg') convertMessages().catch(err => logError('Messages conversion error:', err));
+        else if (document.body.id === 'send' && document.querySelector('.summary')) convertSummaryPosts().catch(err => logError('Summary conversion error:', err));
+        else convertAllPosts().catch(err => logError('Init error:', err));
+        return true;
+    }
+
+    function registerObserver(settings) {
+        const id = globalThis.forumObserver.register(settings);
+        if (id) observerIds.push(id);
+    }
+
     function initialize() {
         if (isInitialized) return Promise.resolve();
+        const generation = lifecycleGeneration;
         const depsReady = new Promise(resolve => {
             let readyUtils = false, readyBus = false;
             function check() { if (readyUtils && readyBus) resolve(); }
@@ -1801,27 +1958,20 @@ const ForumPostsModule = (function () {
             setTimeout(resolve, 5000);
         });
         return depsReady.then(() => {
-            if (isInitialized) return;
+            if (isInitialized || generation !== lifecycleGeneration) return;
             isInitialized = true;
-            if (!isValidPage()) {
-                if (document.body.id === 'send' && document.querySelector('.summary')) convertSummaryPosts().catch(err => console.error('[PostsModule] Summary conversion error', err));
-                return;
-            }
-            if (document.body.id === 'msg') convertMessages().catch(err => console.error('[PostsModule] Messages conversion error', err));
-            else if (document.body.id === 'send' && document.querySelector('.summary')) convertSummaryPosts().catch(err => console.error('[PostsModule] Summary conversion error', err));
-            else convertAllPosts().catch(err => console.error('[PostsModule] Init error', err));
+            ForumTemplates.definePartial(PARTIALS);
+            ForumTemplates.define(TEMPLATES);
+            if (!convertForPage()) return;
             if (typeof globalThis.forumObserver !== 'undefined' && globalThis.forumObserver) {
-                globalThis.forumObserver.register({
+                registerObserver({
                     id: 'posts-module', selector: CONFIG.POST_SELECTOR, priority: 'high',
                     callback: (node) => {
-                        if (!isValidPost(node)) return;
-                        const postId = getPostId(node);
-                        if (!postId || convertedPostIds.has(postId)) return;
-                        if (document.body.id === 'msg') convertMessages();
-                        else convertAllPosts();
+                        const postEl = node.closest(CONFIG.POST_SELECTOR);
+                        if (postEl && isValidPost(postEl)) convertNewPost(postEl);
                     }
                 });
-                globalThis.forumObserver.register({
+                registerObserver({
                     id: 'posts-module-reactions', selector: '.st-emoji-container', priority: 'medium',
                     callback: (node) => {
                         const postEl = node.closest('.post');
@@ -1837,7 +1987,7 @@ const ForumPostsModule = (function () {
                         }
                     }
                 });
-                globalThis.forumObserver.register({
+                registerObserver({
                     id: 'posts-module-reaction-images', selector: '.st-emoji-preview img', priority: 'low',
                     callback: (node) => {
                         const postEl = node.closest('.post');
@@ -1848,7 +1998,57 @@ const ForumPostsModule = (function () {
                     }
                 });
             }
-        }).catch(err => console.error('[PostsModule] Dependency wait failed:', err));
+        }).catch(err => logError('Dependency wait failed:', err));
+    }
+
+    function reset() {
+        convertedPostIds.clear();
+        postReactions.clear();
+        isInitialized = false;
+        if (activePopup) {
+            activePopup.remove();
+            activePopup = null;
+            document.removeEventListener('click', activePopupClickHandler);
+        }
+    }
+
+    // ============================================================================
+    // LIFECYCLE
+    // ============================================================================
+    // Puts the page back the way initialize() found it
+    function destroy() {
+        lifecycleGeneration++;
+        conversionInProgress = false;
+        conversionPending = false;
+
+        while (observerIds.length) {
+            const id = observerIds.pop();
+            if (globalThis.forumObserver) globalThis.forumObserver.unregister(id);
+        }
+        while (documentListeners.length) {
+            const [type, handler] = documentListeners.pop();
+            document.removeEventListener(type, handler);
+        }
+        reset();
+
+        claimedContainers.forEach((html, container) => { container.innerHTML = html; });
+        claimedContainers.clear();
+        while (createdNodes.length) createdNodes.pop().remove();
+        if (wrapperOrigin) {
+            const { node, parent, next } = wrapperOrigin;
+            if (node.isConnected && parent.isConnected) {
+                parent.insertBefore(node, next && next.parentNode === parent ? next : null);
+            }
+            wrapperOrigin = null;
+        }
+        console.log('[PostsModule] Destroyed');
+    }
+
+    function refresh() {
+        if (!isInitialized) return initialize();
+        convertedPostIds.clear();
+        convertForPage();
+        return Promise.resolve();
     }
 
     // ============================================================================
@@ -1860,17 +2060,9 @@ const ForumPostsModule = (function () {
         refreshLikeDisplay,
         getPostsContainer,
         isValidPost,
-        reset: function () {
-            convertedPostIds.clear();
-            postReactions.clear();
-            userDataCache.clear();
-            isInitialized = false;
-            if (activePopup) {
-                activePopup.remove();
-                activePopup = null;
-                document.removeEventListener('click', activePopupClickHandler);
-            }
-        },
+        reset,
+        destroy,
+        refresh,
         CONFIG
     };
 })();
@@ -173,14 +173,14 @@ var TwemojiModule = (function() {
                 callback: function(node) { replaceCustomEmojis(node, false); },
                 selector: '.picker-custom-grid, .picker-custom-item, .image-thumbnail, .ve-emoji-list',
                 priority: 'high',
-                pageTypes: ['topic', 'blog', 'search', 'forum']
+                pageTypes: ['topic', 'blog', 'search', 'forum', 'send', 'msg']
             });
             globalThis.forumObserver.register({
                 id: 'emoji-replacer-content',
                 callback: function(node) { replaceCustomEmojis(node, false); },
                 selector: '.post, .article, .content, .reply, .comment, .color, td[align], div[align]',
                 priority: 'normal',
-                pageTypes: ['topic', 'blog', 'search', 'forum']
+                pageTypes: ['topic', 'blog', 'search', 'forum', 'send', 'msg']
             });
             globalThis.forumObserver.register({
                 id: 'emoji-replacer-quotes',
@@ -229,18 +229,27 @@ var TwemojiModule = (function() {
 
     async function waitForForumObserver() {
         if (globalThis.forumObserver) return true;
-        return new Promise((resolve) => {
-            const handler = () => {
-                window.removeEventListener('forum-observer-ready', handler);
-                resolve(true);
-            };
-            window.addEventListener('forum-observer-ready', handler);
-            setTimeout(() => {
-                window.removeEventListener('forum-observer-ready', handler);
+        if (typeof ForumEventBus === 'undefined') {
+            return new Promise((resolve) => {
+                const handler = () => {
+                    window.removeEventListener('forum-observer-ready', handler);
+                    resolve(true);
+                };
+                window.addEventListener('forum-observer-ready', handler);
+                setTimeout(() => {
+                    window.removeEventListener('forum-observer-ready', handler);
+                    console.warn('ForumObserver not ready after 5 seconds, proceeding anyway');
+                    resolve(false);
+                }, 5000);
+            });
+        }
+        return ForumEventBus.whenReady('forum:observer:ready', 5000).then(
+            () => true,
+            () => {
                 console.warn('ForumObserver not ready after 5 seconds, proceeding anyway');
-                resolve(false);
-            }, 5000);
-        });
+                return false;
+            }
+        );
     }
 
     async function initialize() {
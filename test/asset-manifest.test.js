@@ -0,0 +1,49 @@
+// test/asset-manifest.test.js
+// Our own files are served from the release tag byte for byte, so every
+// hash in the manifest must match the file in this checkout. A failure
+// prints the hash to paste in.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWindow, load, read } = require('./helpers/browser');
+
+const REPO = 'https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@';
+
+const window = load(createWindow(), 'core/asset-manifest.js');
+const assets = Array.from(window.ForumAssets.getAll());
+const release = 'v' + window.ForumAssets.version;
+const own = assets.filter(asset => asset.url.indexOf(REPO) === 0);
+
+function sri(file) {
+    return 'sha384-' + crypto.createHash('sha384').update(read(file)).digest('base64');
+}
+
+test('own files are pinned to the release tag', () => {
+    assert.ok(own.length > 0);
+    own.forEach(asset => {
+        assert.ok(asset.url.indexOf(REPO + release + '/') === 0, asset.name + ': ' + asset.url);
+    });
+});
+
+test('own files carry the hash of the file in the checkout', () => {
+    const stale = own.filter(asset => {
+        return asset.integrity !== sri(asset.url.slice((REPO + release + '/').length));
+    }).map(asset => asset.name + ": '" + sri(asset.url.slice((REPO + release + '/').length)) + "'");
+    assert.deepStrictEqual(stale, []);
+});
+
+test('the self-hosted copy drops the release tag from the path', () => {
+    window.ForumAssets.configure({ selfHostedBase: 'https://example.com/skin' });
+    const candidates = window.ForumAssets.candidates('posts');
+    assert.strictEqual(candidates[candidates.length - 1], 'https://example.com/skin/modules/posts.js');
+    window.ForumAssets.configure({ selfHostedBase: null });
+});
+
+test('the boot engine loads this manifest from the release tag with its hash', () => {
+    const loader = read('core/dynamic-loader.js');
+    assert.strictEqual(/const RELEASE = "([^"]+)";/.exec(loader)[1], release);
+    assert.strictEqual(/integrity: "(sha384-[^"]+)"/.exec(loader)[1], sri('core/asset-manifest.js'));
+});
@@ -0,0 +1,57 @@
+// test/boot.test.js
+// Pages booted through core/dynamic-loader.js with the checkout standing in
+// for jsDelivr.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { bootWindow, waitFor } = require('./helpers/browser');
+
+const LOADER = 'https://cdn.jsdelivr.net/gh/hu6amini/perve_avenue@main/core/dynamic-loader.min.js';
+
+const forumRow = (id, name) => `<li id="f${id}" class="off"><div class="bb"><h3 class="web"><a href="/f${id}/">${name}</a></h3></div>` +
+    '<div class="yy"><span class="topics"><em>4</em></span><span class="replies"><em>12</em></span></div>' +
+    '<div class="zz"><span class="when">18/10/2026, 21:04</span><span class="who"><a href="/?act=Profile&amp;MID=7">Ann</a></span></div></li>';
+
+const BOARD_LIST = '<ul class="board List"><li id="c1" class="skin_tbl"><h2 class="mtitle">General</h2>' +
+    `<ul class="big_list">${forumRow(1, 'Announcements')}${forumRow(2, 'Off topic')}</ul></li></ul>`;
+
+const page = (bodyId, content) => `<!DOCTYPE html><html><head><script src="${LOADER}"></script></head>` +
+    `<body id="${bodyId}"><div id="modern-forum-wrapper"></div>${content}</body></html>`;
+
+// A board index without the forum's handlebars/hb.js
+const BOARD_INDEX = page('board', BOARD_LIST);
+
+const members = async () => ({ ok: true, json: async () => ({ m7: { id: 7, nickname: 'Ann' } }) });
+
+function boardCards(window) {
+    const found = window.document.querySelectorAll('#modern-board-list .modern-cards-grid > *');
+    return found.length ? found : null;
+}
+
+test('boards converts the board list on a page without hb.js', async (t) => {
+    const { window, requested } = bootWindow(BOARD_INDEX, { fetch: members });
+    t.after(() => window.close());
+    const cards = await waitFor(window, () => boardCards(window), 8000);
+
+    assert.strictEqual(cards.length, 2);
+    assert.strictEqual(typeof window.Handlebars, 'object');
+    const handlebars = requested.findIndex(url => /\/core\/handlebars\.js$/.test(url));
+    const boards = requested.findIndex(url => /\/modules\/boards\.js$/.test(url));
+    assert.ok(handlebars !== -1 && handlebars < boards, 'Handlebars is loaded before the boards module');
+    assert.ok(!requested.some(url => url.indexOf('hb.js') !== -1));
+});
+
+test('a board list injected after boot loads and starts the boards module', async (t) => {
+    const { window, requested } = bootWindow(page('portal', '<div id="portal-lists"></div>'), { fetch: members });
+    t.after(() => window.close());
+    await waitFor(window, () => window.ForumEnhancer && window.ForumEnhancer.getModuleStatus().boards, 8000);
+    assert.ok(!requested.some(url => /\/modules\/boards\.js$/.test(url)), 'boards is not loaded up front');
+
+    window.document.getElementById('portal-lists').insertAdjacentHTML('beforeend', BOARD_LIST);
+    const cards = await waitFor(window, () => boardCards(window), 8000);
+
+    assert.strictEqual(cards.length, 2);
+    assert.strictEqual(window.ForumEnhancer.getModuleStatus().boards.initialized, true);
+});
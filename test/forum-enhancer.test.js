@@ -0,0 +1,43 @@
+// test/forum-enhancer.test.js
+// Runtime module switching in core/forum-enhancer.js, with stand-in modules
+// registered under names from its module config.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, load, waitFor } = require('./helpers/browser');
+
+function fakeModule(name, calls) {
+    return {
+        initialize() { calls.push('init ' + name); },
+        destroy() { calls.push('destroy ' + name); }
+    };
+}
+
+test('enabling a module again restarts the dependents its disabling tore down', async (t) => {
+    const window = load(createWindow(), 'core/event-bus.js', 'core/dom-utils.js', 'core/forum-enhancer.js');
+    t.after(() => window.close());
+    const enhancer = window.ForumEnhancer;
+    const calls = [];
+    const initialized = () => {
+        const status = enhancer.getModuleStatus();
+        return status.boards.initialized && status.posts.initialized;
+    };
+
+    enhancer.registerModule('boards', fakeModule('boards', calls), []);
+    enhancer.registerModule('posts', fakeModule('posts', calls), ['boards']);
+    enhancer.enableModule('posts');
+    await waitFor(window, initialized);
+    assert.deepStrictEqual(calls, ['init boards', 'init posts']);
+
+    calls.length = 0;
+    enhancer.disableModule('boards');
+    assert.deepStrictEqual(calls, ['destroy posts', 'destroy boards']);
+    assert.strictEqual(enhancer.getModuleStatus().posts.initialized, false);
+
+    calls.length = 0;
+    enhancer.enableModule('boards');
+    await waitFor(window, initialized);
+    assert.deepStrictEqual(calls, ['init boards', 'init posts']);
+});
@@ -0,0 +1,157 @@
+// test/helpers/browser.js
+// A jsdom window that runs the skin's files the way a forum page does: as
+// classic scripts sharing one global scope, in the order given. jsdom has no
+// IntersectionObserver, ResizeObserver or requestIdleCallback, which
+// forum_core_observer.js needs; createWindow() adds inert stand-ins.
+//
+// The tests need jsdom, which the repository does not ship:
+//
+//   npm install --no-save jsdom
+//   node --test test/*.test.js
+//
+// (or point NODE_PATH at a directory where jsdom is installed).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const OWN_URL = /^https:\/\/(?:cdn|fastly|gcore)\.jsdelivr\.net\/gh\/hu6amini\/perve_avenue@[^/]+\/(.+)$/;
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// Observers that never report: nothing in jsdom is laid out or visible
+class InertObserver {
+    constructor(callback) {
+        this.callback = callback;
+    }
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+    takeRecords() {
+        return [];
+    }
+}
+
+function installBrowserStubs(window) {
+    if (!window.IntersectionObserver) window.IntersectionObserver = class extends InertObserver {};
+    if (!window.ResizeObserver) window.ResizeObserver = class extends InertObserver {};
+    if (!window.requestIdleCallback) {
+        window.requestIdleCallback = callback => window.setTimeout(() => {
+            callback({ didTimeout: false, timeRemaining: () => 50 });
+        }, 1);
+        window.cancelIdleCallback = id => window.clearTimeout(id);
+    }
+    return window;
+}
+
+// options.url (default a topic page), options.console: true forwards the
+// page's console output to the test's
+function createWindow(html, options) {
+    const opts = options || {};
+    const virtualConsole = new VirtualConsole();
+    if (opts.console) virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    const dom = new JSDOM(html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: opts.url || 'https://example.forumcommunity.net/?t=1',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    return installBrowserStubs(dom.window);
+}
+
+function load(window, ...files) {
+    files.forEach(file => {
+        window.eval(read(file) + '\n//# sourceURL=' + file);
+    });
+    return window;
+}
+
+// Answers our own jsDelivr URLs (any ref, .min.js or not) from the checkout;
+// every other URL gets an empty body. `requested` lists what was asked for.
+class CheckoutLoader extends ResourceLoader {
+    constructor() {
+        super();
+        this.requested = [];
+    }
+    fetch(url) {
+        this.requested.push(url);
+        const match = OWN_URL.exec(url);
+        const file = match ? path.join(ROOT, match[1].replace(/\.min\.js$/, '.js')) : null;
+        const body = file && fs.existsSync(file) ? fs.readFileSync(file) : Buffer.from('');
+        const promise = Promise.resolve(body);
+        promise.abort = () => {};
+        return promise;
+    }
+}
+
+// A page that boots for real: its <script> tags and everything the boot
+// engine injects run. jsdom needs two allowances for that: it holds back
+// defer scripts inserted after parsing (browsers ignore defer on those), and
+// it never runs module scripts, which are reported loaded instead.
+// options.url, options.console as for createWindow; options.fetch replaces
+// the page's fetch().
+function bootWindow(html, options) {
+    const opts = options || {};
+    const virtualConsole = new VirtualConsole();
+    if (opts.console) virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    const resources = new CheckoutLoader();
+    const dom = new JSDOM(html, {
+        url: opts.url || 'https://example.forumcommunity.net/',
+        runScripts: 'dangerously',
+        resources: resources,
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            installBrowserStubs(window);
+            Object.defineProperty(window.HTMLScriptElement.prototype, 'defer', {
+                configurable: true,
+                get() { return false; },
+                set() {}
+            });
+            new window.MutationObserver(records => records.forEach(record => {
+                record.addedNodes.forEach(node => {
+                    if (node.tagName === 'SCRIPT' && node.type === 'module') {
+                        window.setTimeout(() => node.dispatchEvent(new window.Event('load')), 0);
+                    }
+                });
+            })).observe(window.document, { childList: true, subtree: true });
+            if (opts.fetch) window.fetch = opts.fetch;
+        }
+    });
+    return { window: dom.window, requested: resources.requested };
+}
+
+// Resolves once check() is truthy, polling on the page's own timers
+function waitFor(window, check, timeout) {
+    const limit = Date.now() + (timeout || 2000);
+    return new Promise((resolve, reject) => {
+        (function poll() {
+            const value = check();
+            if (value) return resolve(value);
+            if (Date.now() > limit) return reject(new Error('Timed out waiting for the page'));
+            window.setTimeout(poll, 10);
+        })();
+    });
+}
+
+// A window holding fixture.html with the recorder's replay prepared, then
+// `files` loaded on top. Await replay.play({ speed: 0 }) to apply the
+// recorded changes.
+function replayFixture(fixture, files, options) {
+    const window = createWindow(fixture.doctype + fixture.html, Object.assign({ url: fixture.url }, options));
+    load(window, 'core/mutation-recorder.js');
+    const replay = window.ForumMutationRecorder.prepareReplay(fixture);
+    load(window, ...files);
+    return { window, replay };
+}
+
+function readFixture(name) {
+    return JSON.parse(read(path.join('test', 'fixtures', name)));
+}
+
+module.exports = { ROOT, read, createWindow, installBrowserStubs, load, bootWindow, waitFor, replayFixture, readFixture };
@@ -0,0 +1,47 @@
+// test/replay.test.js
+// Recorded pages replayed under jsdom with forumObserver and a module loaded
+// on top, so conversions that depend on when the forum injects its markup
+// are checked against the recording instead of a finished page.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { replayFixture, readFixture, waitFor } = require('./helpers/browser');
+
+const BASE = ['core/event-bus.js', 'core/dom-utils.js', 'core/handlebars.js', 'core/templates.js',
+    'core/user-service.js', 'forum_core_observer.js'];
+
+function stubMembers(window, members) {
+    window.fetch = async () => ({ ok: true, json: async () => members });
+}
+
+test('replay applies every recorded change', async (t) => {
+    const fixture = readFixture('board-index-late-list.json');
+    const { window, replay } = replayFixture(fixture, []);
+    t.after(() => window.close());
+    const stats = await replay.play({ speed: 0 });
+    assert.strictEqual(stats.skipped, 0, JSON.stringify(stats.unresolved));
+    assert.strictEqual(window.document.querySelectorAll('ul.board.List ul.big_list > li').length, 3);
+    assert.ok(window.document.querySelector('.topbutton form.topbutton'));
+});
+
+test('a board list injected after the boards module started is converted', async (t) => {
+    const fixture = readFixture('board-index-late-list.json');
+    const { window, replay } = replayFixture(fixture, BASE.concat('modules/boards.js'));
+    t.after(() => window.close());
+    stubMembers(window, { m7: { id: 7, nickname: 'Ann' } });
+
+    await window.ForumBoardsModule.initialize();
+    assert.strictEqual(window.document.getElementById('modern-board-list'), null);
+
+    await replay.play({ speed: 0 });
+    const cards = await waitFor(window, () => {
+        const found = window.document.querySelectorAll('#modern-board-list .board-category');
+        return found.length ? found : null;
+    });
+
+    assert.deepStrictEqual(Array.from(cards, section => section.dataset.categoryId), ['1', '2']);
+    assert.strictEqual(window.document.querySelectorAll('#modern-board-list .modern-cards-grid > *').length, 3);
+    window.ForumBoardsModule.destroy();
+});
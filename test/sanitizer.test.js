@@ -0,0 +1,117 @@
+// test/sanitizer.test.js
+// Known XSS vectors run through every ForumDOMUtils sanitizer profile. The
+// output is parsed again and must not contain anything that can run script;
+// the keep cases make sure ordinary post content survives.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, load } = require('./helpers/browser');
+
+const PROFILES = ['post', 'signature', 'preview', 'reaction', 'inline', 'ui'];
+
+const XSS_VECTORS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<IMG SRC="javascript:alert(1)">',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href=" &#14; javascript:alert(1)">x</a>',
+    '<a href="jav&#x09;ascript:alert(1)">x</a>',
+    '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<img src="data:image/svg+xml,<svg onload=alert(1)>">',
+    '<img data-src="javascript:alert(1)">',
+    '<lite-youtube videoid="x" data-lite-src="javascript:alert(1)" onclick="alert(1)"></lite-youtube>',
+    '<svg onload=alert(1)><circle r=1></circle></svg>',
+    '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="javascript:alert(1)">',
+    '<form action="javascript:alert(1)"><button>x</button></form>',
+    '<button formaction="javascript:alert(1)">x</button>',
+    '<input autofocus onfocus=alert(1)>',
+    '<details open ontoggle=alert(1)>x</details>',
+    '<body onload=alert(1)>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '<div style="width:expression(alert(1))">x</div>',
+    '<div style="-moz-binding:url(http://x/xss.xml#xss)">x</div>',
+    '<div style="background-image:url(&quot;javascript:alert(1)&quot;)">x</div>',
+    '<style>@import "http://x/xss.css";</style>',
+    '<link rel="stylesheet" href="http://x/xss.css">',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<base href="javascript:alert(1)//">',
+    '<video poster="javascript:alert(1)"><source src="javascript:alert(1)"></video>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<a href="https://example.com" target="_blank">x</a>'
+];
+
+// [profile, input, selector the output must still match]
+const KEEP_CASES = [
+    ['post', '<a href="https://example.com/t?x=1">x</a>', 'a[href="https://example.com/t?x=1"]'],
+    ['post', '<img src="/i/smile.gif" alt=":)">', 'img[src="/i/smile.gif"]'],
+    ['post', '<img data-src="https://example.com/a.png" alt="">', 'img[data-src="https://example.com/a.png"]'],
+    ['post', '<span style="color: red">x</span>', 'span[style]'],
+    ['post', '<div align="center" class="quote_top">x</div>', 'div.quote_top[align="center"]'],
+    ['post', '<lite-youtube videoid="dQw4w9WgXcQ" params="rel=0"></lite-youtube>', 'lite-youtube[videoid="dQw4w9WgXcQ"][params="rel=0"]'],
+    ['post', '<lite-vimeo videoid="76979871"></lite-vimeo>', 'lite-vimeo[videoid="76979871"]'],
+    ['post', '<blockquote class="twitter-tweet" data-twitter="1"><a href="https://x.com/a/status/1">x</a></blockquote>', 'blockquote[data-twitter]'],
+    ['signature', '<b>x</b><br><i>y</i>', 'b + br + i'],
+    ['preview', '<span style="background-image:url(https://x.test/f.png)">x</span>', 'span[style*="url("]'],
+    ['reaction', '<button class="reaction-btn" data-pid="1" aria-label="x">x</button>', 'button[data-pid="1"]'],
+    ['ui', '<button class="action-icon" data-action="quote" data-pid="1">x</button>', 'button[data-action="quote"]']
+];
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href', 'srcdoc', 'data',
+    'data-src', 'data-lite-src', 'data-original-src'];
+
+// Why the sanitized markup is still unsafe, or null
+function findUnsafe(window, html) {
+    const template = window.document.createElement('template');
+    template.innerHTML = html;
+    const unsafe = template.content.querySelector('script, iframe, frame, object, embed, svg, math, style, link, meta, base, form, template, noscript');
+    if (unsafe) return '<' + unsafe.nodeName.toLowerCase() + '> kept';
+    for (const element of template.content.querySelectorAll('*')) {
+        for (const attr of element.attributes) {
+            const name = attr.name.toLowerCase();
+            if (name.indexOf('on') === 0) return name + ' kept';
+            const value = attr.value.replace(/[\u0000- \u007F-\u009F]/g, '').toLowerCase();
+            if (URL_ATTRIBUTES.includes(name) && /^(javascript|vbscript|data):/.test(value) &&
+                !/^data:image\/(png|gif|jpe?g|webp|avif|bmp);/.test(value)) {
+                return name + '="' + attr.value + '" kept';
+            }
+            if (name === 'style' && /expression\(|javascript:|vbscript:|-moz-binding|behavior:|@import/.test(value)) {
+                return 'style="' + attr.value + '" kept';
+            }
+        }
+        if (element.nodeName === 'A' && element.getAttribute('target') && !/noopener/.test(element.getAttribute('rel') || '')) {
+            return 'target without rel=noopener';
+        }
+    }
+    return null;
+}
+
+const window = load(createWindow(), 'core/dom-utils.js');
+
+PROFILES.forEach(profile => {
+    test('sanitizer profile "' + profile + '" neutralises every XSS vector', () => {
+        XSS_VECTORS.forEach(input => {
+            const problem = findUnsafe(window, window.ForumDOMUtils.sanitizeHtml(input, profile));
+            assert.strictEqual(problem, null, input);
+        });
+    });
+});
+
+test('sanitizer keeps ordinary content', () => {
+    KEEP_CASES.forEach(([profile, input, selector]) => {
+        const template = window.document.createElement('template');
+        template.innerHTML = window.ForumDOMUtils.sanitizeHtml(input, profile);
+        assert.ok(template.content.querySelector(selector), profile + ': ' + input);
+    });
+});